@@ -1,7 +1,7 @@
 import { Controller } from '@hotwired/stimulus';
 import * as pdfjsLib from 'pdfjs-dist';
 import { FetchRequest } from '@rails/request.js';
-import { PDFDocument, StandardFonts, degrees, rgb, PDFName, PDFString, PDFArray } from 'pdf-lib';
+import { PDFDocument, StandardFonts, degrees, rgb, PDFName, PDFString, PDFArray, PDFRef, PDFDict, pushGraphicsState, popGraphicsState, concatTransformationMatrix, drawObject } from 'pdf-lib';
 
 /**
  * EventBus - Internal event system for the PDF viewer.
@@ -131,6 +131,12 @@ const ViewerEvents = {
   // Scale/zoom events
   SCALE_CHANGED: "scalechanged",
 
+  // Rotation events
+  ROTATION_CHANGED: "rotationchanged",
+
+  // Encrypted documents
+  PASSWORD_REQUIRED: "passwordrequired",
+
   // Scroll events
   SCROLL: "scroll",
 
@@ -156,6 +162,7 @@ const RenderingStates = {
 class RenderingQueue {
   constructor() {
     this.pdfViewer = null;
+    // True while PrintService renders pages; on-screen rendering waits
     this.printing = false;
     this._highestPriorityPage = null;
     this._idleTimeout = null;
@@ -178,6 +185,14 @@ class RenderingQueue {
     return this._highestPriorityPage === pageNumber
   }
 
+  /**
+   * Whether a page is being rendered right now.
+   * @returns {boolean}
+   */
+  isBusy() {
+    return this._highestPriorityPage !== null
+  }
+
   /**
    * Check if there are any pages being rendered.
    * @returns {boolean}
@@ -191,7 +206,7 @@ class RenderingQueue {
    * Called when the viewer scrolls or changes.
    */
   async renderHighestPriority(visiblePages = null) {
-    if (!this.pdfViewer) {
+    if (!this.pdfViewer || this.printing) {
       return
     }
 
@@ -278,7 +293,8 @@ class RenderingQueue {
   }
 
   /**
-   * Check if a page has been rendered at the current scale or is currently rendering.
+   * Check if a page has been rendered at the current scale and rotation, or
+   * is currently rendering.
    * @param {number} pageNumber
    * @returns {boolean}
    */
@@ -289,9 +305,10 @@ class RenderingQueue {
     // Currently rendering - don't re-trigger
     if (pageData.renderingState === RenderingStates.RUNNING) return true
 
-    // Check if finished AND at current scale
+    // Check if finished AND at current scale and rotation
     if (pageData.renderingState === RenderingStates.FINISHED) {
-      return pageData.renderedScale === this.pdfViewer.displayScale
+      return pageData.renderedScale === this.pdfViewer.displayScale &&
+        pageData.renderedRotation === this.pdfViewer.rotation
     }
 
     return false
@@ -349,12 +366,159 @@ const ScaleValue = {
   PAGE_WIDTH: "page-width"
 };
 
+// URL schemes a PDF link may open. Anything else (javascript:, data:, file:,
+// custom app schemes) is rendered inert.
+const SAFE_LINK_PROTOCOLS = ["http:", "https:", "mailto:", "tel:"];
+
+/**
+ * LinkService - Navigation backend for the PDF.js AnnotationLayer.
+ *
+ * Implements the subset of PDF.js's IPDFLinkService that link annotations
+ * use: internal destinations and named actions navigate through the viewer's
+ * goToPage(), external URLs open in a new tab with an opener-free rel.
+ */
+class LinkService {
+  constructor(viewer) {
+    this.viewer = viewer;
+    this.externalLinkEnabled = true;
+    this.isInPresentationMode = false;
+  }
+
+  get pagesCount() {
+    return this.viewer.getPageCount()
+  }
+
+  get page() {
+    return this.viewer.getCurrentPage()
+  }
+
+  set page(pageNumber) {
+    this.viewer.goToPage(pageNumber);
+  }
+
+  get rotation() {
+    return this.viewer.rotation
+  }
+
+  set rotation(value) {}
+
+  /**
+   * Resolve a named or explicit destination to a 1-based page number.
+   * @param {string|Array} dest
+   * @returns {Promise<number|null>}
+   */
+  async getDestinationPageNumber(dest) {
+    const pdfDocument = this.viewer.pdfDocument;
+    if (!pdfDocument || !dest) return null
+
+    const explicitDest = typeof dest === "string"
+      ? await pdfDocument.getDestination(dest)
+      : await dest;
+    if (!Array.isArray(explicitDest)) return null
+
+    const [destRef] = explicitDest;
+    if (destRef && typeof destRef === "object") {
+      try {
+        return (await pdfDocument.getPageIndex(destRef)) + 1
+      } catch (e) {
+        return null
+      }
+    }
+    if (Number.isInteger(destRef)) {
+      return destRef + 1
+    }
+    return null
+  }
+
+  async goToDestination(dest) {
+    const pageNumber = await this.getDestinationPageNumber(dest);
+    if (pageNumber) {
+      this.goToPage(pageNumber);
+    } else {
+      console.warn("Could not resolve PDF link destination:", dest);
+    }
+  }
+
+  goToPage(pageNumber) {
+    this.viewer.goToPage(pageNumber);
+  }
+
+  /**
+   * Give an external link safe attributes. Unsupported schemes get no href.
+   */
+  addLinkAttributes(link, url, newWindow = false) {
+    if (!url || !this.externalLinkEnabled || !this._isSafeUrl(url)) {
+      link.removeAttribute("href");
+      link.title = url ? `Blocked link: ${url}` : "";
+      return
+    }
+
+    link.href = url;
+    link.title = url;
+    link.target = "_blank";
+    link.rel = "noopener noreferrer nofollow";
+  }
+
+  _isSafeUrl(url) {
+    try {
+      return SAFE_LINK_PROTOCOLS.includes(new URL(url, window.location.href).protocol)
+    } catch (e) {
+      return false
+    }
+  }
+
+  // Internal links are handled in goToDestination(); the href is only a
+  // fallback for middle-click / copy link.
+  getDestinationHash(dest) {
+    return "#"
+  }
+
+  getAnchorUrl(anchor) {
+    return "#"
+  }
+
+  setHash(hash) {}
+
+  executeNamedAction(action) {
+    const pageCount = this.pagesCount;
+    const current = this.page;
+
+    switch (action) {
+      case "NextPage":
+        if (current < pageCount) this.goToPage(current + 1);
+        break
+      case "PrevPage":
+        if (current > 1) this.goToPage(current - 1);
+        break
+      case "FirstPage":
+        this.goToPage(1);
+        break
+      case "LastPage":
+        this.goToPage(pageCount);
+        break
+    }
+  }
+
+  async executeSetOCGState(action) {}
+
+  cachePageRef(pageNum, pageRef) {}
+
+  isPageVisible(pageNumber) {
+    return true
+  }
+
+  isPageCached(pageNumber) {
+    return true
+  }
+}
+
 /**
  * CoreViewer - The foundational PDF rendering component.
  *
  * This class provides:
  * - PDF document loading and page rendering
  * - Text layer for text selection
+ * - Annotation layer for the PDF's own links and annotations
  * - Re-rendering based zoom (crisp at all zoom levels)
  * - Lazy rendering of pages for performance
  * - Event-driven architecture for tool integration
@@ -374,12 +538,19 @@ class CoreViewer {
     this._loadingTask = null;
     this.pageCount = 0;
 
+    // Supplies passwords for encrypted PDFs: ({ reason, incorrect, attempt })
+    // => Promise<string|null>. Resolving null cancels the load.
+    this.passwordProvider = options.passwordProvider || null;
+
     // Page data storage: pageNumber -> PageData
     this.pages = new Map();
 
     // Pages with an in-flight dimension measurement (dedup for _measurePage)
     this._measuringPages = new Set();
 
+    // PDF.js ids of the PDF's own annotations that are no longer drawn
+    this.hiddenAnnotationIds = new Set();
+
     // Device pixel ratio for high-DPI displays
     this.devicePixelRatio = window.devicePixelRatio || 1;
 
@@ -397,6 +568,9 @@ class CoreViewer {
     this._renderingQueue = new RenderingQueue();
     this._renderingQueue.setViewer(this);
 
+    // Navigation for links in the PDF's own annotation layer
+    this.linkService = new LinkService(this);
+
     // Single AbortController for every DOM/document/window listener this viewer
     // adds, so destroy() can remove them all at once. Several of these live on
     // the global document/window and would otherwise outlive the viewer,
@@ -470,7 +644,12 @@ class CoreViewer {
     // worker-side resources.
     await this._teardownDocument();
 
-    this._loadingTask = pdfjsLib.getDocument(source);
+    const loadingTask = pdfjsLib.getDocument(source);
+    let passwordAttempts = 0;
+    loadingTask.onPassword = (updatePassword, reason) => {
+      this._onPassword(loadingTask, updatePassword, reason, ++passwordAttempts);
+    };
+    this._loadingTask = loadingTask;
     this.pdfDocument = await this._loadingTask.promise;
     this.pageCount = this.pdfDocument.numPages;
 
@@ -494,6 +673,42 @@ class CoreViewer {
     return this.pdfDocument
   }
 
+  /**
+   * PDF.js onPassword callback. Asks the password provider for a password,
+   * and is called again by PDF.js with INCORRECT_PASSWORD if it was wrong.
+   *
+   * Passing an Error to updatePassword aborts the load; we name it
+   * PasswordException so _shouldRetryAsBlob doesn't retry a cancelled prompt.
+   * @param {PDFDocumentLoadingTask} loadingTask - The task asking for a password
+   * @param {Function} updatePassword - PDF.js continuation
+   * @param {number} reason - pdfjsLib.PasswordResponses value
+   * @param {number} attempt - 1 for the first prompt, incremented per retry
+   */
+  async _onPassword(loadingTask, updatePassword, reason, attempt) {
+    const incorrect = reason === pdfjsLib.PasswordResponses.INCORRECT_PASSWORD;
+    const detail = { reason, incorrect, attempt };
+
+    this.eventBus.dispatch(ViewerEvents.PASSWORD_REQUIRED, detail);
+
+    let password = null;
+    try {
+      password = this.passwordProvider ? await this.passwordProvider(detail) : null;
+    } catch (error) {
+      console.error("Password provider failed:", error);
+    }
+
+    // A newer load replaced this one while the prompt was open
+    if (this._loadingTask !== loadingTask) return
+
+    if (typeof password === "string") {
+      updatePassword(password);
+    } else {
+      const error = new Error("A password is required to open this document");
+      error.name = "PasswordException";
+      updatePassword(error);
+    }
+  }
+
   /**
    * Decide whether a load failure is worth retrying via full-fetch.
    * Skips errors where a different transport won't help: password-protected
@@ -658,9 +873,10 @@ class CoreViewer {
       return
     }
 
-    // If already rendered at current scale, skip
+    // If already rendered at current scale and rotation, skip
     if (pageData.renderingState === RenderingStates.FINISHED &&
-        pageData.renderedScale === this.displayScale) {
+        pageData.renderedScale === this.displayScale &&
+        pageData.renderedRotation === this.rotation) {
       return
     }
 
@@ -691,6 +907,7 @@ class CoreViewer {
 
       const dpr = this.devicePixelRatio;
       const displayScale = this.displayScale;
+      const rotation = this.rotation;
 
       // Get viewport at display scale (what we want to show on screen)
       const displayViewport = page.getViewport({ scale: displayScale, rotation: this._rotationFor(page) });
@@ -718,47 +935,28 @@ class CoreViewer {
 
       container.appendChild(canvas);
 
-      // Render PDF page at displayScale, with outputScale transform for retina
+      // Render PDF page at displayScale, with outputScale transform for retina.
+      // ENABLE_STORAGE lets annotationStorage hide embedded annotations.
       await page.render({
         canvasContext: context,
         viewport: displayViewport,
-        transform: [outputScale, 0, 0, outputScale, 0, 0] // Scale drawing to backing store
+        transform: [outputScale, 0, 0, outputScale, 0, 0], // Scale drawing to backing store
+        annotationMode: pdfjsLib.AnnotationMode.ENABLE_STORAGE
       }).promise;
 
-      // Create or update text layer
-      if (pageData.textLayer) {
-        // Drop the stale entry so the selection map doesn't retain detached
-        // text-layer nodes across re-renders (zoom, reload).
-        this._textLayers.delete(pageData.textLayer);
-        pageData.textLayer.remove();
-      }
-
-      const textLayerDiv = document.createElement("div");
-      textLayerDiv.className = "textLayer";
-      container.appendChild(textLayerDiv);
-
-      // Render text layer at display scale
-      const textContent = await page.getTextContent();
-      const textLayer = new pdfjsLib.TextLayer({
-        textContentSource: textContent,
-        container: textLayerDiv,
-        viewport: displayViewport
-      });
-      await textLayer.render();
+      // Create or update text layer (_renderTextLayer swaps it into pageData)
+      await this._renderTextLayer(pageData, page, displayViewport);
 
-      // Add endOfContent element for selection handling
-      const endOfContent = document.createElement("div");
-      endOfContent.className = "endOfContent";
-      textLayerDiv.appendChild(endOfContent);
-
-      // Bind selection handling
-      this._bindTextLayerSelection(textLayerDiv, endOfContent);
+      // Render the PDF's own annotations (links, comments) above the text layer
+      pageData.annotationLayer?.remove();
+      const annotationLayerDiv = await this._renderAnnotationLayer(page, displayViewport, container);
 
       // Update page data
       pageData.canvas = canvas;
-      pageData.textLayer = textLayerDiv;
+      pageData.annotationLayer = annotationLayerDiv;
       pageData.displayViewport = displayViewport;
       pageData.renderedScale = displayScale;
+      pageData.renderedRotation = rotation;
       pageData.renderingState = RenderingStates.FINISHED;
 
       // Dispatch events
@@ -768,11 +966,19 @@ class CoreViewer {
         container
       });
 
+      // The layer on the page; ensureTextLayer() may have replaced this render's
       this.eventBus.dispatch(ViewerEvents.TEXT_LAYER_RENDERED, {
         pageNumber,
-        textLayer: textLayerDiv
+        textLayer: pageData.textLayer
       });
 
+      if (annotationLayerDiv) {
+        this.eventBus.dispatch(ViewerEvents.ANNOTATION_LAYER_RENDERED, {
+          pageNumber,
+          annotationLayer: annotationLayerDiv
+        });
+      }
+
     } catch (error) {
       console.error(`Error rendering page ${pageNumber}:`, error);
       pageData.renderingState = RenderingStates.INITIAL;
@@ -780,6 +986,133 @@ class CoreViewer {
     }
   }
 
+  /**
+   * Render a PDF.js AnnotationLayer for the page's embedded annotations.
+   * Appearances are already painted on the canvas; this layer adds the
+   * interactive parts (links, comment popups). A failure here is logged and
+   * leaves the page usable without it.
+   * @returns {Promise<HTMLElement|null>} The layer div, or null if the page has no annotations
+   */
+  async _renderAnnotationLayer(page, displayViewport, container) {
+    try {
+      const annotations = (await page.getAnnotations({ intent: "display" }))
+        .filter(annotation => !this.hiddenAnnotationIds.has(annotation.id));
+      if (annotations.length === 0) return null
+
+      const div = document.createElement("div");
+      div.className = "annotationLayer";
+      container.appendChild(div);
+
+      // PDF.js expects an unflipped viewport for the annotation layer
+      const viewport = displayViewport.clone({ dontFlip: true });
+      const annotationLayer = new pdfjsLib.AnnotationLayer({
+        div,
+        page,
+        viewport,
+        accessibilityManager: null,
+        annotationCanvasMap: null
+      });
+
+      await annotationLayer.render({
+        viewport,
+        div,
+        annotations,
+        page,
+        linkService: this.linkService,
+        annotationStorage: this.pdfDocument.annotationStorage,
+        renderForms: false,
+        enableScripting: false
+      });
+
+      return div
+    } catch (error) {
+      console.warn(`Could not render annotation layer for page ${page.pageNumber}:`, error);
+      container.querySelector(".annotationLayer")?.remove();
+      return null
+    }
+  }
+
+  /**
+   * Replace a page's text layer with a fresh one at the given viewport.
+   * @param {Object} pageData - Entry from this.pages
+   * @param {PDFPageProxy} page
+   * @param {PageViewport} displayViewport
+   * @returns {Promise<HTMLElement>} The text layer element
+   */
+  async _renderTextLayer(pageData, page, displayViewport) {
+    const textLayerDiv = document.createElement("div");
+    textLayerDiv.className = "textLayer";
+    pageData.container.appendChild(textLayerDiv);
+
+    // Render text layer at display scale
+    const textContent = await page.getTextContent();
+    const textLayer = new pdfjsLib.TextLayer({
+      textContentSource: textContent,
+      container: textLayerDiv,
+      viewport: displayViewport
+    });
+    await textLayer.render();
+
+    // Add endOfContent element for selection handling
+    const endOfContent = document.createElement("div");
+    endOfContent.className = "endOfContent";
+    textLayerDiv.appendChild(endOfContent);
+
+    // Bind selection handling
+    this._bindTextLayerSelection(textLayerDiv, endOfContent);
+
+    // Swap only now: a page render and ensureTextLayer() may both be
+    // building one, and whichever finishes last replaces the other
+    if (pageData.textLayer) {
+      // Drop the stale entry so the selection map doesn't retain detached
+      // text-layer nodes across re-renders (zoom, reload).
+      this._textLayers.delete(pageData.textLayer);
+      pageData.textLayer.remove();
+    }
+    pageData.textLayer = textLayerDiv;
+    return textLayerDiv
+  }
+
+  /**
+   * Get a page's text layer, building just the text layer if the page
+   * hasn't rendered yet (its canvas still renders when it scrolls into
+   * view). Lets callers measure text on pages that are off screen.
+   * @param {number} pageNumber
+   * @returns {Promise<HTMLElement|null>}
+   */
+  async ensureTextLayer(pageNumber) {
+    const pageData = this.pages.get(pageNumber);
+    if (!pageData || !this.pdfDocument) return null
+    if (pageData.textLayer) return pageData.textLayer
+
+    try {
+      await this._measurePage(pageNumber);
+      const page = pageData.page || await this.pdfDocument.getPage(pageNumber);
+      pageData.page = page;
+
+      const displayViewport = page.getViewport({ scale: this.displayScale, rotation: this._rotationFor(page) });
+      const textLayerDiv = await this._renderTextLayer(pageData, page, displayViewport);
+
+      this.eventBus.dispatch(ViewerEvents.TEXT_LAYER_RENDERED, {
+        pageNumber,
+        textLayer: textLayerDiv
+      });
+      return textLayerDiv
+    } catch (error) {
+      console.warn(`Could not build the text layer for page ${pageNumber}:`, error);
+      return null
+    }
+  }
+
+  /**
+   * Whether on-screen pages are being rendered. Background work such as
+   * search text extraction waits for this to clear.
+   * @returns {boolean}
+   */
+  isRendering() {
+    return this._renderingQueue.isBusy()
+  }
+
   /**
    * Get the currently visible pages in the scroll container.
    * Used by the rendering queue to prioritize rendering.
@@ -992,6 +1325,106 @@ class CoreViewer {
     }
   }
 
+  /**
+   * Pause on-screen rendering while a print job renders every page, and
+   * catch up on the visible pages afterwards.
+   * @param {boolean} printing
+   */
+  setPrinting(printing) {
+    this._renderingQueue.printing = printing;
+    if (!printing) {
+      this._renderingQueue.renderHighestPriority(this.getVisiblePages());
+    }
+  }
+
+  // ===== Rotation Methods =====
+
+  /**
+   * Get the current user-applied rotation.
+   * @returns {number} rotation in degrees (0, 90, 180, 270)
+   */
+  getRotation() {
+    return this.rotation
+  }
+
+  /**
+   * Rotate all pages to an absolute user rotation. The page's own /Rotate is
+   * still applied on top (see _rotationFor).
+   * @param {number} rotation - Degrees; must be a multiple of 90
+   */
+  setRotation(rotation) {
+    // Numeric strings (from data attributes) are fine; "90deg", 90.5 and "" are not
+    const degrees = typeof rotation === "string" && rotation.trim() !== "" ? Number(rotation) : rotation;
+    if (!Number.isInteger(degrees) || degrees % 90 !== 0) {
+      console.warn(`Invalid rotation: ${rotation} (must be a multiple of 90)`);
+      return
+    }
+
+    const newRotation = ((degrees % 360) + 360) % 360;
+    if (newRotation === this.rotation) return
+
+    const previousRotation = this.rotation;
+    const currentPage = this.getCurrentPage();
+    this.rotation = newRotation;
+
+    if (this.pdfDocument) {
+      // Re-measure every page we already have a proxy for; measuring is cheap
+      // and synchronous once the page is loaded. Pages not yet measured keep a
+      // provisional size, now taken from page 1 at the new rotation.
+      for (const pageData of this.pages.values()) {
+        if (pageData.page) {
+          pageData.unitViewport = pageData.page.getViewport({
+            scale: 1.0,
+            rotation: this._rotationFor(pageData.page)
+          });
+        }
+      }
+
+      const provisionalViewport = this.pages.get(1)?.unitViewport;
+      for (const pageData of this.pages.values()) {
+        const viewport = pageData.unitViewport || provisionalViewport;
+        if (!viewport) continue
+        pageData.container.style.setProperty("--page-width", `${viewport.width}px`);
+        pageData.container.style.setProperty("--page-height", `${viewport.height}px`);
+      }
+    }
+
+    this.eventBus.dispatch(ViewerEvents.ROTATION_CHANGED, {
+      rotation: newRotation,
+      previousRotation
+    });
+
+    if (!this.pdfDocument) return
+
+    // Keep the page the user was reading in view; every page above it may
+    // have changed height.
+    const pageData = this.pages.get(currentPage);
+    if (pageData) {
+      const containerRect = this.container.getBoundingClientRect();
+      const pageRect = pageData.container.getBoundingClientRect();
+      this.container.scrollTop += pageRect.top - containerRect.top - 16;
+    }
+
+    // Re-render visible pages at the new rotation (renderPage compares
+    // renderedRotation, so stale canvases are replaced as they scroll in)
+    this._renderingQueue.renderHighestPriority(this.getVisiblePages());
+    this._measurePagesAround();
+  }
+
+  /**
+   * Rotate all pages 90 degrees clockwise.
+   */
+  rotateClockwise() {
+    this.setRotation(this.rotation + 90);
+  }
+
+  /**
+   * Rotate all pages 90 degrees counter-clockwise.
+   */
+  rotateCounterClockwise() {
+    this.setRotation(this.rotation - 90);
+  }
+
   // ===== Pinch-to-Zoom for Mobile =====
 
   /**
@@ -1133,6 +1566,32 @@ class CoreViewer {
     return bestPage
   }
 
+  /**
+   * Stop drawing some of the PDF's own annotations, e.g. once they have
+   * been imported as editable annotations. Rendered pages are redrawn.
+   * @param {Iterable<string>} ids - PDF.js annotation ids
+   */
+  hideEmbeddedAnnotations(ids) {
+    if (!this.pdfDocument) return
+
+    let changed = false;
+    for (const id of ids) {
+      if (this.hiddenAnnotationIds.has(id)) continue
+      this.hiddenAnnotationIds.add(id);
+      // PDF.js skips annotations flagged like this when rendering from storage
+      this.pdfDocument.annotationStorage.setValue(id, { noView: true, noPrint: true });
+      changed = true;
+    }
+    if (!changed) return
+
+    for (const pageData of this.pages.values()) {
+      if (pageData.renderingState === RenderingStates.FINISHED) {
+        pageData.renderingState = RenderingStates.INITIAL;
+      }
+    }
+    this._renderingQueue.renderHighestPriority(this.getVisiblePages());
+  }
+
   // ===== Accessor Methods =====
 
   getPageCount() {
@@ -1366,6 +1825,7 @@ class CoreViewer {
       pageData.canvas?.remove();
     }
     this.pages.clear();
+    this.hiddenAnnotationIds.clear();
     this._textLayers.clear();
     this.container.innerHTML = "";
 
@@ -1456,6 +1916,71 @@ class AnnotationStore {
   async restore(id) {
     throw new Error("AnnotationStore.restore() not implemented")
   }
+
+  /**
+   * Create, update or delete several annotations at once. Stores with a
+   * batch endpoint override this; the default makes one call per operation,
+   * in order. If one fails, the error carries `results` for the operations
+   * that went through before it.
+   * @param {Array<Object>} operations - { type: "create", data }, { type: "update", id, data } or { type: "delete", id }
+   * @returns {Promise<Array<Object>>} The created, updated or deleted annotation for each operation
+   */
+  async batch(operations) {
+    const results = [];
+    for (const { type, id, data } of operations) {
+      try {
+        if (type === "create") {
+          results.push(await this.create(data));
+        } else {
+          results.push(type === "delete" ? await this.delete(id) : await this.update(id, data));
+        }
+      } catch (error) {
+        error.results = results;
+        throw error
+      }
+    }
+    return results
+  }
+
+  /**
+   * Load the reply thread for an annotation, oldest first.
+   * @param {string|number} annotationId - Annotation id
+   * @returns {Promise<Array>} Array of replies ({ id, contents, author, created_at, updated_at })
+   */
+  async loadReplies(annotationId) {
+    throw new Error("AnnotationStore.loadReplies() not implemented")
+  }
+
+  /**
+   * Add a reply to an annotation.
+   * @param {string|number} annotationId - Annotation id
+   * @param {Object} data - Reply data ({ contents, author })
+   * @returns {Promise<Object>} Created reply with server-assigned id
+   */
+  async createReply(annotationId, data) {
+    throw new Error("AnnotationStore.createReply() not implemented")
+  }
+
+  /**
+   * Update a reply.
+   * @param {string|number} annotationId - Annotation id
+   * @param {string|number} replyId - Reply id
+   * @param {Object} data - Fields to update
+   * @returns {Promise<Object>} Updated reply
+   */
+  async updateReply(annotationId, replyId, data) {
+    throw new Error("AnnotationStore.updateReply() not implemented")
+  }
+
+  /**
+   * Delete a reply.
+   * @param {string|number} annotationId - Annotation id
+   * @param {string|number} replyId - Reply id
+   * @returns {Promise<Object>} Deleted reply
+   */
+  async deleteReply(annotationId, replyId) {
+    throw new Error("AnnotationStore.deleteReply() not implemented")
+  }
 }
 
 /**
@@ -1467,6 +1992,11 @@ class AnnotationStore {
  * - PATCH  {baseUrl}/{id}           - update
  * - DELETE {baseUrl}/{id}           - delete
  * - PATCH  {baseUrl}/{id}/restore   - restore
+ * - POST   {batchUrl}               - update/delete several (only if batchUrl is set)
+ * - GET    {baseUrl}/{id}/replies.json        - load replies
+ * - POST   {baseUrl}/{id}/replies             - create reply
+ * - PATCH  {baseUrl}/{id}/replies/{replyId}   - update reply
+ * - DELETE {baseUrl}/{id}/replies/{replyId}   - delete reply
  *
  * URL patterns can be customized via function options:
  *
@@ -1492,6 +2022,15 @@ class AnnotationStore {
  *   deleteUrl: (id) => `/api/v2/annotations/${id}`,
  *   restoreUrl: (id) => `/api/v2/annotations/${id}/restore`
  * })
+ *
+ * @example
+ * // Batch endpoint for bulk recolor/delete. Receives
+ * // { operations: [{ type: "update", id, annotation }, { type: "delete", id }] }
+ * // and returns an array with the resulting annotation for each operation.
+ * new RestAnnotationStore({
+ *   baseUrl: '/documents/123/annotations',
+ *   batchUrl: () => '/documents/123/annotations/batch'
+ * })
  */
 class RestAnnotationStore extends AnnotationStore {
   /**
@@ -1502,10 +2041,17 @@ class RestAnnotationStore extends AnnotationStore {
    * @param {Function} [options.updateUrl] - (id) => string - URL for updating annotations
    * @param {Function} [options.deleteUrl] - (id) => string - URL for deleting annotations
    * @param {Function} [options.restoreUrl] - (id) => string - URL for restoring annotations
+   * @param {Function} [options.batchUrl] - () => string - URL for batch creates/updates/deletes; without it batch() makes one request per operation
+   * @param {Function} [options.loadRepliesUrl] - (id) => string - URL for loading an annotation's replies
+   * @param {Function} [options.createReplyUrl] - (id) => string - URL for creating replies
+   * @param {Function} [options.updateReplyUrl] - (id, replyId) => string - URL for updating replies
+   * @param {Function} [options.deleteReplyUrl] - (id, replyId) => string - URL for deleting replies
+   * @param {Object} [options.headers] - Extra headers sent with every request
    */
   constructor(options = {}) {
     super();
     this.baseUrl = options.baseUrl;
+    this.headers = options.headers || {};
 
     // Function-based URL builders with Rails-style defaults
     this.getLoadUrl = options.loadUrl || (() => `${this.baseUrl}.json`);
@@ -1513,16 +2059,23 @@ class RestAnnotationStore extends AnnotationStore {
     this.getUpdateUrl = options.updateUrl || ((id) => `${this.baseUrl}/${id}`);
     this.getDeleteUrl = options.deleteUrl || ((id) => `${this.baseUrl}/${id}`);
     this.getRestoreUrl = options.restoreUrl || ((id) => `${this.baseUrl}/${id}/restore`);
+    this.getBatchUrl = options.batchUrl || null;
+    this.getLoadRepliesUrl = options.loadRepliesUrl || ((id) => `${this.baseUrl}/${id}/replies.json`);
+    this.getCreateReplyUrl = options.createReplyUrl || ((id) => `${this.baseUrl}/${id}/replies`);
+    this.getUpdateReplyUrl = options.updateReplyUrl || ((id, replyId) => `${this.baseUrl}/${id}/replies/${replyId}`);
+    this.getDeleteReplyUrl = options.deleteReplyUrl || ((id, replyId) => `${this.baseUrl}/${id}/replies/${replyId}`);
   }
 
   async load() {
-    const request = new FetchRequest("get", this.getLoadUrl());
-    const response = await request.perform();
+    const request = new FetchRequest("get", this.getLoadUrl(), {
+      headers: this.headers
+    });
+    const response = await this._perform(request);
 
     if (response.ok) {
       return await response.json
     } else {
-      throw new Error("Failed to load annotations")
+      throw this._responseError("Failed to load annotations", response)
     }
   }
 
@@ -1530,15 +2083,16 @@ class RestAnnotationStore extends AnnotationStore {
     const request = new FetchRequest("post", this.getCreateUrl(), {
       body: JSON.stringify({ annotation: data }),
       contentType: "application/json",
+      headers: this.headers,
       responseKind: "json"
     });
 
-    const response = await request.perform();
+    const response = await this._perform(request);
 
     if (response.ok) {
       return await response.json
     } else {
-      throw new Error("Failed to create annotation")
+      throw this._responseError("Failed to create annotation", response)
     }
   }
 
@@ -1546,64 +2100,180 @@ class RestAnnotationStore extends AnnotationStore {
     const request = new FetchRequest("patch", this.getUpdateUrl(id), {
       body: JSON.stringify({ annotation: data }),
       contentType: "application/json",
+      headers: this.headers,
       responseKind: "json"
     });
 
-    const response = await request.perform();
+    const response = await this._perform(request);
 
     if (response.ok) {
       return await response.json
     } else {
-      throw new Error("Failed to update annotation")
+      throw this._responseError("Failed to update annotation", response)
     }
   }
 
   async delete(id) {
     const request = new FetchRequest("delete", this.getDeleteUrl(id), {
+      headers: this.headers,
       responseKind: "json"
     });
 
-    const response = await request.perform();
+    const response = await this._perform(request);
 
     if (response.ok) {
       return await response.json
     } else {
-      throw new Error("Failed to delete annotation")
+      throw this._responseError("Failed to delete annotation", response)
     }
   }
 
   async restore(id) {
     const request = new FetchRequest("patch", this.getRestoreUrl(id), {
+      headers: this.headers,
       responseKind: "json"
     });
 
-    const response = await request.perform();
+    const response = await this._perform(request);
 
     if (response.ok) {
       return await response.json
     } else {
-      throw new Error("Failed to restore annotation")
+      throw this._responseError("Failed to restore annotation", response)
     }
   }
-}
 
-/**
- * In-memory annotation store for development and demo purposes.
- *
- * Annotations are stored in memory only and lost on page refresh.
- * Useful for:
- * - Local development without a backend
- * - Demo/preview modes
- * - Testing
- *
- * @example
- * new MemoryAnnotationStore()
- */
-class MemoryAnnotationStore extends AnnotationStore {
+  async batch(operations) {
+    if (!this.getBatchUrl) return super.batch(operations)
+
+    const request = new FetchRequest("post", this.getBatchUrl(), {
+      body: JSON.stringify({
+        operations: operations.map(({ type, id, data }) => ({ type, id, annotation: data }))
+      }),
+      contentType: "application/json",
+      headers: this.headers,
+      responseKind: "json"
+    });
+
+    const response = await this._perform(request);
+
+    if (response.ok) {
+      return await response.json
+    }
+
+    // The server has no batch endpoint after all; nothing was applied, so
+    // fall back to single requests from now on
+    if (response.statusCode === 404 || response.statusCode === 405) {
+      this.getBatchUrl = null;
+      return super.batch(operations)
+    }
+
+    throw this._responseError("Failed to save annotation changes", response)
+  }
+
+  async loadReplies(annotationId) {
+    const request = new FetchRequest("get", this.getLoadRepliesUrl(annotationId), {
+      headers: this.headers
+    });
+    const response = await this._perform(request);
+
+    if (response.ok) {
+      return await response.json
+    } else {
+      throw this._responseError("Failed to load replies", response)
+    }
+  }
+
+  async createReply(annotationId, data) {
+    const request = new FetchRequest("post", this.getCreateReplyUrl(annotationId), {
+      body: JSON.stringify({ reply: data }),
+      contentType: "application/json",
+      headers: this.headers,
+      responseKind: "json"
+    });
+
+    const response = await this._perform(request);
+
+    if (response.ok) {
+      return await response.json
+    } else {
+      throw this._responseError("Failed to create reply", response)
+    }
+  }
+
+  async updateReply(annotationId, replyId, data) {
+    const request = new FetchRequest("patch", this.getUpdateReplyUrl(annotationId, replyId), {
+      body: JSON.stringify({ reply: data }),
+      contentType: "application/json",
+      headers: this.headers,
+      responseKind: "json"
+    });
+
+    const response = await this._perform(request);
+
+    if (response.ok) {
+      return await response.json
+    } else {
+      throw this._responseError("Failed to update reply", response)
+    }
+  }
+
+  async deleteReply(annotationId, replyId) {
+    const request = new FetchRequest("delete", this.getDeleteReplyUrl(annotationId, replyId), {
+      headers: this.headers,
+      responseKind: "json"
+    });
+
+    const response = await this._perform(request);
+
+    if (response.ok) {
+      return await response.json
+    } else {
+      throw this._responseError("Failed to delete reply", response)
+    }
+  }
+
+  // Attach the HTTP status so callers (e.g. QueuedAnnotationStore) can tell
+  // a server outage from a rejected request
+  // fetch() rejects with a TypeError when the request never got a response.
+  // Mark it, so it isn't mistaken for any other TypeError.
+  async _perform(request) {
+    try {
+      return await request.perform()
+    } catch (error) {
+      if (error instanceof TypeError) {
+        error.networkError = true;
+      }
+      throw error
+    }
+  }
+
+  _responseError(message, response) {
+    const error = new Error(message);
+    error.status = response.statusCode;
+    return error
+  }
+}
+
+/**
+ * In-memory annotation store for development and demo purposes.
+ *
+ * Annotations are stored in memory only and lost on page refresh.
+ * Useful for:
+ * - Local development without a backend
+ * - Demo/preview modes
+ * - Testing
+ *
+ * @example
+ * new MemoryAnnotationStore()
+ */
+class MemoryAnnotationStore extends AnnotationStore {
   constructor() {
     super();
     this._annotations = [];
+    this._replies = new Map(); // annotationId -> [replies]
     this._nextId = 1;
+    this._nextReplyId = 1;
   }
 
   async load() {
@@ -1654,2029 +2324,7813 @@ class MemoryAnnotationStore extends AnnotationStore {
     console.warn("MemoryAnnotationStore.restore() is not supported");
     return null
   }
+
+  async loadReplies(annotationId) {
+    return [...(this._replies.get(annotationId) || [])]
+  }
+
+  async createReply(annotationId, data) {
+    if (!this._annotations.some(a => a.id === annotationId)) {
+      throw new Error("Annotation not found")
+    }
+
+    const reply = {
+      ...data,
+      id: `reply-${this._nextReplyId++}`,
+      annotation_id: annotationId,
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    };
+
+    if (!this._replies.has(annotationId)) {
+      this._replies.set(annotationId, []);
+    }
+    this._replies.get(annotationId).push(reply);
+    this._setRepliesCount(annotationId);
+    return reply
+  }
+
+  async updateReply(annotationId, replyId, data) {
+    const replies = this._replies.get(annotationId) || [];
+    const index = replies.findIndex(r => r.id === replyId);
+    if (index === -1) {
+      throw new Error("Reply not found")
+    }
+
+    const reply = {
+      ...replies[index],
+      ...data,
+      id: replyId,
+      updated_at: new Date().toISOString()
+    };
+
+    replies[index] = reply;
+    return reply
+  }
+
+  async deleteReply(annotationId, replyId) {
+    const replies = this._replies.get(annotationId) || [];
+    const index = replies.findIndex(r => r.id === replyId);
+    if (index === -1) {
+      throw new Error("Reply not found")
+    }
+
+    const [reply] = replies.splice(index, 1);
+    this._setRepliesCount(annotationId);
+    return reply
+  }
+
+  // Mirror the counter cache a Rails backend would keep on the annotation
+  _setRepliesCount(annotationId) {
+    const annotation = this._annotations.find(a => a.id === annotationId);
+    if (annotation) {
+      annotation.replies_count = this._replies.get(annotationId)?.length || 0;
+    }
+  }
 }
 
-// Custom event types for error handling
-const AnnotationErrorType = {
-  LOAD_FAILED: "load_failed",
-  CREATE_FAILED: "create_failed",
-  UPDATE_FAILED: "update_failed",
-  DELETE_FAILED: "delete_failed",
-  RESTORE_FAILED: "restore_failed"
+/**
+ * Offline-tolerant annotation store that wraps any other AnnotationStore.
+ *
+ * Every change is written to an outbox in IndexedDB before it is sent, then
+ * replayed against the wrapped store strictly in order. While the network is
+ * down, changes resolve straight away with optimistic results; annotations
+ * created offline get a temporary client id ("temp-...") that is swapped for
+ * the server id once the create syncs. Changes left in the outbox when the
+ * page closes are replayed on the next load().
+ *
+ * batch() queues its operations as one change and sends them with the
+ * wrapped store's batch(), so a batch endpoint is still used. If part of a
+ * batch went through before a failure, only the rest is retried.
+ *
+ * Network failures (and 5xx/408/429 responses) keep a change queued and are
+ * retried with backoff or when the browser comes back online. A network
+ * failure is an error with `networkError: true`, as RestAnnotationStore
+ * throws when fetch() fails; custom stores should mark theirs the same way.
+ * Any other error means the server rejected the change, so it is dropped.
+ *
+ * Replies are not queued: they go straight to the wrapped store and fail
+ * while offline, or while their annotation still has a temporary id.
+ *
+ * Events on `store.eventBus` (see QueuedStoreEvents):
+ * - syncstatuschanged: { status, pending } - status is a SyncStatus value
+ * - idmapped: { temporaryId, annotation } - an offline create synced
+ * - syncfailed: { type, id, error } - a change made offline was rejected
+ *
+ * @example
+ * new QueuedAnnotationStore({
+ *   store: new RestAnnotationStore({ baseUrl: '/documents/123/annotations' }),
+ *   scope: 'document-123'
+ * })
+ */
+
+const SyncStatus = {
+  SAVED: "saved",
+  SAVING: "saving",
+  OFFLINE: "offline"
 };
 
-class AnnotationManager {
+const QueuedStoreEvents = {
+  STATUS_CHANGED: "syncstatuschanged",
+  ID_MAPPED: "idmapped",
+  SYNC_FAILED: "syncfailed"
+};
+
+// One database holds everything the viewer keeps in the browser
+const VIEWER_DB_NAME = "stimulus-pdf-viewer";
+const VIEWER_DB_VERSION = 2;
+const OUTBOX_STORE_NAME = "outbox";
+const SEARCH_INDEX_STORE_NAME = "searchIndex";
+
+const SYNC_RETRY_MIN_DELAY = 2000;
+const SYNC_RETRY_MAX_DELAY = 60000;
+
+const TEMPORARY_ID_PREFIX = "temp-";
+
+// The single changes in a queued entry: a batch's operations, or the entry itself
+function queuedChanges(entry) {
+  return entry.type === "batch" ? entry.operations : [entry]
+}
+
+// Wrap an IDBRequest in a promise
+function idbRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  })
+}
+
+/**
+ * Open the viewer's database, creating any stores it doesn't have yet.
+ * The connection closes itself when another tab upgrades the database, so
+ * callers should open again rather than hold on to a closed one.
+ *
+ * Rejects if a tab running an older release holds the database open and
+ * the upgrade has to wait for it.
+ * @returns {Promise<IDBDatabase>}
+ */
+function openViewerDatabase() {
+  return new Promise((resolve, reject) => {
+    let blocked = false;
+    const request = indexedDB.open(VIEWER_DB_NAME, VIEWER_DB_VERSION);
+    request.onblocked = () => {
+      blocked = true;
+      reject(new Error("The viewer database is held open by another tab"));
+    };
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(OUTBOX_STORE_NAME)) {
+        const outbox = db.createObjectStore(OUTBOX_STORE_NAME, { keyPath: "seq", autoIncrement: true });
+        outbox.createIndex("scope", "scope");
+      }
+      if (!db.objectStoreNames.contains(SEARCH_INDEX_STORE_NAME)) {
+        const searchIndex = db.createObjectStore(SEARCH_INDEX_STORE_NAME, { keyPath: ["fingerprint", "pageNumber"] });
+        searchIndex.createIndex("fingerprint", "fingerprint");
+        searchIndex.createIndex("savedAt", "savedAt");
+      }
+    };
+    request.onsuccess = () => {
+      const db = request.result;
+      // The other tab closed after we gave up; don't keep a connection nobody uses
+      if (blocked) {
+        db.close();
+        return
+      }
+      db.addEventListener("versionchange", () => db.close());
+      resolve(db);
+    };
+    request.onerror = () => reject(request.error);
+  })
+}
+
+class QueuedAnnotationStore extends AnnotationStore {
   /**
    * @param {Object} options
-   * @param {AnnotationStore} [options.store] - Custom store implementation
-   * @param {string} [options.annotationsUrl] - Base URL for REST store (creates RestAnnotationStore)
-   * @param {number} [options.documentId] - Document ID
-   * @param {Function} [options.onAnnotationCreated] - Callback when annotation created
-   * @param {Function} [options.onAnnotationUpdated] - Callback when annotation updated
-   * @param {Function} [options.onAnnotationDeleted] - Callback when annotation deleted
-   * @param {Element} [options.eventTarget] - Element for dispatching error events
+   * @param {AnnotationStore} options.store - Store that talks to the server
+   * @param {string} [options.scope] - Keeps outboxes of different documents apart
    */
-  constructor(options = {}) {
-    this.documentId = options.documentId;
-    this.onAnnotationCreated = options.onAnnotationCreated;
-    this.onAnnotationUpdated = options.onAnnotationUpdated;
-    this.onAnnotationDeleted = options.onAnnotationDeleted;
-    this.eventTarget = options.eventTarget;
+  constructor({ store, scope = "default" } = {}) {
+    super();
+    if (!store) {
+      throw new Error("QueuedAnnotationStore requires a store to wrap")
+    }
+
+    this.store = store;
+    this.scope = String(scope);
+    this.eventBus = new EventBus();
+    this.status = SyncStatus.SAVED;
+
+    this._queue = []; // Pending changes, oldest first
+    this._queueLoaded = false;
+    this._lastPending = 0;
+    this._idMap = new Map(); // temporary id -> server id
+    this._annotations = new Map(); // id -> latest known annotation
+    this._deleted = new Map(); // id -> annotation, for optimistic restore
+    this._flushing = null;
+    this._retryDelay = SYNC_RETRY_MIN_DELAY;
+    this._retryTimeout = null;
+    this._dbPromise = null;
+    this._destroyed = false;
 
-    // Determine store: explicit > REST URL > memory
-    if (options.store) {
-      this.store = options.store;
-    } else if (options.annotationsUrl) {
-      this.store = new RestAnnotationStore({ baseUrl: options.annotationsUrl });
-    } else {
-      this.store = new MemoryAnnotationStore();
-    }
+    this._abortController = new AbortController();
+    window.addEventListener("online", () => this.flush(), {
+      signal: this._abortController.signal
+    });
+  }
 
-    this.annotations = new Map(); // id -> annotation
-    this.annotationsByPage = new Map(); // pageNumber -> [annotations]
+  /**
+   * Whether an id was assigned locally and hasn't synced yet.
+   * @param {string|number} id
+   * @returns {boolean}
+   */
+  static isTemporaryId(id) {
+    return typeof id === "string" && id.startsWith(TEMPORARY_ID_PREFIX)
   }
 
   /**
-   * Dispatch an error event for UI feedback and logging.
+   * Number of changes waiting to be sent.
+   * @returns {number}
    */
-  _dispatchError(errorType, message, originalError) {
-    if (this.eventTarget) {
-      this.eventTarget.dispatchEvent(new CustomEvent("pdf-viewer:error", {
-        bubbles: true,
-        detail: {
-          source: "annotation_manager",
-          errorType,
-          message,
-          error: originalError
-        }
-      }));
-    }
+  get pendingCount() {
+    return this._queue.length
   }
 
-  async loadAnnotations() {
-    try {
-      const annotations = await this.store.load();
-      this._processAnnotations(annotations);
-    } catch (error) {
-      console.error("Failed to load annotations:", error);
-      this._dispatchError(AnnotationErrorType.LOAD_FAILED, "Failed to load annotations", error);
-      throw error
-    }
+  /**
+   * Map a temporary id to its server id, if the create has synced.
+   * @param {string|number} id
+   * @returns {string|number}
+   */
+  resolveId(id) {
+    return this._idMap.get(id) ?? id
   }
 
-  _processAnnotations(annotationsData) {
-    this.annotations.clear();
-    this.annotationsByPage.clear();
+  async load() {
+    await this._loadQueue();
 
-    for (const annotation of annotationsData) {
-      this.annotations.set(annotation.id, annotation);
+    const annotations = this._applyPending(await this.store.load());
+    this._annotations = new Map(annotations.map(annotation => [annotation.id, annotation]));
 
-      if (!this.annotationsByPage.has(annotation.page)) {
-        this.annotationsByPage.set(annotation.page, []);
-      }
-      this.annotationsByPage.get(annotation.page).push(annotation);
-    }
+    this.flush();
+    return annotations
   }
 
-  getAnnotation(id) {
-    return this.annotations.get(id)
+  async create(data) {
+    const temporaryId = this._temporaryId();
+    const now = new Date().toISOString();
+    const outcome = await this._submit({ type: "create", id: temporaryId, data });
+
+    const annotation = outcome.synced
+      ? outcome.value
+      : { ...data, id: temporaryId, created_at: now, updated_at: now };
+    this._annotations.set(annotation.id, annotation);
+    return annotation
   }
 
-  getAnnotationsForPage(pageNumber) {
-    return this.annotationsByPage.get(pageNumber) || []
-  }
+  async update(id, data) {
+    id = this.resolveId(id);
+    const outcome = await this._submit({ type: "update", id, data });
 
-  getAllAnnotations() {
-    return Array.from(this.annotations.values())
+    const annotation = outcome.synced
+      ? outcome.value
+      : { ...this._annotations.get(id), ...data, id, updated_at: new Date().toISOString() };
+    this._annotations.set(id, annotation);
+    return annotation
   }
 
-  async createAnnotation(data) {
-    try {
-      const annotation = await this.store.create(data);
-      this._addAnnotation(annotation);
-
-      if (this.onAnnotationCreated) {
-        this.onAnnotationCreated(annotation);
-      }
+  async delete(id) {
+    id = this.resolveId(id);
+    const existing = this._annotations.get(id);
+    const outcome = await this._submit({ type: "delete", id });
 
-      return annotation
-    } catch (error) {
-      console.error("Failed to create annotation:", error);
-      this._dispatchError(AnnotationErrorType.CREATE_FAILED, "Failed to save annotation", error);
-      throw error
+    this._annotations.delete(id);
+    if (existing) {
+      this._deleted.set(id, existing);
     }
+    return outcome.synced ? outcome.value : existing
   }
 
-  async updateAnnotation(id, data) {
-    try {
-      const annotation = await this.store.update(id, data);
-      this._updateAnnotation(annotation);
+  async restore(id) {
+    id = this.resolveId(id);
+    const outcome = await this._submit({ type: "restore", id });
 
-      if (this.onAnnotationUpdated) {
-        this.onAnnotationUpdated(annotation);
+    const annotation = outcome.synced ? outcome.value : (this._deleted.get(id) || null);
+    this._deleted.delete(id);
+    if (annotation) {
+      this._annotations.set(annotation.id, annotation);
+    }
+    return annotation
+  }
+
+  async batch(operations) {
+    const changes = operations.map(({ type, id, data }) => type === "create"
+      ? { type, id: this._temporaryId(), data }
+      : { type, id: this.resolveId(id), data });
+    const existing = changes.map(change => this._annotations.get(change.id));
+    // The queue trims and remaps its copy as the batch syncs
+    const outcome = await this._submit({ type: "batch", operations: changes.map(change => ({ ...change })) });
+
+    const now = new Date().toISOString();
+    return changes.map(({ type, id, data }, i) => {
+      if (type === "delete") {
+        this._annotations.delete(id);
+        if (existing[i]) {
+          this._deleted.set(id, existing[i]);
+        }
+        return outcome.synced ? outcome.value[i] : existing[i]
       }
 
+      let annotation;
+      if (outcome.synced) {
+        annotation = outcome.value[i];
+      } else if (type === "create") {
+        annotation = { ...data, id, created_at: now, updated_at: now };
+      } else {
+        annotation = { ...existing[i], ...data, id, updated_at: now };
+      }
+      this._annotations.set(annotation.id, annotation);
       return annotation
-    } catch (error) {
-      console.error("Failed to update annotation:", error);
-      this._dispatchError(AnnotationErrorType.UPDATE_FAILED, "Failed to update annotation", error);
-      throw error
-    }
+    })
   }
 
-  async deleteAnnotation(id) {
-    const existingAnnotation = this.annotations.get(id);
-    if (!existingAnnotation) return
-
-    try {
-      const annotation = await this.store.delete(id);
-      this._removeAnnotation(id);
-
-      if (this.onAnnotationDeleted) {
-        this.onAnnotationDeleted(existingAnnotation);
-      }
-
-      return existingAnnotation
-    } catch (error) {
-      console.error("Failed to delete annotation:", error);
-      this._dispatchError(AnnotationErrorType.DELETE_FAILED, "Failed to delete annotation", error);
-      throw error
-    }
+  async loadReplies(annotationId) {
+    return this.store.loadReplies(this._replyTarget(annotationId))
   }
 
-  async restoreAnnotation(id) {
-    try {
-      const annotation = await this.store.restore(id);
-      if (!annotation) return null
-
-      this._addAnnotation(annotation);
-
-      if (this.onAnnotationCreated) {
-        this.onAnnotationCreated(annotation);
-      }
+  async createReply(annotationId, data) {
+    return this.store.createReply(this._replyTarget(annotationId), data)
+  }
 
-      return annotation
-    } catch (error) {
-      console.error("Failed to restore annotation:", error);
-      this._dispatchError(AnnotationErrorType.RESTORE_FAILED, "Failed to restore annotation", error);
-      throw error
-    }
+  async updateReply(annotationId, replyId, data) {
+    return this.store.updateReply(this._replyTarget(annotationId), replyId, data)
   }
 
-  _addAnnotation(annotation) {
-    this.annotations.set(annotation.id, annotation);
+  async deleteReply(annotationId, replyId) {
+    return this.store.deleteReply(this._replyTarget(annotationId), replyId)
+  }
 
-    if (!this.annotationsByPage.has(annotation.page)) {
-      this.annotationsByPage.set(annotation.page, []);
-    }
-    this.annotationsByPage.get(annotation.page).push(annotation);
+  _temporaryId() {
+    return `${TEMPORARY_ID_PREFIX}${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`
   }
 
-  _updateAnnotation(annotation) {
-    const oldAnnotation = this.annotations.get(annotation.id);
-    if (!oldAnnotation) {
-      this._addAnnotation(annotation);
-      return
+  _replyTarget(annotationId) {
+    const id = this.resolveId(annotationId);
+    if (QueuedAnnotationStore.isTemporaryId(id)) {
+      throw new Error("Annotation has not been saved yet")
     }
+    return id
+  }
 
-    // Remove from old page if page changed
-    if (oldAnnotation.page !== annotation.page) {
-      this._removeAnnotationFromPage(oldAnnotation.id, oldAnnotation.page);
-
-      if (!this.annotationsByPage.has(annotation.page)) {
-        this.annotationsByPage.set(annotation.page, []);
-      }
-      this.annotationsByPage.get(annotation.page).push(annotation);
-    } else {
-      // Update in place
-      const pageAnnotations = this.annotationsByPage.get(annotation.page);
-      const index = pageAnnotations.findIndex(a => a.id === annotation.id);
-      if (index !== -1) {
-        pageAnnotations[index] = annotation;
-      }
+  /**
+   * Replay queued changes in order. Concurrent calls share one run.
+   * @returns {Promise<void>}
+   */
+  flush() {
+    if (!this._flushing) {
+      this._flushing = this._drain().finally(() => {
+        this._flushing = null;
+      });
     }
-
-    this.annotations.set(annotation.id, annotation);
+    return this._flushing
   }
 
-  _removeAnnotation(id) {
-    const annotation = this.annotations.get(id);
-    if (!annotation) return
+  // ===== Queue =====
 
-    this._removeAnnotationFromPage(id, annotation.page);
-    this.annotations.delete(id);
-  }
+  /**
+   * Persist a change, queue it, and wait until it has either synced or the
+   * queue has stalled on the network.
+   * @returns {Promise<{synced: boolean, value: *}>}
+   */
+  async _submit(change) {
+    const entry = { ...change, scope: this.scope, createdAt: Date.now() };
+    await this._persist(entry);
 
-  _removeAnnotationFromPage(id, pageNumber) {
-    const pageAnnotations = this.annotationsByPage.get(pageNumber);
-    if (pageAnnotations) {
-      const index = pageAnnotations.findIndex(a => a.id === id);
-      if (index !== -1) {
-        pageAnnotations.splice(index, 1);
-      }
-    }
-  }
-}
+    const outcome = new Promise(resolve => {
+      entry.settle = resolve;
+    });
+    this._queue.push(entry);
+    this._emitStatus(SyncStatus.SAVING);
+    this.flush();
 
-class Watermark {
-  constructor(userName) {
-    this.userName = userName;
+    const { error, ...result } = await outcome;
+    if (error) throw error
+    return result
   }
 
-  // Apply watermark to canvas
-  // scale: the scale at which the canvas is rendered (e.g., 2.0 for high DPI)
-  applyToPage(canvas, scale = 2.0) {
-    if (!this.userName) return
-
-    const ctx = canvas.getContext("2d");
-    const width = canvas.width;
-    const height = canvas.height;
+  async _drain() {
+    clearTimeout(this._retryTimeout);
+    this._retryTimeout = null;
 
-    // Draw diagonal watermark (center of page)
-    this._drawDiagonalWatermark(ctx, width, height, scale);
+    while (this._queue.length > 0 && !this._destroyed) {
+      const entry = this._queue[0];
+      this._emitStatus(SyncStatus.SAVING);
 
-    // Draw header watermark
-    this._drawHeaderWatermark(ctx, width, scale);
-  }
+      let value;
+      try {
+        value = await this._send(entry);
+      } catch (error) {
+        // Whatever part of a batch went through is done; keep only the rest
+        if (entry.type === "batch" && error.results?.length) {
+          await this._completeOperations(entry, error.results);
+        }
 
-  _drawDiagonalWatermark(ctx, width, height, scale) {
-    ctx.save();
-    ctx.translate(width / 2, height / 2);
-    ctx.rotate(-Math.PI / 4); // -45 degrees
+        if (this._isRetryable(error)) {
+          this._stall();
+          return
+        }
 
-    // Scale font size to match canvas resolution
-    const fontSize = 25 * scale;
-    ctx.font = `${fontSize}px sans-serif`;
-    ctx.fillStyle = "rgba(0, 0, 0, 0.07)"; // 7% opacity
-    ctx.textAlign = "center";
-    ctx.textBaseline = "middle";
-    ctx.fillText(this.userName, 0, 0);
+        // Rejected by the server: drop it so it doesn't block the queue
+        console.error(`Queued annotation ${entry.type} was rejected:`, error);
+        await this._dequeue(entry);
+        const failed = queuedChanges(entry);
+        for (const change of failed.filter(change => change.type === "create")) {
+          await this._dropChangesFor(change.id);
+        }
+        if (entry.type === "batch") {
+          error.results = entry.results || [];
+        }
+        this._settle(entry, { error }, () => {
+          this._dispatchIdsMapped(entry);
+          for (const change of failed) {
+            this.eventBus.dispatch(QueuedStoreEvents.SYNC_FAILED, { type: change.type, id: change.id, error });
+          }
+        });
+        continue
+      }
 
-    ctx.restore();
+      if (entry.type === "batch") {
+        await this._completeOperations(entry, value);
+        value = entry.results;
+      }
+      await this._dequeue(entry);
+      if (entry.type === "create" && value?.id !== undefined && value.id !== entry.id) {
+        await this._mapId(entry.id, value);
+        entry.mapped = [{ temporaryId: entry.id, annotation: value }];
+      }
+      this._settle(entry, { synced: true, value }, () => this._dispatchIdsMapped(entry));
+    }
+
+    this._retryDelay = SYNC_RETRY_MIN_DELAY;
+    this._emitStatus(SyncStatus.SAVED);
+  }
+
+  _send(entry) {
+    switch (entry.type) {
+      case "create":
+        return this.store.create(entry.data)
+      case "update":
+        return this.store.update(entry.id, entry.data)
+      case "delete":
+        return this.store.delete(entry.id)
+      case "restore":
+        return this.store.restore(entry.id)
+      case "batch":
+        // Temporary ids of creates mean nothing to the server
+        return this.store.batch(entry.operations.map(({ type, id, data }) => (
+          type === "create" ? { type, data } : { type, id, data }
+        )))
+      default:
+        return Promise.reject(new Error(`Unknown queued change: ${entry.type}`))
+    }
   }
 
-  _drawHeaderWatermark(ctx, width, scale) {
-    ctx.save();
+  // Part or all of a batch synced: keep the results, map the ids of its
+  // creates, and leave only the operations still to send
+  async _completeOperations(entry, results) {
+    const done = entry.operations.splice(0, results.length);
+    entry.results = [...(entry.results || []), ...results];
+    entry.mapped = entry.mapped || [];
 
-    // Scale font size and offset to match canvas resolution
-    const fontSize = 6 * scale;
-    const topOffset = 5 * scale;
-    ctx.font = `${fontSize}px sans-serif`;
-    ctx.fillStyle = "rgba(0, 0, 0, 0.10)"; // 10% opacity
-    ctx.textAlign = "center";
-    ctx.textBaseline = "top";
-    ctx.fillText(this.userName, width / 2, topOffset);
+    for (const [i, change] of done.entries()) {
+      const value = results[i];
+      if (change.type === "create" && value?.id !== undefined && value.id !== change.id) {
+        await this._mapId(change.id, value);
+        entry.mapped.push({ temporaryId: change.id, annotation: value });
+      }
+    }
 
-    ctx.restore();
+    if (entry.operations.length > 0) {
+      await this._persist(entry);
+    }
   }
-}
 
-class DownloadManager {
-  constructor(options = {}) {
-    this.documentUrl = options.documentUrl;
-    this.documentName = options.documentName;
-    this.organizationName = options.organizationName;
-    this.userName = options.userName;
-    this.annotationManager = options.annotationManager;
-    this.producer = options.producer || "stimulus-pdf-viewer";
-    this._extGStateCache = new Map();
+  // Creates that synced after their caller got an optimistic result
+  _dispatchIdsMapped(entry) {
+    for (const { temporaryId, annotation } of entry.mapped || []) {
+      this.eventBus.dispatch(QueuedStoreEvents.ID_MAPPED, { temporaryId, annotation });
+    }
   }
 
-  async downloadWithAnnotations() {
-    // Clear cache for fresh download
-    this._extGStateCache.clear();
+  // Resolve the caller's promise if it is still waiting; otherwise the caller
+  // already got an optimistic result and `notify` reports the late outcome.
+  _settle(entry, outcome, notify) {
+    if (entry.settle) {
+      entry.settle(outcome);
+      entry.settle = null;
+    } else {
+      notify();
+    }
+  }
 
-    // Fetch original PDF using Rails request.js for consistent CSRF handling
-    const request = new FetchRequest("get", this.documentUrl, { responseKind: "blob" });
-    const response = await request.perform();
-    const existingPdfBytes = await response.response.arrayBuffer();
-    const pdfDoc = await PDFDocument.load(existingPdfBytes);
+  // The network is down: release every waiting caller with an optimistic
+  // result and try again later.
+  _stall() {
+    for (const entry of this._queue) {
+      this._settle(entry, { synced: false }, () => {});
+    }
 
-    // Set document metadata
-    this._setDocumentMetadata(pdfDoc);
+    this._emitStatus(SyncStatus.OFFLINE);
+    this._retryTimeout = setTimeout(() => this.flush(), this._retryDelay);
+    this._retryDelay = Math.min(this._retryDelay * 2, SYNC_RETRY_MAX_DELAY);
+  }
 
-    // Get all annotations
-    const annotations = this.annotationManager.getAllAnnotations();
+  _isRetryable(error) {
+    if (!navigator.onLine) return true
+    if (error?.networkError) return true
 
-    // Embed font for watermark
-    const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+    const status = error?.status;
+    return status >= 500 || status === 408 || status === 429
+  }
 
-    // Process each page
-    const pages = pdfDoc.getPages();
-    for (let i = 0; i < pages.length; i++) {
-      const page = pages[i];
-      const pageNumber = i + 1;
-      const { width, height } = page.getSize();
+  // A create synced: point queued changes and cached data at the server id
+  async _mapId(temporaryId, annotation) {
+    this._idMap.set(temporaryId, annotation.id);
 
-      // Apply watermark
-      this._applyWatermarkToPage(page, font, width, height);
+    for (const entry of this._queue) {
+      const changes = queuedChanges(entry).filter(change => change.id === temporaryId);
+      if (changes.length === 0) continue
 
-      // Apply annotations for this page
-      const pageAnnotations = annotations.filter(a => a.page === pageNumber);
-      this._applyAnnotationsToPage(pdfDoc, page, pageAnnotations, height);
+      changes.forEach(change => { change.id = annotation.id; });
+      await this._persist(entry);
     }
 
-    // Save and download
-    const pdfBytes = await pdfDoc.save();
-    const filename = this._sanitizeFilename(this.documentName || "document");
-    this._triggerDownload(pdfBytes, filename);
+    this._annotations.delete(temporaryId);
+    this._annotations.set(annotation.id, annotation);
   }
 
-  _applyWatermarkToPage(page, font, width, height) {
-    if (!this.userName) return
-
-    // Diagonal watermark
-    page.drawText(this.userName, {
-      x: width / 2 - 50,
-      y: height / 2,
-      size: 25,
-      font: font,
-      color: rgb(0, 0, 0),
-      opacity: 0.07,
-      rotate: degrees(-45)
-    });
+  // A create was rejected: later changes to the same annotation can't succeed
+  async _dropChangesFor(id) {
+    for (const entry of this._queue.filter(e => queuedChanges(e).some(change => change.id === id))) {
+      // A batch whose caller already has its results loses just those
+      // operations; one still waiting fails as a whole, so nothing applies
+      // that the caller doesn't know about
+      if (entry.type === "batch" && !entry.settle) {
+        entry.operations = entry.operations.filter(change => change.id !== id);
+        if (entry.operations.length > 0) {
+          await this._persist(entry);
+          continue
+        }
+      }
 
-    // Header watermark
-    const textWidth = font.widthOfTextAtSize(this.userName, 6);
-    page.drawText(this.userName, {
-      x: (width - textWidth) / 2,
-      y: height - 10,
-      size: 6,
-      font: font,
-      color: rgb(0, 0, 0),
-      opacity: 0.10
-    });
+      await this._dequeue(entry);
+      const error = new Error("Annotation was never saved");
+      if (entry.type === "batch") {
+        error.results = entry.results || [];
+      }
+      this._settle(entry, { error }, () => this._dispatchIdsMapped(entry));
+    }
   }
 
-  _applyAnnotationsToPage(pdfDoc, page, annotations, pageHeight) {
-    for (const annotation of annotations) {
-      switch (annotation.annotation_type) {
-        case "highlight":
-          this._applyHighlight(pdfDoc, page, annotation, pageHeight);
+  // Overlay changes that haven't synced yet onto freshly loaded annotations
+  _applyPending(annotations) {
+    const byId = new Map(annotations.map(annotation => [annotation.id, annotation]));
+
+    for (const change of this._queue.flatMap(queuedChanges)) {
+      const existing = byId.get(change.id);
+      switch (change.type) {
+        case "create":
+          byId.set(change.id, { ...change.data, id: change.id });
           break
-        case "underline":
-          this._applyUnderline(pdfDoc, page, annotation, pageHeight);
+        case "update":
+          if (existing) {
+            byId.set(change.id, { ...existing, ...change.data });
+          }
           break
-        case "ink":
-          this._applyInk(pdfDoc, page, annotation, pageHeight);
+        case "delete":
+          // Deleted imports stay listed, so they aren't imported again
+          if (existing?.pdf_annotation_id) {
+            byId.set(change.id, { ...existing, deleted_at: new Date().toISOString() });
+          } else {
+            byId.delete(change.id);
+          }
           break
-        case "note":
-          this._applyNote(pdfDoc, page, annotation, pageHeight);
+        case "restore":
+          if (existing?.deleted_at) {
+            byId.set(change.id, { ...existing, deleted_at: null });
+          }
           break
       }
     }
-  }
 
-  _applyHighlight(pdfDoc, page, annotation, pageHeight) {
-    const { quads, color } = annotation;
-    if (!quads || quads.length === 0) return
+    return Array.from(byId.values())
+  }
 
-    const rgba = this._parseColor(color);
+  _emitStatus(status) {
+    const pending = this._queue.length;
+    if (status === this.status && pending === this._lastPending) return
 
-    // Build QuadPoints array - PDF format is [x1,y1,x2,y2,x3,y3,x4,y4] for each quad
-    // Order: bottom-left, bottom-right, top-right, top-left (counter-clockwise from bottom-left)
-    const quadPoints = [];
-    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    this.status = status;
+    this._lastPending = pending;
+    this.eventBus.dispatch(QueuedStoreEvents.STATUS_CHANGED, { status, pending });
+  }
 
-    for (const quad of quads) {
-      // Convert from top-left origin to bottom-left
-      const points = [
-        quad.p3.x, pageHeight - quad.p3.y, // bottom-left
-        quad.p4.x, pageHeight - quad.p4.y, // bottom-right
-        quad.p2.x, pageHeight - quad.p2.y, // top-right
-        quad.p1.x, pageHeight - quad.p1.y, // top-left
-      ];
-      quadPoints.push(...points);
+  // ===== IndexedDB Outbox =====
 
-      // Track bounding box for Rect
-      for (let i = 0; i < points.length; i += 2) {
-        minX = Math.min(minX, points[i]);
-        maxX = Math.max(maxX, points[i]);
-        minY = Math.min(minY, points[i + 1]);
-        maxY = Math.max(maxY, points[i + 1]);
-      }
+  _openDatabase() {
+    if (!this._dbPromise) {
+      this._dbPromise = openViewerDatabase().then(db => {
+        db.addEventListener("versionchange", () => { this._dbPromise = null; });
+        return db
+      }).catch(error => {
+        // Private browsing and some embedded webviews have no IndexedDB; the
+        // queue still works, it just won't survive a reload
+        console.warn("Annotation outbox unavailable, changes are kept in memory only:", error);
+        return null
+      });
     }
+    return this._dbPromise
+  }
 
-    const annotationDict = pdfDoc.context.obj({
-      Type: PDFName.of("Annot"),
-      Subtype: PDFName.of("Highlight"),
-      Rect: [minX, minY, maxX, maxY],
-      QuadPoints: quadPoints,
-      C: [rgba.r, rgba.g, rgba.b],
-      CA: 0.4,
-      F: 4,
-      ...this._getAnnotationMetadata(annotation),
-    });
-
-    this._addAnnotationToPage(pdfDoc, page, annotationDict);
+  async _objectStore(mode) {
+    const db = await this._openDatabase();
+    return db ? db.transaction(OUTBOX_STORE_NAME, mode).objectStore(OUTBOX_STORE_NAME) : null
   }
 
-  _applyUnderline(pdfDoc, page, annotation, pageHeight) {
-    const { quads, color } = annotation;
-    if (!quads || quads.length === 0) return
+  async _loadQueue() {
+    if (this._queueLoaded) return
+    this._queueLoaded = true;
 
-    const rgba = this._parseColor(color);
+    const outbox = await this._objectStore("readonly");
+    if (!outbox) return
 
-    // Build QuadPoints array - same format as highlight
-    const quadPoints = [];
-    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    const entries = await idbRequest(outbox.index("scope").getAll(this.scope));
+    entries.sort((a, b) => a.seq - b.seq);
+    this._queue.unshift(...entries);
+  }
 
-    for (const quad of quads) {
-      const points = [
-        quad.p3.x, pageHeight - quad.p3.y,
-        quad.p4.x, pageHeight - quad.p4.y,
-        quad.p2.x, pageHeight - quad.p2.y,
-        quad.p1.x, pageHeight - quad.p1.y,
-      ];
-      quadPoints.push(...points);
+  async _persist(entry) {
+    const outbox = await this._objectStore("readwrite");
+    if (!outbox) return
 
-      for (let i = 0; i < points.length; i += 2) {
-        minX = Math.min(minX, points[i]);
-        maxX = Math.max(maxX, points[i]);
-        minY = Math.min(minY, points[i + 1]);
-        maxY = Math.max(maxY, points[i + 1]);
-      }
+    // Only the serializable fields; `settle` is an in-memory callback
+    const { settle, ...record } = entry;
+    entry.seq = await idbRequest(outbox.put(record));
+  }
+
+  async _dequeue(entry) {
+    const index = this._queue.indexOf(entry);
+    if (index !== -1) {
+      this._queue.splice(index, 1);
     }
 
-    const annotationDict = pdfDoc.context.obj({
-      Type: PDFName.of("Annot"),
-      Subtype: PDFName.of("Underline"),
-      Rect: [minX, minY, maxX, maxY],
-      QuadPoints: quadPoints,
-      C: [rgba.r, rgba.g, rgba.b],
-      F: 4,
-      ...this._getAnnotationMetadata(annotation),
-    });
+    if (entry.seq === undefined) return
+    const outbox = await this._objectStore("readwrite");
+    if (outbox) {
+      await idbRequest(outbox.delete(entry.seq));
+    }
+  }
 
-    this._addAnnotationToPage(pdfDoc, page, annotationDict);
+  destroy() {
+    this._destroyed = true;
+    this._abortController.abort();
+    clearTimeout(this._retryTimeout);
+    this._retryTimeout = null;
+    this._dbPromise?.then(db => db?.close());
+    this.eventBus.destroy();
   }
+}
 
-  _applyInk(pdfDoc, page, annotation, pageHeight) {
-    // Freehand highlights need different rendering (thick, semi-transparent strokes)
-    if (annotation.subject === "Free Highlight") {
-      this._applyFreehandHighlight(pdfDoc, page, annotation, pageHeight);
-      return
-    }
+// Custom event types for error handling
+const AnnotationErrorType = {
+  LOAD_FAILED: "load_failed",
+  CREATE_FAILED: "create_failed",
+  UPDATE_FAILED: "update_failed",
+  DELETE_FAILED: "delete_failed",
+  RESTORE_FAILED: "restore_failed",
+  REPLY_LOAD_FAILED: "reply_load_failed",
+  REPLY_CREATE_FAILED: "reply_create_failed",
+  REPLY_UPDATE_FAILED: "reply_update_failed",
+  REPLY_DELETE_FAILED: "reply_delete_failed"
+};
 
-    const { ink_strokes, color } = annotation;
-    if (!ink_strokes || ink_strokes.length === 0) return
+// XFDF is Acrobat's XML format for exchanging annotations without the PDF
+const XFDF_NAMESPACE = "http://ns.adobe.com/xfdf/";
+
+// XFDF element for each annotation type
+const XFDF_ELEMENTS = {
+  highlight: "highlight",
+  line: "underline",
+  strikeout: "strikeout",
+  squiggly: "squiggly",
+  ink: "ink",
+  note: "text",
+  free_text: "freetext",
+  stamp: "stamp",
+  square: "square",
+  circle: "circle",
+  straight_line: "line"
+};
 
-    const rgba = this._parseColor(color);
-    const strokeWidth = 2;
+// Standard stamp names, so other viewers can show a matching icon
+const PDF_STAMP_NAMES = { Approved: "Approved", Rejected: "NotApproved", Draft: "Draft" };
 
-    // Build InkList and track bounding box
-    const inkList = [];
-    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+// PDF date format: D:YYYYMMDDHHmmssOHH'mm'
+function formatPdfDate(date) {
+  const pad = (n) => n.toString().padStart(2, "0");
 
-    for (const stroke of ink_strokes) {
-      const points = stroke.points || [];
-      if (points.length < 2) continue
+  const year = date.getFullYear();
+  const month = pad(date.getMonth() + 1);
+  const day = pad(date.getDate());
+  const hours = pad(date.getHours());
+  const minutes = pad(date.getMinutes());
+  const seconds = pad(date.getSeconds());
 
-      const pathPoints = [];
-      for (const point of points) {
-        const pdfX = point.x;
-        const pdfY = pageHeight - point.y;
-        pathPoints.push(pdfX, pdfY);
+  // Timezone offset
+  const tzOffset = date.getTimezoneOffset();
+  const tzSign = tzOffset <= 0 ? "+" : "-";
+  const tzHours = pad(Math.floor(Math.abs(tzOffset) / 60));
+  const tzMinutes = pad(Math.abs(tzOffset) % 60);
 
-        minX = Math.min(minX, pdfX);
-        maxX = Math.max(maxX, pdfX);
-        minY = Math.min(minY, pdfY);
-        maxY = Math.max(maxY, pdfY);
-      }
-      inkList.push(pathPoints);
-    }
+  return `D:${year}${month}${day}${hours}${minutes}${seconds}${tzSign}${tzHours}'${tzMinutes}'`
+}
 
-    if (inkList.length === 0) return
+class AnnotationManager {
+  /**
+   * @param {Object} options
+   * @param {AnnotationStore} [options.store] - Custom store implementation
+   * @param {string} [options.annotationsUrl] - Base URL for REST store (creates RestAnnotationStore)
+   * @param {string} [options.annotationsBatchUrl] - Batch endpoint for the REST store
+   * @param {number} [options.documentId] - Document ID
+   * @param {Function} [options.onAnnotationCreated] - Callback when annotation created
+   * @param {Function} [options.onAnnotationUpdated] - Callback when annotation updated
+   * @param {Function} [options.onAnnotationDeleted] - Callback when annotation deleted
+   * @param {Function} [options.onAnnotationIdChanged] - (previousId, annotation) when an offline create syncs
+   * @param {Function} [options.onAnnotationDiscarded] - Callback when an offline create is rejected by the server
+   * @param {Function} [options.onRemoteChange] - (type, annotation, previous) after applyRemoteChange
+   * @param {Function} [options.onLocalChange] - ({ type, annotation, previous, data }) after a successful create/update/delete, for undo history
+   * @param {Function} [options.onRepliesChanged] - (annotation, replies, type) after a reply is created, updated or deleted
+   * @param {string} [options.clientId] - Sent with REST requests so broadcasts can skip this viewer
+   * @param {boolean} [options.offline] - Wrap the store in a QueuedAnnotationStore
+   * @param {Element} [options.eventTarget] - Element for dispatching error and sync-status events
+   */
+  constructor(options = {}) {
+    this.documentId = options.documentId;
+    this.onAnnotationCreated = options.onAnnotationCreated;
+    this.onAnnotationUpdated = options.onAnnotationUpdated;
+    this.onAnnotationDeleted = options.onAnnotationDeleted;
+    this.onAnnotationIdChanged = options.onAnnotationIdChanged;
+    this.onAnnotationDiscarded = options.onAnnotationDiscarded;
+    this.onRemoteChange = options.onRemoteChange;
+    this.onLocalChange = options.onLocalChange;
+    this.onRepliesChanged = options.onRepliesChanged;
+    this.eventTarget = options.eventTarget;
 
-    // Add padding to bounding box for stroke width
-    const padding = strokeWidth + 2;
-    minX -= padding;
-    minY -= padding;
-    maxX += padding;
-    maxY += padding;
+    // Determine store: explicit > REST URL > memory
+    if (options.store) {
+      this.store = options.store;
+    } else if (options.annotationsUrl) {
+      this.store = new RestAnnotationStore({
+        baseUrl: options.annotationsUrl,
+        batchUrl: options.annotationsBatchUrl ? () => options.annotationsBatchUrl : null,
+        headers: options.clientId ? { [CLIENT_ID_HEADER]: options.clientId } : {}
+      });
+    } else {
+      this.store = new MemoryAnnotationStore();
+    }
 
-    // Build appearance stream content (PDF drawing commands)
-    // Coordinates in appearance stream are relative to the BBox origin
-    let streamContent = `${strokeWidth} w 1 J 1 j `; // width, round line cap, round line join
-    streamContent += `${rgba.r} ${rgba.g} ${rgba.b} RG `; // stroke color
+    // Offline mode: queue changes in IndexedDB and replay them when the
+    // connection returns
+    if (options.offline && !(this.store instanceof QueuedAnnotationStore)) {
+      this.store = new QueuedAnnotationStore({
+        store: this.store,
+        scope: options.documentId || options.annotationsUrl
+      });
+    }
 
-    for (const pathPoints of inkList) {
-      for (let i = 0; i < pathPoints.length; i += 2) {
-        // Translate to appearance stream coordinates (relative to minX, minY)
-        const x = pathPoints[i] - minX;
-        const y = pathPoints[i + 1] - minY;
-        if (i === 0) {
-          streamContent += `${x.toFixed(2)} ${y.toFixed(2)} m `; // moveto
-        } else {
-          streamContent += `${x.toFixed(2)} ${y.toFixed(2)} l `; // lineto
-        }
-      }
-      streamContent += "S "; // stroke
+    this.annotations = new Map(); // id -> annotation
+    this.annotationsByPage = new Map(); // pageNumber -> [annotations]
+    this.replies = new Map(); // annotationId -> [replies], filled on demand
+    this.unsavedAnnotations = new Map(); // id -> annotation imported from the PDF but not saved yet
+    this.dismissedPdfAnnotationIds = new Set(); // pdf_annotation_ids of deleted imports, never imported again
+    this.embeddedMatches = new Map(); // PDF.js id -> id of the stored annotation with its type and position
+
+    if (this.store instanceof QueuedAnnotationStore) {
+      this._subscribeToQueuedStore();
     }
+  }
 
-    // Create the appearance stream (Form XObject)
-    const appearanceStream = pdfDoc.context.stream(streamContent, {
-      Type: PDFName.of("XObject"),
-      Subtype: PDFName.of("Form"),
-      FormType: 1,
-      BBox: [0, 0, maxX - minX, maxY - minY],
+  _subscribeToQueuedStore() {
+    const { eventBus } = this.store;
+
+    eventBus.on(QueuedStoreEvents.STATUS_CHANGED, ({ status, pending }) => {
+      this.eventTarget?.dispatchEvent(new CustomEvent("pdf-viewer:sync-status", {
+        bubbles: true,
+        detail: { status, pending }
+      }));
     });
-    const appearanceRef = pdfDoc.context.register(appearanceStream);
 
-    const annotationDict = pdfDoc.context.obj({
-      Type: PDFName.of("Annot"),
-      Subtype: PDFName.of("Ink"),
-      Rect: [minX, minY, maxX, maxY],
-      InkList: inkList,
-      C: [rgba.r, rgba.g, rgba.b],
-      BS: { W: strokeWidth, LC: 1 },
-      F: 4,
-      AP: { N: appearanceRef },
-      ...this._getAnnotationMetadata(annotation),
+    eventBus.on(QueuedStoreEvents.ID_MAPPED, ({ temporaryId, annotation }) => {
+      if (!this.annotations.has(temporaryId)) return
+
+      // Keep local edits made since the create was queued; they sync separately
+      const synced = { ...annotation, ...this.annotations.get(temporaryId), id: annotation.id };
+      this._removeAnnotation(temporaryId);
+      this._addAnnotation(synced);
+      this.onAnnotationIdChanged?.(temporaryId, synced);
     });
 
-    this._addAnnotationToPage(pdfDoc, page, annotationDict);
+    eventBus.on(QueuedStoreEvents.SYNC_FAILED, ({ type, id, error }) => {
+      const errorType = {
+        create: AnnotationErrorType.CREATE_FAILED,
+        update: AnnotationErrorType.UPDATE_FAILED,
+        delete: AnnotationErrorType.DELETE_FAILED,
+        restore: AnnotationErrorType.RESTORE_FAILED
+      }[type];
+      this._dispatchError(errorType, "An annotation change made offline could not be saved", error);
+
+      // The annotation only ever existed locally
+      const annotation = this.annotations.get(id);
+      if (type === "create" && annotation) {
+        this._removeAnnotation(id);
+        this.onAnnotationDiscarded?.(annotation);
+      }
+    });
   }
 
-  _applyFreehandHighlight(pdfDoc, page, annotation, pageHeight) {
-    const { ink_strokes, color } = annotation;
-    if (!ink_strokes || ink_strokes.length === 0) return
+  /**
+   * Dispatch an error event for UI feedback and logging.
+   */
+  _dispatchError(errorType, message, originalError) {
+    if (this.eventTarget) {
+      this.eventTarget.dispatchEvent(new CustomEvent("pdf-viewer:error", {
+        bubbles: true,
+        detail: {
+          source: "annotation_manager",
+          errorType,
+          message,
+          error: originalError
+        }
+      }));
+    }
+  }
 
-    const rgba = this._parseColor(color);
-    const strokeWidth = annotation.thickness || 24;
-    const opacity = annotation.opacity || 0.2;
+  async loadAnnotations() {
+    try {
+      const annotations = await this.store.load();
+      this._processAnnotations(annotations);
+    } catch (error) {
+      console.error("Failed to load annotations:", error);
+      this._dispatchError(AnnotationErrorType.LOAD_FAILED, "Failed to load annotations", error);
+      throw error
+    }
+  }
 
-    // Build path and track bounding box
-    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
-    const paths = [];
+  _processAnnotations(annotationsData) {
+    this.annotations.clear();
+    this.annotationsByPage.clear();
+    this.unsavedAnnotations.clear();
+    this.dismissedPdfAnnotationIds.clear();
+    this.embeddedMatches.clear();
 
-    for (const stroke of ink_strokes) {
-      const points = stroke.points || [];
-      if (points.length < 2) continue
+    for (const annotation of annotationsData) {
+      // A soft-deleted import is only a record that it shouldn't come back
+      if (annotation.deleted_at) {
+        if (annotation.pdf_annotation_id) {
+          this.dismissedPdfAnnotationIds.add(annotation.pdf_annotation_id);
+        }
+        continue
+      }
 
-      const pathPoints = [];
-      for (const point of points) {
-        const pdfX = point.x;
-        const pdfY = pageHeight - point.y;
-        pathPoints.push({ x: pdfX, y: pdfY });
+      this.annotations.set(annotation.id, annotation);
 
-        minX = Math.min(minX, pdfX);
-        maxX = Math.max(maxX, pdfX);
-        minY = Math.min(minY, pdfY);
-        maxY = Math.max(maxY, pdfY);
+      if (!this.annotationsByPage.has(annotation.page)) {
+        this.annotationsByPage.set(annotation.page, []);
       }
-      paths.push(pathPoints);
+      this.annotationsByPage.get(annotation.page).push(annotation);
     }
+  }
 
-    if (paths.length === 0) return
+  getAnnotation(id) {
+    return this.annotations.get(id)
+  }
 
-    // Add padding for stroke width
-    const padding = strokeWidth / 2 + 2;
-    minX -= padding;
-    minY -= padding;
-    maxX += padding;
-    maxY += padding;
+  getAnnotationsForPage(pageNumber) {
+    return this.annotationsByPage.get(pageNumber) || []
+  }
 
-    // Build appearance stream with transparency
-    // Use graphics state for opacity
-    let streamContent = `/GS1 gs `; // Use graphics state with opacity
-    streamContent += `${strokeWidth} w 1 J 1 j `; // width, round line cap, round line join
-    streamContent += `${rgba.r} ${rgba.g} ${rgba.b} RG `; // stroke color
+  getAllAnnotations() {
+    return Array.from(this.annotations.values())
+  }
 
-    for (const pathPoints of paths) {
-      for (let i = 0; i < pathPoints.length; i++) {
-        const x = (pathPoints[i].x - minX).toFixed(2);
-        const y = (pathPoints[i].y - minY).toFixed(2);
-        if (i === 0) {
-          streamContent += `${x} ${y} m `; // moveto
-        } else {
-          streamContent += `${x} ${y} l `; // lineto
-        }
+  async createAnnotation(data) {
+    try {
+      const annotation = await this.store.create(data);
+      this._addAnnotation(annotation);
+      this.onLocalChange?.({ type: "create", annotation, previous: null, data });
+
+      if (this.onAnnotationCreated) {
+        this.onAnnotationCreated(annotation);
       }
-      streamContent += "S "; // stroke
-    }
 
-    // Get cached graphics state for transparency and blend mode
-    const gsRef = this._getExtGState(pdfDoc, { opacity });
+      return annotation
+    } catch (error) {
+      console.error("Failed to create annotation:", error);
+      this._dispatchError(AnnotationErrorType.CREATE_FAILED, "Failed to save annotation", error);
+      throw error
+    }
+  }
 
-    // Create resources dictionary with the graphics state
-    const resourcesDict = pdfDoc.context.obj({
-      ExtGState: { GS1: gsRef },
-    });
+  async updateAnnotation(id, data) {
+    if (this._isUnsaved(id)) return this._saveImportedAnnotation(id, data)
 
-    // Create the appearance stream
-    const appearanceStream = pdfDoc.context.stream(streamContent, {
-      Type: PDFName.of("XObject"),
-      Subtype: PDFName.of("Form"),
-      FormType: 1,
-      BBox: [0, 0, maxX - minX, maxY - minY],
-      Resources: resourcesDict,
-    });
-    const appearanceRef = pdfDoc.context.register(appearanceStream);
+    const previous = this.annotations.get(id);
 
-    // Build InkList for the annotation structure
-    const inkList = paths.map(pathPoints =>
-      pathPoints.flatMap(p => [p.x, p.y])
-    );
+    try {
+      const annotation = await this.store.update(id, data);
+      this._updateAnnotation(annotation);
+      this.onLocalChange?.({ type: "update", annotation, previous, data });
 
-    const annotationDict = pdfDoc.context.obj({
-      Type: PDFName.of("Annot"),
-      Subtype: PDFName.of("Ink"),
-      Rect: [minX, minY, maxX, maxY],
-      InkList: inkList,
-      C: [rgba.r, rgba.g, rgba.b],
-      CA: opacity,
-      BS: { W: strokeWidth, LC: 1 },
-      F: 4,
-      AP: { N: appearanceRef },
-      ...this._getAnnotationMetadata(annotation),
-    });
+      if (this.onAnnotationUpdated) {
+        this.onAnnotationUpdated(annotation);
+      }
 
-    this._addAnnotationToPage(pdfDoc, page, annotationDict);
-  }
+      return annotation
+    } catch (error) {
+      console.error("Failed to update annotation:", error);
+      this._dispatchError(AnnotationErrorType.UPDATE_FAILED, "Failed to update annotation", error);
+      throw error
+    }
+  }
 
-  _applyNote(pdfDoc, page, annotation, pageHeight) {
-    const { rect, contents, color } = annotation;
-    if (!rect || !contents) return
+  async deleteAnnotation(id) {
+    const existingAnnotation = this.annotations.get(id);
+    if (!existingAnnotation) return
 
-    const rgba = this._parseColor(color);
-    const [x, y] = rect;
-    // Convert from top-left origin to bottom-left (PDF uses bottom-left)
-    const pdfY = pageHeight - y;
-    const iconSize = 24;
+    // Never saved, so there is nothing to delete in the store
+    if (this._isUnsaved(id)) {
+      this._removeAnnotation(id);
+      this._dismissImported(existingAnnotation);
+      this.onLocalChange?.({ type: "delete", annotation: existingAnnotation, previous: existingAnnotation, data: null });
+      this.onAnnotationDeleted?.(existingAnnotation);
+      return existingAnnotation
+    }
 
-    const annotationDict = pdfDoc.context.obj({
-      Type: PDFName.of("Annot"),
-      Subtype: PDFName.of("Text"),
-      Rect: [x, pdfY - iconSize, x + iconSize, pdfY],
-      Contents: PDFString.of(contents),
-      C: [rgba.r, rgba.g, rgba.b],
-      Name: PDFName.of("Comment"),
-      Open: false,
-      F: 4,
-      ...this._getAnnotationMetadata(annotation),
-    });
+    try {
+      const annotation = await this.store.delete(id);
+      this._removeAnnotation(id);
+      this._dismissImported(existingAnnotation);
+      this.onLocalChange?.({ type: "delete", annotation: existingAnnotation, previous: existingAnnotation, data: null });
 
-    this._addAnnotationToPage(pdfDoc, page, annotationDict);
-  }
+      if (this.onAnnotationDeleted) {
+        this.onAnnotationDeleted(existingAnnotation);
+      }
 
-  _getExtGState(pdfDoc, { opacity, blendMode = "Multiply" }) {
-    const key = `${opacity}:${blendMode}`;
-    if (this._extGStateCache.has(key)) {
-      return this._extGStateCache.get(key)
+      return existingAnnotation
+    } catch (error) {
+      console.error("Failed to delete annotation:", error);
+      this._dispatchError(AnnotationErrorType.DELETE_FAILED, "Failed to delete annotation", error);
+      throw error
     }
-
-    const gsDict = pdfDoc.context.obj({
-      Type: PDFName.of("ExtGState"),
-      CA: opacity,
-      ca: opacity,
-      BM: PDFName.of(blendMode),
-    });
-
-    const gsRef = pdfDoc.context.register(gsDict);
-    this._extGStateCache.set(key, gsRef);
-    return gsRef
   }
 
-  _addAnnotationToPage(pdfDoc, page, annotationDict) {
-    const annotationRef = pdfDoc.context.register(annotationDict);
-    const pageDict = page.node;
-    let annotsArray = pageDict.lookup(PDFName.of("Annots"));
+  /**
+   * Create several annotations with one store call (see AnnotationStore.batch).
+   * Callbacks fire for each annotation, as for createAnnotation.
+   * @param {Array<Object>} dataList - Annotation data, as for createAnnotation
+   * @returns {Promise<Array<Object>>} Created annotations
+   */
+  async createAnnotations(dataList) {
+    return this._applyBatch(dataList.map(data => ({ type: "create", data })))
+  }
 
-    if (annotsArray instanceof PDFArray) {
-      annotsArray.push(annotationRef);
-    } else {
-      const newAnnotsArray = pdfDoc.context.obj([annotationRef]);
-      pageDict.set(PDFName.of("Annots"), newAnnotsArray);
+  /**
+   * Update several annotations with one store call (see AnnotationStore.batch).
+   * Callbacks fire for each annotation, as for updateAnnotation.
+   * @param {Array<{id: string|number, data: Object}>} updates
+   * @returns {Promise<Array<Object>>} Updated annotations
+   */
+  async updateAnnotations(updates) {
+    // Imported annotations that were never saved are created one at a time
+    const unsaved = updates.filter(({ id }) => this._isUnsaved(id));
+    const saved = [];
+    for (const { id, data } of unsaved) {
+      saved.push(await this._saveImportedAnnotation(id, data));
     }
+
+    const operations = updates
+      .filter(update => !unsaved.includes(update))
+      .map(({ id, data }) => ({ type: "update", id, data }));
+    return [...saved, ...await this._applyBatch(operations)]
   }
 
-  _setDocumentMetadata(pdfDoc) {
-    if (this.documentName) {
-      pdfDoc.setTitle(this.documentName);
-    }
-    if (this.userName) {
-      pdfDoc.setAuthor(this.userName);
-    }
-    if (this.organizationName) {
-      pdfDoc.setCreator(this.organizationName);
+  /**
+   * Delete several annotations with one store call (see AnnotationStore.batch).
+   * Callbacks fire for each annotation, as for deleteAnnotation.
+   * @param {Array<string|number>} ids
+   * @returns {Promise<Array<Object>>} Deleted annotations
+   */
+  async deleteAnnotations(ids) {
+    const deleted = [];
+    for (const id of ids.filter(id => this._isUnsaved(id))) {
+      deleted.push(await this.deleteAnnotation(id));
     }
-    pdfDoc.setProducer(this.producer);
-    pdfDoc.setModificationDate(new Date());
+
+    const operations = ids.filter(id => this.annotations.has(id)).map(id => ({ type: "delete", id }));
+    return [...deleted, ...await this._applyBatch(operations)]
   }
 
-  _getAnnotationMetadata(annotation) {
-    const metadata = {};
+  async _applyBatch(operations) {
+    if (operations.length === 0) return []
 
-    // Author (T = title/author in PDF spec)
-    if (this.userName) {
-      metadata.T = PDFString.of(this.userName);
+    try {
+      const results = await this.store.batch(operations);
+      return this._applyBatchResults(operations, results)
+    } catch (error) {
+      // Keep local state in step with whatever the store did apply
+      this._applyBatchResults(operations, error.results || []);
+
+      console.error("Failed to apply annotation changes:", error);
+      const errorType = {
+        create: AnnotationErrorType.CREATE_FAILED,
+        delete: AnnotationErrorType.DELETE_FAILED
+      }[operations[0].type] || AnnotationErrorType.UPDATE_FAILED;
+      this._dispatchError(errorType, "Failed to save annotation changes", error);
+      throw error
     }
+  }
 
-    // Modification date (M) - use annotation's updated_at or created_at
-    const dateStr = annotation.updated_at || annotation.created_at;
-    if (dateStr) {
-      metadata.M = PDFString.of(this._formatPdfDate(new Date(dateStr)));
-    }
+  _applyBatchResults(operations, results) {
+    return results.map((result, i) => {
+      const { type, id, data } = operations[i];
+      const previous = this.annotations.get(id);
 
-    // Creation date
-    if (annotation.created_at) {
-      metadata.CreationDate = PDFString.of(this._formatPdfDate(new Date(annotation.created_at)));
-    }
+      if (type === "create") {
+        this._addAnnotation(result);
+        this.onLocalChange?.({ type, annotation: result, previous: null, data });
+        this.onAnnotationCreated?.(result);
+        return result
+      }
 
-    return metadata
+      if (type === "delete") {
+        this._removeAnnotation(id);
+        this._dismissImported(previous);
+        this.onLocalChange?.({ type, annotation: previous, previous, data: null });
+        this.onAnnotationDeleted?.(previous);
+        return previous
+      }
+
+      this._updateAnnotation(result);
+      this.onLocalChange?.({ type, annotation: result, previous, data });
+      this.onAnnotationUpdated?.(result);
+      return result
+    })
   }
 
-  _formatPdfDate(date) {
-    // PDF date format: D:YYYYMMDDHHmmssOHH'mm'
-    const pad = (n) => n.toString().padStart(2, "0");
+  async restoreAnnotation(id) {
+    if (this.unsavedAnnotations.has(id) && !this.annotations.has(id)) {
+      const annotation = this.unsavedAnnotations.get(id);
+      this._addAnnotation(annotation);
+      this.dismissedPdfAnnotationIds.delete(annotation.pdf_annotation_id);
+      this.onAnnotationCreated?.(annotation);
+      return annotation
+    }
 
-    const year = date.getFullYear();
-    const month = pad(date.getMonth() + 1);
-    const day = pad(date.getDate());
-    const hours = pad(date.getHours());
-    const minutes = pad(date.getMinutes());
-    const seconds = pad(date.getSeconds());
+    try {
+      const annotation = await this.store.restore(id);
+      if (!annotation) return null
 
-    // Timezone offset
-    const tzOffset = date.getTimezoneOffset();
-    const tzSign = tzOffset <= 0 ? "+" : "-";
-    const tzHours = pad(Math.floor(Math.abs(tzOffset) / 60));
-    const tzMinutes = pad(Math.abs(tzOffset) % 60);
+      this._addAnnotation(annotation);
+      this.dismissedPdfAnnotationIds.delete(annotation.pdf_annotation_id);
 
-    return `D:${year}${month}${day}${hours}${minutes}${seconds}${tzSign}${tzHours}'${tzMinutes}'`
-  }
+      if (this.onAnnotationCreated) {
+        this.onAnnotationCreated(annotation);
+      }
 
-  _parseColor(colorStr) {
-    if (!colorStr) {
-      return { r: 1, g: 1, b: 0, a: 1 } // Default yellow
+      return annotation
+    } catch (error) {
+      console.error("Failed to restore annotation:", error);
+      this._dispatchError(AnnotationErrorType.RESTORE_FAILED, "Failed to restore annotation", error);
+      throw error
     }
+  }
 
-    // Handle #RRGGBB or #RRGGBBAA format
-    const hex = colorStr.replace("#", "");
-    const r = parseInt(hex.slice(0, 2), 16) / 255;
-    const g = parseInt(hex.slice(2, 4), 16) / 255;
-    const b = parseInt(hex.slice(4, 6), 16) / 255;
-    const a = hex.length === 8 ? parseInt(hex.slice(6, 8), 16) / 255 : 1;
+  // ===== Replies =====
 
-    return { r, g, b, a }
+  /**
+   * Get the cached reply thread for an annotation.
+   * @param {string|number} annotationId
+   * @returns {Array|null} Replies, or null if not loaded yet
+   */
+  getReplies(annotationId) {
+    return this.replies.get(annotationId) || null
   }
 
-  setDownloadBridge(bridge) {
-    this._downloadBridge = bridge;
+  /**
+   * Number of replies on an annotation. Uses the loaded thread when there is
+   * one, otherwise the server's `replies_count`.
+   * @param {Object} annotation
+   * @returns {number}
+   */
+  getReplyCount(annotation) {
+    const replies = this.replies.get(annotation.id);
+    return replies ? replies.length : (annotation.replies_count || 0)
   }
 
-  _sanitizeFilename(name) {
-    // Remove or replace characters that are problematic in filenames
-    let sanitized = name
-      .replace(/[<>:"/\\|?*]/g, "") // Remove illegal characters
-      .replace(/\s+/g, " ")          // Normalize whitespace
-      .trim();
+  /**
+   * Fetch the reply thread for an annotation.
+   * @param {string|number} annotationId
+   * @returns {Promise<Array>} Replies, oldest first
+   */
+  async loadReplies(annotationId) {
+    // Imported from the PDF and never saved, so the store can't have replies
+    if (this._isUnsaved(annotationId)) {
+      this.replies.set(annotationId, []);
+      return []
+    }
 
-    // Ensure it ends with .pdf
-    if (!sanitized.toLowerCase().endsWith(".pdf")) {
-      sanitized += ".pdf";
+    try {
+      const replies = await this.store.loadReplies(annotationId);
+      const sorted = [...replies].sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+      this.replies.set(annotationId, sorted);
+      this._syncRepliesCount(annotationId);
+      return sorted
+    } catch (error) {
+      console.error("Failed to load replies:", error);
+      this._dispatchError(AnnotationErrorType.REPLY_LOAD_FAILED, "Failed to load replies", error);
+      throw error
     }
+  }
+
+  async createReply(annotationId, data) {
+    try {
+      // Replies need the annotation to exist in the store
+      if (this._isUnsaved(annotationId)) {
+        annotationId = (await this._saveImportedAnnotation(annotationId, {})).id;
+      }
 
-    return sanitized || "document.pdf"
+      const reply = await this.store.createReply(annotationId, data);
+      const replies = [...(this.replies.get(annotationId) || []), reply];
+      this._setReplies(annotationId, replies, "create");
+      return reply
+    } catch (error) {
+      console.error("Failed to create reply:", error);
+      this._dispatchError(AnnotationErrorType.REPLY_CREATE_FAILED, "Failed to save reply", error);
+      throw error
+    }
   }
 
-  _triggerDownload(bytes, filename) {
-    const blob = new Blob([bytes], { type: "application/pdf" });
+  async updateReply(annotationId, replyId, data) {
+    try {
+      const reply = await this.store.updateReply(annotationId, replyId, data);
+      const replies = (this.replies.get(annotationId) || []).map(r => r.id === replyId ? reply : r);
+      this._setReplies(annotationId, replies, "update");
+      return reply
+    } catch (error) {
+      console.error("Failed to update reply:", error);
+      this._dispatchError(AnnotationErrorType.REPLY_UPDATE_FAILED, "Failed to update reply", error);
+      throw error
+    }
+  }
 
-    if (this._downloadBridge?.enabled) {
-      this._downloadBridge.downloadBlob(blob, filename);
-    } else {
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement("a");
-      a.href = url;
-      a.download = filename;
-      document.body.appendChild(a);
-      a.click();
-      document.body.removeChild(a);
-      URL.revokeObjectURL(url);
+  async deleteReply(annotationId, replyId) {
+    try {
+      const reply = await this.store.deleteReply(annotationId, replyId);
+      const replies = (this.replies.get(annotationId) || []).filter(r => r.id !== replyId);
+      this._setReplies(annotationId, replies, "delete");
+      return reply
+    } catch (error) {
+      console.error("Failed to delete reply:", error);
+      this._dispatchError(AnnotationErrorType.REPLY_DELETE_FAILED, "Failed to delete reply", error);
+      throw error
     }
   }
-}
 
-/**
- * Shared SVG icons for the PDF viewer UI components.
- *
- * Usage:
- *   import { Icons } from "stimulus-pdf-viewer"
- *   element.innerHTML = Icons.close
- *
- * Icons use width="16" height="16" by default. Override with CSS if needed.
- */
+  _setReplies(annotationId, replies, type) {
+    this.replies.set(annotationId, replies);
+    this._syncRepliesCount(annotationId);
 
-const Icons = {
-  // Close/X icon - used in sidebars, find bar, undo bar
-  close: `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-    <line x1="18" y1="6" x2="6" y2="18"/>
-    <line x1="6" y1="6" x2="18" y2="18"/>
-  </svg>`,
+    const annotation = this.annotations.get(annotationId);
+    if (annotation) {
+      this.onRepliesChanged?.(annotation, replies, type);
+    }
+  }
 
-  // Delete/Trash icon - used in annotation popup, edit toolbar
-  delete: `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-    <polyline points="3 6 5 6 21 6"/>
-    <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"/>
-  </svg>`,
+  // Keep replies_count on the annotation in step with the loaded thread so
+  // the sidebar count stays right without reloading annotations
+  _syncRepliesCount(annotationId) {
+    const annotation = this.annotations.get(annotationId);
+    const count = this.replies.get(annotationId)?.length || 0;
+    if (annotation && annotation.replies_count !== count) {
+      this._updateAnnotation({ ...annotation, replies_count: count });
+    }
+  }
 
-  // Edit/Pencil icon - used in annotation popup
-  edit: `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-    <path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"/>
-    <path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"/>
-  </svg>`,
+  // ===== XFDF =====
 
-  // Comment/Speech bubble icon - used in annotation edit toolbar
-  comment: `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-    <path d="M21 15a2 2 0 0 1-2 2H7l-4 4V5a2 2 0 0 1 2-2h14a2 2 0 0 1 2 2z"/>
-  </svg>`,
+  /**
+   * Export annotations as XFDF. Coordinates are converted to PDF space
+   * (bottom-left origin) the same way DownloadManager does, so Acrobat places
+   * them where the downloaded PDF would.
+   * @param {Object} options
+   * @param {Function} options.pageHeight - (pageNumber) => page height in PDF units
+   * @param {string} [options.documentName] - Written as the <f href> of the PDF
+   * @param {string} [options.author] - Written as each annotation's title
+   * @param {Array<Object>} [options.annotations] - Only these annotations (default: all)
+   * @returns {string} The XFDF document
+   */
+  exportXFDF({ pageHeight, documentName, author, annotations = null }) {
+    const doc = document.implementation.createDocument(XFDF_NAMESPACE, "xfdf", null);
+    const root = doc.documentElement;
+    root.setAttributeNS("http://www.w3.org/XML/1998/namespace", "xml:space", "preserve");
 
-  // Chevron down - used in color pickers, dropdowns
-  chevronDown: `<svg width="10" height="10" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5">
-    <polyline points="6 9 12 15 18 9"/>
-  </svg>`,
+    if (documentName) {
+      const file = doc.createElementNS(XFDF_NAMESPACE, "f");
+      file.setAttribute("href", documentName);
+      root.appendChild(file);
+    }
 
-  // Chevron up - used in find bar navigation
-  chevronUp: `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-    <polyline points="18 15 12 9 6 15"/>
-  </svg>`,
+    const annots = doc.createElementNS(XFDF_NAMESPACE, "annots");
+    for (const annotation of annotations || this.getAllAnnotations()) {
+      const element = this._annotationToXfdf(doc, annotation, pageHeight(annotation.page), author);
+      if (element) {
+        annots.appendChild(element);
+      }
+    }
+    root.appendChild(annots);
 
-  // Chevron right - used in annotation sidebar
-  chevronRight: `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-    <polyline points="9 18 15 12 9 6"/>
-  </svg>`
-};
+    return `<?xml version="1.0" encoding="UTF-8"?>\n${new XMLSerializer().serializeToString(doc)}`
+  }
 
-class ColorPicker {
-  static COLORS = [
-    { name: "Orange", value: "#FFA500" },
-    { name: "Yellow", value: "#FFFF00" },
-    { name: "Green", value: "#00FF00" },
-    { name: "Blue", value: "#00BFFF" },
-    { name: "Pink", value: "#FF69B4" }
-  ]
+  /**
+   * Create annotations from an XFDF document, e.g. markup exported from
+   * Acrobat. Elements this viewer has no tool for are skipped, as are
+   * annotations that already exist here (matched by their XFDF name), so
+   * importing a file exported from this document twice doesn't duplicate it.
+   * @param {string} xml
+   * @param {Object} options
+   * @param {Function} options.pageHeight - (pageNumber) => page height in PDF units, or null if there is no such page
+   * @returns {Promise<Array<Object>>} The created annotations
+   */
+  async importXFDF(xml, { pageHeight }) {
+    const doc = new DOMParser().parseFromString(xml, "application/xml");
+    if (doc.getElementsByTagName("parsererror").length > 0 || doc.documentElement.localName !== "xfdf") {
+      throw new Error("Not an XFDF document")
+    }
 
-  // Default colors for different tool modes
-  static DEFAULT_HIGHLIGHT_COLOR = "#FFA500" // Orange
-  static DEFAULT_INK_COLOR = "#00BFFF" // Blue
+    const annots = Array.from(doc.documentElement.children).find(child => child.localName === "annots");
+    const existingIds = new Set(this.getAllAnnotations().map(annotation => String(annotation.id)));
+    const created = [];
 
-  constructor(options = {}) {
-    this.onChange = options.onChange;
-    this.currentColor = ColorPicker.DEFAULT_HIGHLIGHT_COLOR;
-    this.isOpen = false;
+    for (const element of annots ? Array.from(annots.children) : []) {
+      if (existingIds.has(element.getAttribute("name"))) continue
 
-    this._createUI();
-    this._setupEventListeners();
-  }
+      // XFDF pages are zero-based
+      const page = parseInt(element.getAttribute("page"), 10) + 1;
+      const height = Number.isNaN(page) ? null : pageHeight(page);
+      if (!height) continue
 
-  _createUI() {
-    this.element = document.createElement("div");
-    this.element.className = "color-picker";
-    this.element.innerHTML = `
-      <button class="color-picker-toggle" aria-label="Select color" aria-expanded="false">
-        <span class="color-picker-swatch" style="background-color: ${this.currentColor}"></span>
-        ${Icons.chevronDown}
-      </button>
-      <div class="color-picker-dropdown hidden">
-        ${ColorPicker.COLORS.map(color => `
-          <button class="color-picker-option ${color.value === this.currentColor ? 'selected' : ''}"
-                  data-color="${color.value}"
-                  aria-label="${color.name}"
-                  title="${color.name}">
-            <span class="color-picker-swatch" style="background-color: ${color.value}"></span>
-          </button>
-        `).join("")}
-      </div>
-    `;
-  }
+      const data = this._annotationFromXfdf(element, height);
+      if (data) {
+        created.push(await this.createAnnotation({ ...data, page }));
+      }
+    }
 
-  /**
-   * Render the color picker into a container.
-   */
-  render(container) {
-    container.appendChild(this.element);
+    return created
   }
 
-  _setupEventListeners() {
-    const toggle = this.element.querySelector(".color-picker-toggle");
-    const dropdown = this.element.querySelector(".color-picker-dropdown");
-    const options = this.element.querySelectorAll(".color-picker-option");
+  _annotationToXfdf(doc, annotation, pageHeight, author) {
+    const tagName = XFDF_ELEMENTS[annotation.annotation_type];
+    if (!tagName || !pageHeight) return null
 
-    // Toggle dropdown
-    toggle.addEventListener("click", (e) => {
-      e.stopPropagation();
-      this.isOpen = !this.isOpen;
-      dropdown.classList.toggle("hidden", !this.isOpen);
-      toggle.setAttribute("aria-expanded", this.isOpen);
-    });
+    const element = doc.createElementNS(XFDF_NAMESPACE, tagName);
+    const appendChild = (name, text) => {
+      const child = doc.createElementNS(XFDF_NAMESPACE, name);
+      child.textContent = text;
+      element.appendChild(child);
+      return child
+    };
 
-    // Color selection
-    options.forEach(option => {
-      option.addEventListener("click", (e) => {
-        e.stopPropagation();
-        const color = option.dataset.color;
-        this.setColor(color);
-        this._closeDropdown();
-      });
-    });
+    // Convert from top-left origin to bottom-left
+    const n = (v) => v.toFixed(2);
+    const point = (p) => `${n(p.x)},${n(pageHeight - p.y)}`;
+    const setRect = ([x, y, width, height], padding = 0) => {
+      element.setAttribute("rect", [
+        x - padding,
+        pageHeight - (y + height) - padding,
+        x + width + padding,
+        pageHeight - y + padding
+      ].map(n).join(","));
+    };
+    const setBounds = (points, padding = 0) => {
+      const xs = points.map(p => p.x);
+      const ys = points.map(p => p.y);
+      const minX = Math.min(...xs);
+      const minY = Math.min(...ys);
+      setRect([minX, minY, Math.max(...xs) - minX, Math.max(...ys) - minY], padding);
+    };
 
-    // Close on outside click
-    this._documentClickHandler = () => {
-      if (this.isOpen) {
-        this._closeDropdown();
+    switch (annotation.annotation_type) {
+      case "highlight":
+      case "line":
+      case "strikeout":
+      case "squiggly": {
+        const quads = annotation.quads || [];
+        if (quads.length === 0) return null
+
+        // Same point order as DownloadManager's QuadPoints
+        element.setAttribute("coords", quads.map(q => [q.p3, q.p4, q.p2, q.p1].map(point).join(",")).join(","));
+        setBounds(quads.flatMap(q => [q.p1, q.p2, q.p3, q.p4]));
+        break
       }
-    };
-    document.addEventListener("click", this._documentClickHandler);
+      case "ink": {
+        const strokes = (annotation.ink_strokes || []).filter(stroke => stroke.points?.length >= 2);
+        if (strokes.length === 0) return null
+
+        const width = annotation.subject === "Free Highlight" ? (annotation.thickness || 24) : 2;
+        element.setAttribute("width", n(width));
+        const inkList = appendChild("inklist", "");
+        for (const stroke of strokes) {
+          const gesture = doc.createElementNS(XFDF_NAMESPACE, "gesture");
+          gesture.textContent = stroke.points.map(point).join(";");
+          inkList.appendChild(gesture);
+        }
+        setBounds(strokes.flatMap(stroke => stroke.points), width / 2);
+        break
+      }
+      case "note":
+        if (!annotation.rect) return null
+        setRect([annotation.rect[0], annotation.rect[1], 24, 24]);
+        element.setAttribute("icon", "Comment");
+        break
+      case "free_text": {
+        if (!annotation.rect) return null
+        const fontSize = annotation.font_size || FREE_TEXT_DEFAULT_FONT_SIZE;
+        const rgba = this._parseXfdfColor(annotation.color || FREE_TEXT_DEFAULT_COLOR);
+        setRect(annotation.rect);
+        element.setAttribute("width", "0");
+        appendChild("defaultappearance", `/Helv ${fontSize} Tf ${n(rgba.r)} ${n(rgba.g)} ${n(rgba.b)} rg`);
+        break
+      }
+      case "stamp":
+        if (!annotation.rect) return null
+        setRect(annotation.rect);
+        if (PDF_STAMP_NAMES[annotation.subject]) {
+          element.setAttribute("icon", PDF_STAMP_NAMES[annotation.subject]);
+        }
+        if (isSafeImageData(annotation.image_data)) {
+          appendChild("imagedata", annotation.image_data);
+        }
+        break
+      case "square":
+      case "circle": {
+        if (!annotation.rect) return null
+        const thickness = annotation.thickness || StrokePicker.DEFAULT_THICKNESS;
+        const half = thickness / 2;
+        // The border is drawn inside rect, as in DownloadManager
+        setRect(annotation.rect, half);
+        element.setAttribute("width", n(thickness));
+        element.setAttribute("fringe", [half, half, half, half].map(n).join(","));
+        break
+      }
+      case "straight_line": {
+        const [start, end] = annotation.line_points || [];
+        if (!start || !end) return null
+        const thickness = annotation.thickness || StrokePicker.DEFAULT_THICKNESS;
+        element.setAttribute("start", point(start));
+        element.setAttribute("end", point(end));
+        element.setAttribute("head", "None");
+        element.setAttribute("tail", annotation.arrow ? "OpenArrow" : "None");
+        element.setAttribute("width", n(thickness));
+        setBounds([start, end], thickness + 2);
+        break
+      }
+    }
+
+    element.setAttribute("page", String(annotation.page - 1));
+    element.setAttribute("name", String(annotation.id));
+    element.setAttribute("flags", "print");
+    if (annotation.annotation_type !== "stamp") {
+      element.setAttribute("color", (annotation.color || "#FFFF00").slice(0, 7).toUpperCase());
+    }
+    const opacity = this._xfdfOpacity(annotation);
+    if (opacity < 1) {
+      element.setAttribute("opacity", String(Math.round(opacity * 100) / 100));
+    }
+    if (author) {
+      element.setAttribute("title", author);
+    }
+    if (annotation.subject) {
+      element.setAttribute("subject", annotation.subject);
+    }
+    const dateStr = annotation.updated_at || annotation.created_at;
+    if (dateStr) {
+      element.setAttribute("date", formatPdfDate(new Date(dateStr)));
+    }
+    if (annotation.created_at) {
+      element.setAttribute("creationdate", formatPdfDate(new Date(annotation.created_at)));
+    }
+    if (annotation.contents) {
+      appendChild("contents", annotation.contents);
+    }
+
+    return element
   }
 
-  _closeDropdown() {
-    this.isOpen = false;
-    const dropdown = this.element.querySelector(".color-picker-dropdown");
-    const toggle = this.element.querySelector(".color-picker-toggle");
-    dropdown.classList.add("hidden");
-    toggle.setAttribute("aria-expanded", "false");
+  // Opacity as DownloadManager writes it (CA)
+  _xfdfOpacity(annotation) {
+    switch (annotation.annotation_type) {
+      case "highlight":
+        return 0.4
+      case "ink":
+        return annotation.subject === "Free Highlight" ? (annotation.opacity || 0.2) : 1
+      case "square":
+      case "circle":
+      case "straight_line":
+        return annotation.color?.length === 9 ? this._parseXfdfColor(annotation.color).a : (annotation.opacity || 1)
+      default:
+        return 1
+    }
   }
 
-  setColor(color) {
-    this.currentColor = color;
+  // "#RRGGBB[AA]" -> components in 0..1
+  _parseXfdfColor(color) {
+    const hex = color.replace("#", "");
+    const component = (i) => parseInt(hex.slice(i, i + 2), 16) / 255;
+    return { r: component(0), g: component(2), b: component(4), a: hex.length === 8 ? component(6) : 1 }
+  }
 
-    // Update toggle swatch
-    const toggleSwatch = this.element.querySelector(".color-picker-toggle .color-picker-swatch");
-    toggleSwatch.style.backgroundColor = color;
+  _annotationFromXfdf(element, pageHeight) {
+    const child = (name) => Array.from(element.children).find(c => c.localName === name);
+    const numbers = (value) => (value || "").split(/[\s,;]+/).filter(Boolean).map(Number);
+    // Convert from bottom-left origin to top-left
+    const toPoints = (values) => {
+      const points = [];
+      for (let i = 0; i + 1 < values.length; i += 2) {
+        points.push({ x: values[i], y: pageHeight - values[i + 1] });
+      }
+      return points.filter(p => Number.isFinite(p.x) && Number.isFinite(p.y))
+    };
 
-    // Update selected state
-    const options = this.element.querySelectorAll(".color-picker-option");
-    options.forEach(option => {
-      option.classList.toggle("selected", option.dataset.color === color);
-    });
+    const rectPoints = toPoints(numbers(element.getAttribute("rect")));
+    const rect = rectPoints.length === 2 ? annotationBounds({ line_points: rectPoints }) : null;
+    const opacityValue = parseFloat(element.getAttribute("opacity"));
+    const widthValue = parseFloat(element.getAttribute("width"));
+    const style = {
+      color: element.getAttribute("color"),
+      opacity: Number.isFinite(opacityValue) ? opacityValue : 1,
+      width: Number.isFinite(widthValue) && widthValue > 0 ? widthValue : null,
+      contents: child("contents")?.textContent || undefined,
+      subject: element.getAttribute("subject")
+    };
 
-    // Notify listeners
-    if (this.onChange) {
-      this.onChange(color);
+    switch (element.localName) {
+      case "highlight":
+      case "underline":
+      case "strikeout":
+      case "squiggly": {
+        const points = toPoints(numbers(element.getAttribute("coords")));
+        const quads = [];
+        for (let i = 0; i + 4 <= points.length; i += 4) {
+          quads.push(quadFromCorners(points.slice(i, i + 4)));
+        }
+        return this._importedAnnotationData(element.localName, { ...style, quads })
+      }
+      case "ink": {
+        const inkStrokes = Array.from(child("inklist")?.children || [])
+          .filter(gesture => gesture.localName === "gesture")
+          .map(gesture => ({ points: toPoints(numbers(gesture.textContent)) }));
+        return this._importedAnnotationData("ink", { ...style, inkStrokes })
+      }
+      case "text":
+        return this._importedAnnotationData("text", { ...style, rect })
+      case "square":
+      case "circle": {
+        if (!rect) return null
+
+        // Undo the fringe DownloadManager adds for the border (left, top, right, bottom)
+        const [left = 0, top = 0, right = 0, bottom = 0] = numbers(element.getAttribute("fringe"));
+        const shapeRect = [rect[0] + left, rect[1] + top, rect[2] - left - right, rect[3] - top - bottom];
+        return this._importedAnnotationData(element.localName, { ...style, rect: shapeRect })
+      }
+      case "line": {
+        let [start] = toPoints(numbers(element.getAttribute("start")));
+        let [end] = toPoints(numbers(element.getAttribute("end")));
+        const arrowHead = /arrow/i.test(element.getAttribute("head") || "");
+        const arrowTail = /arrow/i.test(element.getAttribute("tail") || "");
+        // Only an arrowhead at the end is drawn, so flip head-only arrows
+        if (arrowHead && !arrowTail) {
+          [start, end] = [end, start];
+        }
+        return this._importedAnnotationData("line", { ...style, linePoints: [start, end], arrow: arrowHead || arrowTail })
+      }
+      case "freetext": {
+        if (!rect || !style.contents) return null
+
+        const appearance = child("defaultappearance")?.textContent || "";
+        const fontSize = parseFloat(appearance.match(/([\d.]+)\s+Tf/)?.[1]);
+        const rgb = appearance.match(/([\d.]+)\s+([\d.]+)\s+([\d.]+)\s+rg/);
+        const textColor = rgb
+          ? "#" + rgb.slice(1, 4).map(v => Math.round(Math.min(1, parseFloat(v)) * 255).toString(16).padStart(2, "0")).join("").toUpperCase()
+          : sanitizeColor(style.color, null);
+        return {
+          annotation_type: "free_text",
+          rect,
+          contents: style.contents,
+          font_size: fontSize > 0 ? fontSize : FREE_TEXT_DEFAULT_FONT_SIZE,
+          color: textColor || FREE_TEXT_DEFAULT_COLOR,
+          subject: "Text Box"
+        }
+      }
+      case "stamp": {
+        if (!rect) return null
+
+        const builtInName = Object.keys(PDF_STAMP_NAMES).find(name => PDF_STAMP_NAMES[name] === element.getAttribute("icon"));
+        const imageData = child("imagedata")?.textContent.trim();
+        let image_data = null;
+        if (isSafeImageData(imageData)) {
+          image_data = imageData;
+        } else if (builtInName) {
+          image_data = renderBuiltInStamp(BUILT_IN_STAMPS.find(stamp => stamp.name === builtInName)).imageData;
+        }
+        // Stamps without an image we can show would be invisible
+        if (!image_data) return null
+
+        return { annotation_type: "stamp", rect, image_data, contents: style.contents, subject: builtInName || style.subject || "Stamp" }
+      }
+      default:
+        return null
     }
   }
 
-  getColor() {
-    return this.currentColor
-  }
+  // ===== Embedded PDF annotations =====
 
-  destroy() {
-    if (this._documentClickHandler) {
-      document.removeEventListener("click", this._documentClickHandler);
-      this._documentClickHandler = null;
+  /**
+   * Turn annotations embedded in the PDF into editable annotations, so they
+   * can be changed instead of staying baked into the page. Highlights,
+   * underlines, strikeouts, squiggly underlines, ink, notes, rectangles,
+   * ellipses and lines are supported.
+   *
+   * Embedded annotations that are already here are skipped: ones imported
+   * and saved before (matched by `pdf_annotation_id`) and ones with the same
+   * type and position, such as annotations in a PDF downloaded from this
+   * viewer. So are imports that were deleted since (see
+   * `dismissedPdfAnnotationIds`); they stay hidden.
+   *
+   * Unless saved, imported annotations only exist locally (with a `pdf-` id)
+   * until they are first changed, which saves them.
+   *
+   * @param {number} pageNumber
+   * @param {Array<Object>} pdfAnnotations - PDF.js page.getAnnotations() data
+   * @param {Object} options
+   * @param {Object} options.viewport - page.getViewport({ scale: 1 }), for converting coordinates
+   * @param {boolean} [options.save=false] - Create the annotations in the store right away
+   * @returns {Promise<Array<string>>} PDF.js ids of the embedded annotations now shown here, which should no longer be drawn
+   */
+  async importPdfAnnotations(pageNumber, pdfAnnotations, { viewport, save = false }) {
+    const covered = [];
+
+    for (const pdfAnnotation of pdfAnnotations) {
+      const data = this._annotationFromPdf(pdfAnnotation, viewport);
+      if (!data) continue
+
+      if (this.dismissedPdfAnnotationIds.has(pdfAnnotation.id)) {
+        covered.push(pdfAnnotation.id);
+        continue
+      }
+
+      const match = this.getAnnotationsForPage(pageNumber).find(annotation => this._isSameAnnotation(annotation, data, pdfAnnotation.id));
+      if (match) {
+        if (match.pdf_annotation_id !== pdfAnnotation.id) {
+          this.embeddedMatches.set(pdfAnnotation.id, match.id);
+        }
+        covered.push(pdfAnnotation.id);
+        continue
+      }
+
+      const fields = { ...data, page: pageNumber, pdf_annotation_id: pdfAnnotation.id };
+      try {
+        let annotation;
+        if (save) {
+          annotation = await this.store.create(fields);
+        } else {
+          annotation = { ...fields, id: `pdf-${pdfAnnotation.id}` };
+          this.unsavedAnnotations.set(annotation.id, annotation);
+        }
+        this._addAnnotation(annotation);
+        covered.push(pdfAnnotation.id);
+      } catch (error) {
+        console.error("Failed to import annotation:", error);
+        this._dispatchError(AnnotationErrorType.CREATE_FAILED, "Failed to save an annotation from the PDF", error);
+      }
     }
-    this.element?.remove();
-    this.element = null;
-  }
-}
 
-class AnnotationEditToolbar {
-  constructor(options = {}) {
-    this.onColorChange = options.onColorChange;
-    this.onDelete = options.onDelete;
-    this.onEdit = options.onEdit;
-    this.onComment = options.onComment;
-    this.onDeselect = options.onDeselect;
-    this.colors = options.colors || ColorPicker.COLORS.map(c => c.value);
+    return covered
+  }
 
-    this.currentAnnotation = null;
-    this.element = null;
-    this.colorDropdownOpen = false;
+  /**
+   * PDF.js ids of the embedded annotations that these annotations stand in
+   * for: the ones they were imported from, or match by type and position.
+   * @param {Array<Object>} annotations
+   * @returns {Set<string>}
+   */
+  embeddedAnnotationIdsFor(annotations) {
+    const ids = new Set(annotations.map(annotation => annotation.id));
+    const embeddedIds = new Set(annotations.map(annotation => annotation.pdf_annotation_id).filter(Boolean));
+    for (const [pdfAnnotationId, id] of this.embeddedMatches) {
+      if (ids.has(id)) embeddedIds.add(pdfAnnotationId);
+    }
+    return embeddedIds
+  }
 
-    // Removes the document-level listener(s) below on destroy().
-    this._abortController = new AbortController();
+  _isSameAnnotation(annotation, data, pdfAnnotationId) {
+    if (annotation.pdf_annotation_id === pdfAnnotationId) return true
+    if (annotation.annotation_type !== data.annotation_type) return false
 
-    this._createToolbar();
-    this._setupEventListeners();
+    const a = annotationBounds(annotation);
+    const b = annotationBounds(data);
+    return !!a && !!b && a.every((value, i) => Math.abs(value - b[i]) < 1)
   }
 
-  _createToolbar() {
-    this.element = document.createElement("div");
-    this.element.className = "annotation-edit-toolbar hidden";
-    this.element.innerHTML = `
-      <div class="toolbar-buttons">
-        <button class="toolbar-btn comment-btn hidden" title="Add Comment (C)">
-          ${Icons.comment}
-        </button>
-        <button class="color-picker-btn" title="Change color" aria-haspopup="true" aria-expanded="false">
-          <span class="color-swatch"></span>
-          ${Icons.chevronDown}
-        </button>
-        <div class="color-dropdown hidden">
-          ${this.colors.map(color => `
-            <button class="color-option" data-color="${color}" aria-selected="false">
-              <span class="color-swatch" style="background-color: ${color}"></span>
-            </button>
-          `).join("")}
-        </div>
-        <button class="toolbar-btn edit-btn hidden" title="Edit (E)">
-          ${Icons.edit}
-        </button>
-        <div class="toolbar-divider"></div>
-        <button class="toolbar-btn delete-btn" title="Delete (Delete)">
-          ${Icons.delete}
-        </button>
-      </div>
-      <div class="toolbar-annotation-content hidden"></div>
-    `;
+  _isUnsaved(id) {
+    return this.unsavedAnnotations.has(id) && this.annotations.has(id)
+  }
 
-    this.commentBtn = this.element.querySelector(".comment-btn");
-    this.editBtn = this.element.querySelector(".edit-btn");
-    this.annotationContent = this.element.querySelector(".toolbar-annotation-content");
+  _dismissImported(annotation) {
+    if (annotation?.pdf_annotation_id) {
+      this.dismissedPdfAnnotationIds.add(annotation.pdf_annotation_id);
+    }
   }
 
-  _setupEventListeners() {
-    // Color picker button
-    const colorBtn = this.element.querySelector(".color-picker-btn");
-    colorBtn.addEventListener("click", (e) => {
-      e.stopPropagation();
-      this._toggleColorDropdown();
-    });
+  // An imported annotation that was never saved is created in the store the
+  // first time it changes, and takes the store's id from then on
+  async _saveImportedAnnotation(id, data) {
+    const previous = this.annotations.get(id);
+    const { id: unsavedId, ...fields } = { ...previous, ...data };
 
-    // Color options
-    const colorOptions = this.element.querySelectorAll(".color-option");
-    colorOptions.forEach(option => {
-      option.addEventListener("click", (e) => {
-        e.stopPropagation();
-        const color = option.dataset.color;
-        this._selectColor(color);
-      });
-    });
+    try {
+      const annotation = await this.store.create(fields);
+      this.unsavedAnnotations.delete(unsavedId);
+      this._removeAnnotation(unsavedId);
+      this._addAnnotation(annotation);
+      this.onAnnotationIdChanged?.(unsavedId, annotation);
+      this.onLocalChange?.({ type: "update", annotation, previous: { ...previous, id: annotation.id }, data });
+      this.onAnnotationUpdated?.(annotation);
+      return annotation
+    } catch (error) {
+      console.error("Failed to save annotation:", error);
+      this._dispatchError(AnnotationErrorType.UPDATE_FAILED, "Failed to save annotation", error);
+      throw error
+    }
+  }
 
-    // Comment button (for highlight/underline/ink annotations)
-    this.commentBtn.addEventListener("click", (e) => {
-      e.stopPropagation();
-      if (this.currentAnnotation && this.onComment) {
-        this.onComment(this.currentAnnotation);
+  _annotationFromPdf(pdfAnnotation, viewport) {
+    const toPoints = (values) => {
+      const list = Array.from(values || []);
+      const points = [];
+      // Newer PDF.js versions give flat [x1, y1, x2, y2, ...] arrays, older
+      // ones {x, y} objects
+      if (typeof list[0] === "number") {
+        for (let i = 0; i + 1 < list.length; i += 2) {
+          points.push(viewport.convertToViewportPoint(list[i], list[i + 1]));
+        }
+      } else {
+        points.push(...list.map(p => viewport.convertToViewportPoint(p.x, p.y)));
       }
-    });
+      return points.map(([x, y]) => ({ x, y }))
+    };
 
-    // Edit button (for notes)
-    this.editBtn.addEventListener("click", (e) => {
-      e.stopPropagation();
-      if (this.currentAnnotation && this.onEdit) {
-        this.onEdit(this.currentAnnotation);
-      }
-    });
+    const { subtype } = pdfAnnotation;
+    const rectPoints = toPoints(pdfAnnotation.rect);
+    const rect = rectPoints.length === 2 ? annotationBounds({ line_points: rectPoints }) : null;
+    const color = pdfAnnotation.color?.length === 3
+      ? "#" + Array.from(pdfAnnotation.color).map(c => c.toString(16).padStart(2, "0")).join("")
+      : null;
+    const width = pdfAnnotation.borderStyle?.width || null;
+    const style = {
+      color,
+      opacity: typeof pdfAnnotation.opacity === "number" ? pdfAnnotation.opacity : 1,
+      width,
+      contents: pdfAnnotation.contentsObj?.str || undefined,
+      subject: pdfAnnotation.subject
+    };
 
-    // Delete button
-    const deleteBtn = this.element.querySelector(".delete-btn");
-    deleteBtn.addEventListener("click", (e) => {
-      e.stopPropagation();
-      if (this.currentAnnotation && this.onDelete) {
-        this.onDelete(this.currentAnnotation);
+    switch (subtype) {
+      case "Highlight":
+      case "Underline":
+      case "StrikeOut":
+      case "Squiggly": {
+        const quadPoints = Array.from(pdfAnnotation.quadPoints || []);
+        const groups = [];
+        if (typeof quadPoints[0] === "number") {
+          const points = toPoints(quadPoints);
+          for (let i = 0; i + 4 <= points.length; i += 4) {
+            groups.push(points.slice(i, i + 4));
+          }
+        } else {
+          groups.push(...quadPoints.map(toPoints));
+        }
+        return this._importedAnnotationData(subtype.toLowerCase(), { ...style, quads: groups.map(quadFromCorners) })
       }
-      this.hide();
-    });
-
-    // Close color dropdown on outside click
-    document.addEventListener("click", (e) => {
-      if (this.colorDropdownOpen && !this.element.contains(e.target)) {
-        this._closeColorDropdown();
+      case "Ink":
+        return this._importedAnnotationData("ink", {
+          ...style,
+          inkStrokes: (pdfAnnotation.inkLists || []).map(list => ({ points: toPoints(list) }))
+        })
+      case "Text":
+        return this._importedAnnotationData("text", { ...style, rect })
+      case "Square":
+      case "Circle": {
+        if (!rect) return null
+
+        // The border is drawn inside Rect; the outline runs through its middle
+        const half = (width || 0) / 2;
+        const shapeRect = [rect[0] + half, rect[1] + half, rect[2] - half * 2, rect[3] - half * 2];
+        return this._importedAnnotationData(subtype.toLowerCase(), { ...style, rect: shapeRect })
       }
-    }, { signal: this._abortController.signal });
-
-    // Handle keyboard shortcuts
-    this._keydownHandler = (e) => {
-      if (this.element.classList.contains("hidden")) return
+      case "Line": {
+        const [start, end] = toPoints(pdfAnnotation.lineCoordinates);
+        const arrow = /arrow/i.test(pdfAnnotation.lineEndings?.[1] || "");
+        return this._importedAnnotationData("line", { ...style, linePoints: [start, end], arrow })
+      }
+      default:
+        return null
+    }
+  }
 
-      // Don't intercept if user is typing
-      const activeEl = document.activeElement;
-      if (activeEl && (activeEl.tagName === "INPUT" || activeEl.tagName === "TEXTAREA" || activeEl.isContentEditable)) return
+  // Our fields for markup read from XFDF or from the PDF itself. `kind` is
+  // the lower-cased PDF subtype; geometry is already in page coordinates
+  // (top-left origin). Colors and opacity follow what the tools create.
+  _importedAnnotationData(kind, { quads, inkStrokes, rect, linePoints, arrow, color, opacity = 1, width, contents, subject }) {
+    const baseColor = sanitizeColor(color, null)?.length === 7 ? color.toUpperCase() : null;
+    opacity = Math.min(1, Math.max(0, opacity));
+    const alphaHex = Math.round(opacity * 255).toString(16).padStart(2, "0");
 
-      if (e.key === "Escape") {
-        if (this.colorDropdownOpen) {
-          this._closeColorDropdown();
-        } else {
-          this.hide();
-          this.onDeselect?.();
+    switch (kind) {
+      case "highlight":
+      case "underline":
+      case "strikeout":
+      case "squiggly": {
+        quads = (quads || []).filter(Boolean);
+        if (quads.length === 0) return null
+
+        const quadRect = annotationBounds({ quads });
+        if (kind === "highlight") {
+          return {
+            annotation_type: "highlight",
+            quads,
+            rect: quadRect,
+            color: (baseColor || ColorPicker.DEFAULT_HIGHLIGHT_COLOR) + "CC",
+            opacity: 0.4,
+            contents,
+            subject: "Highlight"
+          }
         }
-        e.preventDefault();
-      } else if (e.key === "Delete" || e.key === "Backspace") {
-        e.preventDefault();
-        if (this.currentAnnotation && this.onDelete) {
-          this.onDelete(this.currentAnnotation);
+        const markup = {
+          underline: { annotation_type: "line", subject: "Underline" },
+          strikeout: { annotation_type: "strikeout", subject: "StrikeOut" },
+          squiggly: { annotation_type: "squiggly", subject: "Squiggly" }
+        }[kind];
+        return { ...markup, quads, rect: quadRect, color: baseColor || "#FF0000", opacity: 1.0, contents }
+      }
+      case "ink": {
+        const strokes = (inkStrokes || []).filter(stroke => stroke.points.length >= 2);
+        if (strokes.length === 0) return null
+
+        const inkRect = annotationBounds({ ink_strokes: strokes });
+        // Translucent ink is a freehand highlight
+        if (subject === "Free Highlight" || opacity < 1) {
+          return {
+            annotation_type: "ink",
+            ink_strokes: strokes,
+            rect: inkRect,
+            color: (baseColor || ColorPicker.DEFAULT_HIGHLIGHT_COLOR) + alphaHex,
+            opacity,
+            thickness: width || 24,
+            contents,
+            subject: "Free Highlight"
+          }
         }
-        this.hide();
-      } else if (e.key === "e" || e.key === "E") {
-        // Edit shortcut for notes
-        if (this.currentAnnotation?.annotation_type === "note" && this.onEdit) {
-          e.preventDefault();
-          this.onEdit(this.currentAnnotation);
+        return {
+          annotation_type: "ink",
+          ink_strokes: strokes,
+          rect: inkRect,
+          color: baseColor || ColorPicker.DEFAULT_INK_COLOR,
+          contents,
+          subject: "Free Hand"
         }
-      } else if (e.key === "c" || e.key === "C") {
-        // Comment shortcut for highlight/underline/ink annotations
-        const supportsComment = ["highlight", "line", "ink"].includes(this.currentAnnotation?.annotation_type);
-        if (supportsComment && this.onComment) {
-          e.preventDefault();
-          this.onComment(this.currentAnnotation);
+      }
+      case "text":
+        if (!rect || !contents) return null
+        return {
+          annotation_type: "note",
+          rect: [rect[0], rect[1], 24, 24],
+          contents,
+          color: baseColor || ColorPicker.DEFAULT_HIGHLIGHT_COLOR,
+          subject: "Comment"
+        }
+      case "square":
+      case "circle":
+        if (!rect || rect[2] <= 0 || rect[3] <= 0) return null
+        return {
+          annotation_type: kind,
+          rect,
+          color: (baseColor || ColorPicker.DEFAULT_INK_COLOR) + alphaHex,
+          opacity,
+          thickness: width || StrokePicker.DEFAULT_THICKNESS,
+          contents,
+          subject: kind === "circle" ? "Ellipse" : "Rectangle"
+        }
+      case "line": {
+        if (!linePoints?.[0] || !linePoints?.[1]) return null
+        return {
+          annotation_type: "straight_line",
+          line_points: linePoints,
+          arrow: !!arrow,
+          rect: annotationBounds({ line_points: linePoints }),
+          color: (baseColor || ColorPicker.DEFAULT_INK_COLOR) + alphaHex,
+          opacity,
+          thickness: width || StrokePicker.DEFAULT_THICKNESS,
+          contents,
+          subject: arrow ? "Arrow" : "Line"
         }
       }
-    };
-    document.addEventListener("keydown", this._keydownHandler);
+      default:
+        return null
+    }
   }
 
-  _toggleColorDropdown() {
-    if (this.colorDropdownOpen) {
-      this._closeColorDropdown();
-    } else {
-      this._openColorDropdown();
+  /**
+   * Apply a change made somewhere else (another reviewer, another tab)
+   * without going through the store.
+   *
+   * Changes already known here are ignored, so echoed or replayed messages
+   * are harmless. A create for a known id counts as an update. An update that
+   * is no newer than the local copy (by updated_at) is dropped. A delete of an
+   * unknown id does nothing.
+   *
+   * @param {Object} change
+   * @param {string} change.type - "create", "update" or "delete"
+   * @param {Object} change.annotation - The full annotation (only `id` is needed for deletes)
+   * @returns {boolean} true if the local annotations changed
+   */
+  applyRemoteChange({ type, annotation } = {}) {
+    if (annotation?.id === undefined || annotation?.id === null) return false
+
+    const existing = this.annotations.get(annotation.id);
+
+    switch (type) {
+      case "create":
+      case "update":
+        if (existing && !this._isNewer(annotation, existing)) return false
+
+        // Someone else replied; refetch the thread next time it's shown
+        if (annotation.replies_count !== undefined &&
+            annotation.replies_count !== this.replies.get(annotation.id)?.length) {
+          this.replies.delete(annotation.id);
+        }
+
+        if (existing) {
+          this._updateAnnotation(annotation);
+        } else {
+          this._addAnnotation(annotation);
+        }
+        this.onRemoteChange?.(existing ? "update" : "create", annotation, existing || null);
+        return true
+      case "delete":
+        if (!existing) return false
+
+        this._removeAnnotation(annotation.id);
+        this._dismissImported(existing);
+        this.onRemoteChange?.("delete", existing, existing);
+        return true
+      default:
+        console.warn(`Unknown remote annotation change: ${type}`);
+        return false
     }
   }
 
-  _openColorDropdown() {
-    const dropdown = this.element.querySelector(".color-dropdown");
-    const btn = this.element.querySelector(".color-picker-btn");
-    dropdown.classList.remove("hidden");
-    btn.setAttribute("aria-expanded", "true");
-    this.colorDropdownOpen = true;
+  // Without timestamps there is no way to tell, so the remote copy wins
+  _isNewer(annotation, existing) {
+    if (!annotation.updated_at || !existing.updated_at) return true
+    return new Date(annotation.updated_at) > new Date(existing.updated_at)
   }
 
-  _closeColorDropdown() {
-    const dropdown = this.element.querySelector(".color-dropdown");
-    const btn = this.element.querySelector(".color-picker-btn");
-    dropdown.classList.add("hidden");
-    btn.setAttribute("aria-expanded", "false");
-    this.colorDropdownOpen = false;
+  _addAnnotation(annotation) {
+    this.annotations.set(annotation.id, annotation);
+
+    if (!this.annotationsByPage.has(annotation.page)) {
+      this.annotationsByPage.set(annotation.page, []);
+    }
+    this.annotationsByPage.get(annotation.page).push(annotation);
   }
 
-  _selectColor(color) {
-    if (this.currentAnnotation && this.onColorChange) {
-      this.onColorChange(this.currentAnnotation, color);
+  _updateAnnotation(annotation) {
+    const oldAnnotation = this.annotations.get(annotation.id);
+    if (!oldAnnotation) {
+      this._addAnnotation(annotation);
+      return
     }
-    this._updateSelectedColor(color);
-    this._closeColorDropdown();
+
+    // Remove from old page if page changed
+    if (oldAnnotation.page !== annotation.page) {
+      this._removeAnnotationFromPage(oldAnnotation.id, oldAnnotation.page);
+
+      if (!this.annotationsByPage.has(annotation.page)) {
+        this.annotationsByPage.set(annotation.page, []);
+      }
+      this.annotationsByPage.get(annotation.page).push(annotation);
+    } else {
+      // Update in place
+      const pageAnnotations = this.annotationsByPage.get(annotation.page);
+      const index = pageAnnotations.findIndex(a => a.id === annotation.id);
+      if (index !== -1) {
+        pageAnnotations[index] = annotation;
+      }
+    }
+
+    this.annotations.set(annotation.id, annotation);
   }
 
-  _updateSelectedColor(color) {
-    // Update the swatch in the button
-    const swatch = this.element.querySelector(".color-picker-btn .color-swatch");
-    swatch.style.backgroundColor = color;
+  _removeAnnotation(id) {
+    const annotation = this.annotations.get(id);
+    if (!annotation) return
 
-    // Update aria-selected states
-    const options = this.element.querySelectorAll(".color-option");
-    options.forEach(option => {
-      option.setAttribute("aria-selected", option.dataset.color === color ? "true" : "false");
-    });
+    this._removeAnnotationFromPage(id, annotation.page);
+    this.annotations.delete(id);
   }
 
-  show(annotation, parentElement, pageHeight = null) {
-    this.currentAnnotation = annotation;
+  _removeAnnotationFromPage(id, pageNumber) {
+    const pageAnnotations = this.annotationsByPage.get(pageNumber);
+    if (pageAnnotations) {
+      const index = pageAnnotations.findIndex(a => a.id === id);
+      if (index !== -1) {
+        pageAnnotations.splice(index, 1);
+      }
+    }
+  }
 
-    // Update color swatch to match annotation's current color
-    const color = annotation.color || ColorPicker.DEFAULT_HIGHLIGHT_COLOR;
-    this._updateSelectedColor(color);
+  destroy() {
+    this.store.destroy?.();
+  }
+}
 
-    // Show/hide buttons based on annotation type
-    const isNote = annotation.annotation_type === "note";
-    const supportsComment = ["highlight", "line", "ink"].includes(annotation.annotation_type);
+/**
+ * AnnotationChannel - Live annotation changes from other reviewers.
+ *
+ * Subscribes through an ActionCable-compatible transport: any object with
+ * `subscriptions.create(params, { received, connected, disconnected })` that
+ * returns a subscription with `unsubscribe()`. A consumer from
+ * @rails/actioncable's createConsumer() works as-is, and
+ * MemoryChannelTransport stands in for it in tests and demos.
+ *
+ * Broadcast messages look like:
+ *   { type: "create" | "update" | "delete", annotation: {...}, client_id: "..." }
+ *
+ * Messages whose client_id matches this viewer are its own changes coming
+ * back and are skipped. RestAnnotationStore sends the id in the
+ * X-Pdf-Viewer-Client-Id header so the server can echo it.
+ */
 
-    // Comment button for highlight/underline/ink, edit button for notes
-    this.commentBtn.classList.toggle("hidden", !supportsComment);
-    this.editBtn.classList.toggle("hidden", !isNote);
+let cableConsumer = null;
 
-    // Update comment button title based on whether contents exists
-    if (supportsComment) {
-      const hasComment = annotation.contents && annotation.contents.trim();
-      this.commentBtn.title = hasComment ? "Edit Comment (C)" : "Add Comment (C)";
-    }
+/**
+ * Set the ActionCable consumer used when `data-pdf-viewer-channel-value`
+ * is present (like turbo-rails' setConsumer).
+ * @param {Object} consumer - e.g. createConsumer() from @rails/actioncable
+ */
+function setCableConsumer(consumer) {
+  cableConsumer = consumer;
+}
 
-    // Show contents for any annotation type that has it
-    if (annotation.contents) {
-      this.annotationContent.textContent = annotation.contents;
-      this.annotationContent.classList.remove("hidden");
-    } else {
-      this.annotationContent.classList.add("hidden");
-    }
+const CLIENT_ID_HEADER = "X-Pdf-Viewer-Client-Id";
 
-    // Determine if toolbar should flip above the annotation
-    // Check if annotation bottom + toolbar height (~50px) would exceed page
-    const toolbarHeight = 50;
-    const annotationBottom = annotation.rect[1] + annotation.rect[3];
-    const shouldFlip = pageHeight && (annotationBottom + toolbarHeight > pageHeight);
+class AnnotationChannel {
+  /**
+   * @param {Object} options
+   * @param {Object} options.transport - ActionCable consumer or compatible
+   * @param {Object} options.params - Subscription params, e.g. { channel, document_id }
+   * @param {string} options.clientId - This viewer's id, for skipping echoes
+   * @param {AnnotationManager} options.annotationManager - Receives the changes
+   * @param {Element} [options.eventTarget] - Element for dispatching status events
+   */
+  constructor({ transport, params, clientId, annotationManager, eventTarget }) {
+    this.transport = transport;
+    this.params = params;
+    this.clientId = clientId;
+    this.annotationManager = annotationManager;
+    this.eventTarget = eventTarget;
+    this.subscription = null;
+    this.connected = false;
+  }
 
-    this.element.classList.toggle("flipped", shouldFlip);
+  connect() {
+    if (this.subscription) return
 
-    // Append to the annotation element so it moves/scales with it
-    parentElement.appendChild(this.element);
-    this.element.classList.remove("hidden");
+    this.subscription = this.transport.subscriptions.create(this.params, {
+      received: (message) => this._received(message),
+      connected: () => this._setConnected(true),
+      disconnected: () => this._setConnected(false)
+    });
   }
 
-  hide() {
-    this._closeColorDropdown();
-    this.element.classList.add("hidden");
-    this.currentAnnotation = null;
+  disconnect() {
+    this.subscription?.unsubscribe();
+    this.subscription = null;
+    this._setConnected(false);
+  }
 
-    // Clear annotation content
-    this.annotationContent.textContent = "";
-    this.annotationContent.classList.add("hidden");
+  _received(message) {
+    if (!message?.annotation) return
+    if (message.client_id && message.client_id === this.clientId) return
 
-    // Remove from parent when hidden
-    if (this.element.parentNode) {
-      this.element.parentNode.removeChild(this.element);
-    }
+    this.annotationManager.applyRemoteChange({
+      type: message.type,
+      annotation: message.annotation
+    });
   }
 
-  isVisible() {
-    return !this.element.classList.contains("hidden")
+  _setConnected(connected) {
+    if (connected === this.connected) return
+    this.connected = connected;
+
+    this.eventTarget?.dispatchEvent(new CustomEvent("pdf-viewer:channel-status", {
+      bubbles: true,
+      detail: { connected }
+    }));
   }
 
   destroy() {
-    this._abortController.abort();
-    if (this._keydownHandler) {
-      document.removeEventListener("keydown", this._keydownHandler);
-    }
-    this.element.remove();
+    this.disconnect();
   }
 }
 
-class AnnotationDetailPanel {
-  constructor(options = {}) {
-    this.container = options.container;
-    this.onColorChange = options.onColorChange;
-    this.onDelete = options.onDelete;
-    this.onEdit = options.onEdit;
-    this.onComment = options.onComment;
-    this.onClose = options.onClose;
-    this.colors = options.colors || ColorPicker.COLORS.map(c => c.value);
+/**
+ * MemoryChannelTransport - In-memory stand-in for an ActionCable consumer.
+ *
+ * broadcast() delivers a message to every subscription whose params contain
+ * the given params. Use it in tests, demos, or to keep several viewers on one
+ * page in sync without a server.
+ *
+ * @example
+ * const transport = new MemoryChannelTransport()
+ * new PdfViewer(container, { channel: "AnnotationsChannel", channelTransport: transport })
+ * transport.broadcast({ channel: "AnnotationsChannel" }, { type: "create", annotation })
+ */
+class MemoryChannelTransport {
+  constructor() {
+    this._subscriptions = new Set();
+    this.subscriptions = {
+      create: (params, mixin) => this._subscribe(params, mixin)
+    };
+  }
 
-    this.currentAnnotation = null;
-    this.anchorElement = null;
-    this.colorDropdownOpen = false;
+  /**
+   * Deliver a message to matching subscriptions.
+   * @param {Object} params - Subset of subscription params to match
+   * @param {Object} message
+   */
+  broadcast(params, message) {
+    for (const subscription of this._subscriptions) {
+      const matches = Object.entries(params).every(([key, value]) => subscription.params[key] === value);
+      if (matches) {
+        // Round-trip through JSON like a real cable, so receivers never share objects
+        subscription.mixin.received?.(JSON.parse(JSON.stringify(message)));
+      }
+    }
+  }
 
-    // Removes the document-level listener(s) below on destroy().
-    this._abortController = new AbortController();
+  _subscribe(params, mixin = {}) {
+    const subscription = {
+      params,
+      mixin,
+      unsubscribe: () => this._subscriptions.delete(subscription)
+    };
+    this._subscriptions.add(subscription);
 
-    this._createPanel();
-    this._setupEventListeners();
-  }
+    // ActionCable confirms subscriptions asynchronously
+    queueMicrotask(() => {
+      if (this._subscriptions.has(subscription)) {
+        mixin.connected?.();
+      }
+    });
 
-  _createPanel() {
-    this.element = document.createElement("div");
-    this.element.className = "annotation-detail-panel hidden";
-    this.element.innerHTML = `
-      <div class="annotation-detail-header">
-        <div class="annotation-detail-header-info">
-          <span class="annotation-detail-type"></span>
-        </div>
-        <div class="annotation-detail-header-actions">
-          <button class="toolbar-btn comment-btn hidden" title="Add Comment (C)">
-            ${Icons.comment}
-          </button>
-          <button class="color-picker-btn" title="Change color" aria-haspopup="true" aria-expanded="false">
-            <span class="color-swatch"></span>
-            ${Icons.chevronDown}
-          </button>
-          <div class="color-dropdown hidden">
-            ${this.colors.map(color => `
-              <button class="color-option" data-color="${color}" aria-selected="false">
-                <span class="color-swatch" style="background-color: ${color}"></span>
-              </button>
-            `).join("")}
-          </div>
-          <button class="toolbar-btn edit-btn hidden" title="Edit (E)">
-            ${Icons.edit}
-          </button>
-          <div class="toolbar-divider"></div>
-          <button class="toolbar-btn delete-btn" title="Delete (Delete)">
-            ${Icons.delete}
-          </button>
-          <div class="toolbar-divider"></div>
-          <button class="annotation-detail-close" title="Close (Escape)">
-            ${Icons.close}
-          </button>
-        </div>
-      </div>
-      <div class="annotation-detail-body">
-        <div class="annotation-detail-text hidden"></div>
-        <div class="annotation-detail-content-slot"></div>
-      </div>
-    `;
+    return subscription
+  }
+}
 
-    this.commentBtn = this.element.querySelector(".comment-btn");
-    this.editBtn = this.element.querySelector(".edit-btn");
-    this.typeLabel = this.element.querySelector(".annotation-detail-type");
-    this.textContent = this.element.querySelector(".annotation-detail-text");
-    this.contentSlot = this.element.querySelector(".annotation-detail-content-slot");
+/**
+ * Watermark - Text and logo drawn over every page.
+ *
+ * One spec drives the on-screen and printed canvases and the pdf-lib
+ * download, through layout(). Every field is optional:
+ *
+ *   {
+ *     text: "CONFIDENTIAL {user} {date}", // "\n" for more lines
+ *     fontSize: 25,                       // PDF units
+ *     angle: 45,                          // degrees, counter-clockwise
+ *     opacity: 0.07,
+ *     color: "#000000",
+ *     tile: true,                         // or { gapX, gapY } in PDF units
+ *     image: { src: "/logo.png", width: 80, opacity: 0.1 },
+ *     header: { text: "{user}", fontSize: 6, opacity: 0.1 }, // null for none
+ *     fields: { ip: "203.0.113.7" }       // extra template values
+ *   }
+ *
+ * Templates fill in {user}, {org}, {date} (YYYY-MM-DD) and {ip}, plus any
+ * key in `fields`. A watermark whose text comes out blank is not drawn, so
+ * the default draws nothing without a user name. Logos must be same-origin,
+ * CORS-enabled or data URLs, or they would taint the canvas.
+ */
+
+const DEFAULT_WATERMARK = {
+  text: "{user}",
+  fontSize: 25,
+  angle: 45,
+  opacity: 0.07,
+  color: "#000000",
+  tile: false,
+  image: null,
+  header: { text: "{user}", fontSize: 6, opacity: 0.10 },
+  fields: {}
+};
+
+// Space between tiles when `tile: true`, as a multiple of the font size
+const WATERMARK_TILE_GAP = 4;
+
+// Header distance from the top of the page, PDF units
+const WATERMARK_HEADER_OFFSET = 5;
+
+const WATERMARK_FONT = "Helvetica, Arial, sans-serif";
+
+// How long the document waits for the logo before opening without it, ms
+const WATERMARK_IMAGE_TIMEOUT = 3000;
+
+class Watermark {
+  /**
+   * @param {Object} options
+   * @param {string} [options.userName] - Fills {user}
+   * @param {string} [options.organizationName] - Fills {org}
+   * @param {Object} [options.spec] - See above
+   */
+  constructor({ userName, organizationName, spec = {} } = {}) {
+    this.spec = {
+      ...DEFAULT_WATERMARK,
+      ...spec,
+      header: spec.header === null || spec.header === false
+        ? null
+        : { ...DEFAULT_WATERMARK.header, color: spec.color, ...spec.header }
+    };
+    this.fields = {
+      user: userName || "",
+      org: organizationName || "",
+      date: this._today(),
+      ip: "",
+      ...this.spec.fields
+    };
+
+    // The logo is loaded once; pages wait for it through `ready`
+    this.image = null;
+    this.ready = this.spec.image?.src ? this._loadImage(this.spec.image.src) : Promise.resolve();
   }
 
-  _setupEventListeners() {
-    // Prevent pointer/click events inside the panel from triggering annotation tools
-    // Tools listen on pointerdown on the pages container, so we must stop all phases
-    this.element.addEventListener("pointerdown", (e) => {
-      e.stopPropagation();
-    });
-    this.element.addEventListener("click", (e) => {
-      e.stopPropagation();
-    });
+  // Apply watermark to canvas
+  // scale: the scale at which the canvas is rendered (e.g., 2.0 for high DPI)
+  applyToPage(canvas, scale = 2.0) {
+    const ctx = canvas.getContext("2d");
+    const measureText = (text, fontSize) => {
+      ctx.font = `${fontSize}px ${WATERMARK_FONT}`;
+      return ctx.measureText(text).width
+    };
+    const imageSize = this.image ? { width: this.image.naturalWidth, height: this.image.naturalHeight } : null;
 
-    // Close button
-    this.element.querySelector(".annotation-detail-close").addEventListener("click", (e) => {
-      e.stopPropagation();
-      this.onClose?.();
-    });
+    const marks = this.layout(canvas.width / scale, canvas.height / scale, { measureText, imageSize });
+    for (const mark of marks) {
+      ctx.save();
+      ctx.globalAlpha = mark.opacity;
+      ctx.translate(mark.x * scale, mark.y * scale);
+      ctx.rotate(-mark.angle * Math.PI / 180);
 
-    // Color picker button
-    const colorBtn = this.element.querySelector(".color-picker-btn");
-    colorBtn.addEventListener("click", (e) => {
-      e.stopPropagation();
-      this._toggleColorDropdown();
-    });
+      if (mark.type === "image") {
+        ctx.drawImage(this.image, -mark.width / 2 * scale, -mark.height / 2 * scale, mark.width * scale, mark.height * scale);
+      } else {
+        ctx.font = `${mark.fontSize * scale}px ${WATERMARK_FONT}`;
+        ctx.fillStyle = mark.color;
+        ctx.textAlign = "center";
+        ctx.textBaseline = "middle";
+        ctx.fillText(mark.text, 0, 0);
+      }
 
-    // Color options
-    this.element.querySelectorAll(".color-option").forEach(option => {
-      option.addEventListener("click", (e) => {
-        e.stopPropagation();
-        this._selectColor(option.dataset.color);
+      ctx.restore();
+    }
+  }
+
+  /**
+   * Where to draw the watermark on a page, in PDF units with a top-left
+   * origin. Each mark is centered on x, y and turned `angle` degrees
+   * counter-clockwise about that point.
+   * @param {number} width - Page width
+   * @param {number} height - Page height
+   * @param {Object} options
+   * @param {Function} options.measureText - (text, fontSize) => width
+   * @param {{width: number, height: number}} [options.imageSize] - Natural size of the loaded logo
+   * @returns {Array<Object>} Marks: { type: "text", text, fontSize, color } or { type: "image", width, height }, plus x, y, angle and opacity
+   */
+  layout(width, height, { measureText, imageSize = null }) {
+    const { spec } = this;
+    const marks = [];
+
+    // One block: the logo above the text lines, centered on its anchor
+    const block = [];
+    if (imageSize && spec.image) {
+      const imageWidth = spec.image.width || 100;
+      const imageHeight = spec.image.height || imageWidth * (imageSize.height / imageSize.width);
+      block.push({ type: "image", width: imageWidth, height: imageHeight, opacity: spec.image.opacity ?? spec.opacity });
+    }
+    for (const line of this._fill(spec.text).split("\n")) {
+      if (!line.trim()) continue
+      block.push({
+        type: "text",
+        text: line,
+        fontSize: spec.fontSize,
+        color: sanitizeColor(spec.color, "#000000"),
+        opacity: spec.opacity,
+        width: measureText(line, spec.fontSize),
+        height: spec.fontSize * 1.2
       });
-    });
+    }
 
-    // Comment button
-    this.commentBtn.addEventListener("click", (e) => {
-      e.stopPropagation();
-      if (this.currentAnnotation && this.onComment) {
-        this.onComment(this.currentAnnotation);
+    if (block.some(mark => mark.type === "text")) {
+      const blockWidth = Math.max(...block.map(mark => mark.width));
+      const blockHeight = block.reduce((sum, mark) => sum + mark.height, 0);
+      for (const anchor of this._anchors(width, height, blockWidth, blockHeight)) {
+        marks.push(...this._placeBlock(block, anchor, blockHeight));
       }
-    });
+    }
 
-    // Edit button
-    this.editBtn.addEventListener("click", (e) => {
-      e.stopPropagation();
-      if (this.currentAnnotation && this.onEdit) {
-        this.onEdit(this.currentAnnotation);
+    const header = spec.header && this._fill(spec.header.text).replace(/\n/g, " ");
+    if (header?.trim()) {
+      marks.push({
+        type: "text",
+        text: header,
+        fontSize: spec.header.fontSize,
+        color: sanitizeColor(spec.header.color, "#000000"),
+        opacity: spec.header.opacity,
+        x: width / 2,
+        y: WATERMARK_HEADER_OFFSET + spec.header.fontSize / 2,
+        angle: 0
+      });
+    }
+
+    return marks
+  }
+
+  // Centers of the repeated blocks: the page center, or a staggered grid
+  // that still covers the corners once each block is turned
+  _anchors(width, height, blockWidth, blockHeight) {
+    const { tile, fontSize } = this.spec;
+    if (!tile) return [{ x: width / 2, y: height / 2 }]
+
+    const gapX = tile.gapX ?? fontSize * WATERMARK_TILE_GAP;
+    const gapY = tile.gapY ?? fontSize * WATERMARK_TILE_GAP;
+    const stepX = Math.max(blockWidth + gapX, 10);
+    const stepY = Math.max(blockHeight + gapY, 10);
+    const margin = Math.max(blockWidth, blockHeight);
+
+    const anchors = [];
+    let row = 0;
+    for (let y = -margin; y <= height + margin; y += stepY, row++) {
+      const offset = row % 2 === 0 ? 0 : stepX / 2;
+      for (let x = -margin + offset; x <= width + margin; x += stepX) {
+        anchors.push({ x, y });
       }
-    });
+    }
+    return anchors
+  }
 
-    // Delete button (hide is handled by _deselectAnnotation cascade)
-    this.element.querySelector(".delete-btn").addEventListener("click", (e) => {
-      e.stopPropagation();
-      if (this.currentAnnotation && this.onDelete) {
-        this.onDelete(this.currentAnnotation);
+  // Stack the block's marks down its own (turned) vertical axis
+  _placeBlock(block, anchor, blockHeight) {
+    const angle = this.spec.angle;
+    const radians = angle * Math.PI / 180;
+    let offset = -blockHeight / 2;
+
+    return block.map(mark => {
+      const dy = offset + mark.height / 2;
+      offset += mark.height;
+      // (0, dy) turned counter-clockwise on a y-down page
+      return { ...mark, x: anchor.x + dy * Math.sin(radians), y: anchor.y + dy * Math.cos(radians), angle }
+    })
+  }
+
+  /**
+   * The loaded logo as a PNG data URL, for embedding in a downloaded PDF.
+   * @returns {string|null}
+   */
+  imageDataUrl() {
+    if (!this.image) return null
+    if (this._imageDataUrl === undefined) {
+      const canvas = document.createElement("canvas");
+      canvas.width = this.image.naturalWidth;
+      canvas.height = this.image.naturalHeight;
+      canvas.getContext("2d").drawImage(this.image, 0, 0);
+      try {
+        this._imageDataUrl = canvas.toDataURL("image/png");
+      } catch (e) {
+        // Never let the logo break the download
+        console.warn("Could not embed watermark image:", e);
+        this._imageDataUrl = null;
       }
-    });
+    }
+    return this._imageDataUrl
+  }
 
-    // Close color dropdown on outside click
-    document.addEventListener("click", (e) => {
-      if (this.colorDropdownOpen && !this.element.contains(e.target)) {
-        this._closeColorDropdown();
+  _fill(template) {
+    return String(template ?? "").replace(/\{(\w+)\}/g, (match, key) => {
+      return key in this.fields ? String(this.fields[key] ?? "") : match
+    })
+  }
+
+  _today() {
+    const date = new Date();
+    const pad = (n) => n.toString().padStart(2, "0");
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`
+  }
+
+  // Resolves once the logo loads or fails, or after WATERMARK_IMAGE_TIMEOUT.
+  // A logo that arrives after the timeout is used from then on.
+  _loadImage(src) {
+    return new Promise(resolve => {
+      const image = new Image();
+      const timeout = setTimeout(() => {
+        console.warn("Watermark image is slow to load, continuing without it:", src);
+        resolve();
+      }, WATERMARK_IMAGE_TIMEOUT);
+
+      image.crossOrigin = "anonymous";
+      image.onload = () => {
+        clearTimeout(timeout);
+        this.image = image;
+        resolve();
+      };
+      image.onerror = () => {
+        clearTimeout(timeout);
+        console.warn("Could not load watermark image:", src);
+        resolve();
+      };
+      image.src = src;
+    })
+  }
+}
+
+/**
+ * What a user may download. The server sets this per user (for example by
+ * customer tier) through data-pdf-viewer-download-policy-value. The export
+ * dialog leaves out forbidden choices and PdfViewer.download() rejects them.
+ * This only shapes the viewer; the server still has to protect the document
+ * URL itself.
+ */
+const DEFAULT_DOWNLOAD_POLICY = {
+  download: true,          // Any download at all, XFDF included
+  original: true,          // The untouched original (also needs `unwatermarked`)
+  unwatermarked: true,     // Turning the watermark off
+  editable: true,          // Annotations that can still be edited; otherwise always flattened
+  pageRanges: true,        // Only some of the pages
+  filterAnnotations: true, // Leaving annotations out by type, author or selection
+  print: true              // Printing, which is always watermarked
+};
+
+/**
+ * Parse page ranges such as "1-3, 5, 8-" into sorted page numbers.
+ * @param {string|Array<number>} ranges - Range text, or page numbers
+ * @param {number} pageCount
+ * @returns {Array<number>}
+ * @throws {Error} If a range is malformed or outside the document
+ */
+function parsePageRanges(ranges, pageCount) {
+  const pages = new Set();
+  const parts = Array.isArray(ranges) ? ranges.map(String) : String(ranges).split(",");
+
+  for (const part of parts.map(p => p.trim()).filter(Boolean)) {
+    const match = part.match(/^(\d*)\s*(-?)\s*(\d*)$/);
+    const start = match && parseInt(match[1] || "1", 10);
+    const end = match && (match[2] ? parseInt(match[3] || String(pageCount), 10) : start);
+    if (!match || (!match[1] && !match[2]) || start < 1 || end > pageCount || start > end) {
+      throw new Error(`Invalid page range "${part}"; pages run from 1 to ${pageCount}`)
+    }
+    for (let page = start; page <= end; page++) {
+      pages.add(page);
+    }
+  }
+
+  if (pages.size === 0) {
+    throw new Error("No pages selected")
+  }
+  return [...pages].sort((a, b) => a - b)
+}
+
+class DownloadManager {
+  constructor(options = {}) {
+    this.documentUrl = options.documentUrl;
+    this.documentName = options.documentName;
+    this.organizationName = options.organizationName;
+    this.userName = options.userName;
+    this.annotationManager = options.annotationManager;
+    this.watermark = options.watermark;
+    this.producer = options.producer || "stimulus-pdf-viewer";
+    this._extGStateCache = new Map();
+    this._stampImageCache = new Map();
+  }
+
+  /**
+   * Download the original PDF with annotations embedded.
+   * @param {Object} [options]
+   * @param {Array<Object>} [options.annotations] - Only these annotations (default: all)
+   * @param {Array<number>} [options.pages] - Only these page numbers (default: all)
+   * @param {boolean} [options.watermark=true] - Draw the watermark on every page
+   * @param {boolean} [options.flatten=false] - Draw annotations into the page content, so they can't be removed
+   * @param {Set<string>} [options.replacedAnnotationIds] - PDF.js ids of the PDF's own annotations to leave out, because annotations in the download replace them
+   */
+  async downloadWithAnnotations({ annotations = null, pages: pageNumbers = null, watermark = true, flatten = false, replacedAnnotationIds = null } = {}) {
+    // Clear caches for fresh download
+    this._extGStateCache.clear();
+    this._stampImageCache.clear();
+    this._watermarkImage = undefined;
+    this._flatten = flatten;
+
+    const pdfDoc = await PDFDocument.load(await this._fetchDocument());
+
+    // Set document metadata
+    this._setDocumentMetadata(pdfDoc);
+
+    // All annotations unless a subset was asked for
+    annotations = annotations || this.annotationManager.getAllAnnotations();
+
+    // Embed font for watermark
+    const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+
+    // Process each page
+    const pages = pdfDoc.getPages();
+    const keep = pageNumbers ? new Set(pageNumbers) : null;
+    for (let i = 0; i < pages.length; i++) {
+      const page = pages[i];
+      const pageNumber = i + 1;
+      const { width, height } = page.getSize();
+      if (keep && !keep.has(pageNumber)) continue
+
+      if (replacedAnnotationIds?.size > 0) {
+        this._removeEmbeddedAnnotations(pdfDoc, page, replacedAnnotationIds);
       }
-    }, { signal: this._abortController.signal });
 
-    // Keyboard shortcuts
-    this._keydownHandler = (e) => {
-      if (this.element.classList.contains("hidden")) return
+      // Apply watermark
+      if (watermark) {
+        await this._applyWatermarkToPage(pdfDoc, page, font, width, height);
+      }
 
-      const activeEl = document.activeElement;
-      if (activeEl && (activeEl.tagName === "INPUT" || activeEl.tagName === "TEXTAREA" || activeEl.isContentEditable)) return
+      // Apply annotations for this page
+      const pageAnnotations = annotations.filter(a => a.page === pageNumber);
+      await this._applyAnnotationsToPage(pdfDoc, page, pageAnnotations, height, font);
+    }
 
-      if (e.key === "Escape") {
-        if (this.colorDropdownOpen) {
-          this._closeColorDropdown();
-        } else {
-          this.onClose?.();
-        }
-        e.preventDefault();
-      } else if (e.key === "Delete" || e.key === "Backspace") {
+    // Drop the pages that weren't asked for, last first so indexes hold
+    if (keep) {
+      for (let i = pages.length - 1; i >= 0; i--) {
+        if (!keep.has(i + 1)) pdfDoc.removePage(i);
+      }
+    }
+
+    // Save and download
+    const pdfBytes = await pdfDoc.save();
+    const filename = this._sanitizeFilename(this.documentName || "document");
+    this._triggerDownload(pdfBytes, filename);
+  }
+
+  /**
+   * Download the PDF exactly as stored, without watermark or annotations.
+   */
+  async downloadOriginal() {
+    const bytes = await this._fetchDocument();
+    this._triggerDownload(bytes, this._sanitizeFilename(this.documentName || "document"));
+  }
+
+  // Fetch the original PDF using Rails request.js for consistent CSRF handling
+  async _fetchDocument() {
+    const request = new FetchRequest("get", this.documentUrl, { responseKind: "blob" });
+    const response = await request.perform();
+    return response.response.arrayBuffer()
+  }
+
+  /**
+   * Download annotations as an .xfdf file named after the document.
+   * @param {string} xml - XFDF document (see AnnotationManager.exportXFDF)
+   */
+  downloadXFDF(xml) {
+    const filename = this._sanitizeFilename((this.documentName || "document").replace(/\.pdf$/i, ""), ".xfdf");
+    this._triggerDownload(xml, filename, "application/vnd.adobe.xfdf");
+  }
+
+  // Draw the watermark layout (see Watermark.layout) as page content. The
+  // layout is top-left and centered on each mark; pdf-lib rotates text and
+  // images about their bottom-left corner, so each origin is moved back
+  // from the center along the turned axes.
+  async _applyWatermarkToPage(pdfDoc, page, font, width, height) {
+    if (!this.watermark) return
+
+    const imageSize = this.watermark.image
+      ? { width: this.watermark.image.naturalWidth, height: this.watermark.image.naturalHeight }
+      : null;
+    const marks = this.watermark.layout(width, height, {
+      measureText: (text, size) => font.widthOfTextAtSize(this._encodableText(text, font), size),
+      imageSize
+    });
+
+    for (const mark of marks) {
+      const radians = mark.angle * Math.PI / 180;
+      const cos = Math.cos(radians);
+      const sin = Math.sin(radians);
+      const origin = (dx, dy) => ({
+        x: mark.x + dx * cos - dy * sin,
+        y: height - mark.y + dx * sin + dy * cos
+      });
+
+      if (mark.type === "image") {
+        const image = await this._embedWatermarkImage(pdfDoc);
+        if (!image) continue
+
+        page.drawImage(image, {
+          ...origin(-mark.width / 2, -mark.height / 2),
+          width: mark.width,
+          height: mark.height,
+          rotate: degrees(mark.angle),
+          opacity: mark.opacity
+        });
+      } else {
+        const text = this._encodableText(mark.text, font);
+        const rgba = this._parseColor(mark.color);
+        // Baseline sits about a third of the size below the middle
+        page.drawText(text, {
+          ...origin(-font.widthOfTextAtSize(text, mark.fontSize) / 2, -mark.fontSize * 0.35),
+          size: mark.fontSize,
+          font: font,
+          color: rgb(rgba.r, rgba.g, rgba.b),
+          opacity: mark.opacity,
+          rotate: degrees(mark.angle)
+        });
+      }
+    }
+  }
+
+  // The logo is embedded once per download and shared by every page
+  async _embedWatermarkImage(pdfDoc) {
+    if (this._watermarkImage === undefined) {
+      const dataUrl = this.watermark.imageDataUrl();
+      this._watermarkImage = dataUrl ? await pdfDoc.embedPng(dataUrl) : null;
+    }
+    return this._watermarkImage
+  }
+
+  async _applyAnnotationsToPage(pdfDoc, page, annotations, pageHeight, font) {
+    for (const annotation of annotations) {
+      switch (annotation.annotation_type) {
+        case "highlight":
+          this._applyHighlight(pdfDoc, page, annotation, pageHeight);
+          break
+        case "line":
+          this._applyTextMarkup(pdfDoc, page, annotation, pageHeight, "Underline");
+          break
+        case "strikeout":
+          this._applyTextMarkup(pdfDoc, page, annotation, pageHeight, "StrikeOut");
+          break
+        case "squiggly":
+          this._applyTextMarkup(pdfDoc, page, annotation, pageHeight, "Squiggly");
+          break
+        case "ink":
+          this._applyInk(pdfDoc, page, annotation, pageHeight);
+          break
+        case "note":
+          this._applyNote(pdfDoc, page, annotation, pageHeight);
+          break
+        case "free_text":
+          this._applyFreeText(pdfDoc, page, annotation, pageHeight, font);
+          break
+        case "stamp":
+          await this._applyStamp(pdfDoc, page, annotation, pageHeight);
+          break
+        case "square":
+        case "circle":
+          this._applySquareOrCircle(pdfDoc, page, annotation, pageHeight);
+          break
+        case "straight_line":
+          this._applyLine(pdfDoc, page, annotation, pageHeight);
+          break
+      }
+    }
+  }
+
+  _applyHighlight(pdfDoc, page, annotation, pageHeight) {
+    const { quads, color } = annotation;
+    if (!quads || quads.length === 0) return
+
+    const rgba = this._parseColor(color);
+
+    // Build QuadPoints array - PDF format is [x1,y1,x2,y2,x3,y3,x4,y4] for each quad
+    // Order: bottom-left, bottom-right, top-right, top-left (counter-clockwise from bottom-left)
+    const quadPoints = [];
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+
+    for (const quad of quads) {
+      // Convert from top-left origin to bottom-left
+      const points = [
+        quad.p3.x, pageHeight - quad.p3.y, // bottom-left
+        quad.p4.x, pageHeight - quad.p4.y, // bottom-right
+        quad.p2.x, pageHeight - quad.p2.y, // top-right
+        quad.p1.x, pageHeight - quad.p1.y, // top-left
+      ];
+      quadPoints.push(...points);
+
+      // Track bounding box for Rect
+      for (let i = 0; i < points.length; i += 2) {
+        minX = Math.min(minX, points[i]);
+        maxX = Math.max(maxX, points[i]);
+        minY = Math.min(minY, points[i + 1]);
+        maxY = Math.max(maxY, points[i + 1]);
+      }
+    }
+
+    // Appearance: the quads filled with multiply blending, as on screen
+    let streamContent = `/GS1 gs ${rgba.r} ${rgba.g} ${rgba.b} rg `;
+    for (let i = 0; i < quadPoints.length; i += 8) {
+      const corners = [];
+      for (let j = i; j < i + 8; j += 2) {
+        corners.push(`${(quadPoints[j] - minX).toFixed(2)} ${(quadPoints[j + 1] - minY).toFixed(2)}`);
+      }
+      streamContent += `${corners[0]} m ${corners[1]} l ${corners[2]} l ${corners[3]} l h f `;
+    }
+
+    const appearance = pdfDoc.context.register(pdfDoc.context.stream(streamContent, {
+      Type: PDFName.of("XObject"),
+      Subtype: PDFName.of("Form"),
+      FormType: 1,
+      BBox: [0, 0, maxX - minX, maxY - minY],
+      Resources: { ExtGState: { GS1: this._getExtGState(pdfDoc, { opacity: 0.4 }) } },
+    }));
+
+    const annotationDict = pdfDoc.context.obj({
+      Type: PDFName.of("Annot"),
+      Subtype: PDFName.of("Highlight"),
+      Rect: [minX, minY, maxX, maxY],
+      QuadPoints: quadPoints,
+      C: [rgba.r, rgba.g, rgba.b],
+      CA: 0.4,
+      F: 4,
+      AP: { N: appearance },
+      ...this._getAnnotationMetadata(annotation),
+    });
+
+    this._addAnnotationToPage(pdfDoc, page, annotationDict);
+  }
+
+  // Underline, StrikeOut and Squiggly share the quad layout. The appearance
+  // draws the same lines as the viewer and print (textMarkupLineY).
+  _applyTextMarkup(pdfDoc, page, annotation, pageHeight, subtype) {
+    const { quads, color } = annotation;
+    if (!quads || quads.length === 0) return
+
+    const rgba = this._parseColor(color);
+    const type = annotation.annotation_type;
+
+    // Build QuadPoints array - same format as highlight
+    const quadPoints = [];
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+
+    for (const quad of quads) {
+      const points = [
+        quad.p3.x, pageHeight - quad.p3.y,
+        quad.p4.x, pageHeight - quad.p4.y,
+        quad.p2.x, pageHeight - quad.p2.y,
+        quad.p1.x, pageHeight - quad.p1.y,
+      ];
+      quadPoints.push(...points);
+
+      for (let i = 0; i < points.length; i += 2) {
+        minX = Math.min(minX, points[i]);
+        maxX = Math.max(maxX, points[i]);
+        minY = Math.min(minY, points[i + 1]);
+        maxY = Math.max(maxY, points[i + 1]);
+      }
+    }
+
+    // Lines sit just below the quads; leave room for them and the squiggle
+    const padding = SQUIGGLY_AMPLITUDE + textMarkupThickness(type) + 1;
+    minX -= padding;
+    minY -= padding;
+    maxX += padding;
+    maxY += padding;
+
+    // Appearance stream coordinates are relative to (minX, minY)
+    const point = (p) => `${(p.x - minX).toFixed(2)} ${(pageHeight - p.y - minY).toFixed(2)}`;
+    let streamContent = `${textMarkupThickness(type)} w 1 J 1 j ${rgba.r} ${rgba.g} ${rgba.b} RG `;
+    for (const quad of quads) {
+      const y = textMarkupLineY(quad, type);
+      const points = type === "squiggly"
+        ? squigglyPoints(quad.p3.x, quad.p4.x, y)
+        : [{ x: quad.p3.x, y }, { x: quad.p4.x, y }];
+      streamContent += `${point(points[0])} m `;
+      streamContent += points.slice(1).map(p => `${point(p)} l `).join("");
+      streamContent += "S ";
+    }
+
+    const appearance = pdfDoc.context.register(pdfDoc.context.stream(streamContent, {
+      Type: PDFName.of("XObject"),
+      Subtype: PDFName.of("Form"),
+      FormType: 1,
+      BBox: [0, 0, maxX - minX, maxY - minY],
+    }));
+
+    const annotationDict = pdfDoc.context.obj({
+      Type: PDFName.of("Annot"),
+      Subtype: PDFName.of(subtype),
+      Rect: [minX, minY, maxX, maxY],
+      QuadPoints: quadPoints,
+      C: [rgba.r, rgba.g, rgba.b],
+      F: 4,
+      AP: { N: appearance },
+      ...this._getAnnotationMetadata(annotation),
+    });
+
+    this._addAnnotationToPage(pdfDoc, page, annotationDict);
+  }
+
+  _applyInk(pdfDoc, page, annotation, pageHeight) {
+    // Freehand highlights need different rendering (thick, semi-transparent strokes)
+    if (annotation.subject === "Free Highlight") {
+      this._applyFreehandHighlight(pdfDoc, page, annotation, pageHeight);
+      return
+    }
+
+    const { ink_strokes, color } = annotation;
+    if (!ink_strokes || ink_strokes.length === 0) return
+
+    const rgba = this._parseColor(color);
+    const strokeWidth = 2;
+
+    // Build InkList and track bounding box
+    const inkList = [];
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+
+    for (const stroke of ink_strokes) {
+      const points = stroke.points || [];
+      if (points.length < 2) continue
+
+      const pathPoints = [];
+      for (const point of points) {
+        const pdfX = point.x;
+        const pdfY = pageHeight - point.y;
+        pathPoints.push(pdfX, pdfY);
+
+        minX = Math.min(minX, pdfX);
+        maxX = Math.max(maxX, pdfX);
+        minY = Math.min(minY, pdfY);
+        maxY = Math.max(maxY, pdfY);
+      }
+      inkList.push(pathPoints);
+    }
+
+    if (inkList.length === 0) return
+
+    // Add padding to bounding box for stroke width
+    const padding = strokeWidth + 2;
+    minX -= padding;
+    minY -= padding;
+    maxX += padding;
+    maxY += padding;
+
+    // Build appearance stream content (PDF drawing commands)
+    // Coordinates in appearance stream are relative to the BBox origin
+    let streamContent = `${strokeWidth} w 1 J 1 j `; // width, round line cap, round line join
+    streamContent += `${rgba.r} ${rgba.g} ${rgba.b} RG `; // stroke color
+
+    for (const pathPoints of inkList) {
+      for (let i = 0; i < pathPoints.length; i += 2) {
+        // Translate to appearance stream coordinates (relative to minX, minY)
+        const x = pathPoints[i] - minX;
+        const y = pathPoints[i + 1] - minY;
+        if (i === 0) {
+          streamContent += `${x.toFixed(2)} ${y.toFixed(2)} m `; // moveto
+        } else {
+          streamContent += `${x.toFixed(2)} ${y.toFixed(2)} l `; // lineto
+        }
+      }
+      streamContent += "S "; // stroke
+    }
+
+    // Create the appearance stream (Form XObject)
+    const appearanceStream = pdfDoc.context.stream(streamContent, {
+      Type: PDFName.of("XObject"),
+      Subtype: PDFName.of("Form"),
+      FormType: 1,
+      BBox: [0, 0, maxX - minX, maxY - minY],
+    });
+    const appearanceRef = pdfDoc.context.register(appearanceStream);
+
+    const annotationDict = pdfDoc.context.obj({
+      Type: PDFName.of("Annot"),
+      Subtype: PDFName.of("Ink"),
+      Rect: [minX, minY, maxX, maxY],
+      InkList: inkList,
+      C: [rgba.r, rgba.g, rgba.b],
+      BS: { W: strokeWidth, LC: 1 },
+      F: 4,
+      AP: { N: appearanceRef },
+      ...this._getAnnotationMetadata(annotation),
+    });
+
+    this._addAnnotationToPage(pdfDoc, page, annotationDict);
+  }
+
+  _applyFreehandHighlight(pdfDoc, page, annotation, pageHeight) {
+    const { ink_strokes, color } = annotation;
+    if (!ink_strokes || ink_strokes.length === 0) return
+
+    const rgba = this._parseColor(color);
+    const strokeWidth = annotation.thickness || 24;
+    const opacity = annotation.opacity || 0.2;
+
+    // Build path and track bounding box
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    const paths = [];
+
+    for (const stroke of ink_strokes) {
+      const points = stroke.points || [];
+      if (points.length < 2) continue
+
+      const pathPoints = [];
+      for (const point of points) {
+        const pdfX = point.x;
+        const pdfY = pageHeight - point.y;
+        pathPoints.push({ x: pdfX, y: pdfY });
+
+        minX = Math.min(minX, pdfX);
+        maxX = Math.max(maxX, pdfX);
+        minY = Math.min(minY, pdfY);
+        maxY = Math.max(maxY, pdfY);
+      }
+      paths.push(pathPoints);
+    }
+
+    if (paths.length === 0) return
+
+    // Add padding for stroke width
+    const padding = strokeWidth / 2 + 2;
+    minX -= padding;
+    minY -= padding;
+    maxX += padding;
+    maxY += padding;
+
+    // Build appearance stream with transparency
+    // Use graphics state for opacity
+    let streamContent = `/GS1 gs `; // Use graphics state with opacity
+    streamContent += `${strokeWidth} w 1 J 1 j `; // width, round line cap, round line join
+    streamContent += `${rgba.r} ${rgba.g} ${rgba.b} RG `; // stroke color
+
+    for (const pathPoints of paths) {
+      for (let i = 0; i < pathPoints.length; i++) {
+        const x = (pathPoints[i].x - minX).toFixed(2);
+        const y = (pathPoints[i].y - minY).toFixed(2);
+        if (i === 0) {
+          streamContent += `${x} ${y} m `; // moveto
+        } else {
+          streamContent += `${x} ${y} l `; // lineto
+        }
+      }
+      streamContent += "S "; // stroke
+    }
+
+    // Get cached graphics state for transparency and blend mode
+    const gsRef = this._getExtGState(pdfDoc, { opacity });
+
+    // Create resources dictionary with the graphics state
+    const resourcesDict = pdfDoc.context.obj({
+      ExtGState: { GS1: gsRef },
+    });
+
+    // Create the appearance stream
+    const appearanceStream = pdfDoc.context.stream(streamContent, {
+      Type: PDFName.of("XObject"),
+      Subtype: PDFName.of("Form"),
+      FormType: 1,
+      BBox: [0, 0, maxX - minX, maxY - minY],
+      Resources: resourcesDict,
+    });
+    const appearanceRef = pdfDoc.context.register(appearanceStream);
+
+    // Build InkList for the annotation structure
+    const inkList = paths.map(pathPoints =>
+      pathPoints.flatMap(p => [p.x, p.y])
+    );
+
+    const annotationDict = pdfDoc.context.obj({
+      Type: PDFName.of("Annot"),
+      Subtype: PDFName.of("Ink"),
+      Rect: [minX, minY, maxX, maxY],
+      InkList: inkList,
+      C: [rgba.r, rgba.g, rgba.b],
+      CA: opacity,
+      BS: { W: strokeWidth, LC: 1 },
+      F: 4,
+      AP: { N: appearanceRef },
+      ...this._getAnnotationMetadata(annotation),
+    });
+
+    this._addAnnotationToPage(pdfDoc, page, annotationDict);
+  }
+
+  _applyNote(pdfDoc, page, annotation, pageHeight) {
+    const { rect, contents, color } = annotation;
+    if (!rect || !contents) return
+
+    const rgba = this._parseColor(color);
+    const [x, y] = rect;
+    // Convert from top-left origin to bottom-left (PDF uses bottom-left)
+    const pdfY = pageHeight - y;
+    const iconSize = 24;
+
+    // Flattened, a note is just its icon, drawn as on screen and in print
+    if (this._flatten) {
+      page.drawSvgPath(NOTE_ICON_PATH, {
+        x,
+        y: pdfY,
+        color: rgb(rgba.r, rgba.g, rgba.b),
+        borderColor: rgb(0, 0, 0),
+        borderWidth: 1
+      });
+      return
+    }
+
+    const annotationDict = pdfDoc.context.obj({
+      Type: PDFName.of("Annot"),
+      Subtype: PDFName.of("Text"),
+      Rect: [x, pdfY - iconSize, x + iconSize, pdfY],
+      Contents: PDFString.of(contents),
+      C: [rgba.r, rgba.g, rgba.b],
+      Name: PDFName.of("Comment"),
+      Open: false,
+      F: 4,
+      ...this._getAnnotationMetadata(annotation),
+    });
+
+    this._addAnnotationToPage(pdfDoc, page, annotationDict);
+  }
+
+  _applyFreeText(pdfDoc, page, annotation, pageHeight, font) {
+    const { rect, contents } = annotation;
+    if (!rect || !contents) return
+
+    const [x, y, width, height] = rect;
+    const fontSize = annotation.font_size || FREE_TEXT_DEFAULT_FONT_SIZE;
+    const rgba = this._parseColor(annotation.color || FREE_TEXT_DEFAULT_COLOR);
+    const color = `${rgba.r} ${rgba.g} ${rgba.b} rg`;
+
+    // Wrap the same way the box does on screen
+    const lines = wrapTextLines(
+      this._encodableText(contents, font),
+      width - FREE_TEXT_PADDING * 2,
+      (text) => font.widthOfTextAtSize(text, fontSize)
+    );
+
+    // Appearance stream coordinates are relative to the box's bottom-left,
+    // clipped to the box like the on-screen text
+    let streamContent = `0 0 ${width.toFixed(2)} ${height.toFixed(2)} re W n BT /Helv ${fontSize} Tf ${color} `;
+    lines.forEach((line, i) => {
+      if (!line) return
+      const baseline = height - freeTextBaselineOffset(fontSize, i);
+      streamContent += `1 0 0 1 ${FREE_TEXT_PADDING} ${baseline.toFixed(2)} Tm ${font.encodeText(line).toString()} Tj `;
+    });
+    streamContent += "ET";
+
+    const appearance = pdfDoc.context.register(pdfDoc.context.stream(streamContent, {
+      Type: PDFName.of("XObject"),
+      Subtype: PDFName.of("Form"),
+      FormType: 1,
+      BBox: [0, 0, width, height],
+      Resources: { Font: { Helv: font.ref } },
+    }));
+
+    // Convert from top-left origin to bottom-left
+    const annotationDict = pdfDoc.context.obj({
+      Type: PDFName.of("Annot"),
+      Subtype: PDFName.of("FreeText"),
+      IT: PDFName.of("FreeTextTypeWriter"),
+      Rect: [x, pageHeight - (y + height), x + width, pageHeight - y],
+      Contents: PDFString.of(contents),
+      DA: PDFString.of(`/Helv ${fontSize} Tf ${color}`),
+      BS: { W: 0 },
+      F: 4,
+      AP: { N: appearance },
+      ...this._getAnnotationMetadata(annotation),
+    });
+
+    this._addAnnotationToPage(pdfDoc, page, annotationDict);
+  }
+
+  async _applyStamp(pdfDoc, page, annotation, pageHeight) {
+    const { rect, image_data: imageData } = annotation;
+    if (!rect || !isSafeImageData(imageData)) return
+
+    // The same signature is often stamped on many pages; embed it once
+    let image = this._stampImageCache.get(imageData);
+    if (image === undefined) {
+      image = await this._embedStampImage(pdfDoc, imageData);
+      this._stampImageCache.set(imageData, image);
+    }
+    if (!image) return
+
+    const [x, y, width, height] = rect;
+    const appearance = pdfDoc.context.register(pdfDoc.context.stream(
+      `q ${width.toFixed(2)} 0 0 ${height.toFixed(2)} 0 0 cm /Im1 Do Q`,
+      {
+        Type: PDFName.of("XObject"),
+        Subtype: PDFName.of("Form"),
+        FormType: 1,
+        BBox: [0, 0, width, height],
+        Resources: { XObject: { Im1: image.ref } },
+      }
+    ));
+
+    // Convert from top-left origin to bottom-left
+    const annotationDict = pdfDoc.context.obj({
+      Type: PDFName.of("Annot"),
+      Subtype: PDFName.of("Stamp"),
+      Rect: [x, pageHeight - (y + height), x + width, pageHeight - y],
+      ...(PDF_STAMP_NAMES[annotation.subject] ? { Name: PDFName.of(PDF_STAMP_NAMES[annotation.subject]) } : {}),
+      Contents: PDFString.of(annotation.contents || annotation.subject || "Stamp"),
+      F: 4,
+      AP: { N: appearance },
+      ...this._getAnnotationMetadata(annotation),
+    });
+
+    this._addAnnotationToPage(pdfDoc, page, annotationDict);
+  }
+
+  // pdf-lib embeds PNG and JPEG; GIF and WebP go through a canvas. An image
+  // that can't be embedded is left out (null) rather than failing the download.
+  async _embedStampImage(pdfDoc, imageData) {
+    try {
+      const format = imageData.slice("data:image/".length, imageData.indexOf(";")).toLowerCase();
+      if (format === "png") return await pdfDoc.embedPng(imageData)
+      if (format === "jpeg") return await pdfDoc.embedJpg(imageData)
+      return await pdfDoc.embedPng(await imageDataToPng(imageData))
+    } catch (error) {
+      console.warn("Skipping stamp image that could not be embedded:", error);
+      return null
+    }
+  }
+
+  // Standard fonts only cover WinAnsi; replace anything else so encoding can't fail
+  _encodableText(text, font) {
+    const supported = new Set(font.getCharacterSet());
+    return Array.from(text.replace(/\r\n?/g, "\n"))
+      .map(char => (char === "\n" || supported.has(char.codePointAt(0))) ? char : "?")
+      .join("")
+  }
+
+  _applySquareOrCircle(pdfDoc, page, annotation, pageHeight) {
+    if (!annotation.rect) return
+
+    const { rgba, opacity, thickness } = this._getShapeStyle(annotation);
+    const [x, y, width, height] = annotation.rect;
+    if (width <= 0 || height <= 0) return
+
+    // The border is drawn inside Rect, so grow it by half the stroke to keep
+    // the stroke centered on the drawn outline
+    const half = thickness / 2;
+    const minX = x - half;
+    const minY = pageHeight - (y + height) - half;
+    const maxX = x + width + half;
+    const maxY = pageHeight - y + half;
+
+    let streamContent = `${thickness} w ${rgba.r} ${rgba.g} ${rgba.b} RG `;
+    if (annotation.annotation_type === "circle") {
+      streamContent += this._ellipsePath(half + width / 2, half + height / 2, width / 2, height / 2);
+    } else {
+      streamContent += `${half.toFixed(2)} ${half.toFixed(2)} ${width.toFixed(2)} ${height.toFixed(2)} re `;
+    }
+    streamContent += "S";
+
+    const annotationDict = pdfDoc.context.obj({
+      Type: PDFName.of("Annot"),
+      Subtype: PDFName.of(annotation.annotation_type === "circle" ? "Circle" : "Square"),
+      Rect: [minX, minY, maxX, maxY],
+      C: [rgba.r, rgba.g, rgba.b],
+      CA: opacity,
+      BS: { W: thickness },
+      RD: [half, half, half, half],
+      F: 4,
+      AP: { N: this._createShapeAppearance(pdfDoc, streamContent, maxX - minX, maxY - minY, opacity) },
+      ...(annotation.contents ? { Contents: PDFString.of(annotation.contents) } : {}),
+      ...this._getAnnotationMetadata(annotation),
+    });
+
+    this._addAnnotationToPage(pdfDoc, page, annotationDict);
+  }
+
+  _applyLine(pdfDoc, page, annotation, pageHeight) {
+    const [start, end] = annotation.line_points || [];
+    if (!start || !end) return
+
+    const { rgba, opacity, thickness } = this._getShapeStyle(annotation);
+
+    // Convert from top-left origin to bottom-left
+    const from = { x: start.x, y: pageHeight - start.y };
+    const to = { x: end.x, y: pageHeight - end.y };
+    const points = [from, to];
+    if (annotation.arrow) {
+      points.push(...arrowheadPoints(from, to, thickness));
+    }
+
+    const padding = thickness + 2;
+    const minX = Math.min(...points.map(p => p.x)) - padding;
+    const minY = Math.min(...points.map(p => p.y)) - padding;
+    const maxX = Math.max(...points.map(p => p.x)) + padding;
+    const maxY = Math.max(...points.map(p => p.y)) + padding;
+
+    // Appearance stream coordinates are relative to (minX, minY)
+    const point = (p) => `${(p.x - minX).toFixed(2)} ${(p.y - minY).toFixed(2)}`;
+    let streamContent = `${thickness} w 1 J 1 j ${rgba.r} ${rgba.g} ${rgba.b} RG `;
+    streamContent += `${point(from)} m ${point(to)} l S `;
+    if (annotation.arrow) {
+      const [left, right] = points.slice(2);
+      streamContent += `${point(left)} m ${point(to)} l ${point(right)} l S`;
+    }
+
+    const annotationDict = pdfDoc.context.obj({
+      Type: PDFName.of("Annot"),
+      Subtype: PDFName.of("Line"),
+      Rect: [minX, minY, maxX, maxY],
+      L: [from.x, from.y, to.x, to.y],
+      LE: [PDFName.of("None"), PDFName.of(annotation.arrow ? "OpenArrow" : "None")],
+      C: [rgba.r, rgba.g, rgba.b],
+      CA: opacity,
+      BS: { W: thickness },
+      F: 4,
+      AP: { N: this._createShapeAppearance(pdfDoc, streamContent, maxX - minX, maxY - minY, opacity) },
+      ...(annotation.contents ? { Contents: PDFString.of(annotation.contents) } : {}),
+      ...this._getAnnotationMetadata(annotation),
+    });
+
+    this._addAnnotationToPage(pdfDoc, page, annotationDict);
+  }
+
+  // Color, opacity and stroke width of a shape annotation
+  _getShapeStyle(annotation) {
+    const rgba = this._parseColor(annotation.color);
+    const hasAlpha = annotation.color?.length === 9;
+    return {
+      rgba,
+      opacity: hasAlpha ? rgba.a : (annotation.opacity || 1),
+      thickness: annotation.thickness || StrokePicker.DEFAULT_THICKNESS
+    }
+  }
+
+  // Form XObject for a shape; opaque shapes skip the graphics state
+  _createShapeAppearance(pdfDoc, streamContent, width, height, opacity) {
+    const dict = {
+      Type: PDFName.of("XObject"),
+      Subtype: PDFName.of("Form"),
+      FormType: 1,
+      BBox: [0, 0, width, height],
+    };
+
+    if (opacity < 1) {
+      const gsRef = this._getExtGState(pdfDoc, { opacity, blendMode: "Normal" });
+      dict.Resources = pdfDoc.context.obj({ ExtGState: { GS1: gsRef } });
+      streamContent = `/GS1 gs ${streamContent}`;
+    }
+
+    return pdfDoc.context.register(pdfDoc.context.stream(streamContent, dict))
+  }
+
+  // Ellipse as four Bezier curves (PDF path operators)
+  _ellipsePath(cx, cy, rx, ry) {
+    const k = 0.5523; // Control point offset for a quarter circle
+    const ox = rx * k;
+    const oy = ry * k;
+    const n = (v) => v.toFixed(2);
+
+    return `${n(cx + rx)} ${n(cy)} m ` +
+      `${n(cx + rx)} ${n(cy + oy)} ${n(cx + ox)} ${n(cy + ry)} ${n(cx)} ${n(cy + ry)} c ` +
+      `${n(cx - ox)} ${n(cy + ry)} ${n(cx - rx)} ${n(cy + oy)} ${n(cx - rx)} ${n(cy)} c ` +
+      `${n(cx - rx)} ${n(cy - oy)} ${n(cx - ox)} ${n(cy - ry)} ${n(cx)} ${n(cy - ry)} c ` +
+      `${n(cx + ox)} ${n(cy - ry)} ${n(cx + rx)} ${n(cy - oy)} ${n(cx + rx)} ${n(cy)} c `
+  }
+
+  _getExtGState(pdfDoc, { opacity, blendMode = "Multiply" }) {
+    const key = `${opacity}:${blendMode}`;
+    if (this._extGStateCache.has(key)) {
+      return this._extGStateCache.get(key)
+    }
+
+    const gsDict = pdfDoc.context.obj({
+      Type: PDFName.of("ExtGState"),
+      CA: opacity,
+      ca: opacity,
+      BM: PDFName.of(blendMode),
+    });
+
+    const gsRef = pdfDoc.context.register(gsDict);
+    this._extGStateCache.set(key, gsRef);
+    return gsRef
+  }
+
+  // Drop embedded annotations (and their popups) that the download replaces
+  // with its own copies. PDF.js ids are "<num>R", or "<num>R<gen>".
+  _removeEmbeddedAnnotations(pdfDoc, page, ids) {
+    const annots = page.node.lookup(PDFName.of("Annots"));
+    if (!(annots instanceof PDFArray)) return
+
+    const idOf = (ref) => ref.generationNumber === 0
+      ? `${ref.objectNumber}R`
+      : `${ref.objectNumber}R${ref.generationNumber}`;
+
+    const removed = new Set();
+    for (const ref of annots.asArray()) {
+      if (!(ref instanceof PDFRef) || !ids.has(idOf(ref))) continue
+      removed.add(idOf(ref));
+      const popup = pdfDoc.context.lookup(ref)?.get(PDFName.of("Popup"));
+      if (popup instanceof PDFRef) {
+        removed.add(idOf(popup));
+      }
+    }
+
+    for (let i = annots.size() - 1; i >= 0; i--) {
+      const ref = annots.get(i);
+      if (ref instanceof PDFRef && removed.has(idOf(ref))) {
+        annots.remove(i);
+      }
+    }
+  }
+
+  _addAnnotationToPage(pdfDoc, page, annotationDict) {
+    if (this._flatten) {
+      this._flattenAnnotation(page, annotationDict);
+      return
+    }
+
+    const annotationRef = pdfDoc.context.register(annotationDict);
+    const pageDict = page.node;
+    let annotsArray = pageDict.lookup(PDFName.of("Annots"));
+
+    if (annotsArray instanceof PDFArray) {
+      annotsArray.push(annotationRef);
+    } else {
+      const newAnnotsArray = pdfDoc.context.obj([annotationRef]);
+      pageDict.set(PDFName.of("Annots"), newAnnotsArray);
+    }
+  }
+
+  // Paint the annotation's appearance into the page content instead of
+  // adding the annotation, so no editor can select or delete it. The
+  // appearance keeps its graphics state from _getExtGState, so opacity and
+  // blend modes match the editable export.
+  _flattenAnnotation(page, annotationDict) {
+    const appearance = annotationDict.lookup(PDFName.of("AP"), PDFDict).get(PDFName.of("N"));
+    const [x, y] = annotationDict.lookup(PDFName.of("Rect"), PDFArray).asArray().map(n => n.asNumber());
+
+    // Every appearance here has its BBox at the origin, so placing it is a
+    // move to the bottom-left corner of Rect
+    const name = page.node.newXObject("Annot", appearance);
+    page.pushOperators(
+      pushGraphicsState(),
+      concatTransformationMatrix(1, 0, 0, 1, x, y),
+      drawObject(name),
+      popGraphicsState()
+    );
+  }
+
+  _setDocumentMetadata(pdfDoc) {
+    if (this.documentName) {
+      pdfDoc.setTitle(this.documentName);
+    }
+    if (this.userName) {
+      pdfDoc.setAuthor(this.userName);
+    }
+    if (this.organizationName) {
+      pdfDoc.setCreator(this.organizationName);
+    }
+    pdfDoc.setProducer(this.producer);
+    pdfDoc.setModificationDate(new Date());
+  }
+
+  _getAnnotationMetadata(annotation) {
+    const metadata = {};
+
+    // Author (T = title/author in PDF spec)
+    if (annotation.author || this.userName) {
+      metadata.T = PDFString.of(annotation.author || this.userName);
+    }
+
+    // Modification date (M) - use annotation's updated_at or created_at
+    const dateStr = annotation.updated_at || annotation.created_at;
+    if (dateStr) {
+      metadata.M = PDFString.of(formatPdfDate(new Date(dateStr)));
+    }
+
+    // Creation date
+    if (annotation.created_at) {
+      metadata.CreationDate = PDFString.of(formatPdfDate(new Date(annotation.created_at)));
+    }
+
+    return metadata
+  }
+
+  _parseColor(colorStr) {
+    if (!colorStr) {
+      return { r: 1, g: 1, b: 0, a: 1 } // Default yellow
+    }
+
+    // Handle #RRGGBB or #RRGGBBAA format
+    const hex = colorStr.replace("#", "");
+    const r = parseInt(hex.slice(0, 2), 16) / 255;
+    const g = parseInt(hex.slice(2, 4), 16) / 255;
+    const b = parseInt(hex.slice(4, 6), 16) / 255;
+    const a = hex.length === 8 ? parseInt(hex.slice(6, 8), 16) / 255 : 1;
+
+    return { r, g, b, a }
+  }
+
+  setDownloadBridge(bridge) {
+    this._downloadBridge = bridge;
+  }
+
+  _sanitizeFilename(name, extension = ".pdf") {
+    // Remove or replace characters that are problematic in filenames
+    let sanitized = name
+      .replace(/[<>:"/\\|?*]/g, "") // Remove illegal characters
+      .replace(/\s+/g, " ")          // Normalize whitespace
+      .trim();
+
+    // Ensure it ends with the extension
+    if (!sanitized.toLowerCase().endsWith(extension)) {
+      sanitized += extension;
+    }
+
+    return sanitized || `document${extension}`
+  }
+
+  _triggerDownload(bytes, filename, type = "application/pdf") {
+    const blob = new Blob([bytes], { type });
+
+    if (this._downloadBridge?.enabled) {
+      this._downloadBridge.downloadBlob(blob, filename);
+    } else {
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement("a");
+      a.href = url;
+      a.download = filename;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
+    }
+  }
+}
+
+/**
+ * PrintService - Prints the document with its watermark and annotations.
+ *
+ * Based on PDF.js pdf_print_service.js. The viewer's own pages can't be
+ * printed directly (off-screen pages are empty placeholders), so every page
+ * is rendered to a canvas at print resolution, the watermark and annotations
+ * are drawn on top, and the images are printed from a hidden iframe whose
+ * @page size matches the document.
+ *
+ * Pages print in their own orientation; the viewer's on-screen rotation is
+ * ignored, as it is for downloads.
+ */
+
+const PRINT_DPI = 150;
+const PRINT_UNITS = PRINT_DPI / 72;
+
+// How long to wait for afterprint once print() has returned before
+// on-screen rendering resumes
+const PRINT_DIALOG_TIMEOUT = 5000;
+
+// Note icon outline (24x24 viewBox), shared with the on-screen note element
+const NOTE_ICON_PATH = "M20 2H4c-1.1 0-2 .9-2 2v18l4-4h14c1.1 0 2-.9 2-2V4c0-1.1-.9-2-2-2z";
+
+class PrintService {
+  constructor({ viewer, watermark, annotationManager, documentName }) {
+    this.viewer = viewer;
+    this.watermark = watermark;
+    this.annotationManager = annotationManager;
+    this.documentName = documentName;
+
+    this._abortController = null;
+    this._renderTask = null;
+    this._iframe = null;
+    this._pageUrls = [];
+    this._frameListeners = null;
+  }
+
+  /**
+   * Whether a print job is currently running.
+   * @returns {boolean}
+   */
+  get isPrinting() {
+    return this._abortController !== null
+  }
+
+  /**
+   * Render every page and open the browser's print dialog.
+   * @param {Object} options
+   * @param {Function} options.onProgress - Called with { pageNumber, pageCount } after each page
+   * @returns {Promise<boolean>} true if the print dialog was shown, false if cancelled
+   */
+  async print({ onProgress } = {}) {
+    const pdfDocument = this.viewer.pdfDocument;
+    if (!pdfDocument) {
+      throw new Error("No document loaded")
+    }
+    if (this.isPrinting) {
+      throw new Error("A print job is already in progress")
+    }
+
+    // A dialog the previous job left open has been dismissed by now
+    this._removeIframe();
+
+    const abortController = new AbortController();
+    const { signal } = abortController;
+    this._abortController = abortController;
+    const pages = [];
+    let dialogOpen = false;
+
+    // Leave the CPU to the print render; on-screen rendering resumes after
+    this.viewer.setPrinting(true);
+
+    try {
+      const pageCount = pdfDocument.numPages;
+      for (let pageNumber = 1; pageNumber <= pageCount; pageNumber++) {
+        const page = await this._renderPage(pdfDocument, pageNumber);
+        pages.push(page);
+        this._pageUrls.push(page.url);
+        if (signal.aborted) return false
+        onProgress?.({ pageNumber, pageCount });
+      }
+
+      dialogOpen = !await this._printPages(pages, signal);
+      return !signal.aborted
+    } catch (error) {
+      // Cancelling aborts the in-flight PDF.js render task
+      if (signal.aborted) return false
+      throw error
+    } finally {
+      this.viewer.setPrinting(false);
+      this._renderTask = null;
+      // The images must outlive a dialog that is still open
+      if (!dialogOpen) {
+        this._removeIframe();
+      }
+      this._abortController = null;
+    }
+  }
+
+  /**
+   * Cancel the running print job, if any.
+   */
+  cancel() {
+    if (!this._abortController) return
+
+    this._abortController.abort();
+    this._renderTask?.cancel();
+  }
+
+  /**
+   * Render one page, with watermark and annotations, to a PNG object URL.
+   * @returns {Promise<{url: string, width: number, height: number}>} size in PDF points
+   */
+  async _renderPage(pdfDocument, pageNumber) {
+    const page = await pdfDocument.getPage(pageNumber);
+
+    // Annotations are stored in this space: the page's own /Rotate, no viewer rotation
+    const pageViewport = page.getViewport({ scale: 1 });
+    const area = pageViewport.width * pageViewport.height;
+    const scale = Math.min(PRINT_UNITS, Math.sqrt(MAX_CANVAS_PIXELS / area));
+    const viewport = page.getViewport({ scale });
+
+    const canvas = document.createElement("canvas");
+    canvas.width = Math.floor(viewport.width);
+    canvas.height = Math.floor(viewport.height);
+    const ctx = canvas.getContext("2d");
+
+    // Transparent pixels print black in some browsers
+    ctx.fillStyle = "white";
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    this._renderTask = page.render({
+      canvasContext: ctx,
+      viewport,
+      intent: "print",
+      annotationMode: pdfjsLib.AnnotationMode.ENABLE_STORAGE
+    });
+    await this._renderTask.promise;
+    this._renderTask = null;
+
+    this.watermark.applyToPage(canvas, scale);
+
+    const annotations = this.annotationManager.getAnnotationsForPage(pageNumber);
+    await this._loadStampImages(annotations);
+
+    ctx.save();
+    ctx.scale(scale, scale);
+    this._drawAnnotations(ctx, annotations);
+    ctx.restore();
+
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, "image/png"));
+
+    // Free the canvas backing store right away; long documents add up
+    canvas.width = 0;
+    canvas.height = 0;
+    page.cleanup();
+
+    if (!blob) {
+      throw new Error(`Failed to render page ${pageNumber} for printing`)
+    }
+
+    return {
+      url: URL.createObjectURL(blob),
+      width: pageViewport.width,
+      height: pageViewport.height
+    }
+  }
+
+  // ===== Annotation Drawing =====
+  // Mirrors the on-screen SVG/canvas rendering in PdfViewer, in PDF units
+  // with a top-left origin.
+
+  _drawAnnotations(ctx, annotations) {
+    for (const annotation of annotations) {
+      switch (annotation.annotation_type) {
+        case "highlight":
+          this._drawHighlight(ctx, annotation);
+          break
+        case "line":
+        case "strikeout":
+        case "squiggly":
+          this._drawTextMarkup(ctx, annotation);
+          break
+        case "ink":
+          this._drawInk(ctx, annotation);
+          break
+        case "note":
+          this._drawNote(ctx, annotation);
+          break
+        case "free_text":
+          this._drawFreeText(ctx, annotation);
+          break
+        case "stamp":
+          this._drawStamp(ctx, annotation);
+          break
+        case "square":
+        case "circle":
+        case "straight_line":
+          this._drawShape(ctx, annotation);
+          break
+      }
+    }
+  }
+
+  _drawHighlight(ctx, annotation) {
+    if (!annotation.quads || annotation.quads.length === 0) return
+
+    const { color, opacity } = this._parseColor(annotation, ColorPicker.DEFAULT_HIGHLIGHT_COLOR, 0.4);
+
+    ctx.save();
+    ctx.globalCompositeOperation = "multiply";
+    ctx.globalAlpha = opacity;
+    ctx.fillStyle = color;
+    for (const quad of annotation.quads) {
+      const x = Math.min(quad.p1.x, quad.p3.x);
+      const y = Math.min(quad.p1.y, quad.p2.y);
+      ctx.fillRect(x, y, Math.abs(quad.p2.x - quad.p1.x), Math.abs(quad.p3.y - quad.p1.y));
+    }
+    ctx.restore();
+  }
+
+  // Underline, strikeout or squiggly
+  _drawTextMarkup(ctx, annotation) {
+    if (!annotation.quads || annotation.quads.length === 0) return
+
+    const type = annotation.annotation_type;
+    const { color } = this._parseColor(annotation, "#FF0000", 1);
+
+    ctx.save();
+    ctx.strokeStyle = color;
+    ctx.lineWidth = textMarkupThickness(type);
+    ctx.lineCap = "round";
+    ctx.lineJoin = "round";
+    ctx.beginPath();
+    for (const quad of annotation.quads) {
+      const y = textMarkupLineY(quad, type);
+      const points = type === "squiggly"
+        ? squigglyPoints(quad.p3.x, quad.p4.x, y)
+        : [{ x: quad.p3.x, y }, { x: quad.p4.x, y }];
+      ctx.moveTo(points[0].x, points[0].y);
+      for (let i = 1; i < points.length; i++) {
+        ctx.lineTo(points[i].x, points[i].y);
+      }
+    }
+    ctx.stroke();
+    ctx.restore();
+  }
+
+  _drawInk(ctx, annotation) {
+    const strokes = annotation.ink_strokes || [];
+    if (strokes.length === 0) return
+
+    const isFreeHighlight = annotation.subject === "Free Highlight";
+    const { color, opacity } = isFreeHighlight
+      ? this._parseColor(annotation, ColorPicker.DEFAULT_HIGHLIGHT_COLOR, 0.4)
+      : this._parseColor(annotation, ColorPicker.DEFAULT_INK_COLOR, 1);
+
+    ctx.save();
+    if (isFreeHighlight) {
+      ctx.globalCompositeOperation = "multiply";
+    }
+    ctx.globalAlpha = opacity;
+    ctx.strokeStyle = color;
+    ctx.lineWidth = annotation.thickness || (isFreeHighlight ? 12 : 2);
+    ctx.lineCap = "round";
+    ctx.lineJoin = "round";
+
+    for (const stroke of strokes) {
+      const points = stroke.points || [];
+      if (points.length < 2) continue
+
+      ctx.beginPath();
+      ctx.moveTo(points[0].x, points[0].y);
+      for (let i = 1; i < points.length; i++) {
+        ctx.lineTo(points[i].x, points[i].y);
+      }
+      ctx.stroke();
+    }
+    ctx.restore();
+  }
+
+  _drawNote(ctx, annotation) {
+    if (!annotation.rect) return
+
+    // Note icon is 24x24 PDF units, drawn from the same path as on screen
+    ctx.save();
+    ctx.translate(annotation.rect[0], annotation.rect[1]);
+    const icon = new Path2D(NOTE_ICON_PATH);
+    ctx.fillStyle = sanitizeColor(annotation.color, ColorPicker.DEFAULT_HIGHLIGHT_COLOR);
+    ctx.strokeStyle = "#000";
+    ctx.lineWidth = 1;
+    ctx.fill(icon);
+    ctx.stroke(icon);
+    ctx.restore();
+  }
+
+  _drawFreeText(ctx, annotation) {
+    if (!annotation.rect || !annotation.contents) return
+
+    const [x, y, width, height] = annotation.rect;
+    const fontSize = annotation.font_size || FREE_TEXT_DEFAULT_FONT_SIZE;
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(x, y, width, height);
+    ctx.clip();
+    ctx.font = `${fontSize}px Helvetica, Arial, sans-serif`;
+    ctx.fillStyle = sanitizeColor(annotation.color, FREE_TEXT_DEFAULT_COLOR);
+    ctx.textBaseline = "alphabetic";
+
+    const lines = wrapTextLines(annotation.contents, width - FREE_TEXT_PADDING * 2, (text) => ctx.measureText(text).width);
+    lines.forEach((line, i) => {
+      ctx.fillText(line, x + FREE_TEXT_PADDING, y + freeTextBaselineOffset(fontSize, i));
+    });
+    ctx.restore();
+  }
+
+  // Canvas drawing is synchronous, so decode the page's stamp images first
+  async _loadStampImages(annotations) {
+    this._stampImages = new Map();
+
+    for (const annotation of annotations) {
+      const imageData = annotation.image_data;
+      if (annotation.annotation_type !== "stamp" || !isSafeImageData(imageData) || this._stampImages.has(imageData)) continue
+
+      const image = new Image();
+      image.src = imageData;
+      try {
+        await image.decode();
+        this._stampImages.set(imageData, image);
+      } catch (e) {
+        console.warn("Failed to decode stamp image:", e);
+      }
+    }
+  }
+
+  _drawStamp(ctx, annotation) {
+    const image = this._stampImages?.get(annotation.image_data);
+    if (!image || !annotation.rect) return
+
+    const [x, y, width, height] = annotation.rect;
+    ctx.drawImage(image, x, y, width, height);
+  }
+
+  _drawShape(ctx, annotation) {
+    const { color, opacity } = this._parseColor(annotation, ColorPicker.DEFAULT_INK_COLOR, 1);
+    const thickness = annotation.thickness || StrokePicker.DEFAULT_THICKNESS;
+
+    ctx.save();
+    ctx.globalAlpha = opacity;
+    ctx.strokeStyle = color;
+    ctx.lineWidth = thickness;
+    ctx.lineCap = "round";
+    ctx.lineJoin = "round";
+
+    if (annotation.annotation_type === "straight_line") {
+      const [start, end] = annotation.line_points || [];
+      if (start && end) {
+        ctx.stroke(new Path2D(lineShapePath(start, end, annotation.arrow, thickness)));
+      }
+    } else if (annotation.rect) {
+      const [x, y, width, height] = annotation.rect;
+      ctx.beginPath();
+      if (annotation.annotation_type === "circle") {
+        ctx.ellipse(x + width / 2, y + height / 2, width / 2, height / 2, 0, 0, Math.PI * 2);
+      } else {
+        ctx.rect(x, y, width, height);
+      }
+      ctx.stroke();
+    }
+    ctx.restore();
+  }
+
+  // Split "#RRGGBBAA" into a color and opacity, as the on-screen renderers do
+  _parseColor(annotation, fallbackColor, fallbackOpacity) {
+    let color = annotation.color || fallbackColor;
+    let opacity = annotation.opacity || fallbackOpacity;
+    if (color.length === 9 && color.startsWith("#")) {
+      opacity = parseInt(color.slice(7, 9), 16) / 255;
+      color = color.slice(0, 7);
+    }
+    return { color, opacity }
+  }
+
+  // ===== Print Frame =====
+
+  /**
+   * Print the rendered pages from a hidden iframe and wait for the dialog
+   * to close.
+   *
+   * Like PDF.js, the @page size comes from the first page; pages of other
+   * sizes are scaled to fit.
+   * @returns {Promise<boolean>} false if the wait timed out and the dialog may still be open
+   */
+  async _printPages(pages, signal) {
+    const iframe = document.createElement("iframe");
+    iframe.className = "pdf-print-frame";
+    iframe.setAttribute("aria-hidden", "true");
+    iframe.tabIndex = -1;
+    iframe.style.cssText = "position: fixed; right: 0; bottom: 0; width: 0; height: 0; border: 0;";
+    document.body.appendChild(iframe);
+    this._iframe = iframe;
+
+    const doc = iframe.contentDocument;
+    doc.title = this.documentName || document.title;
+
+    const { width, height } = pages[0];
+    const style = doc.createElement("style");
+    style.textContent = `
+      @page { size: ${width}pt ${height}pt; margin: 0; }
+      html, body { width: 100%; height: 100%; margin: 0; padding: 0; }
+      .printed-page {
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        width: 100%;
+        height: 100%;
+        overflow: hidden;
+        break-after: page;
+      }
+      .printed-page:last-child { break-after: auto; }
+      .printed-page img { max-width: 100%; max-height: 100%; }
+    `;
+    doc.head.appendChild(style);
+
+    const images = pages.map(({ url }, index) => {
+      const pageEl = doc.createElement("div");
+      pageEl.className = "printed-page";
+      const img = doc.createElement("img");
+      img.alt = `Page ${index + 1}`;
+      img.src = url;
+      pageEl.appendChild(img);
+      doc.body.appendChild(pageEl);
+      return img
+    });
+
+    // Printing before the images decode gives blank pages
+    await Promise.all(images.map(img => img.decode().catch(() => {})));
+    if (signal.aborted) return true
+
+    const printWindow = iframe.contentWindow;
+    const listeners = new AbortController();
+    this._frameListeners = listeners;
+    let timer = null;
+    const closed = await new Promise(resolve => {
+      const options = { once: true, signal: listeners.signal };
+      const onClose = () => resolve(true);
+      printWindow.addEventListener("afterprint", onClose, options);
+      signal.addEventListener("abort", onClose, options);
+      // afterprint from an iframe is unreliable (Safari/iOS, some webviews).
+      // The viewer getting focus back also means the dialog has closed.
+      window.addEventListener("focus", onClose, options);
+      printWindow.focus();
+      printWindow.print();
+      // Most browsers block in print() until the dialog closes; if no event
+      // follows, stop waiting so on-screen rendering resumes.
+      timer = setTimeout(() => resolve(false), PRINT_DIALOG_TIMEOUT);
+    });
+    clearTimeout(timer);
+    if (closed) {
+      listeners.abort();
+      return true
+    }
+
+    // A non-blocking dialog is still printing from the frame; remove it once
+    // the dialog closes, or when the next print starts
+    const onClose = () => this._removeIframe();
+    const options = { once: true, signal: listeners.signal };
+    printWindow.addEventListener("afterprint", onClose, options);
+    window.addEventListener("focus", onClose, options);
+    return false
+  }
+
+  // Also frees the page images and stops waiting for a dialog left open
+  _removeIframe() {
+    this._frameListeners?.abort();
+    this._frameListeners = null;
+    this._iframe?.remove();
+    this._iframe = null;
+    this._pageUrls.forEach(url => URL.revokeObjectURL(url));
+    this._pageUrls = [];
+  }
+
+  destroy() {
+    this.cancel();
+    this._removeIframe();
+  }
+}
+
+/**
+ * Shared SVG icons for the PDF viewer UI components.
+ *
+ * Usage:
+ *   import { Icons } from "stimulus-pdf-viewer"
+ *   element.innerHTML = Icons.close
+ *
+ * Icons use width="16" height="16" by default. Override with CSS if needed.
+ */
+
+const Icons = {
+  // Close/X icon - used in sidebars, find bar, undo bar
+  close: `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+    <line x1="18" y1="6" x2="6" y2="18"/>
+    <line x1="6" y1="6" x2="18" y2="18"/>
+  </svg>`,
+
+  // Delete/Trash icon - used in annotation popup, edit toolbar
+  delete: `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+    <polyline points="3 6 5 6 21 6"/>
+    <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"/>
+  </svg>`,
+
+  // Edit/Pencil icon - used in annotation popup
+  edit: `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+    <path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"/>
+    <path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"/>
+  </svg>`,
+
+  // Comment/Speech bubble icon - used in annotation edit toolbar
+  comment: `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+    <path d="M21 15a2 2 0 0 1-2 2H7l-4 4V5a2 2 0 0 1 2-2h14a2 2 0 0 1 2 2z"/>
+  </svg>`,
+
+  // Chevron down - used in color pickers, dropdowns
+  chevronDown: `<svg width="10" height="10" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5">
+    <polyline points="6 9 12 15 18 9"/>
+  </svg>`,
+
+  // Chevron up - used in find bar navigation
+  chevronUp: `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+    <polyline points="18 15 12 9 6 15"/>
+  </svg>`,
+
+  // Chevron right - used in annotation sidebar
+  chevronRight: `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+    <polyline points="9 18 15 12 9 6"/>
+  </svg>`,
+
+  // List - used in find bar to show all results
+  list: `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+    <line x1="8" y1="6" x2="21" y2="6"/>
+    <line x1="8" y1="12" x2="21" y2="12"/>
+    <line x1="8" y1="18" x2="21" y2="18"/>
+    <line x1="3" y1="6" x2="3.01" y2="6"/>
+    <line x1="3" y1="12" x2="3.01" y2="12"/>
+    <line x1="3" y1="18" x2="3.01" y2="18"/>
+  </svg>`
+};
+
+class ColorPicker {
+  static COLORS = [
+    { name: "Orange", value: "#FFA500" },
+    { name: "Yellow", value: "#FFFF00" },
+    { name: "Green", value: "#00FF00" },
+    { name: "Blue", value: "#00BFFF" },
+    { name: "Pink", value: "#FF69B4" }
+  ]
+
+  // Default colors for different tool modes
+  static DEFAULT_HIGHLIGHT_COLOR = "#FFA500" // Orange
+  static DEFAULT_INK_COLOR = "#00BFFF" // Blue
+
+  constructor(options = {}) {
+    this.onChange = options.onChange;
+    this.currentColor = ColorPicker.DEFAULT_HIGHLIGHT_COLOR;
+    this.isOpen = false;
+
+    this._createUI();
+    this._setupEventListeners();
+  }
+
+  _createUI() {
+    this.element = document.createElement("div");
+    this.element.className = "color-picker";
+    this.element.innerHTML = `
+      <button class="color-picker-toggle" aria-label="Select color" aria-expanded="false">
+        <span class="color-picker-swatch" style="background-color: ${this.currentColor}"></span>
+        ${Icons.chevronDown}
+      </button>
+      <div class="color-picker-dropdown hidden">
+        ${ColorPicker.COLORS.map(color => `
+          <button class="color-picker-option ${color.value === this.currentColor ? 'selected' : ''}"
+                  data-color="${color.value}"
+                  aria-label="${color.name}"
+                  title="${color.name}">
+            <span class="color-picker-swatch" style="background-color: ${color.value}"></span>
+          </button>
+        `).join("")}
+      </div>
+    `;
+  }
+
+  /**
+   * Render the color picker into a container.
+   */
+  render(container) {
+    container.appendChild(this.element);
+  }
+
+  _setupEventListeners() {
+    const toggle = this.element.querySelector(".color-picker-toggle");
+    const dropdown = this.element.querySelector(".color-picker-dropdown");
+    const options = this.element.querySelectorAll(".color-picker-option");
+
+    // Toggle dropdown
+    toggle.addEventListener("click", (e) => {
+      e.stopPropagation();
+      this.isOpen = !this.isOpen;
+      dropdown.classList.toggle("hidden", !this.isOpen);
+      toggle.setAttribute("aria-expanded", this.isOpen);
+    });
+
+    // Color selection
+    options.forEach(option => {
+      option.addEventListener("click", (e) => {
+        e.stopPropagation();
+        const color = option.dataset.color;
+        this.setColor(color);
+        this._closeDropdown();
+      });
+    });
+
+    // Close on outside click
+    this._documentClickHandler = () => {
+      if (this.isOpen) {
+        this._closeDropdown();
+      }
+    };
+    document.addEventListener("click", this._documentClickHandler);
+  }
+
+  _closeDropdown() {
+    this.isOpen = false;
+    const dropdown = this.element.querySelector(".color-picker-dropdown");
+    const toggle = this.element.querySelector(".color-picker-toggle");
+    dropdown.classList.add("hidden");
+    toggle.setAttribute("aria-expanded", "false");
+  }
+
+  setColor(color) {
+    this.currentColor = color;
+
+    // Update toggle swatch
+    const toggleSwatch = this.element.querySelector(".color-picker-toggle .color-picker-swatch");
+    toggleSwatch.style.backgroundColor = color;
+
+    // Update selected state
+    const options = this.element.querySelectorAll(".color-picker-option");
+    options.forEach(option => {
+      option.classList.toggle("selected", option.dataset.color === color);
+    });
+
+    // Notify listeners
+    if (this.onChange) {
+      this.onChange(color);
+    }
+  }
+
+  getColor() {
+    return this.currentColor
+  }
+
+  destroy() {
+    if (this._documentClickHandler) {
+      document.removeEventListener("click", this._documentClickHandler);
+      this._documentClickHandler = null;
+    }
+    this.element?.remove();
+    this.element = null;
+  }
+}
+
+/**
+ * StrokePicker - Line thickness and opacity for the shape tools.
+ *
+ * Sits next to the ColorPicker in the toolbar and is only shown while a
+ * shape tool is active.
+ */
+class StrokePicker {
+  static THICKNESSES = [1, 2, 4, 8]
+  static OPACITIES = [1, 0.75, 0.5, 0.25]
+
+  static DEFAULT_THICKNESS = 2
+  static DEFAULT_OPACITY = 1
+
+  constructor(options = {}) {
+    this.onChange = options.onChange;
+    this.thickness = StrokePicker.DEFAULT_THICKNESS;
+    this.opacity = StrokePicker.DEFAULT_OPACITY;
+    this.isOpen = false;
+
+    this._createUI();
+    this._setupEventListeners();
+  }
+
+  _createUI() {
+    this.element = document.createElement("div");
+    this.element.className = "stroke-picker";
+    this.element.hidden = true;
+    this.element.innerHTML = `
+      <button class="stroke-picker-toggle" aria-label="Line style" aria-expanded="false" title="Line style">
+        <svg class="stroke-picker-preview" width="20" height="16" viewBox="0 0 20 16">
+          <line x1="2" y1="8" x2="18" y2="8" stroke="currentColor" stroke-linecap="round"/>
+        </svg>
+        ${Icons.chevronDown}
+      </button>
+      <div class="stroke-picker-dropdown hidden">
+        <div class="stroke-picker-group" role="group" aria-label="Thickness">
+          ${StrokePicker.THICKNESSES.map(thickness => `
+            <button class="stroke-picker-option" data-thickness="${thickness}"
+                    aria-label="${thickness} pt" title="${thickness} pt" aria-pressed="false">
+              <svg width="20" height="16" viewBox="0 0 20 16">
+                <line x1="2" y1="8" x2="18" y2="8" stroke="currentColor" stroke-width="${thickness}" stroke-linecap="round"/>
+              </svg>
+            </button>
+          `).join("")}
+        </div>
+        <div class="stroke-picker-group" role="group" aria-label="Opacity">
+          ${StrokePicker.OPACITIES.map(opacity => `
+            <button class="stroke-picker-option" data-opacity="${opacity}"
+                    aria-label="${Math.round(opacity * 100)}% opacity" aria-pressed="false">
+              ${Math.round(opacity * 100)}%
+            </button>
+          `).join("")}
+        </div>
+      </div>
+    `;
+
+    this._updateUI();
+  }
+
+  /**
+   * Render the stroke picker into a container.
+   */
+  render(container) {
+    container.appendChild(this.element);
+  }
+
+  _setupEventListeners() {
+    const toggle = this.element.querySelector(".stroke-picker-toggle");
+
+    toggle.addEventListener("click", (e) => {
+      e.stopPropagation();
+      if (this.isOpen) {
+        this._closeDropdown();
+      } else {
+        this._openDropdown();
+      }
+    });
+
+    this.element.querySelectorAll(".stroke-picker-option").forEach(option => {
+      option.addEventListener("click", (e) => {
+        e.stopPropagation();
+        if (option.dataset.thickness) {
+          this.setThickness(parseFloat(option.dataset.thickness));
+        } else {
+          this.setOpacity(parseFloat(option.dataset.opacity));
+        }
+      });
+    });
+
+    // Close on outside click
+    this._documentClickHandler = () => {
+      if (this.isOpen) {
+        this._closeDropdown();
+      }
+    };
+    document.addEventListener("click", this._documentClickHandler);
+  }
+
+  _openDropdown() {
+    this.isOpen = true;
+    this.element.querySelector(".stroke-picker-dropdown").classList.remove("hidden");
+    this.element.querySelector(".stroke-picker-toggle").setAttribute("aria-expanded", "true");
+  }
+
+  _closeDropdown() {
+    this.isOpen = false;
+    this.element.querySelector(".stroke-picker-dropdown").classList.add("hidden");
+    this.element.querySelector(".stroke-picker-toggle").setAttribute("aria-expanded", "false");
+  }
+
+  _updateUI() {
+    const preview = this.element.querySelector(".stroke-picker-preview line");
+    preview.setAttribute("stroke-width", this.thickness);
+    preview.setAttribute("stroke-opacity", this.opacity);
+
+    this.element.querySelectorAll(".stroke-picker-option").forEach(option => {
+      const selected = option.dataset.thickness
+        ? parseFloat(option.dataset.thickness) === this.thickness
+        : parseFloat(option.dataset.opacity) === this.opacity;
+      option.classList.toggle("selected", selected);
+      option.setAttribute("aria-pressed", selected ? "true" : "false");
+    });
+  }
+
+  setThickness(thickness) {
+    this.thickness = thickness;
+    this._updateUI();
+    this.onChange?.({ thickness: this.thickness, opacity: this.opacity });
+  }
+
+  setOpacity(opacity) {
+    this.opacity = opacity;
+    this._updateUI();
+    this.onChange?.({ thickness: this.thickness, opacity: this.opacity });
+  }
+
+  /**
+   * Show or hide the picker (it only applies to shape tools).
+   * @param {boolean} visible
+   */
+  setVisible(visible) {
+    this.element.hidden = !visible;
+    if (!visible) {
+      this._closeDropdown();
+    }
+  }
+
+  destroy() {
+    if (this._documentClickHandler) {
+      document.removeEventListener("click", this._documentClickHandler);
+      this._documentClickHandler = null;
+    }
+    this.element?.remove();
+    this.element = null;
+  }
+}
+
+// Built-in stamps for the stamp tool, drawn to a PNG when first used
+const BUILT_IN_STAMPS = [
+  { name: "Approved", color: "#2E7D32" },
+  { name: "Rejected", color: "#C62828" },
+  { name: "Draft", color: "#546E7A" }
+];
+
+const STAMP_DEFAULT_WIDTH = 150; // PDF units
+const SIGNATURE_DEFAULT_WIDTH = 120; // PDF units
+const STAMP_MAX_IMAGE_SIZE = 1200; // Longest side of uploaded images, in pixels
+
+// Only inline raster images are rendered; image_data comes from the server
+const SAFE_IMAGE_DATA_PATTERN = /^data:image\/(png|jpeg|gif|webp);base64,[a-z0-9+/=\s]+$/i;
+
+function isSafeImageData(value) {
+  return typeof value === "string" && SAFE_IMAGE_DATA_PATTERN.test(value)
+}
+
+/**
+ * Draw a built-in stamp ("APPROVED" in a rounded frame) to a PNG.
+ * @param {{name: string, color: string}} stamp
+ * @returns {{name: string, imageData: string, width: number, height: number}}
+ */
+function renderBuiltInStamp(stamp) {
+  const fontSize = 96;
+  const padding = 40;
+  const border = 10;
+  const text = stamp.name.toUpperCase();
+
+  const canvas = document.createElement("canvas");
+  const ctx = canvas.getContext("2d");
+  const font = `bold ${fontSize}px Helvetica, Arial, sans-serif`;
+  ctx.font = font;
+  canvas.width = Math.ceil(ctx.measureText(text).width + padding * 2);
+  canvas.height = fontSize + padding * 2;
+
+  // Resizing the canvas resets its state
+  ctx.font = font;
+  ctx.strokeStyle = stamp.color;
+  ctx.fillStyle = stamp.color;
+  ctx.lineWidth = border;
+  ctx.beginPath();
+  ctx.roundRect(border / 2, border / 2, canvas.width - border, canvas.height - border, 24);
+  ctx.stroke();
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  ctx.fillText(text, canvas.width / 2, canvas.height / 2 + fontSize * 0.05);
+
+  return { name: stamp.name, imageData: canvas.toDataURL("image/png"), width: canvas.width, height: canvas.height }
+}
+
+/**
+ * Re-encode an image data URL (GIF, WebP) as PNG.
+ * @param {string} imageData
+ * @returns {Promise<string>} PNG data URL
+ */
+async function imageDataToPng(imageData) {
+  const image = new Image();
+  image.src = imageData;
+  await image.decode();
+
+  const canvas = document.createElement("canvas");
+  canvas.width = image.naturalWidth;
+  canvas.height = image.naturalHeight;
+  canvas.getContext("2d").drawImage(image, 0, 0);
+  return canvas.toDataURL("image/png")
+}
+
+/**
+ * Read an image file as a PNG stamp, scaled down to STAMP_MAX_IMAGE_SIZE.
+ * Other raster formats are converted so the download can always embed a PNG.
+ * @param {File} file
+ * @returns {Promise<{name: string, imageData: string, width: number, height: number}>}
+ */
+async function imageFileToStamp(file) {
+  const url = URL.createObjectURL(file);
+  try {
+    const image = new Image();
+    image.src = url;
+    await image.decode();
+
+    const scale = Math.min(1, STAMP_MAX_IMAGE_SIZE / Math.max(image.naturalWidth, image.naturalHeight));
+    const canvas = document.createElement("canvas");
+    canvas.width = Math.max(1, Math.round(image.naturalWidth * scale));
+    canvas.height = Math.max(1, Math.round(image.naturalHeight * scale));
+    canvas.getContext("2d").drawImage(image, 0, 0, canvas.width, canvas.height);
+
+    return { name: "Image", imageData: canvas.toDataURL("image/png"), width: canvas.width, height: canvas.height }
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+/**
+ * StampPicker - Chooses what the stamp tool places: a built-in stamp, an
+ * uploaded image or a drawn signature.
+ *
+ * Sits next to the ColorPicker in the toolbar and is only shown while the
+ * stamp tool is active. Uploaded images and signatures are kept for the
+ * rest of the session.
+ */
+class StampPicker {
+  constructor(options = {}) {
+    this.onChange = options.onChange;
+    this.onDrawSignature = options.onDrawSignature; // () => Promise<stamp|null>
+    this.customStamps = [];
+    this.currentStamp = null;
+    this.isOpen = false;
+    this._builtInCache = new Map();
+
+    this._createUI();
+    this._setupEventListeners();
+    this._select({ builtIn: BUILT_IN_STAMPS[0].name });
+  }
+
+  _createUI() {
+    this.element = document.createElement("div");
+    this.element.className = "stamp-picker";
+    this.element.hidden = true;
+    this.element.innerHTML = `
+      <button class="stamp-picker-toggle" aria-label="Choose stamp" aria-expanded="false" title="Choose stamp">
+        <span class="stamp-picker-label"></span>
+        ${Icons.chevronDown}
+      </button>
+      <div class="stamp-picker-dropdown hidden">
+        <div class="stamp-picker-options" role="group" aria-label="Stamps"></div>
+        <div class="stamp-picker-actions">
+          <button class="stamp-picker-action" data-action="upload">Upload image...</button>
+          <button class="stamp-picker-action" data-action="signature">Draw signature...</button>
+        </div>
+        <input type="file" class="stamp-picker-file" accept="image/png,image/jpeg" hidden>
+      </div>
+    `;
+
+    this._renderOptions();
+  }
+
+  /**
+   * Add the picker to a container element.
+   * @param {HTMLElement} container
+   */
+  render(container) {
+    container.appendChild(this.element);
+  }
+
+  _renderOptions() {
+    const list = this.element.querySelector(".stamp-picker-options");
+    list.innerHTML = "";
+
+    for (const stamp of BUILT_IN_STAMPS) {
+      const option = this._createOption(stamp.name);
+      option.dataset.builtIn = stamp.name;
+      option.style.color = stamp.color;
+      option.textContent = stamp.name.toUpperCase();
+      list.appendChild(option);
+    }
+
+    this.customStamps.forEach((stamp, index) => {
+      const option = this._createOption(stamp.name);
+      option.dataset.customIndex = String(index);
+      const preview = document.createElement("img");
+      preview.src = stamp.imageData;
+      preview.alt = "";
+      option.appendChild(preview);
+      list.appendChild(option);
+    });
+
+    this._updateUI();
+  }
+
+  _createOption(label) {
+    const option = document.createElement("button");
+    option.type = "button";
+    option.className = "stamp-picker-option";
+    option.setAttribute("aria-label", label);
+    option.setAttribute("aria-pressed", "false");
+    option.title = label;
+    return option
+  }
+
+  _setupEventListeners() {
+    const toggle = this.element.querySelector(".stamp-picker-toggle");
+    const fileInput = this.element.querySelector(".stamp-picker-file");
+
+    toggle.addEventListener("click", (e) => {
+      e.stopPropagation();
+      if (this.isOpen) {
+        this._closeDropdown();
+      } else {
+        this._openDropdown();
+      }
+    });
+
+    this.element.querySelector(".stamp-picker-options").addEventListener("click", (e) => {
+      const option = e.target.closest(".stamp-picker-option");
+      if (!option) return
+
+      e.stopPropagation();
+      if (option.dataset.builtIn) {
+        this._select({ builtIn: option.dataset.builtIn });
+      } else {
+        this._select({ custom: parseInt(option.dataset.customIndex, 10) });
+      }
+      this._closeDropdown();
+    });
+
+    this.element.querySelector('[data-action="upload"]').addEventListener("click", (e) => {
+      e.stopPropagation();
+      this._closeDropdown();
+      fileInput.click();
+    });
+
+    fileInput.addEventListener("change", async () => {
+      const file = fileInput.files[0];
+      fileInput.value = "";
+      if (!file) return
+
+      try {
+        this.addStamp(await imageFileToStamp(file));
+      } catch (error) {
+        console.error("Failed to load stamp image:", error);
+        getAnnouncer().announce("Could not load that image");
+      }
+    });
+
+    this.element.querySelector('[data-action="signature"]').addEventListener("click", async (e) => {
+      e.stopPropagation();
+      this._closeDropdown();
+
+      const signature = await this.onDrawSignature?.();
+      if (signature) {
+        this.addStamp(signature);
+      }
+    });
+
+    // Close on outside click
+    this._documentClickHandler = () => {
+      if (this.isOpen) {
+        this._closeDropdown();
+      }
+    };
+    document.addEventListener("click", this._documentClickHandler);
+  }
+
+  _openDropdown() {
+    this.isOpen = true;
+    this.element.querySelector(".stamp-picker-dropdown").classList.remove("hidden");
+    this.element.querySelector(".stamp-picker-toggle").setAttribute("aria-expanded", "true");
+  }
+
+  _closeDropdown() {
+    this.isOpen = false;
+    this.element.querySelector(".stamp-picker-dropdown").classList.add("hidden");
+    this.element.querySelector(".stamp-picker-toggle").setAttribute("aria-expanded", "false");
+  }
+
+  _select(selection) {
+    this._selection = selection;
+    this._updateUI();
+    this.onChange?.(this.getStamp());
+  }
+
+  _updateUI() {
+    const selection = this._selection || {};
+    const label = selection.builtIn || this.customStamps[selection.custom]?.name || "";
+    this.element.querySelector(".stamp-picker-label").textContent = label;
+
+    this.element.querySelectorAll(".stamp-picker-option").forEach(option => {
+      const selected = option.dataset.builtIn
+        ? option.dataset.builtIn === selection.builtIn
+        : parseInt(option.dataset.customIndex, 10) === selection.custom;
+      option.classList.toggle("selected", selected);
+      option.setAttribute("aria-pressed", selected ? "true" : "false");
+    });
+  }
+
+  /**
+   * Add an uploaded image or signature and select it.
+   * @param {{name: string, imageData: string, width: number, height: number}} stamp
+   */
+  addStamp(stamp) {
+    this.customStamps.push(stamp);
+    this._renderOptions();
+    this._select({ custom: this.customStamps.length - 1 });
+  }
+
+  /**
+   * The stamp to place next.
+   * @returns {{name: string, imageData: string, width: number, height: number}|null}
+   */
+  getStamp() {
+    const selection = this._selection || {};
+    if (selection.builtIn) {
+      if (!this._builtInCache.has(selection.builtIn)) {
+        const stamp = BUILT_IN_STAMPS.find(s => s.name === selection.builtIn);
+        this._builtInCache.set(selection.builtIn, renderBuiltInStamp(stamp));
+      }
+      return this._builtInCache.get(selection.builtIn)
+    }
+    return this.customStamps[selection.custom] || null
+  }
+
+  /**
+   * Show or hide the picker (it only applies to the stamp tool).
+   * @param {boolean} visible
+   */
+  setVisible(visible) {
+    this.element.hidden = !visible;
+    if (!visible) {
+      this._closeDropdown();
+    }
+  }
+
+  destroy() {
+    if (this._documentClickHandler) {
+      document.removeEventListener("click", this._documentClickHandler);
+      this._documentClickHandler = null;
+    }
+    this.element?.remove();
+    this.element = null;
+  }
+}
+
+// Annotation types that can carry a comment (edited through the note dialog)
+const COMMENTABLE_ANNOTATION_TYPES = ["highlight", "line", "strikeout", "squiggly", "ink", "square", "circle", "straight_line"];
+
+// Annotation types whose own text is edited with the Edit button
+const EDITABLE_ANNOTATION_TYPES = ["note", "free_text"];
+
+// Text markup drawn as a line along each quad ("line" is underline)
+const TEXT_MARKUP_ANNOTATION_TYPES = ["line", "strikeout", "squiggly"];
+
+// Shapes drawn with the shape tools. "line" was taken by underlines, so
+// straight lines and arrows are "straight_line".
+const SHAPE_ANNOTATION_TYPES = ["square", "circle", "straight_line"];
+
+// Annotation types that can be dragged to a new position in SELECT mode
+// (freehand highlights are "ink" too)
+const MOVABLE_ANNOTATION_TYPES = ["note", "ink", "free_text", "stamp", "square", "circle", "straight_line"];
+
+// Annotation types with corner handles to resize their rect
+const RESIZABLE_ANNOTATION_TYPES = ["free_text", "stamp", "square", "circle"];
+
+// Annotation types attached to a text range, reshaped by dragging either end
+const TEXT_RANGE_ANNOTATION_TYPES = ["highlight", ...TEXT_MARKUP_ANNOTATION_TYPES];
+
+class AnnotationEditToolbar {
+  constructor(options = {}) {
+    this.onColorChange = options.onColorChange;
+    this.onDelete = options.onDelete;
+    this.onEdit = options.onEdit;
+    this.onComment = options.onComment;
+    this.onDeselect = options.onDeselect;
+    this.colors = options.colors || ColorPicker.COLORS.map(c => c.value);
+
+    this.currentAnnotation = null;
+    this.element = null;
+    this.colorDropdownOpen = false;
+
+    // Removes the document-level listener(s) below on destroy().
+    this._abortController = new AbortController();
+
+    this._createToolbar();
+    this._setupEventListeners();
+  }
+
+  _createToolbar() {
+    this.element = document.createElement("div");
+    this.element.className = "annotation-edit-toolbar hidden";
+    this.element.innerHTML = `
+      <div class="toolbar-buttons">
+        <button class="toolbar-btn comment-btn hidden" title="Add Comment (C)">
+          ${Icons.comment}
+        </button>
+        <button class="color-picker-btn" title="Change color" aria-haspopup="true" aria-expanded="false">
+          <span class="color-swatch"></span>
+          ${Icons.chevronDown}
+        </button>
+        <div class="color-dropdown hidden">
+          ${this.colors.map(color => `
+            <button class="color-option" data-color="${color}" aria-selected="false">
+              <span class="color-swatch" style="background-color: ${color}"></span>
+            </button>
+          `).join("")}
+        </div>
+        <button class="toolbar-btn edit-btn hidden" title="Edit (E)">
+          ${Icons.edit}
+        </button>
+        <div class="toolbar-divider"></div>
+        <button class="toolbar-btn delete-btn" title="Delete (Delete)">
+          ${Icons.delete}
+        </button>
+      </div>
+      <div class="toolbar-annotation-content hidden"></div>
+    `;
+
+    this.commentBtn = this.element.querySelector(".comment-btn");
+    this.editBtn = this.element.querySelector(".edit-btn");
+    this.annotationContent = this.element.querySelector(".toolbar-annotation-content");
+  }
+
+  _setupEventListeners() {
+    // Color picker button
+    const colorBtn = this.element.querySelector(".color-picker-btn");
+    colorBtn.addEventListener("click", (e) => {
+      e.stopPropagation();
+      this._toggleColorDropdown();
+    });
+
+    // Color options
+    const colorOptions = this.element.querySelectorAll(".color-option");
+    colorOptions.forEach(option => {
+      option.addEventListener("click", (e) => {
+        e.stopPropagation();
+        const color = option.dataset.color;
+        this._selectColor(color);
+      });
+    });
+
+    // Comment button (for highlight/underline/ink annotations)
+    this.commentBtn.addEventListener("click", (e) => {
+      e.stopPropagation();
+      if (this.currentAnnotation && this.onComment) {
+        this.onComment(this.currentAnnotation);
+      }
+    });
+
+    // Edit button (for notes)
+    this.editBtn.addEventListener("click", (e) => {
+      e.stopPropagation();
+      if (this.currentAnnotation && this.onEdit) {
+        this.onEdit(this.currentAnnotation);
+      }
+    });
+
+    // Delete button
+    const deleteBtn = this.element.querySelector(".delete-btn");
+    deleteBtn.addEventListener("click", (e) => {
+      e.stopPropagation();
+      if (this.currentAnnotation && this.onDelete) {
+        this.onDelete(this.currentAnnotation);
+      }
+      this.hide();
+    });
+
+    // Close color dropdown on outside click
+    document.addEventListener("click", (e) => {
+      if (this.colorDropdownOpen && !this.element.contains(e.target)) {
+        this._closeColorDropdown();
+      }
+    }, { signal: this._abortController.signal });
+
+    // Handle keyboard shortcuts
+    this._keydownHandler = (e) => {
+      if (this.element.classList.contains("hidden")) return
+
+      // Don't intercept if user is typing
+      const activeEl = document.activeElement;
+      if (activeEl && (activeEl.tagName === "INPUT" || activeEl.tagName === "TEXTAREA" || activeEl.isContentEditable)) return
+
+      if (e.key === "Escape") {
+        if (this.colorDropdownOpen) {
+          this._closeColorDropdown();
+        } else {
+          this.hide();
+          this.onDeselect?.();
+        }
+        e.preventDefault();
+      } else if (e.key === "Delete" || e.key === "Backspace") {
+        e.preventDefault();
+        if (this.currentAnnotation && this.onDelete) {
+          this.onDelete(this.currentAnnotation);
+        }
+        this.hide();
+      } else if (e.key === "e" || e.key === "E") {
+        // Edit shortcut for notes and text boxes
+        if (EDITABLE_ANNOTATION_TYPES.includes(this.currentAnnotation?.annotation_type) && this.onEdit) {
+          e.preventDefault();
+          this.onEdit(this.currentAnnotation);
+        }
+      } else if (e.key === "c" || e.key === "C") {
+        // Comment shortcut for highlight/underline/ink annotations
+        const supportsComment = COMMENTABLE_ANNOTATION_TYPES.includes(this.currentAnnotation?.annotation_type);
+        if (supportsComment && this.onComment) {
+          e.preventDefault();
+          this.onComment(this.currentAnnotation);
+        }
+      }
+    };
+    document.addEventListener("keydown", this._keydownHandler);
+  }
+
+  _toggleColorDropdown() {
+    if (this.colorDropdownOpen) {
+      this._closeColorDropdown();
+    } else {
+      this._openColorDropdown();
+    }
+  }
+
+  _openColorDropdown() {
+    const dropdown = this.element.querySelector(".color-dropdown");
+    const btn = this.element.querySelector(".color-picker-btn");
+    dropdown.classList.remove("hidden");
+    btn.setAttribute("aria-expanded", "true");
+    this.colorDropdownOpen = true;
+  }
+
+  _closeColorDropdown() {
+    const dropdown = this.element.querySelector(".color-dropdown");
+    const btn = this.element.querySelector(".color-picker-btn");
+    dropdown.classList.add("hidden");
+    btn.setAttribute("aria-expanded", "false");
+    this.colorDropdownOpen = false;
+  }
+
+  _selectColor(color) {
+    if (this.currentAnnotation && this.onColorChange) {
+      this.onColorChange(this.currentAnnotation, color);
+    }
+    this._updateSelectedColor(color);
+    this._closeColorDropdown();
+  }
+
+  _updateSelectedColor(color) {
+    // Update the swatch in the button
+    const swatch = this.element.querySelector(".color-picker-btn .color-swatch");
+    swatch.style.backgroundColor = color;
+
+    // Update aria-selected states
+    const options = this.element.querySelectorAll(".color-option");
+    options.forEach(option => {
+      option.setAttribute("aria-selected", option.dataset.color === color ? "true" : "false");
+    });
+  }
+
+  show(annotation, parentElement, pageHeight = null) {
+    this.currentAnnotation = annotation;
+
+    // Update color swatch to match annotation's current color
+    const color = annotation.color || ColorPicker.DEFAULT_HIGHLIGHT_COLOR;
+    this._updateSelectedColor(color);
+
+    // Show/hide buttons based on annotation type
+    const isEditable = EDITABLE_ANNOTATION_TYPES.includes(annotation.annotation_type);
+    const supportsComment = COMMENTABLE_ANNOTATION_TYPES.includes(annotation.annotation_type);
+
+    // Comment button for highlight/underline/ink, edit button for notes and text boxes
+    this.commentBtn.classList.toggle("hidden", !supportsComment);
+    this.editBtn.classList.toggle("hidden", !isEditable);
+
+    // Update comment button title based on whether contents exists
+    if (supportsComment) {
+      const hasComment = annotation.contents && annotation.contents.trim();
+      this.commentBtn.title = hasComment ? "Edit Comment (C)" : "Add Comment (C)";
+    }
+
+    // Show contents for any annotation type that has it
+    if (annotation.contents) {
+      this.annotationContent.textContent = annotation.contents;
+      this.annotationContent.classList.remove("hidden");
+    } else {
+      this.annotationContent.classList.add("hidden");
+    }
+
+    // Determine if toolbar should flip above the annotation
+    // Check if annotation bottom + toolbar height (~50px) would exceed page
+    const toolbarHeight = 50;
+    const annotationBottom = annotation.rect[1] + annotation.rect[3];
+    const shouldFlip = pageHeight && (annotationBottom + toolbarHeight > pageHeight);
+
+    this.element.classList.toggle("flipped", shouldFlip);
+
+    // Append to the annotation element so it moves/scales with it
+    parentElement.appendChild(this.element);
+    this.element.classList.remove("hidden");
+  }
+
+  hide() {
+    this._closeColorDropdown();
+    this.element.classList.add("hidden");
+    this.currentAnnotation = null;
+
+    // Clear annotation content
+    this.annotationContent.textContent = "";
+    this.annotationContent.classList.add("hidden");
+
+    // Remove from parent when hidden
+    if (this.element.parentNode) {
+      this.element.parentNode.removeChild(this.element);
+    }
+  }
+
+  isVisible() {
+    return !this.element.classList.contains("hidden")
+  }
+
+  destroy() {
+    this._abortController.abort();
+    if (this._keydownHandler) {
+      document.removeEventListener("keydown", this._keydownHandler);
+    }
+    this.element.remove();
+  }
+}
+
+// Display name for each annotation type
+const ANNOTATION_TYPE_LABELS = {
+  highlight: "Highlight",
+  line: "Underline",
+  strikeout: "Strikeout",
+  squiggly: "Squiggly",
+  note: "Note",
+  free_text: "Text box",
+  stamp: "Stamp",
+  ink: "Drawing",
+  square: "Rectangle",
+  circle: "Ellipse",
+  straight_line: "Line"
+};
+
+class AnnotationDetailPanel {
+  /**
+   * @param {Object} options
+   * @param {Function} [options.onLoadReplies] - (annotation) => Promise<Array>; enables the reply thread
+   * @param {Function} [options.onCreateReply] - (annotation, contents) => Promise
+   * @param {Function} [options.onUpdateReply] - (annotation, reply, contents) => Promise
+   * @param {Function} [options.onDeleteReply] - (annotation, reply) => Promise
+   */
+  constructor(options = {}) {
+    this.container = options.container;
+    this.onColorChange = options.onColorChange;
+    this.onDelete = options.onDelete;
+    this.onEdit = options.onEdit;
+    this.onComment = options.onComment;
+    this.onClose = options.onClose;
+    this.onLoadReplies = options.onLoadReplies;
+    this.onCreateReply = options.onCreateReply;
+    this.onUpdateReply = options.onUpdateReply;
+    this.onDeleteReply = options.onDeleteReply;
+    this.colors = options.colors || ColorPicker.COLORS.map(c => c.value);
+
+    this.currentAnnotation = null;
+    this.anchorElement = null;
+    this.colorDropdownOpen = false;
+
+    // Reply thread state
+    this.replies = [];
+    this._threadToken = 0; // Discards thread loads for a previous annotation
+    this._editingReplyId = null;
+    this._confirmingReplyId = null;
+
+    // Removes the document-level listener(s) below on destroy().
+    this._abortController = new AbortController();
+
+    this._createPanel();
+    this._setupEventListeners();
+  }
+
+  _createPanel() {
+    this.element = document.createElement("div");
+    this.element.className = "annotation-detail-panel hidden";
+    this.element.innerHTML = `
+      <div class="annotation-detail-header">
+        <div class="annotation-detail-header-info">
+          <span class="annotation-detail-type"></span>
+        </div>
+        <div class="annotation-detail-header-actions">
+          <button class="toolbar-btn comment-btn hidden" title="Add Comment (C)">
+            ${Icons.comment}
+          </button>
+          <button class="color-picker-btn" title="Change color" aria-haspopup="true" aria-expanded="false">
+            <span class="color-swatch"></span>
+            ${Icons.chevronDown}
+          </button>
+          <div class="color-dropdown hidden">
+            ${this.colors.map(color => `
+              <button class="color-option" data-color="${color}" aria-selected="false">
+                <span class="color-swatch" style="background-color: ${color}"></span>
+              </button>
+            `).join("")}
+          </div>
+          <button class="toolbar-btn edit-btn hidden" title="Edit (E)">
+            ${Icons.edit}
+          </button>
+          <div class="toolbar-divider"></div>
+          <button class="toolbar-btn delete-btn" title="Delete (Delete)">
+            ${Icons.delete}
+          </button>
+          <div class="toolbar-divider"></div>
+          <button class="annotation-detail-close" title="Close (Escape)">
+            ${Icons.close}
+          </button>
+        </div>
+      </div>
+      <div class="annotation-detail-body">
+        <div class="annotation-detail-text hidden"></div>
+        <div class="annotation-detail-content-slot"></div>
+        <div class="annotation-detail-thread hidden">
+          <div class="annotation-detail-thread-status" aria-live="polite"></div>
+          <ul class="annotation-detail-replies" aria-label="Replies"></ul>
+          <form class="annotation-detail-reply-form">
+            <textarea class="annotation-detail-reply-input" rows="2" placeholder="Reply..." aria-label="Write a reply"></textarea>
+            <div class="annotation-detail-reply-actions">
+              <button type="submit" class="annotation-detail-reply-submit" disabled>Reply</button>
+            </div>
+          </form>
+        </div>
+      </div>
+    `;
+
+    this.commentBtn = this.element.querySelector(".comment-btn");
+    this.editBtn = this.element.querySelector(".edit-btn");
+    this.typeLabel = this.element.querySelector(".annotation-detail-type");
+    this.textContent = this.element.querySelector(".annotation-detail-text");
+    this.contentSlot = this.element.querySelector(".annotation-detail-content-slot");
+    this.thread = this.element.querySelector(".annotation-detail-thread");
+    this.threadStatus = this.element.querySelector(".annotation-detail-thread-status");
+    this.replyList = this.element.querySelector(".annotation-detail-replies");
+    this.replyForm = this.element.querySelector(".annotation-detail-reply-form");
+    this.replyInput = this.element.querySelector(".annotation-detail-reply-input");
+    this.replySubmit = this.element.querySelector(".annotation-detail-reply-submit");
+  }
+
+  _setupEventListeners() {
+    // Prevent pointer/click events inside the panel from triggering annotation tools
+    // Tools listen on pointerdown on the pages container, so we must stop all phases
+    this.element.addEventListener("pointerdown", (e) => {
+      e.stopPropagation();
+    });
+    this.element.addEventListener("click", (e) => {
+      e.stopPropagation();
+    });
+
+    // Close button
+    this.element.querySelector(".annotation-detail-close").addEventListener("click", (e) => {
+      e.stopPropagation();
+      this.onClose?.();
+    });
+
+    // Color picker button
+    const colorBtn = this.element.querySelector(".color-picker-btn");
+    colorBtn.addEventListener("click", (e) => {
+      e.stopPropagation();
+      this._toggleColorDropdown();
+    });
+
+    // Color options
+    this.element.querySelectorAll(".color-option").forEach(option => {
+      option.addEventListener("click", (e) => {
+        e.stopPropagation();
+        this._selectColor(option.dataset.color);
+      });
+    });
+
+    // Comment button
+    this.commentBtn.addEventListener("click", (e) => {
+      e.stopPropagation();
+      if (this.currentAnnotation && this.onComment) {
+        this.onComment(this.currentAnnotation);
+      }
+    });
+
+    // Edit button
+    this.editBtn.addEventListener("click", (e) => {
+      e.stopPropagation();
+      if (this.currentAnnotation && this.onEdit) {
+        this.onEdit(this.currentAnnotation);
+      }
+    });
+
+    // Delete button (hide is handled by _deselectAnnotation cascade)
+    this.element.querySelector(".delete-btn").addEventListener("click", (e) => {
+      e.stopPropagation();
+      if (this.currentAnnotation && this.onDelete) {
+        this.onDelete(this.currentAnnotation);
+      }
+    });
+
+    // Reply form
+    this.replyInput.addEventListener("input", () => {
+      this.replySubmit.disabled = !this.replyInput.value.trim();
+    });
+    this.replyInput.addEventListener("keydown", (e) => {
+      if (e.key === "Enter" && (e.ctrlKey || e.metaKey)) {
+        e.preventDefault();
+        this.replyForm.requestSubmit();
+      }
+    });
+    this.replyForm.addEventListener("submit", (e) => {
+      e.preventDefault();
+      this._submitReply();
+    });
+
+    // Close color dropdown on outside click
+    document.addEventListener("click", (e) => {
+      if (this.colorDropdownOpen && !this.element.contains(e.target)) {
+        this._closeColorDropdown();
+      }
+    }, { signal: this._abortController.signal });
+
+    // Keyboard shortcuts
+    this._keydownHandler = (e) => {
+      if (this.element.classList.contains("hidden")) return
+
+      const activeEl = document.activeElement;
+      if (activeEl && (activeEl.tagName === "INPUT" || activeEl.tagName === "TEXTAREA" || activeEl.isContentEditable)) return
+
+      if (e.key === "Escape") {
+        if (this.colorDropdownOpen) {
+          this._closeColorDropdown();
+        } else {
+          this.onClose?.();
+        }
+        e.preventDefault();
+      } else if (e.key === "Delete" || e.key === "Backspace") {
+        e.preventDefault();
+        if (this.currentAnnotation && this.onDelete) {
+          this.onDelete(this.currentAnnotation);
+        }
+      } else if (e.key === "e" || e.key === "E") {
+        if (EDITABLE_ANNOTATION_TYPES.includes(this.currentAnnotation?.annotation_type) && this.onEdit) {
+          e.preventDefault();
+          this.onEdit(this.currentAnnotation);
+        }
+      } else if (e.key === "c" || e.key === "C") {
+        const supportsComment = COMMENTABLE_ANNOTATION_TYPES.includes(this.currentAnnotation?.annotation_type);
+        if (supportsComment && this.onComment) {
+          e.preventDefault();
+          this.onComment(this.currentAnnotation);
+        }
+      }
+    };
+    document.addEventListener("keydown", this._keydownHandler);
+  }
+
+  _toggleColorDropdown() {
+    if (this.colorDropdownOpen) {
+      this._closeColorDropdown();
+    } else {
+      this._openColorDropdown();
+    }
+  }
+
+  _openColorDropdown() {
+    const dropdown = this.element.querySelector(".color-dropdown");
+    const btn = this.element.querySelector(".color-picker-btn");
+    dropdown.classList.remove("hidden");
+    btn.setAttribute("aria-expanded", "true");
+    this.colorDropdownOpen = true;
+  }
+
+  _closeColorDropdown() {
+    const dropdown = this.element.querySelector(".color-dropdown");
+    const btn = this.element.querySelector(".color-picker-btn");
+    dropdown.classList.add("hidden");
+    btn.setAttribute("aria-expanded", "false");
+    this.colorDropdownOpen = false;
+  }
+
+  _selectColor(color) {
+    if (this.currentAnnotation && this.onColorChange) {
+      this.onColorChange(this.currentAnnotation, color);
+    }
+    this._updateSelectedColor(color);
+    this._closeColorDropdown();
+  }
+
+  _updateSelectedColor(color) {
+    const swatch = this.element.querySelector(".color-picker-btn .color-swatch");
+    swatch.style.backgroundColor = color;
+
+    this.element.querySelectorAll(".color-option").forEach(option => {
+      option.setAttribute("aria-selected", option.dataset.color === color ? "true" : "false");
+    });
+  }
+
+  _getTypeLabel(annotationType) {
+    return ANNOTATION_TYPE_LABELS[annotationType] || "Annotation"
+  }
+
+  /**
+   * Show the detail panel for an annotation.
+   * @param {Object} annotation
+   * @param {HTMLElement} anchorElement
+   * @param {Object} [options]
+   * @param {string|HTMLElement} [options.content] - Custom content rendered in
+   *   the panel's content slot. SECURITY: when passed as a string it is
+   *   assigned to innerHTML, so the consumer MUST supply trusted/sanitized
+   *   HTML. Pass a DOM element instead to avoid the raw-HTML path.
+   */
+  show(annotation, anchorElement, options = {}) {
+    this.currentAnnotation = annotation;
+    this.anchorElement = anchorElement;
+
+    // Update header info
+    const page = annotation.page || 1;
+    this.typeLabel.textContent = `${this._getTypeLabel(annotation.annotation_type)} \u2014 Page ${page}`;
+
+    // Update color swatch
+    const color = annotation.color || ColorPicker.DEFAULT_HIGHLIGHT_COLOR;
+    this._updateSelectedColor(color);
+
+    // Show/hide buttons based on annotation type
+    const isEditable = EDITABLE_ANNOTATION_TYPES.includes(annotation.annotation_type);
+    const supportsComment = COMMENTABLE_ANNOTATION_TYPES.includes(annotation.annotation_type);
+    this.commentBtn.classList.toggle("hidden", !supportsComment);
+    this.editBtn.classList.toggle("hidden", !isEditable);
+
+    if (supportsComment) {
+      const hasComment = annotation.contents && annotation.contents.trim();
+      this.commentBtn.title = hasComment ? "Edit Comment (C)" : "Add Comment (C)";
+    }
+
+    // Show annotation text content if present
+    if (annotation.contents) {
+      this.textContent.textContent = annotation.contents;
+      this.textContent.classList.remove("hidden");
+    } else {
+      this.textContent.textContent = "";
+      this.textContent.classList.add("hidden");
+    }
+
+    this._showThread(annotation);
+
+    // Inject custom content if provided (HTML string or DOM element)
+    if (options.content) {
+      if (typeof options.content === "string") {
+        this.contentSlot.innerHTML = options.content;
+      } else {
+        this.contentSlot.innerHTML = "";
+        this.contentSlot.appendChild(options.content);
+      }
+    }
+
+    // Position and show the panel
+    this._positionPanel(anchorElement);
+    this.element.classList.remove("hidden");
+  }
+
+  _positionPanel(anchorElement) {
+    const pageContainer = anchorElement.closest(".pdf-page");
+    if (!pageContainer) return
+
+    // Append to page container so it scrolls with the page
+    pageContainer.appendChild(this.element);
+
+    // Get annotation position relative to the page
+    const anchorRect = anchorElement.getBoundingClientRect();
+    const pageRect = pageContainer.getBoundingClientRect();
+
+    const anchorTop = anchorRect.top - pageRect.top;
+    const anchorLeft = anchorRect.left - pageRect.left;
+    const anchorRight = anchorLeft + anchorRect.width;
+    const pageWidth = pageRect.width;
+
+    const panelWidth = parseInt(
+      getComputedStyle(this.element).getPropertyValue("--panel-width") || "320", 10
+    );
+
+    // Try to position to the right of the annotation
+    if (anchorRight + panelWidth + 12 <= pageWidth) {
+      this.element.style.left = `${anchorRight + 8}px`;
+      this.element.style.right = "auto";
+    }
+    // Fall back to the left side
+    else if (anchorLeft - panelWidth - 12 >= 0) {
+      this.element.style.left = `${anchorLeft - panelWidth - 8}px`;
+      this.element.style.right = "auto";
+    }
+    // Fall back to below the annotation (centered)
+    else {
+      const centerX = anchorLeft + anchorRect.width / 2;
+      this.element.style.left = `${Math.max(8, centerX - panelWidth / 2)}px`;
+      this.element.style.right = "auto";
+    }
+
+    // Vertical alignment: align top of panel with top of annotation
+    this.element.style.top = `${anchorTop}px`;
+  }
+
+  hide() {
+    this._closeColorDropdown();
+    this.element.classList.add("hidden");
+    this.currentAnnotation = null;
+    this.anchorElement = null;
+
+    // Clear text content
+    this.textContent.textContent = "";
+    this.textContent.classList.add("hidden");
+
+    this._resetThread();
+
+    // Clear injected content (but preserve the slot container)
+    this.contentSlot.innerHTML = "";
+
+    // Remove from parent when hidden
+    if (this.element.parentNode) {
+      this.element.parentNode.removeChild(this.element);
+    }
+  }
+
+  isVisible() {
+    return !this.element.classList.contains("hidden")
+  }
+
+  getContentContainer() {
+    return this.contentSlot
+  }
+
+  // ===== Reply Thread =====
+
+  async _showThread(annotation) {
+    this._resetThread();
+    if (!this.onLoadReplies) return
+
+    const token = this._threadToken;
+    this.thread.classList.remove("hidden");
+    this.threadStatus.textContent = "Loading replies...";
+
+    try {
+      const replies = await this.onLoadReplies(annotation);
+      if (token !== this._threadToken) return
+
+      this.replies = replies || [];
+      this.threadStatus.textContent = "";
+      this._renderReplies();
+    } catch (error) {
+      if (token !== this._threadToken) return
+      this.threadStatus.textContent = "Replies could not be loaded";
+    }
+  }
+
+  _resetThread() {
+    this._threadToken++;
+    this.replies = [];
+    this._editingReplyId = null;
+    this._confirmingReplyId = null;
+    this.replyList.innerHTML = "";
+    this.threadStatus.textContent = "";
+    this.replyInput.value = "";
+    this.replySubmit.disabled = true;
+    this.thread.classList.add("hidden");
+  }
+
+  _renderReplies() {
+    this.replyList.innerHTML = "";
+    for (const reply of this.replies) {
+      this.replyList.appendChild(this._createReplyElement(reply));
+    }
+  }
+
+  // Built with textContent throughout: reply text and author names are user input
+  _createReplyElement(reply) {
+    const item = document.createElement("li");
+    item.className = "annotation-reply";
+    item.dataset.replyId = reply.id;
+
+    const header = document.createElement("div");
+    header.className = "annotation-reply-header";
+
+    const author = document.createElement("span");
+    author.className = "annotation-reply-author";
+    author.textContent = reply.author || "Anonymous";
+    header.appendChild(author);
+
+    if (reply.created_at) {
+      const time = document.createElement("time");
+      time.className = "annotation-reply-time";
+      time.dateTime = reply.created_at;
+      time.textContent = this._formatReplyTime(reply.created_at);
+      if (reply.updated_at && reply.updated_at !== reply.created_at) {
+        time.textContent += " (edited)";
+      }
+      header.appendChild(time);
+    }
+
+    // Servers can send editable: false for replies the user doesn't own
+    const editable = reply.editable !== false;
+    const isEditing = this._editingReplyId === reply.id;
+    const isConfirming = this._confirmingReplyId === reply.id;
+
+    if (editable && !isEditing && !isConfirming) {
+      const actions = document.createElement("div");
+      actions.className = "annotation-reply-actions";
+      actions.appendChild(this._createReplyButton("annotation-reply-edit", "Edit reply", Icons.edit, () => {
+        this._editingReplyId = reply.id;
+        this._confirmingReplyId = null;
+        this._renderReplies();
+        this.replyList.querySelector(".annotation-reply-edit-input")?.focus();
+      }));
+      actions.appendChild(this._createReplyButton("annotation-reply-delete", "Delete reply", Icons.delete, () => {
+        this._confirmingReplyId = reply.id;
+        this._editingReplyId = null;
+        this._renderReplies();
+        this.replyList.querySelector(".annotation-reply-confirm-delete")?.focus();
+      }));
+      header.appendChild(actions);
+    }
+
+    item.appendChild(header);
+
+    if (isEditing) {
+      item.appendChild(this._createReplyEditor(reply));
+    } else {
+      const text = document.createElement("div");
+      text.className = "annotation-reply-text";
+      text.textContent = reply.contents || "";
+      item.appendChild(text);
+    }
+
+    if (isConfirming) {
+      item.appendChild(this._createDeleteConfirmation(reply));
+    }
+
+    return item
+  }
+
+  _createReplyButton(className, label, icon, onClick) {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = className;
+    button.title = label;
+    button.setAttribute("aria-label", label);
+    button.innerHTML = icon;
+    button.addEventListener("click", (e) => {
+      e.stopPropagation();
+      onClick();
+    });
+    return button
+  }
+
+  _createReplyEditor(reply) {
+    const form = document.createElement("form");
+    form.className = "annotation-reply-edit-form";
+
+    const input = document.createElement("textarea");
+    input.className = "annotation-reply-edit-input";
+    input.rows = 2;
+    input.value = reply.contents || "";
+    input.setAttribute("aria-label", "Edit reply");
+
+    const actions = document.createElement("div");
+    actions.className = "annotation-detail-reply-actions";
+
+    const cancel = document.createElement("button");
+    cancel.type = "button";
+    cancel.className = "annotation-reply-cancel";
+    cancel.textContent = "Cancel";
+
+    const save = document.createElement("button");
+    save.type = "submit";
+    save.className = "annotation-detail-reply-submit";
+    save.textContent = "Save";
+
+    actions.append(cancel, save);
+    form.append(input, actions);
+
+    const stopEditing = () => {
+      this._editingReplyId = null;
+      this._renderReplies();
+    };
+
+    cancel.addEventListener("click", stopEditing);
+    input.addEventListener("input", () => {
+      save.disabled = !input.value.trim();
+    });
+    input.addEventListener("keydown", (e) => {
+      if (e.key === "Escape") {
+        // Cancel the edit without closing the panel
+        e.preventDefault();
+        e.stopPropagation();
+        stopEditing();
+      } else if (e.key === "Enter" && (e.ctrlKey || e.metaKey)) {
+        e.preventDefault();
+        form.requestSubmit();
+      }
+    });
+    form.addEventListener("submit", async (e) => {
+      e.preventDefault();
+      const contents = input.value.trim();
+      if (!contents) return
+      if (contents === reply.contents) {
+        stopEditing();
+        return
+      }
+
+      save.disabled = true;
+      const saved = await this._runReplyAction(() => this.onUpdateReply?.(this.currentAnnotation, reply, contents));
+      if (!saved) {
+        save.disabled = false;
+      }
+    });
+
+    return form
+  }
+
+  _createDeleteConfirmation(reply) {
+    const row = document.createElement("div");
+    row.className = "annotation-reply-confirm";
+
+    const label = document.createElement("span");
+    label.textContent = "Delete this reply?";
+
+    const cancel = document.createElement("button");
+    cancel.type = "button";
+    cancel.className = "annotation-reply-cancel";
+    cancel.textContent = "Cancel";
+    cancel.addEventListener("click", () => {
+      this._confirmingReplyId = null;
+      this._renderReplies();
+    });
+
+    const confirm = document.createElement("button");
+    confirm.type = "button";
+    confirm.className = "annotation-reply-confirm-delete";
+    confirm.textContent = "Delete";
+    confirm.addEventListener("click", async () => {
+      confirm.disabled = true;
+      const deleted = await this._runReplyAction(() => this.onDeleteReply?.(this.currentAnnotation, reply));
+      if (!deleted) {
+        confirm.disabled = false;
+      }
+    });
+
+    row.append(label, cancel, confirm);
+    return row
+  }
+
+  async _submitReply() {
+    const contents = this.replyInput.value.trim();
+    if (!contents || !this.currentAnnotation) return
+
+    this.replySubmit.disabled = true;
+    const saved = await this._runReplyAction(() => this.onCreateReply?.(this.currentAnnotation, contents));
+    if (saved) {
+      this.replyInput.value = "";
+    } else {
+      this.replySubmit.disabled = false;
+    }
+  }
+
+  // Run a reply change, then re-read the thread. The AnnotationManager
+  // reports the error itself; the panel just keeps what the user typed.
+  async _runReplyAction(action) {
+    if (!this.currentAnnotation) return false
+
+    const annotation = this.currentAnnotation;
+    const token = this._threadToken;
+    try {
+      await action();
+    } catch (error) {
+      if (token === this._threadToken) {
+        this.threadStatus.textContent = "Your change could not be saved";
+      }
+      return false
+    }
+
+    if (token !== this._threadToken) return true
+
+    this._editingReplyId = null;
+    this._confirmingReplyId = null;
+    this.threadStatus.textContent = "";
+    const replies = await this.onLoadReplies(annotation);
+    if (token === this._threadToken) {
+      this.replies = replies || [];
+      this._renderReplies();
+    }
+    return true
+  }
+
+  _formatReplyTime(dateString) {
+    const date = new Date(dateString);
+    if (isNaN(date)) return ""
+
+    return date.toLocaleString([], { month: "short", day: "numeric", hour: "numeric", minute: "2-digit" })
+  }
+
+  destroy() {
+    this._abortController.abort();
+    if (this._keydownHandler) {
+      document.removeEventListener("keydown", this._keydownHandler);
+    }
+    this.element.remove();
+  }
+}
+
+// Time before the undo bar automatically hides (ms)
+const AUTO_HIDE_DELAY = 5000;
+
+class UndoBar {
+  constructor(container, options = {}) {
+    this.container = container;
+    this.onUndo = options.onUndo;
+
+    this.currentAnnotation = null;
+    this.hideTimeout = null;
+
+    this._createBar();
+    this._setupEventListeners();
+
+    // Start hidden
+    this.container.classList.add("hidden");
+  }
+
+  _createBar() {
+    this.container.innerHTML = `
+      <span class="pdf-undo-bar-message"></span>
+      <button class="pdf-undo-bar-btn">Undo</button>
+      <button class="pdf-undo-bar-dismiss" aria-label="Dismiss">
+        ${Icons.close}
+      </button>
+    `;
+
+    this.messageElement = this.container.querySelector(".pdf-undo-bar-message");
+    this.undoButton = this.container.querySelector(".pdf-undo-bar-btn");
+    this.dismissButton = this.container.querySelector(".pdf-undo-bar-dismiss");
+  }
+
+  _setupEventListeners() {
+    this.undoButton.addEventListener("click", () => {
+      if (this.currentAnnotation && this.onUndo) {
+        this.onUndo(this.currentAnnotation);
+      }
+      this.hide();
+    });
+
+    this.dismissButton.addEventListener("click", () => {
+      this.hide();
+    });
+  }
+
+  // annotation can also be an array, for a bulk delete
+  show(annotation) {
+    // Clear any existing timeout
+    if (this.hideTimeout) {
+      clearTimeout(this.hideTimeout);
+    }
+
+    this.currentAnnotation = annotation;
+
+    // Set message based on annotation type
+    const typeMessages = {
+      highlight: "Highlight deleted",
+      line: "Underline deleted",
+      strikeout: "Strikeout deleted",
+      squiggly: "Squiggly deleted",
+      note: "Note deleted",
+      free_text: "Text box deleted",
+      stamp: "Stamp deleted",
+      ink: "Drawing deleted"
+    };
+    this.messageElement.textContent = Array.isArray(annotation)
+      ? `${annotation.length} annotations deleted`
+      : typeMessages[annotation.annotation_type] || "Annotation deleted";
+
+    // Show the bar (hidden class is on the container)
+    this.container.classList.remove("hidden");
+
+    // Auto-hide after delay
+    this.hideTimeout = setTimeout(() => {
+      this.hide();
+    }, AUTO_HIDE_DELAY);
+  }
+
+  hide() {
+    this.container.classList.add("hidden");
+    this.currentAnnotation = null;
+
+    if (this.hideTimeout) {
+      clearTimeout(this.hideTimeout);
+      this.hideTimeout = null;
+    }
+  }
+
+  destroy() {
+    if (this.hideTimeout) {
+      clearTimeout(this.hideTimeout);
+      this.hideTimeout = null;
+    }
+    // The container is host-owned and may be reused across reconnects; clear
+    // the injected buttons so their click listeners don't linger.
+    this.container.innerHTML = "";
+  }
+}
+
+/**
+ * AnnotationSelectionBar - Bulk actions for a multi-selection.
+ *
+ * Floats at the bottom of the viewer while several annotations are selected,
+ * with the selection count, recolor swatches, download, delete and clear.
+ * Delete/Backspace deletes the selection and Escape clears it.
+ */
+class AnnotationSelectionBar {
+  /**
+   * @param {HTMLElement} container
+   * @param {Object} options
+   * @param {Function} options.onRecolor - (color) for a swatch
+   * @param {Function} options.onDelete
+   * @param {Function} options.onDownload
+   * @param {Function} options.onClear
+   */
+  constructor(container, options = {}) {
+    this.container = container;
+    this.onRecolor = options.onRecolor;
+    this.onDelete = options.onDelete;
+    this.onDownload = options.onDownload;
+    this.onClear = options.onClear;
+
+    this._createBar();
+    this._setupEventListeners();
+
+    this.container.classList.add("hidden");
+  }
+
+  _createBar() {
+    this.container.setAttribute("role", "toolbar");
+    this.container.setAttribute("aria-label", "Selected annotations");
+    this.container.innerHTML = `
+      <span class="pdf-selection-bar-count" aria-live="polite"></span>
+      <div class="pdf-selection-bar-colors">
+        ${ColorPicker.COLORS.map(color => `
+          <button type="button" class="pdf-selection-bar-color" data-color="${color.value}"
+                  aria-label="Recolor to ${color.name}" title="Recolor to ${color.name}">
+            <span class="color-swatch" style="background-color: ${color.value}"></span>
+          </button>
+        `).join("")}
+      </div>
+      ${this.onDownload ? `<button type="button" class="pdf-selection-bar-btn" data-action="download">Download</button>` : ""}
+      <button type="button" class="pdf-selection-bar-btn" data-action="delete">Delete</button>
+      <button type="button" class="pdf-selection-bar-dismiss" aria-label="Clear selection">
+        ${Icons.close}
+      </button>
+    `;
+
+    this.countElement = this.container.querySelector(".pdf-selection-bar-count");
+  }
+
+  _setupEventListeners() {
+    this.container.addEventListener("click", (e) => {
+      const swatch = e.target.closest(".pdf-selection-bar-color");
+      if (swatch) {
+        this.onRecolor?.(swatch.dataset.color);
+        return
+      }
+
+      const action = e.target.closest("[data-action]")?.dataset.action;
+      if (action === "download") {
+        this.onDownload?.();
+      } else if (action === "delete") {
+        this.onDelete?.();
+      } else if (e.target.closest(".pdf-selection-bar-dismiss")) {
+        this.onClear?.();
+      }
+    });
+
+    this._keydownHandler = (e) => {
+      if (!this.isVisible()) return
+
+      // Don't intercept if user is typing
+      const activeEl = document.activeElement;
+      if (activeEl && (activeEl.tagName === "INPUT" || activeEl.tagName === "TEXTAREA" || activeEl.isContentEditable)) return
+
+      if (e.key === "Delete" || e.key === "Backspace") {
+        e.preventDefault();
+        this.onDelete?.();
+      } else if (e.key === "Escape") {
+        e.preventDefault();
+        this.onClear?.();
+      }
+    };
+    document.addEventListener("keydown", this._keydownHandler);
+  }
+
+  show(count) {
+    this.countElement.textContent = `${count} selected`;
+    this.container.classList.remove("hidden");
+  }
+
+  hide() {
+    this.container.classList.add("hidden");
+  }
+
+  isVisible() {
+    return !this.container.classList.contains("hidden")
+  }
+
+  destroy() {
+    if (this._keydownHandler) {
+      document.removeEventListener("keydown", this._keydownHandler);
+      this._keydownHandler = null;
+    }
+    // The container is host-owned and may be reused across reconnects
+    this.container.innerHTML = "";
+  }
+}
+
+/**
+ * AnnotationHistory - Undo/redo stack for annotation changes.
+ *
+ * Records the creates, updates and deletes AnnotationManager reports through
+ * onLocalChange, and undoes or redoes them through the manager again.
+ * Changes from other reviewers are never recorded. group() turns several
+ * changes into a single step.
+ */
+
+// Oldest steps are dropped beyond this
+const HISTORY_LIMIT = 100;
+
+class AnnotationHistory {
+  /**
+   * @param {Object} options
+   * @param {AnnotationManager} options.annotationManager
+   * @param {Function} [options.onChange] - ({ canUndo, canRedo }) when either changes
+   */
+  constructor({ annotationManager, onChange }) {
+    this.annotationManager = annotationManager;
+    this.onChange = onChange;
+
+    this._undoStack = []; // Steps, each an array of entries
+    this._redoStack = [];
+    this._group = null;
+    this._replayingStep = null; // Off both stacks while it replays
+    this._replayed = new WeakMap(); // Step -> { undoing, count } of a replay that stopped partway
+    this.isReplaying = false;
+  }
+
+  get canUndo() {
+    return this._undoStack.length > 0 && !this.isReplaying
+  }
+
+  get canRedo() {
+    return this._redoStack.length > 0 && !this.isReplaying
+  }
+
+  /**
+   * The step undo() would revert next, or null.
+   * @returns {Array<Object>|null} Entries of { type, id, annotation, before, after }
+   */
+  peekUndo() {
+    return this._undoStack[this._undoStack.length - 1] || null
+  }
+
+  /**
+   * Record a change reported by AnnotationManager. Ignored while replaying,
+   * so undo/redo doesn't record itself.
+   * @param {Object} change - { type, annotation, previous, data }
+   */
+  record({ type, annotation, previous, data }) {
+    if (this.isReplaying) return
+
+    let entry;
+    if (type === "update") {
+      // Only the fields that changed, so undo doesn't clobber unrelated edits
+      const keys = Object.keys(data || {});
+      if (keys.length === 0 || !previous) return
+      entry = {
+        type,
+        id: annotation.id,
+        before: Object.fromEntries(keys.map(key => [key, previous[key] ?? null])),
+        after: Object.fromEntries(keys.map(key => [key, data[key]]))
+      };
+    } else {
+      entry = { type, id: annotation.id, annotation: { ...annotation } };
+    }
+
+    if (this._group) {
+      this._group.push(entry);
+    } else {
+      this._push([entry]);
+    }
+  }
+
+  /**
+   * Record every change made while fn runs as one undo step.
+   * @param {Function} fn - May be async
+   * @returns {Promise<*>} fn's result
+   */
+  async group(fn) {
+    // Nested groups fold into the outermost one
+    if (this._group) return fn()
+
+    this._group = [];
+    try {
+      return await fn()
+    } finally {
+      const step = this._group;
+      this._group = null;
+      if (step.length > 0) {
+        this._push(step);
+      }
+    }
+  }
+
+  /**
+   * Revert the most recent step. A step that fails to replay stays on the
+   * undo stack so it can be tried again; entries it already reverted are
+   * skipped then.
+   * @returns {Promise<Array<Object>|null>} The step, or null if there was none or it failed
+   */
+  async undo() {
+    if (!this.canUndo) return null
+
+    const step = this._undoStack.pop();
+    const replayed = await this._replay(step, true);
+    if (!replayed) {
+      this._undoStack.push(step);
+      this._notify();
+      return null
+    }
+
+    this._redoStack.push(step);
+    this._notify();
+    return step
+  }
+
+  /**
+   * Re-apply the most recently undone step. A step that fails to replay
+   * stays on the redo stack, as for undo().
+   * @returns {Promise<Array<Object>|null>} The step, or null if there was none or it failed
+   */
+  async redo() {
+    if (!this.canRedo) return null
+
+    const step = this._redoStack.pop();
+    const replayed = await this._replay(step, false);
+    if (!replayed) {
+      this._redoStack.push(step);
+      this._notify();
+      return null
+    }
+
+    this._undoStack.push(step);
+    this._notify();
+    return step
+  }
+
+  /**
+   * Point recorded entries at a new id (offline create synced, or an
+   * annotation re-created by _revive()).
+   */
+  remapId(previousId, id) {
+    const steps = [...this._undoStack, ...this._redoStack];
+    if (this._replayingStep) {
+      steps.push(this._replayingStep);
+    }
+
+    for (const step of steps) {
+      for (const entry of step) {
+        if (entry.id === previousId) {
+          entry.id = id;
+          if (entry.annotation) {
+            entry.annotation.id = id;
+          }
+        }
+      }
+    }
+  }
+
+  clear() {
+    this._undoStack = [];
+    this._redoStack = [];
+    this._notify();
+  }
+
+  _push(step) {
+    this._undoStack.push(step);
+    if (this._undoStack.length > HISTORY_LIMIT) {
+      this._undoStack.shift();
+    }
+    this._redoStack = [];
+    this._notify();
+  }
+
+  // Returns false if the step could not be replayed
+  async _replay(step, undoing) {
+    this.isReplaying = true;
+    this._replayingStep = step;
+    this._notify();
+
+    try {
+      // Undo reverts the step's entries last-first
+      const entries = undoing ? [...step].reverse() : step;
+      const manager = this.annotationManager;
+
+      // Bulk steps (all updates, or all removals) replay as one batch
+      if (entries.length > 1 && entries.every(entry => entry.type === "update")) {
+        await manager.updateAnnotations(entries.map(entry => ({
+          id: entry.id,
+          data: undoing ? entry.before : entry.after
+        })));
+      } else if (entries.length > 1 && entries.every(entry => entry.type === (undoing ? "create" : "delete"))) {
+        await manager.deleteAnnotations(entries.map(entry => entry.id));
+      } else {
+        // A retry picks up after the entries that went through last time;
+        // replaying them again would re-create annotations twice. (Bulk
+        // replays are safe to repeat as they are.)
+        const replayed = this._replayed.get(step);
+        let count = replayed?.undoing === undoing ? replayed.count : 0;
+        for (const entry of entries.slice(count)) {
+          await this._apply(entry, undoing);
+          this._replayed.set(step, { undoing, count: ++count });
+        }
+      }
+      this._replayed.delete(step);
+      return true
+    } catch (error) {
+      // AnnotationManager already reported it; keep the rest of the history usable
+      console.error("Failed to replay annotation history:", error);
+      return false
+    } finally {
+      this.isReplaying = false;
+      this._replayingStep = null;
+    }
+  }
+
+  _apply(entry, undoing) {
+    const manager = this.annotationManager;
+
+    switch (entry.type) {
+      case "create":
+        return undoing ? manager.deleteAnnotation(entry.id) : this._revive(entry)
+      case "delete":
+        return undoing ? this._revive(entry) : manager.deleteAnnotation(entry.id)
+      case "update":
+        return manager.updateAnnotation(entry.id, undoing ? entry.before : entry.after)
+    }
+  }
+
+  // Bring back a deleted annotation. Restore keeps its id; stores without
+  // soft-delete (MemoryAnnotationStore) get a fresh create instead.
+  async _revive(entry) {
+    const restored = await this.annotationManager.restoreAnnotation(entry.id);
+    if (restored) return
+
+    const { id, created_at, updated_at, ...data } = entry.annotation;
+    const created = await this.annotationManager.createAnnotation(data);
+    this.remapId(id, created.id);
+  }
+
+  _notify() {
+    this.onChange?.({ canUndo: this.canUndo, canRedo: this.canRedo });
+  }
+}
+
+/**
+ * PasswordPrompt - Accessible modal asking for a PDF's open password.
+ *
+ * Rendered over the viewer body while PDF.js waits for a password. Resolves
+ * with the entered password, or null if the user cancels.
+ */
+
+let passwordPromptId = 0;
+
+class PasswordPrompt {
+  constructor(container) {
+    this.container = container;
+    this.element = null;
+    this._resolve = null;
+    this._previousFocusElement = null;
+  }
+
+  /**
+   * Show the prompt and wait for an answer.
+   * @param {Object} options
+   * @param {boolean} options.incorrect - The previous attempt was wrong
+   * @returns {Promise<string|null>}
+   */
+  prompt({ incorrect = false } = {}) {
+    // Only one prompt at a time; cancel a stale one
+    this._finish(null);
+
+    this._previousFocusElement = document.activeElement;
+    const id = `pdf-password-prompt-${++passwordPromptId}`;
+
+    this.element = document.createElement("div");
+    this.element.className = "pdf-password-overlay";
+    this.element.innerHTML = `
+      <form class="pdf-password-dialog" role="dialog" aria-modal="true"
+            aria-labelledby="${id}-title" aria-describedby="${id}-description">
+        <div class="pdf-password-title" id="${id}-title">Password required</div>
+        <p class="pdf-password-description" id="${id}-description">
+          This document is protected. Enter the password to open it.
+        </p>
+        <label class="pdf-password-label" for="${id}-input">Password</label>
+        <input class="pdf-password-input" id="${id}-input" type="password"
+               autocomplete="off" required aria-describedby="${id}-error">
+        <div class="pdf-password-error" id="${id}-error" role="alert"></div>
+        <div class="pdf-password-actions">
+          <button type="button" class="pdf-password-cancel">Cancel</button>
+          <button type="submit" class="pdf-password-submit">Open</button>
+        </div>
+      </form>
+    `;
+    this.container.appendChild(this.element);
+
+    const form = this.element.querySelector("form");
+    const input = this.element.querySelector(".pdf-password-input");
+    const cancelBtn = this.element.querySelector(".pdf-password-cancel");
+
+    if (incorrect) {
+      this.element.querySelector(".pdf-password-error").textContent = "Incorrect password. Please try again.";
+      input.setAttribute("aria-invalid", "true");
+    }
+
+    form.addEventListener("submit", (e) => {
+      e.preventDefault();
+      if (input.value) {
+        this._finish(input.value);
+      }
+    });
+
+    cancelBtn.addEventListener("click", () => this._finish(null));
+
+    form.addEventListener("keydown", (e) => {
+      if (e.key === "Escape") {
+        e.preventDefault();
+        e.stopPropagation();
+        this._finish(null);
+      } else if (e.key === "Tab") {
+        this._trapFocus(e, form);
+      }
+    });
+
+    requestAnimationFrame(() => input.focus({ preventScroll: true }));
+
+    return new Promise(resolve => {
+      this._resolve = resolve;
+    })
+  }
+
+  _trapFocus(e, form) {
+    const focusable = form.querySelectorAll("input, button");
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+
+    if (e.shiftKey && document.activeElement === first) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && document.activeElement === last) {
+      e.preventDefault();
+      first.focus();
+    }
+  }
+
+  _finish(password) {
+    if (this.element) {
+      this.element.remove();
+      this.element = null;
+    }
+
+    if (this._previousFocusElement?.isConnected) {
+      this._previousFocusElement.focus({ preventScroll: true });
+    }
+    this._previousFocusElement = null;
+
+    const resolve = this._resolve;
+    this._resolve = null;
+    resolve?.(password);
+  }
+
+  destroy() {
+    this._finish(null);
+  }
+}
+
+/**
+ * PrintProgress - Progress dialog shown while a print job renders pages.
+ *
+ * Shows "Preparing page N of M" with a progress bar and a Cancel button.
+ * Escape also cancels.
+ */
+
+let printProgressId = 0;
+
+class PrintProgress {
+  constructor(container, { onCancel } = {}) {
+    this.container = container;
+    this.onCancel = onCancel;
+    this.element = null;
+    this._previousFocusElement = null;
+  }
+
+  /**
+   * Show the dialog for a document of pageCount pages.
+   * @param {number} pageCount
+   */
+  show(pageCount) {
+    this.hide();
+
+    this._previousFocusElement = document.activeElement;
+    const id = `pdf-print-progress-${++printProgressId}`;
+
+    this.element = document.createElement("div");
+    this.element.className = "pdf-print-progress-overlay";
+    this.element.innerHTML = `
+      <div class="pdf-print-progress" role="dialog" aria-modal="true" aria-labelledby="${id}-title">
+        <div class="pdf-print-progress-title" id="${id}-title">Preparing document for printing…</div>
+        <progress class="pdf-print-progress-bar" max="${pageCount}" value="0" aria-labelledby="${id}-title"></progress>
+        <div class="pdf-print-progress-text" aria-live="polite"></div>
+        <div class="pdf-print-progress-actions">
+          <button type="button" class="pdf-print-progress-cancel">Cancel</button>
+        </div>
+      </div>
+    `;
+    this.container.appendChild(this.element);
+
+    const cancelBtn = this.element.querySelector(".pdf-print-progress-cancel");
+    cancelBtn.addEventListener("click", () => this.onCancel?.());
+    this.element.addEventListener("keydown", (e) => {
+      if (e.key === "Escape") {
+        e.preventDefault();
+        e.stopPropagation();
+        this.onCancel?.();
+      } else if (e.key === "Tab") {
+        // Cancel is the only control; keep focus on it
+        e.preventDefault();
+      }
+    });
+
+    this.update(0, pageCount);
+    cancelBtn.focus({ preventScroll: true });
+  }
+
+  /**
+   * @param {number} pageNumber - Pages rendered so far
+   * @param {number} pageCount
+   */
+  update(pageNumber, pageCount) {
+    if (!this.element) return
+
+    this.element.querySelector(".pdf-print-progress-bar").value = pageNumber;
+    this.element.querySelector(".pdf-print-progress-text").textContent =
+      `${Math.round((pageNumber / pageCount) * 100)}% (${pageNumber} of ${pageCount} pages)`;
+  }
+
+  hide() {
+    if (!this.element) return
+
+    this.element.remove();
+    this.element = null;
+
+    if (this._previousFocusElement?.isConnected) {
+      this._previousFocusElement.focus({ preventScroll: true });
+    }
+    this._previousFocusElement = null;
+  }
+
+  destroy() {
+    this.hide();
+  }
+}
+
+/**
+ * ExportDialog - Choose what goes into a downloaded PDF.
+ *
+ * Offers pages, annotation types and authors, flattened or editable
+ * annotations, the watermark and the original file. Choices the download policy forbids are left out.
+ * Resolves with options for PdfViewer.download(), or null if cancelled.
+ */
+
+let exportDialogId = 0;
+
+class ExportDialog {
+  constructor(container) {
+    this.container = container;
+    this.element = null;
+    this._resolve = null;
+    this._previousFocusElement = null;
+  }
+
+  /**
+   * Show the dialog and wait for the user's choices.
+   * @param {Object} options
+   * @param {Object} options.policy - See DEFAULT_DOWNLOAD_POLICY
+   * @param {number} options.pageCount
+   * @param {number} options.currentPage
+   * @param {Array<string>} options.types - Annotation types in the document
+   * @param {Array<string|null>} options.authors - Annotation authors in the document; null for annotations without one
+   * @returns {Promise<Object|null>}
+   */
+  open({ policy, pageCount, currentPage, types = [], authors = [] }) {
+    this._finish(null);
+
+    this._previousFocusElement = document.activeElement;
+    this._pageCount = pageCount;
+    this._currentPage = currentPage;
+    const id = `pdf-export-dialog-${++exportDialogId}`;
+
+    const allowOriginal = policy.original && policy.unwatermarked;
+    const allowFilter = policy.filterAnnotations && types.length > 0;
+
+    this.element = document.createElement("div");
+    this.element.className = "pdf-export-overlay";
+    this.element.innerHTML = `
+      <form class="pdf-export-dialog" role="dialog" aria-modal="true" aria-labelledby="${id}-title" novalidate>
+        <div class="pdf-export-title" id="${id}-title">Download PDF</div>
+        ${allowOriginal ? `
+          <fieldset class="pdf-export-group">
+            <legend>Content</legend>
+            <label><input type="radio" name="content" value="annotated" checked> With annotations</label>
+            <label><input type="radio" name="content" value="original"> Original document only</label>
+          </fieldset>
+        ` : ""}
+        <div class="pdf-export-options">
+          ${policy.pageRanges ? `
+            <fieldset class="pdf-export-group">
+              <legend>Pages</legend>
+              <label><input type="radio" name="pages" value="all" checked> All pages</label>
+              <label><input type="radio" name="pages" value="current"> Current page (${currentPage})</label>
+              <label class="pdf-export-range-option">
+                <input type="radio" name="pages" value="range"> Pages
+                <input type="text" class="pdf-export-range" placeholder="e.g. 1-3, 5"
+                       aria-label="Page range" aria-describedby="${id}-error" autocomplete="off">
+              </label>
+            </fieldset>
+          ` : ""}
+          ${policy.editable ? `
+            <fieldset class="pdf-export-group">
+              <legend>Annotation format</legend>
+              <label><input type="radio" name="format" value="editable" checked> Editable</label>
+              <label><input type="radio" name="format" value="flattened"> Flattened (can't be removed)</label>
+            </fieldset>
+          ` : ""}
+          ${allowFilter ? `
+            <fieldset class="pdf-export-group pdf-export-types">
+              <legend>Annotations</legend>
+            </fieldset>
+          ` : ""}
+          ${allowFilter && authors.length > 1 ? `
+            <fieldset class="pdf-export-group pdf-export-authors">
+              <legend>Authors</legend>
+            </fieldset>
+          ` : ""}
+          ${policy.unwatermarked ? `
+            <label class="pdf-export-watermark"><input type="checkbox" name="watermark" checked> Add watermark</label>
+          ` : ""}
+        </div>
+        <div class="pdf-export-error" id="${id}-error" role="alert"></div>
+        <div class="pdf-export-actions">
+          <button type="button" class="pdf-export-cancel">Cancel</button>
+          <button type="submit" class="pdf-export-submit">Download</button>
+        </div>
+      </form>
+    `;
+
+    // Author names are user input, so these are built without innerHTML
+    this._addCheckboxes(".pdf-export-types", "type", types.map(type => [type, ANNOTATION_TYPE_LABELS[type] || type]));
+    this._addCheckboxes(".pdf-export-authors", "author", authors.map(author => [author ?? "", author ?? "(no author)"]));
+
+    this.container.appendChild(this.element);
+    this._setupListeners();
+    requestAnimationFrame(() => this.element?.querySelector(".pdf-export-submit").focus({ preventScroll: true }));
+
+    return new Promise(resolve => {
+      this._resolve = resolve;
+    })
+  }
+
+  _addCheckboxes(selector, name, items) {
+    const fieldset = this.element.querySelector(selector);
+    if (!fieldset) return
+
+    for (const [value, text] of items) {
+      const label = document.createElement("label");
+      const input = document.createElement("input");
+      input.type = "checkbox";
+      input.name = name;
+      input.value = value;
+      input.checked = true;
+      label.append(input, ` ${text}`);
+      fieldset.appendChild(label);
+    }
+  }
+
+  _setupListeners() {
+    const form = this.element.querySelector("form");
+    const options = this.element.querySelector(".pdf-export-options");
+    const rangeInput = this.element.querySelector(".pdf-export-range");
+
+    // The original file has no options of its own
+    form.addEventListener("change", (e) => {
+      if (e.target.name === "content") {
+        options.querySelectorAll("input").forEach(input => {
+          input.disabled = form.elements.content.value === "original";
+        });
+      }
+    });
+
+    // Typing a range picks the range option
+    rangeInput?.addEventListener("input", () => {
+      form.querySelector('input[name="pages"][value="range"]').checked = true;
+    });
+
+    form.addEventListener("submit", (e) => {
+      e.preventDefault();
+      try {
+        this._finish(this._readOptions(form));
+      } catch (error) {
+        this.element.querySelector(".pdf-export-error").textContent = error.message;
+        rangeInput?.setAttribute("aria-invalid", "true");
+        rangeInput?.focus();
+      }
+    });
+
+    this.element.querySelector(".pdf-export-cancel").addEventListener("click", () => this._finish(null));
+
+    form.addEventListener("keydown", (e) => {
+      if (e.key === "Escape") {
+        e.preventDefault();
+        e.stopPropagation();
+        this._finish(null);
+      } else if (e.key === "Tab") {
+        this._trapFocus(e, form);
+      }
+    });
+  }
+
+  // Only the choices that narrow the download are set, so an untouched
+  // dialog asks for the same download as the plain Download button
+  _readOptions(form) {
+    if (form.elements.content?.value === "original") {
+      return { original: true }
+    }
+
+    const options = {};
+    const pages = form.elements.pages?.value;
+    if (pages === "current") {
+      options.pages = [this._currentPage];
+    } else if (pages === "range") {
+      options.pages = parsePageRanges(form.querySelector(".pdf-export-range").value, this._pageCount);
+    }
+
+    for (const [name, key] of [["type", "includeTypes"], ["author", "includeAuthors"]]) {
+      const boxes = [...form.querySelectorAll(`input[name="${name}"]`)];
+      if (boxes.some(box => !box.checked)) {
+        // The "(no author)" box has an empty value
+        options[key] = boxes.filter(box => box.checked).map(box => box.value || null);
+      }
+    }
+
+    if (form.elements.format?.value === "flattened") {
+      options.flatten = true;
+    }
+
+    if (form.elements.watermark && !form.elements.watermark.checked) {
+      options.watermark = false;
+    }
+
+    return options
+  }
+
+  _trapFocus(e, form) {
+    const focusable = form.querySelectorAll("input:not(:disabled), button");
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+
+    if (e.shiftKey && document.activeElement === first) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && document.activeElement === last) {
+      e.preventDefault();
+      first.focus();
+    }
+  }
+
+  _finish(options) {
+    if (this.element) {
+      this.element.remove();
+      this.element = null;
+    }
+
+    if (this._previousFocusElement?.isConnected) {
+      this._previousFocusElement.focus({ preventScroll: true });
+    }
+    this._previousFocusElement = null;
+
+    const resolve = this._resolve;
+    this._resolve = null;
+    resolve?.(options);
+  }
+
+  destroy() {
+    this._finish(null);
+  }
+}
+
+/**
+ * SignaturePad - Modal for drawing a signature with mouse, pen or finger.
+ *
+ * Resolves with the signature as a transparent PNG cropped to the strokes,
+ * or null if the user cancels.
+ */
+
+let signaturePadId = 0;
+
+const SIGNATURE_PAD_WIDTH = 480;
+const SIGNATURE_PAD_HEIGHT = 180;
+const SIGNATURE_COLOR = "#1A237E";
+
+class SignaturePad {
+  constructor(container) {
+    this.container = container;
+    this.element = null;
+    this._resolve = null;
+    this._previousFocusElement = null;
+    this._strokes = [];
+  }
+
+  /**
+   * Show the pad and wait for a signature.
+   * @returns {Promise<{name: string, imageData: string, width: number, height: number}|null>}
+   */
+  open() {
+    this._finish(null);
+
+    this._previousFocusElement = document.activeElement;
+    this._strokes = [];
+    const id = `pdf-signature-pad-${++signaturePadId}`;
+
+    this.element = document.createElement("div");
+    this.element.className = "pdf-signature-overlay";
+    this.element.innerHTML = `
+      <div class="pdf-signature-dialog" role="dialog" aria-modal="true" aria-labelledby="${id}-title">
+        <div class="pdf-signature-title" id="${id}-title">Draw your signature</div>
+        <canvas class="pdf-signature-canvas" width="${SIGNATURE_PAD_WIDTH}" height="${SIGNATURE_PAD_HEIGHT}"
+                aria-label="Signature drawing area"></canvas>
+        <div class="pdf-signature-actions">
+          <button type="button" class="pdf-signature-clear">Clear</button>
+          <button type="button" class="pdf-signature-cancel">Cancel</button>
+          <button type="button" class="pdf-signature-submit" disabled>Use signature</button>
+        </div>
+      </div>
+    `;
+    this.container.appendChild(this.element);
+
+    this._setupListeners();
+    requestAnimationFrame(() => this.element?.querySelector(".pdf-signature-cancel").focus({ preventScroll: true }));
+
+    return new Promise(resolve => {
+      this._resolve = resolve;
+    })
+  }
+
+  _setupListeners() {
+    const dialog = this.element.querySelector(".pdf-signature-dialog");
+    const canvas = this.element.querySelector(".pdf-signature-canvas");
+    const submitBtn = this.element.querySelector(".pdf-signature-submit");
+    let currentStroke = null;
+
+    // Canvas pixels per CSS pixel, in case the canvas is scaled down on small screens
+    const toCanvasPoint = (event) => {
+      const rect = canvas.getBoundingClientRect();
+      return {
+        x: (event.clientX - rect.left) * (canvas.width / rect.width),
+        y: (event.clientY - rect.top) * (canvas.height / rect.height)
+      }
+    };
+
+    canvas.addEventListener("pointerdown", (e) => {
+      e.preventDefault();
+      canvas.setPointerCapture(e.pointerId);
+      currentStroke = [toCanvasPoint(e)];
+      this._strokes.push(currentStroke);
+      this._draw(canvas);
+    });
+
+    canvas.addEventListener("pointermove", (e) => {
+      if (!currentStroke) return
+      currentStroke.push(toCanvasPoint(e));
+      this._draw(canvas);
+    });
+
+    const endStroke = () => {
+      currentStroke = null;
+      submitBtn.disabled = this._strokes.length === 0;
+    };
+    canvas.addEventListener("pointerup", endStroke);
+    canvas.addEventListener("pointercancel", endStroke);
+
+    this.element.querySelector(".pdf-signature-clear").addEventListener("click", () => {
+      this._strokes = [];
+      submitBtn.disabled = true;
+      this._draw(canvas);
+    });
+
+    this.element.querySelector(".pdf-signature-cancel").addEventListener("click", () => this._finish(null));
+    submitBtn.addEventListener("click", () => this._finish(this._export()));
+
+    dialog.addEventListener("keydown", (e) => {
+      if (e.key === "Escape") {
+        e.preventDefault();
+        e.stopPropagation();
+        this._finish(null);
+      } else if (e.key === "Tab") {
+        this._trapFocus(e, dialog);
+      }
+    });
+  }
+
+  _trapFocus(e, dialog) {
+    const focusable = dialog.querySelectorAll("button:not(:disabled)");
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+
+    if (e.shiftKey && document.activeElement === first) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && document.activeElement === last) {
+      e.preventDefault();
+      first.focus();
+    }
+  }
+
+  _draw(canvas, ctx = canvas.getContext("2d"), offset = { x: 0, y: 0 }) {
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.strokeStyle = SIGNATURE_COLOR;
+    ctx.fillStyle = SIGNATURE_COLOR;
+    ctx.lineWidth = 3;
+    ctx.lineCap = "round";
+    ctx.lineJoin = "round";
+
+    for (const stroke of this._strokes) {
+      // A tap leaves a dot
+      if (stroke.length === 1) {
+        ctx.beginPath();
+        ctx.arc(stroke[0].x - offset.x, stroke[0].y - offset.y, ctx.lineWidth / 2, 0, Math.PI * 2);
+        ctx.fill();
+        continue
+      }
+
+      // Smooth with quadratic curves through the midpoints, as InkTool does
+      ctx.beginPath();
+      ctx.moveTo(stroke[0].x - offset.x, stroke[0].y - offset.y);
+      for (let i = 1; i < stroke.length - 1; i++) {
+        const midX = (stroke[i].x + stroke[i + 1].x) / 2;
+        const midY = (stroke[i].y + stroke[i + 1].y) / 2;
+        ctx.quadraticCurveTo(stroke[i].x - offset.x, stroke[i].y - offset.y, midX - offset.x, midY - offset.y);
+      }
+      const last = stroke[stroke.length - 1];
+      ctx.lineTo(last.x - offset.x, last.y - offset.y);
+      ctx.stroke();
+    }
+  }
+
+  // Redraw the strokes onto a canvas cropped to their bounds
+  _export() {
+    if (this._strokes.length === 0) return null
+
+    const points = this._strokes.flat();
+    const padding = 4;
+    const minX = Math.floor(Math.min(...points.map(p => p.x)) - padding);
+    const minY = Math.floor(Math.min(...points.map(p => p.y)) - padding);
+    const maxX = Math.ceil(Math.max(...points.map(p => p.x)) + padding);
+    const maxY = Math.ceil(Math.max(...points.map(p => p.y)) + padding);
+
+    const canvas = document.createElement("canvas");
+    canvas.width = maxX - minX;
+    canvas.height = maxY - minY;
+    this._draw(canvas, canvas.getContext("2d"), { x: minX, y: minY });
+
+    return { name: "Signature", imageData: canvas.toDataURL("image/png"), width: canvas.width, height: canvas.height }
+  }
+
+  _finish(signature) {
+    if (this.element) {
+      this.element.remove();
+      this.element = null;
+    }
+
+    if (this._previousFocusElement?.isConnected) {
+      this._previousFocusElement.focus({ preventScroll: true });
+    }
+    this._previousFocusElement = null;
+
+    const resolve = this._resolve;
+    this._resolve = null;
+    resolve?.(signature);
+  }
+
+  destroy() {
+    this._finish(null);
+  }
+}
+
+/**
+ * Color helpers shared across annotation rendering.
+ */
+
+// Matches #RGB, #RGBA, #RRGGBB, and #RRGGBBAA hex colors only.
+const HEX_COLOR_RE = /^#(?:[0-9a-fA-F]{3,4}|[0-9a-fA-F]{6}|[0-9a-fA-F]{8})$/;
+
+/**
+ * Validate a color before it is interpolated into HTML or a CSS string.
+ *
+ * Annotation colors come from the server and are otherwise untrusted; a value
+ * like `red"><img src=x onerror=...>` would break out of an attribute or CSS
+ * declaration. We only allow hex colors and fall back to a known-safe default
+ * for anything else. Use this at every sink where a color is concatenated into
+ * markup or `cssText` (DOM/CSSOM setters such as `setAttribute("fill", c)` and
+ * `style.color = c` are already injection-safe and don't need it).
+ *
+ * @param {string} color - Candidate color (typically annotation.color)
+ * @param {string} fallback - Color to use when `color` is missing/invalid
+ * @returns {string}
+ */
+function sanitizeColor(color, fallback) {
+  if (typeof color === "string" && HEX_COLOR_RE.test(color)) {
+    return color
+  }
+  return fallback
+}
+
+/**
+ * ThumbnailView - Renders a single page thumbnail
+ *
+ * Inspired by PDF.js PDFThumbnailView but simplified for our use case.
+ * Renders thumbnails at a fixed width with lazy loading support.
+ */
+
+const THUMBNAIL_WIDTH = 150; // Fixed thumbnail width in pixels
+const RENDER_QUALITY = 2; // Canvas scale factor for crisp thumbnails
+
+const ThumbnailRenderingState = {
+  INITIAL: 0,
+  RUNNING: 1,
+  FINISHED: 2
+};
+
+class ThumbnailView {
+  constructor({ container, pageNumber, defaultViewport, rotation = 0, onClick }) {
+    this.pageNumber = pageNumber;
+    this.pdfPage = null;
+    this.viewport = defaultViewport;
+    this.rotation = rotation; // User-applied viewer rotation (degrees)
+    this.renderingState = ThumbnailRenderingState.INITIAL;
+    this.renderTask = null;
+    this.onClick = onClick;
+
+    // Calculate dimensions based on viewport aspect ratio
+    const ratio = defaultViewport.width / defaultViewport.height;
+    this.canvasWidth = THUMBNAIL_WIDTH;
+    this.canvasHeight = Math.round(THUMBNAIL_WIDTH / ratio);
+
+    // Create DOM elements
+    this._createElements(container);
+  }
+
+  _createElements(container) {
+    // Thumbnail container
+    this.div = document.createElement("div");
+    this.div.className = "thumbnail";
+    this.div.dataset.pageNumber = this.pageNumber;
+
+    // Page number label
+    const label = document.createElement("span");
+    label.className = "thumbnail-label";
+    label.textContent = this.pageNumber;
+
+    // Image placeholder (will be replaced with canvas/img)
+    this.image = document.createElement("div");
+    this.image.className = "thumbnail-image";
+    this.image.style.width = `${this.canvasWidth}px`;
+    this.image.style.height = `${this.canvasHeight}px`;
+
+    // Click handler
+    this.div.addEventListener("click", () => {
+      if (this.onClick) {
+        this.onClick(this.pageNumber);
+      }
+    });
+
+    // Keyboard accessibility
+    this.div.tabIndex = 0;
+    this.div.role = "button";
+    this.div.setAttribute("aria-label", `Page ${this.pageNumber}`);
+    this.div.addEventListener("keydown", (e) => {
+      if (e.key === "Enter" || e.key === " ") {
+        e.preventDefault();
+        if (this.onClick) {
+          this.onClick(this.pageNumber);
+        }
+      }
+    });
+
+    this.div.appendChild(this.image);
+    this.div.appendChild(label);
+    container.appendChild(this.div);
+  }
+
+  /**
+   * Set the PDF page and update dimensions
+   */
+  setPdfPage(pdfPage) {
+    this.pdfPage = pdfPage;
+    this._setViewport(this._getViewport(1));
+  }
+
+  /**
+   * Apply a new viewer rotation. Drops the rendered image so the next draw()
+   * renders at the new orientation.
+   * @param {number} rotation - User-applied rotation in degrees
+   * @param {Object} defaultViewport - Provisional viewport if the page isn't loaded yet
+   */
+  setRotation(rotation, defaultViewport) {
+    this.rotation = rotation;
+    this._setViewport(this.pdfPage ? this._getViewport(1) : defaultViewport);
+    this.reset();
+  }
+
+  /**
+   * Viewport combining the page's own /Rotate with the viewer rotation.
+   * PDF.js treats the rotation option as absolute, so add page.rotate here.
+   */
+  _getViewport(scale) {
+    const rotation = (this.rotation + (this.pdfPage.rotate || 0)) % 360;
+    return this.pdfPage.getViewport({ scale, rotation })
+  }
+
+  _setViewport(viewport) {
+    this.viewport = viewport;
+
+    // Recalculate dimensions
+    const ratio = viewport.width / viewport.height;
+    this.canvasHeight = Math.round(THUMBNAIL_WIDTH / ratio);
+    this.image.style.height = `${this.canvasHeight}px`;
+  }
+
+  /**
+   * Render the thumbnail
+   */
+  async draw() {
+    if (this.renderingState !== ThumbnailRenderingState.INITIAL) {
+      return
+    }
+
+    if (!this.pdfPage) {
+      return
+    }
+
+    this.renderingState = ThumbnailRenderingState.RUNNING;
+
+    try {
+      // Calculate scale to fit thumbnail width
+      const scale = THUMBNAIL_WIDTH / this.viewport.width;
+      const viewport = this._getViewport(scale);
+
+      // Create canvas
+      const canvas = document.createElement("canvas");
+      canvas.className = "thumbnail-canvas";
+      canvas.width = Math.round(viewport.width * RENDER_QUALITY);
+      canvas.height = Math.round(viewport.height * RENDER_QUALITY);
+      canvas.style.width = `${Math.round(viewport.width)}px`;
+      canvas.style.height = `${Math.round(viewport.height)}px`;
+
+      const ctx = canvas.getContext("2d");
+      ctx.scale(RENDER_QUALITY, RENDER_QUALITY);
+
+      // Render the page
+      this.renderTask = this.pdfPage.render({
+        canvasContext: ctx,
+        viewport: viewport,
+        annotationMode: pdfjsLib.AnnotationMode.ENABLE_STORAGE
+      });
+
+      await this.renderTask.promise;
+
+      // Replace placeholder with canvas
+      this.image.innerHTML = "";
+      this.image.appendChild(canvas);
+      this.image.style.height = "auto";
+
+      this.renderingState = ThumbnailRenderingState.FINISHED;
+      this.renderTask = null;
+    } catch (error) {
+      if (error.name === "RenderingCancelledException") {
+        this.renderingState = ThumbnailRenderingState.INITIAL;
+      } else {
+        console.error(`Error rendering thumbnail ${this.pageNumber}:`, error);
+        this.renderingState = ThumbnailRenderingState.INITIAL;
+      }
+      this.renderTask = null;
+    }
+  }
+
+  /**
+   * Cancel any in-progress rendering
+   */
+  cancelRendering() {
+    if (this.renderTask) {
+      this.renderTask.cancel();
+      this.renderTask = null;
+    }
+  }
+
+  /**
+   * Reset to initial state
+   */
+  reset() {
+    this.cancelRendering();
+    this.renderingState = ThumbnailRenderingState.INITIAL;
+    this.image.innerHTML = "";
+    this.image.style.height = `${this.canvasHeight}px`;
+  }
+
+  /**
+   * Mark as current page
+   */
+  setActive(isActive) {
+    if (isActive) {
+      this.div.classList.add("active");
+      this.div.setAttribute("aria-current", "page");
+    } else {
+      this.div.classList.remove("active");
+      this.div.removeAttribute("aria-current");
+    }
+  }
+
+  /**
+   * Scroll this thumbnail into view
+   */
+  scrollIntoView() {
+    this.div.scrollIntoView({
+      behavior: "smooth",
+      block: "nearest"
+    });
+  }
+
+  /**
+   * Clean up
+   */
+  destroy() {
+    this.cancelRendering();
+    // Release the PDF.js page proxy so its resources don't accumulate across
+    // documents in a long-lived session.
+    this.pdfPage?.cleanup?.();
+    this.pdfPage = null;
+    this.div.remove();
+  }
+}
+
+/**
+ * ThumbnailSidebar - Toggle-able sidebar with browsable page thumbnails
+ *
+ * Features:
+ * - Lazy loading of thumbnails (only renders visible thumbnails)
+ * - Click to navigate to page
+ * - Current page highlighting
+ * - Resizable sidebar
+ * - Collapse/expand toggle
+ */
+
+const SIDEBAR_DEFAULT_WIDTH$1 = 200;
+const SIDEBAR_MIN_WIDTH$1 = 150;
+const SIDEBAR_MAX_WIDTH$1 = 400;
+
+class ThumbnailSidebar {
+  constructor({ container, viewer, eventBus, onPageClick }) {
+    this.container = container;
+    this.viewer = viewer;
+    this.eventBus = eventBus;
+    this.onPageClick = onPageClick;
+    this.eventTarget = container; // Use container for dispatching error events
+
+    this.thumbnails = [];
+    this.pdfDocument = null;
+    this.currentPage = 1;
+    this.isOpen = false;
+    this.sidebarWidth = SIDEBAR_DEFAULT_WIDTH$1;
+
+    // Removes all DOM, document, and EventBus listeners on destroy(). The
+    // EventBus subscriptions in particular would otherwise keep the sidebar
+    // (and its thumbnails/page proxies) alive via the viewer's shared bus.
+    this._abortController = new AbortController();
+
+    this._createElements();
+    this._setupEventListeners();
+  }
+
+  _createElements() {
+    // Main sidebar element
+    this.element = document.createElement("div");
+    this.element.className = "pdf-sidebar is-left pdf-thumbnail-sidebar";
+    this.element.style.setProperty("--sidebar-width", `${this.sidebarWidth}px`);
+
+    // Sidebar header with title and close button
+    this.header = document.createElement("div");
+    this.header.className = "pdf-sidebar-header";
+    this.header.innerHTML = `
+      <span class="pdf-sidebar-title">Pages</span>
+      <button class="pdf-sidebar-close" type="button" aria-label="Close sidebar">
+        ${Icons.close}
+      </button>
+    `;
+
+    // Scrollable thumbnails container
+    this.thumbnailContainer = document.createElement("div");
+    this.thumbnailContainer.className = "pdf-sidebar-content";
+
+    // Resize handle
+    this.resizer = document.createElement("div");
+    this.resizer.className = "pdf-sidebar-resizer";
+
+    // Assemble sidebar
+    this.element.appendChild(this.header);
+    this.element.appendChild(this.thumbnailContainer);
+    this.element.appendChild(this.resizer);
+
+    // Insert sidebar at beginning of container (before pages container)
+    this.container.insertBefore(this.element, this.container.firstChild);
+  }
+
+  _setupEventListeners() {
+    const signal = this._abortController.signal;
+
+    // Close button in header
+    const closeBtn = this.header.querySelector(".pdf-sidebar-close");
+    closeBtn.addEventListener("click", () => this.close(), { signal });
+
+    // Thumbnail scroll - lazy load thumbnails
+    this.thumbnailContainer.addEventListener("scroll", () => {
+      this._renderVisibleThumbnails();
+    }, { signal });
+
+    // Sidebar resizing
+    this._setupResizer();
+
+    // Listen for page changes from the viewer
+    this.eventBus.on(ViewerEvents.PAGE_CHANGING, ({ pageNumber }) => {
+      this._onPageChange(pageNumber);
+    }, { signal });
+
+    // Listen for scroll events to update current page indicator
+    this.eventBus.on(ViewerEvents.SCROLL, () => {
+      const currentPage = this.viewer.getCurrentPage();
+      if (currentPage !== this.currentPage) {
+        this._onPageChange(currentPage);
+      }
+    }, { signal });
+
+    // Re-render thumbnails in the new orientation when the viewer rotates
+    this.eventBus.on(ViewerEvents.ROTATION_CHANGED, ({ rotation }) => {
+      this._onRotationChanged(rotation);
+    }, { signal });
+
+    // Keyboard navigation within sidebar
+    this.thumbnailContainer.addEventListener("keydown", (e) => {
+      this._handleKeydown(e);
+    }, { signal });
+  }
+
+  _setupResizer() {
+    let startX, startWidth;
+
+    const onMouseMove = (e) => {
+      const delta = e.clientX - startX;
+      const newWidth = Math.max(SIDEBAR_MIN_WIDTH$1, Math.min(SIDEBAR_MAX_WIDTH$1, startWidth + delta));
+      this.sidebarWidth = newWidth;
+      this.element.style.setProperty("--sidebar-width", `${newWidth}px`);
+    };
+
+    const onMouseUp = () => {
+      document.removeEventListener("mousemove", onMouseMove);
+      document.removeEventListener("mouseup", onMouseUp);
+      this.element.classList.remove("resizing");
+      document.body.style.cursor = "";
+      document.body.style.userSelect = "";
+    };
+
+    this.resizer.addEventListener("mousedown", (e) => {
+      e.preventDefault();
+      startX = e.clientX;
+      startWidth = this.sidebarWidth;
+      this.element.classList.add("resizing");
+      document.body.style.cursor = "ew-resize";
+      document.body.style.userSelect = "none";
+      // Tie the drag listeners to the abort signal too, so they're removed if
+      // the sidebar is destroyed mid-drag.
+      document.addEventListener("mousemove", onMouseMove, { signal: this._abortController.signal });
+      document.addEventListener("mouseup", onMouseUp, { signal: this._abortController.signal });
+    }, { signal: this._abortController.signal });
+  }
+
+  _handleKeydown(e) {
+    const focusedThumbnail = document.activeElement?.closest(".thumbnail");
+    if (!focusedThumbnail) return
+
+    const currentIndex = parseInt(focusedThumbnail.dataset.pageNumber, 10) - 1;
+
+    switch (e.key) {
+      case "ArrowUp":
         e.preventDefault();
-        if (this.currentAnnotation && this.onDelete) {
-          this.onDelete(this.currentAnnotation);
-        }
-      } else if (e.key === "e" || e.key === "E") {
-        if (this.currentAnnotation?.annotation_type === "note" && this.onEdit) {
-          e.preventDefault();
-          this.onEdit(this.currentAnnotation);
+        if (currentIndex > 0) {
+          this.thumbnails[currentIndex - 1].div.focus();
         }
-      } else if (e.key === "c" || e.key === "C") {
-        const supportsComment = ["highlight", "line", "ink"].includes(this.currentAnnotation?.annotation_type);
-        if (supportsComment && this.onComment) {
-          e.preventDefault();
-          this.onComment(this.currentAnnotation);
+        break
+      case "ArrowDown":
+        e.preventDefault();
+        if (currentIndex < this.thumbnails.length - 1) {
+          this.thumbnails[currentIndex + 1].div.focus();
         }
-      }
-    };
-    document.addEventListener("keydown", this._keydownHandler);
-  }
-
-  _toggleColorDropdown() {
-    if (this.colorDropdownOpen) {
-      this._closeColorDropdown();
-    } else {
-      this._openColorDropdown();
+        break
+      case "Home":
+        e.preventDefault();
+        this.thumbnails[0]?.div.focus();
+        break
+      case "End":
+        e.preventDefault();
+        this.thumbnails[this.thumbnails.length - 1]?.div.focus();
+        break
     }
   }
 
-  _openColorDropdown() {
-    const dropdown = this.element.querySelector(".color-dropdown");
-    const btn = this.element.querySelector(".color-picker-btn");
-    dropdown.classList.remove("hidden");
-    btn.setAttribute("aria-expanded", "true");
-    this.colorDropdownOpen = true;
-  }
+  /**
+   * Initialize thumbnails for the loaded PDF document
+   */
+  async setDocument(pdfDocument) {
+    // Clear existing thumbnails
+    this.thumbnailContainer.innerHTML = "";
+    this.thumbnails = [];
+    this.pdfDocument = pdfDocument;
 
-  _closeColorDropdown() {
-    const dropdown = this.element.querySelector(".color-dropdown");
-    const btn = this.element.querySelector(".color-picker-btn");
-    dropdown.classList.add("hidden");
-    btn.setAttribute("aria-expanded", "false");
-    this.colorDropdownOpen = false;
-  }
+    if (!pdfDocument) return
 
-  _selectColor(color) {
-    if (this.currentAnnotation && this.onColorChange) {
-      this.onColorChange(this.currentAnnotation, color);
+    const numPages = pdfDocument.numPages;
+
+    // Get first page for default viewport
+    const firstPage = await pdfDocument.getPage(1);
+    const rotation = this.viewer.getRotation();
+    const defaultViewport = firstPage.getViewport({
+      scale: 1,
+      rotation: (rotation + (firstPage.rotate || 0)) % 360
+    });
+
+    // Create thumbnail views for all pages
+    for (let pageNum = 1; pageNum <= numPages; pageNum++) {
+      const thumbnail = new ThumbnailView({
+        container: this.thumbnailContainer,
+        pageNumber: pageNum,
+        defaultViewport: defaultViewport,
+        rotation,
+        onClick: (page) => this._onThumbnailClick(page)
+      });
+      this.thumbnails.push(thumbnail);
     }
-    this._updateSelectedColor(color);
-    this._closeColorDropdown();
-  }
 
-  _updateSelectedColor(color) {
-    const swatch = this.element.querySelector(".color-picker-btn .color-swatch");
-    swatch.style.backgroundColor = color;
+    // Set the first page's pdfPage immediately
+    this.thumbnails[0]?.setPdfPage(firstPage);
+    this.thumbnails[0]?.setActive(true);
 
-    this.element.querySelectorAll(".color-option").forEach(option => {
-      option.setAttribute("aria-selected", option.dataset.color === color ? "true" : "false");
-    });
+    // Render visible thumbnails if sidebar is open
+    if (this.isOpen) {
+      this._renderVisibleThumbnails();
+    }
   }
 
-  _getTypeLabel(annotationType) {
-    const labels = {
-      highlight: "Highlight",
-      line: "Underline",
-      note: "Note",
-      ink: "Drawing"
-    };
-    return labels[annotationType] || "Annotation"
-  }
+  _onRotationChanged(rotation) {
+    const firstThumbnail = this.thumbnails[0];
+    if (!firstThumbnail?.pdfPage) return
 
-  /**
-   * Show the detail panel for an annotation.
-   * @param {Object} annotation
-   * @param {HTMLElement} anchorElement
-   * @param {Object} [options]
-   * @param {string|HTMLElement} [options.content] - Custom content rendered in
-   *   the panel's content slot. SECURITY: when passed as a string it is
-   *   assigned to innerHTML, so the consumer MUST supply trusted/sanitized
-   *   HTML. Pass a DOM element instead to avoid the raw-HTML path.
-   */
-  show(annotation, anchorElement, options = {}) {
-    this.currentAnnotation = annotation;
-    this.anchorElement = anchorElement;
+    // Page 1 is always loaded; it seeds the size of not-yet-loaded thumbnails
+    firstThumbnail.setRotation(rotation);
+    for (const thumbnail of this.thumbnails.slice(1)) {
+      thumbnail.setRotation(rotation, firstThumbnail.viewport);
+    }
 
-    // Update header info
-    const page = annotation.page || 1;
-    this.typeLabel.textContent = `${this._getTypeLabel(annotation.annotation_type)} \u2014 Page ${page}`;
+    this._renderVisibleThumbnails();
+  }
 
-    // Update color swatch
-    const color = annotation.color || ColorPicker.DEFAULT_HIGHLIGHT_COLOR;
-    this._updateSelectedColor(color);
+  _onThumbnailClick(pageNumber) {
+    if (this.onPageClick) {
+      this.onPageClick(pageNumber);
+    }
+    this._onPageChange(pageNumber);
+  }
 
-    // Show/hide buttons based on annotation type
-    const isNote = annotation.annotation_type === "note";
-    const supportsComment = ["highlight", "line", "ink"].includes(annotation.annotation_type);
-    this.commentBtn.classList.toggle("hidden", !supportsComment);
-    this.editBtn.classList.toggle("hidden", !isNote);
+  _onPageChange(pageNumber) {
+    if (pageNumber === this.currentPage) return
 
-    if (supportsComment) {
-      const hasComment = annotation.contents && annotation.contents.trim();
-      this.commentBtn.title = hasComment ? "Edit Comment (C)" : "Add Comment (C)";
-    }
+    // Update active state
+    const prevThumbnail = this.thumbnails[this.currentPage - 1];
+    const newThumbnail = this.thumbnails[pageNumber - 1];
 
-    // Show annotation text content if present
-    if (annotation.contents) {
-      this.textContent.textContent = annotation.contents;
-      this.textContent.classList.remove("hidden");
-    } else {
-      this.textContent.textContent = "";
-      this.textContent.classList.add("hidden");
+    if (prevThumbnail) {
+      prevThumbnail.setActive(false);
     }
-
-    // Inject custom content if provided (HTML string or DOM element)
-    if (options.content) {
-      if (typeof options.content === "string") {
-        this.contentSlot.innerHTML = options.content;
-      } else {
-        this.contentSlot.innerHTML = "";
-        this.contentSlot.appendChild(options.content);
+    if (newThumbnail) {
+      newThumbnail.setActive(true);
+      // Scroll thumbnail into view if sidebar is open
+      if (this.isOpen) {
+        newThumbnail.scrollIntoView();
       }
     }
 
-    // Position and show the panel
-    this._positionPanel(anchorElement);
-    this.element.classList.remove("hidden");
+    this.currentPage = pageNumber;
   }
 
-  _positionPanel(anchorElement) {
-    const pageContainer = anchorElement.closest(".pdf-page");
-    if (!pageContainer) return
+  /**
+   * Render thumbnails that are currently visible in the scroll container
+   */
+  _renderVisibleThumbnails() {
+    if (!this.isOpen || this.thumbnails.length === 0) return
 
-    // Append to page container so it scrolls with the page
-    pageContainer.appendChild(this.element);
+    const containerRect = this.thumbnailContainer.getBoundingClientRect();
+    this.thumbnailContainer.scrollTop;
+    const containerHeight = this.thumbnailContainer.clientHeight;
 
-    // Get annotation position relative to the page
-    const anchorRect = anchorElement.getBoundingClientRect();
-    const pageRect = pageContainer.getBoundingClientRect();
+    // Buffer to render thumbnails slightly before they become visible
+    const buffer = 100;
 
-    const anchorTop = anchorRect.top - pageRect.top;
-    const anchorLeft = anchorRect.left - pageRect.left;
-    const anchorRight = anchorLeft + anchorRect.width;
-    const pageWidth = pageRect.width;
+    for (const thumbnail of this.thumbnails) {
+      const thumbRect = thumbnail.div.getBoundingClientRect();
+      const relativeTop = thumbRect.top - containerRect.top;
 
-    const panelWidth = parseInt(
-      getComputedStyle(this.element).getPropertyValue("--panel-width") || "320", 10
-    );
+      // Check if thumbnail is visible (with buffer)
+      const isVisible = (
+        relativeTop + thumbRect.height > -buffer &&
+        relativeTop < containerHeight + buffer
+      );
 
-    // Try to position to the right of the annotation
-    if (anchorRight + panelWidth + 12 <= pageWidth) {
-      this.element.style.left = `${anchorRight + 8}px`;
-      this.element.style.right = "auto";
-    }
-    // Fall back to the left side
-    else if (anchorLeft - panelWidth - 12 >= 0) {
-      this.element.style.left = `${anchorLeft - panelWidth - 8}px`;
-      this.element.style.right = "auto";
+      if (isVisible && thumbnail.renderingState === ThumbnailRenderingState.INITIAL) {
+        // Load the PDF page if needed and render
+        this._ensurePageAndRender(thumbnail);
+      }
     }
-    // Fall back to below the annotation (centered)
-    else {
-      const centerX = anchorLeft + anchorRect.width / 2;
-      this.element.style.left = `${Math.max(8, centerX - panelWidth / 2)}px`;
-      this.element.style.right = "auto";
+  }
+
+  async _ensurePageAndRender(thumbnail) {
+    if (!this.pdfDocument) return
+
+    // Get the PDF page if not already loaded
+    if (!thumbnail.pdfPage) {
+      try {
+        const pdfPage = await this.pdfDocument.getPage(thumbnail.pageNumber);
+        thumbnail.setPdfPage(pdfPage);
+      } catch (error) {
+        console.error(`Error loading page ${thumbnail.pageNumber}:`, error);
+        this._dispatchError(`Failed to load page ${thumbnail.pageNumber}`, error);
+        return
+      }
     }
 
-    // Vertical alignment: align top of panel with top of annotation
-    this.element.style.top = `${anchorTop}px`;
+    thumbnail.draw();
   }
 
-  hide() {
-    this._closeColorDropdown();
-    this.element.classList.add("hidden");
-    this.currentAnnotation = null;
-    this.anchorElement = null;
-
-    // Clear text content
-    this.textContent.textContent = "";
-    this.textContent.classList.add("hidden");
+  /**
+   * Dispatch an error event for UI feedback and logging.
+   */
+  _dispatchError(message, originalError) {
+    if (this.eventTarget) {
+      this.eventTarget.dispatchEvent(new CustomEvent("pdf-viewer:error", {
+        bubbles: true,
+        detail: {
+          source: "thumbnail_sidebar",
+          errorType: "page_load_failed",
+          message,
+          error: originalError
+        }
+      }));
+    }
+  }
 
-    // Clear injected content (but preserve the slot container)
-    this.contentSlot.innerHTML = "";
+  /**
+   * Open the sidebar
+   */
+  open() {
+    this.isOpen = true;
+    this.element.classList.add("open");
+    this.container.classList.add("sidebar-open");
 
-    // Remove from parent when hidden
-    if (this.element.parentNode) {
-      this.element.parentNode.removeChild(this.element);
-    }
+    // Render visible thumbnails
+    requestAnimationFrame(() => {
+      this._renderVisibleThumbnails();
+      // Scroll current page into view
+      const currentThumbnail = this.thumbnails[this.currentPage - 1];
+      if (currentThumbnail) {
+        currentThumbnail.scrollIntoView();
+      }
+    });
   }
 
-  isVisible() {
-    return !this.element.classList.contains("hidden")
+  /**
+   * Close the sidebar
+   */
+  close() {
+    this.isOpen = false;
+    this.element.classList.remove("open");
+    this.container.classList.remove("sidebar-open");
   }
 
-  getContentContainer() {
-    return this.contentSlot
+  /**
+   * Toggle the sidebar
+   */
+  toggle() {
+    if (this.isOpen) {
+      this.close();
+    } else {
+      this.open();
+    }
   }
 
+  /**
+   * Clean up
+   */
   destroy() {
     this._abortController.abort();
-    if (this._keydownHandler) {
-      document.removeEventListener("keydown", this._keydownHandler);
+    for (const thumbnail of this.thumbnails) {
+      thumbnail.destroy();
     }
+    this.thumbnails = [];
     this.element.remove();
   }
 }
 
-// Time before the undo bar automatically hides (ms)
-const AUTO_HIDE_DELAY = 5000;
+/**
+ * OutlineSidebar - Document outline (bookmarks) panel
+ *
+ * Features:
+ * - Nested, collapsible tree built from pdfDocument.getOutline()
+ * - Destinations resolved to page numbers up front
+ * - WAI-ARIA tree keyboard navigation (arrows, Home/End, Enter)
+ * - Highlights the entry for the current page
+ * - Optional user-provided markup via [data-pdf-sidebar="outline"]
+ */
 
-class UndoBar {
-  constructor(container, options = {}) {
-    this.container = container;
-    this.onUndo = options.onUndo;
+const OUTLINE_SIDEBAR_DEFAULT_WIDTH = 240;
+const OUTLINE_SIDEBAR_MIN_WIDTH = 160;
+const OUTLINE_SIDEBAR_MAX_WIDTH = 450;
 
-    this.currentAnnotation = null;
-    this.hideTimeout = null;
+class OutlineSidebar {
+  constructor({ element, container, eventTarget, linkService, onNavigate }) {
+    this.eventTarget = eventTarget; // Viewer container: page-changed events and errors
+    this.linkService = linkService;
+    this.onNavigate = onNavigate;
 
-    this._createBar();
-    this._setupEventListeners();
+    this.isOpen = false;
+    this.sidebarWidth = OUTLINE_SIDEBAR_DEFAULT_WIDTH;
+    this.pdfDocument = null;
+    this.items = []; // Flat list of { node, pageNumber, row, element, parent } in document order
+    this._itemsByRow = new WeakMap();
+    this.currentItem = null;
 
-    // Start hidden
-    this.container.classList.add("hidden");
+    // Removes DOM and document listeners on destroy()
+    this._abortController = new AbortController();
+
+    if (element) {
+      // User provided HTML - find elements via data attributes
+      this.element = element;
+      this.container = element.parentElement;
+      this.header = element.querySelector(".pdf-sidebar-header");
+      this.treeContainer = element.querySelector('[data-role="tree"]');
+      this.emptyState = element.querySelector('[data-role="empty-state"]');
+      this.resizer = element.querySelector('[data-role="resizer"]');
+
+      const currentWidth = element.style.getPropertyValue("--sidebar-width");
+      if (currentWidth) {
+        this.sidebarWidth = parseInt(currentWidth, 10) || OUTLINE_SIDEBAR_DEFAULT_WIDTH;
+      } else {
+        element.style.setProperty("--sidebar-width", `${this.sidebarWidth}px`);
+      }
+    } else {
+      this.container = container;
+      this._createElements();
+    }
+
+    this.treeContainer.setAttribute("role", "tree");
+    this.treeContainer.setAttribute("aria-label", "Document outline");
+
+    this._setupEventListeners();
   }
 
-  _createBar() {
-    this.container.innerHTML = `
-      <span class="pdf-undo-bar-message"></span>
-      <button class="pdf-undo-bar-btn">Undo</button>
-      <button class="pdf-undo-bar-dismiss" aria-label="Dismiss">
+  _createElements() {
+    this.element = document.createElement("div");
+    this.element.className = "pdf-sidebar is-left pdf-outline-sidebar";
+    this.element.style.setProperty("--sidebar-width", `${this.sidebarWidth}px`);
+
+    this.header = document.createElement("div");
+    this.header.className = "pdf-sidebar-header";
+    this.header.innerHTML = `
+      <span class="pdf-sidebar-title">Outline</span>
+      <button class="pdf-sidebar-close" type="button" aria-label="Close outline">
         ${Icons.close}
       </button>
     `;
 
-    this.messageElement = this.container.querySelector(".pdf-undo-bar-message");
-    this.undoButton = this.container.querySelector(".pdf-undo-bar-btn");
-    this.dismissButton = this.container.querySelector(".pdf-undo-bar-dismiss");
+    this.treeContainer = document.createElement("div");
+    this.treeContainer.className = "pdf-sidebar-content outline-tree";
+
+    this.emptyState = document.createElement("div");
+    this.emptyState.className = "outline-empty-state";
+    this.emptyState.innerHTML = `<p>This document has no outline</p>`;
+
+    this.resizer = document.createElement("div");
+    this.resizer.className = "pdf-sidebar-resizer";
+
+    this.element.appendChild(this.header);
+    this.element.appendChild(this.treeContainer);
+    this.element.appendChild(this.emptyState);
+    this.element.appendChild(this.resizer);
+
+    // Insert at the beginning of the container, like the thumbnail sidebar
+    this.container.insertBefore(this.element, this.container.firstChild);
   }
 
   _setupEventListeners() {
-    this.undoButton.addEventListener("click", () => {
-      if (this.currentAnnotation && this.onUndo) {
-        this.onUndo(this.currentAnnotation);
-      }
-      this.hide();
-    });
+    const signal = this._abortController.signal;
 
-    this.dismissButton.addEventListener("click", () => {
-      this.hide();
-    });
+    const closeBtn = this.header?.querySelector('[data-action="close"]') ||
+                     this.header?.querySelector(".pdf-sidebar-close");
+    closeBtn?.addEventListener("click", () => this.close(), { signal });
+
+    this.treeContainer.addEventListener("click", (e) => this._onClick(e), { signal });
+    this.treeContainer.addEventListener("keydown", (e) => this._handleKeydown(e), { signal });
+
+    this.eventTarget?.addEventListener("pdf-viewer:page-changed", (e) => {
+      this.setCurrentPage(e.detail.currentPage);
+    }, { signal });
+
+    this._setupResizer();
   }
 
-  show(annotation) {
-    // Clear any existing timeout
-    if (this.hideTimeout) {
-      clearTimeout(this.hideTimeout);
-    }
+  _setupResizer() {
+    if (!this.resizer) return
 
-    this.currentAnnotation = annotation;
+    let startX, startWidth;
+    const signal = this._abortController.signal;
 
-    // Set message based on annotation type
-    const typeMessages = {
-      highlight: "Highlight deleted",
-      underline: "Underline deleted",
-      note: "Note deleted",
-      ink: "Drawing deleted"
+    const onMouseMove = (e) => {
+      const delta = e.clientX - startX;
+      const newWidth = Math.max(OUTLINE_SIDEBAR_MIN_WIDTH, Math.min(OUTLINE_SIDEBAR_MAX_WIDTH, startWidth + delta));
+      this.sidebarWidth = newWidth;
+      this.element.style.setProperty("--sidebar-width", `${newWidth}px`);
     };
-    this.messageElement.textContent = typeMessages[annotation.annotation_type] || "Annotation deleted";
 
-    // Show the bar (hidden class is on the container)
-    this.container.classList.remove("hidden");
+    const onMouseUp = () => {
+      document.removeEventListener("mousemove", onMouseMove);
+      document.removeEventListener("mouseup", onMouseUp);
+      this.element.classList.remove("resizing");
+      document.body.style.cursor = "";
+      document.body.style.userSelect = "";
+    };
 
-    // Auto-hide after delay
-    this.hideTimeout = setTimeout(() => {
-      this.hide();
-    }, AUTO_HIDE_DELAY);
+    this.resizer.addEventListener("mousedown", (e) => {
+      e.preventDefault();
+      startX = e.clientX;
+      startWidth = this.sidebarWidth;
+      this.element.classList.add("resizing");
+      document.body.style.cursor = "ew-resize";
+      document.body.style.userSelect = "none";
+      document.addEventListener("mousemove", onMouseMove, { signal });
+      document.addEventListener("mouseup", onMouseUp, { signal });
+    }, { signal });
   }
 
-  hide() {
-    this.container.classList.add("hidden");
-    this.currentAnnotation = null;
+  /**
+   * Load and render the outline for a document.
+   * @param {PDFDocumentProxy} pdfDocument
+   */
+  async setDocument(pdfDocument) {
+    this.pdfDocument = pdfDocument;
+    this.items = [];
+    this.currentItem = null;
+    this.treeContainer.innerHTML = "";
 
-    if (this.hideTimeout) {
-      clearTimeout(this.hideTimeout);
-      this.hideTimeout = null;
+    if (!pdfDocument) {
+      this._updateEmptyState();
+      return
     }
-  }
 
-  destroy() {
-    if (this.hideTimeout) {
-      clearTimeout(this.hideTimeout);
-      this.hideTimeout = null;
+    let outline = null;
+    try {
+      outline = await pdfDocument.getOutline();
+    } catch (error) {
+      console.error("Error loading document outline:", error);
+      this._dispatchError("Failed to load document outline", error);
     }
-    // The container is host-owned and may be reused across reconnects; clear
-    // the injected buttons so their click listeners don't linger.
-    this.container.innerHTML = "";
-  }
-}
 
-/**
- * Color helpers shared across annotation rendering.
- */
+    // A newer document may have been set while we were waiting
+    if (this.pdfDocument !== pdfDocument) return
 
-// Matches #RGB, #RGBA, #RRGGBB, and #RRGGBBAA hex colors only.
-const HEX_COLOR_RE = /^#(?:[0-9a-fA-F]{3,4}|[0-9a-fA-F]{6}|[0-9a-fA-F]{8})$/;
+    if (outline?.length) {
+      this.treeContainer.appendChild(this._buildGroup(outline, 1, null));
+      await this._resolvePageNumbers();
+      if (this.pdfDocument !== pdfDocument) return
 
-/**
- * Validate a color before it is interpolated into HTML or a CSS string.
- *
- * Annotation colors come from the server and are otherwise untrusted; a value
- * like `red"><img src=x onerror=...>` would break out of an attribute or CSS
- * declaration. We only allow hex colors and fall back to a known-safe default
- * for anything else. Use this at every sink where a color is concatenated into
- * markup or `cssText` (DOM/CSSOM setters such as `setAttribute("fill", c)` and
- * `style.color = c` are already injection-safe and don't need it).
- *
- * @param {string} color - Candidate color (typically annotation.color)
- * @param {string} fallback - Color to use when `color` is missing/invalid
- * @returns {string}
- */
-function sanitizeColor(color, fallback) {
-  if (typeof color === "string" && HEX_COLOR_RE.test(color)) {
-    return color
-  }
-  return fallback
-}
+      // First item is the tab stop (roving tabindex)
+      if (this.items[0]) this.items[0].row.tabIndex = 0;
 
-/**
- * ThumbnailView - Renders a single page thumbnail
- *
- * Inspired by PDF.js PDFThumbnailView but simplified for our use case.
- * Renders thumbnails at a fixed width with lazy loading support.
- */
+      // page-changed events before this point found no page numbers; mark
+      // the entry for wherever the viewer is now (initialPage, or scrolled)
+      this.setCurrentPage(this.linkService.page);
+    }
 
-const THUMBNAIL_WIDTH = 150; // Fixed thumbnail width in pixels
-const RENDER_QUALITY = 2; // Canvas scale factor for crisp thumbnails
+    this._updateEmptyState();
+    this.element.dispatchEvent(new CustomEvent("pdf-sidebar:outline-loaded", {
+      bubbles: true,
+      detail: { count: this.items.length }
+    }));
+  }
 
-const ThumbnailRenderingState = {
-  INITIAL: 0,
-  RUNNING: 1,
-  FINISHED: 2
-};
+  _buildGroup(nodes, level, parent) {
+    const list = document.createElement("ul");
+    list.className = "outline-group";
+    list.setAttribute("role", level === 1 ? "none" : "group");
 
-class ThumbnailView {
-  constructor({ container, pageNumber, defaultViewport, onClick }) {
-    this.pageNumber = pageNumber;
-    this.pdfPage = null;
-    this.viewport = defaultViewport;
-    this.renderingState = ThumbnailRenderingState.INITIAL;
-    this.renderTask = null;
-    this.onClick = onClick;
+    for (const node of nodes) {
+      const hasChildren = node.items?.length > 0;
+      // PDF outline "count" > 0 means the entry starts expanded; default collapsed
+      const expanded = hasChildren && node.count > 0;
 
-    // Calculate dimensions based on viewport aspect ratio
-    const ratio = defaultViewport.width / defaultViewport.height;
-    this.canvasWidth = THUMBNAIL_WIDTH;
-    this.canvasHeight = Math.round(THUMBNAIL_WIDTH / ratio);
+      const element = document.createElement("li");
+      element.className = "outline-item";
+      element.setAttribute("role", "treeitem");
+      element.setAttribute("aria-level", level);
+      if (hasChildren) element.setAttribute("aria-expanded", String(expanded));
 
-    // Create DOM elements
-    this._createElements(container);
-  }
+      const row = document.createElement("div");
+      row.className = "outline-row";
+      row.tabIndex = -1;
+      row.style.setProperty("--outline-level", level - 1);
 
-  _createElements(container) {
-    // Thumbnail container
-    this.div = document.createElement("div");
-    this.div.className = "thumbnail";
-    this.div.dataset.pageNumber = this.pageNumber;
+      const toggle = document.createElement("span");
+      toggle.className = "outline-toggle";
+      toggle.setAttribute("aria-hidden", "true");
+      if (hasChildren) toggle.innerHTML = Icons.chevronRight;
 
-    // Page number label
-    const label = document.createElement("span");
-    label.className = "thumbnail-label";
-    label.textContent = this.pageNumber;
+      const title = document.createElement("span");
+      title.className = "outline-title";
+      title.textContent = node.title || "Untitled";
+      if (node.bold) title.style.fontWeight = "600";
+      if (node.italic) title.style.fontStyle = "italic";
 
-    // Image placeholder (will be replaced with canvas/img)
-    this.image = document.createElement("div");
-    this.image.className = "thumbnail-image";
-    this.image.style.width = `${this.canvasWidth}px`;
-    this.image.style.height = `${this.canvasHeight}px`;
+      const page = document.createElement("span");
+      page.className = "outline-page";
 
-    // Click handler
-    this.div.addEventListener("click", () => {
-      if (this.onClick) {
-        this.onClick(this.pageNumber);
-      }
-    });
+      row.append(toggle, title, page);
+      element.appendChild(row);
 
-    // Keyboard accessibility
-    this.div.tabIndex = 0;
-    this.div.role = "button";
-    this.div.setAttribute("aria-label", `Page ${this.pageNumber}`);
-    this.div.addEventListener("keydown", (e) => {
-      if (e.key === "Enter" || e.key === " ") {
-        e.preventDefault();
-        if (this.onClick) {
-          this.onClick(this.pageNumber);
-        }
+      const item = { node, pageNumber: null, row, element, parent, pageLabel: page };
+      this.items.push(item);
+      this._itemsByRow.set(row, item);
+
+      if (hasChildren) {
+        const group = this._buildGroup(node.items, level + 1, item);
+        element.appendChild(group);
       }
-    });
 
-    this.div.appendChild(this.image);
-    this.div.appendChild(label);
-    container.appendChild(this.div);
+      list.appendChild(element);
+    }
+
+    return list
   }
 
-  /**
-   * Set the PDF page and update dimensions
-   */
-  setPdfPage(pdfPage) {
-    this.pdfPage = pdfPage;
-    const viewport = pdfPage.getViewport({ scale: 1 });
-    this.viewport = viewport;
+  async _resolvePageNumbers() {
+    await Promise.all(this.items.map(async (item) => {
+      if (!item.node.dest) return
+      try {
+        item.pageNumber = await this.linkService.getDestinationPageNumber(item.node.dest);
+      } catch (error) {
+        item.pageNumber = null;
+      }
+      if (item.pageNumber) {
+        item.pageLabel.textContent = item.pageNumber;
+      }
+    }));
+  }
 
-    // Recalculate dimensions
-    const ratio = viewport.width / viewport.height;
-    this.canvasHeight = Math.round(THUMBNAIL_WIDTH / ratio);
-    this.image.style.height = `${this.canvasHeight}px`;
+  _updateEmptyState() {
+    const isEmpty = this.items.length === 0;
+    this.emptyState?.classList.toggle("visible", isEmpty);
+    this.treeContainer.classList.toggle("empty", isEmpty);
   }
 
-  /**
-   * Render the thumbnail
-   */
-  async draw() {
-    if (this.renderingState !== ThumbnailRenderingState.INITIAL) {
+  _onClick(e) {
+    const item = this._itemsByRow.get(e.target.closest(".outline-row"));
+    if (!item) return
+
+    this._focusItem(item);
+
+    // Clicking the chevron only expands/collapses
+    if (e.target.closest(".outline-toggle") && this._hasChildren(item)) {
+      this._setExpanded(item, !this._isExpanded(item));
       return
     }
 
-    if (!this.pdfPage) {
-      return
+    this._activate(item);
+  }
+
+  _activate(item) {
+    const { node, pageNumber } = item;
+
+    if (pageNumber) {
+      this.onNavigate?.(pageNumber);
+      this._setCurrentItem(item);
+    } else if (node.url) {
+      // External link: route through the link service so only safe URLs open
+      const link = document.createElement("a");
+      this.linkService.addLinkAttributes(link, node.url, node.newWindow);
+      if (link.href) link.click();
+    } else if (node.action) {
+      this.linkService.executeNamedAction(node.action);
     }
 
-    this.renderingState = ThumbnailRenderingState.RUNNING;
+    if (this._hasChildren(item) && !this._isExpanded(item)) {
+      this._setExpanded(item, true);
+    }
+  }
 
-    try {
-      // Calculate scale to fit thumbnail width
-      const scale = THUMBNAIL_WIDTH / this.viewport.width;
-      const viewport = this.pdfPage.getViewport({ scale });
+  _hasChildren(item) {
+    return item.element.hasAttribute("aria-expanded")
+  }
 
-      // Create canvas
-      const canvas = document.createElement("canvas");
-      canvas.className = "thumbnail-canvas";
-      canvas.width = Math.round(viewport.width * RENDER_QUALITY);
-      canvas.height = Math.round(viewport.height * RENDER_QUALITY);
-      canvas.style.width = `${Math.round(viewport.width)}px`;
-      canvas.style.height = `${Math.round(viewport.height)}px`;
+  _isExpanded(item) {
+    return item.element.getAttribute("aria-expanded") === "true"
+  }
 
-      const ctx = canvas.getContext("2d");
-      ctx.scale(RENDER_QUALITY, RENDER_QUALITY);
+  _setExpanded(item, expanded) {
+    if (!this._hasChildren(item)) return
+    item.element.setAttribute("aria-expanded", String(expanded));
+  }
 
-      // Render the page
-      this.renderTask = this.pdfPage.render({
-        canvasContext: ctx,
-        viewport: viewport
-      });
+  _isVisible(item) {
+    for (let parent = item.parent; parent; parent = parent.parent) {
+      if (!this._isExpanded(parent)) return false
+    }
+    return true
+  }
 
-      await this.renderTask.promise;
+  _focusItem(item) {
+    for (const other of this.items) {
+      other.row.tabIndex = -1;
+    }
+    item.row.tabIndex = 0;
+    item.row.focus();
+  }
 
-      // Replace placeholder with canvas
-      this.image.innerHTML = "";
-      this.image.appendChild(canvas);
-      this.image.style.height = "auto";
+  _handleKeydown(e) {
+    const item = this._itemsByRow.get(document.activeElement?.closest(".outline-row"));
+    if (!item) return
 
-      this.renderingState = ThumbnailRenderingState.FINISHED;
-      this.renderTask = null;
-    } catch (error) {
-      if (error.name === "RenderingCancelledException") {
-        this.renderingState = ThumbnailRenderingState.INITIAL;
-      } else {
-        console.error(`Error rendering thumbnail ${this.pageNumber}:`, error);
-        this.renderingState = ThumbnailRenderingState.INITIAL;
-      }
-      this.renderTask = null;
+    const visible = this.items.filter(i => this._isVisible(i));
+    const index = visible.indexOf(item);
+
+    switch (e.key) {
+      case "ArrowDown":
+        e.preventDefault();
+        if (index < visible.length - 1) this._focusItem(visible[index + 1]);
+        break
+      case "ArrowUp":
+        e.preventDefault();
+        if (index > 0) this._focusItem(visible[index - 1]);
+        break
+      case "ArrowRight":
+        e.preventDefault();
+        if (this._hasChildren(item)) {
+          if (this._isExpanded(item)) {
+            this._focusItem(visible[index + 1]);
+          } else {
+            this._setExpanded(item, true);
+          }
+        }
+        break
+      case "ArrowLeft":
+        e.preventDefault();
+        if (this._hasChildren(item) && this._isExpanded(item)) {
+          this._setExpanded(item, false);
+        } else if (item.parent) {
+          this._focusItem(item.parent);
+        }
+        break
+      case "Home":
+        e.preventDefault();
+        this._focusItem(visible[0]);
+        break
+      case "End":
+        e.preventDefault();
+        this._focusItem(visible[visible.length - 1]);
+        break
+      case "Enter":
+      case " ":
+        e.preventDefault();
+        this._activate(item);
+        break
     }
   }
 
   /**
-   * Cancel any in-progress rendering
+   * Highlight the outline entry for a page: the last entry (in document
+   * order) whose destination is on or before that page.
+   * @param {number} pageNumber
    */
-  cancelRendering() {
-    if (this.renderTask) {
-      this.renderTask.cancel();
-      this.renderTask = null;
+  setCurrentPage(pageNumber) {
+    let best = null;
+    for (const item of this.items) {
+      if (!item.pageNumber || item.pageNumber > pageNumber) continue
+      if (!best || item.pageNumber >= best.pageNumber) {
+        best = item;
+      }
+    }
+    this._setCurrentItem(best);
+  }
+
+  _setCurrentItem(item) {
+    if (item === this.currentItem) return
+
+    if (this.currentItem) {
+      this.currentItem.row.classList.remove("current");
+      this.currentItem.row.removeAttribute("aria-current");
+    }
+
+    this.currentItem = item;
+    if (!item) return
+
+    item.row.classList.add("current");
+    item.row.setAttribute("aria-current", "location");
+
+    if (this.isOpen && this._isVisible(item)) {
+      item.row.scrollIntoView({ behavior: "smooth", block: "nearest" });
     }
   }
 
+  _dispatchError(message, originalError) {
+    this.eventTarget?.dispatchEvent(new CustomEvent("pdf-viewer:error", {
+      bubbles: true,
+      detail: {
+        source: "outline_sidebar",
+        errorType: "outline_load_failed",
+        message,
+        error: originalError
+      }
+    }));
+  }
+
   /**
-   * Reset to initial state
+   * Whether the loaded document has an outline.
+   * @returns {boolean}
    */
-  reset() {
-    this.cancelRendering();
-    this.renderingState = ThumbnailRenderingState.INITIAL;
-    this.image.innerHTML = "";
-    this.image.style.height = `${this.canvasHeight}px`;
+  hasOutline() {
+    return this.items.length > 0
   }
 
   /**
-   * Mark as current page
+   * Open the sidebar
    */
-  setActive(isActive) {
-    if (isActive) {
-      this.div.classList.add("active");
-      this.div.setAttribute("aria-current", "page");
-    } else {
-      this.div.classList.remove("active");
-      this.div.removeAttribute("aria-current");
-    }
+  open() {
+    this.isOpen = true;
+    this.element.classList.add("open");
+    this.container.classList.add("outline-sidebar-open");
+
+    requestAnimationFrame(() => {
+      this.currentItem?.row.scrollIntoView({ block: "nearest" });
+    });
+
+    this.element.dispatchEvent(new CustomEvent("pdf-sidebar:outline-sidebar-opened", {
+      bubbles: true
+    }));
   }
 
   /**
-   * Scroll this thumbnail into view
+   * Close the sidebar
    */
-  scrollIntoView() {
-    this.div.scrollIntoView({
-      behavior: "smooth",
-      block: "nearest"
-    });
+  close() {
+    this.isOpen = false;
+    this.element.classList.remove("open");
+    this.container.classList.remove("outline-sidebar-open");
+
+    this.element.dispatchEvent(new CustomEvent("pdf-sidebar:outline-sidebar-closed", {
+      bubbles: true
+    }));
+  }
+
+  /**
+   * Toggle the sidebar
+   */
+  toggle() {
+    if (this.isOpen) {
+      this.close();
+    } else {
+      this.open();
+    }
   }
 
   /**
    * Clean up
    */
   destroy() {
-    this.cancelRendering();
-    // Release the PDF.js page proxy so its resources don't accumulate across
-    // documents in a long-lived session.
-    this.pdfPage?.cleanup?.();
-    this.pdfPage = null;
-    this.div.remove();
+    this._abortController.abort();
+    this.items = [];
+    this.element.remove();
   }
 }
 
 /**
- * ThumbnailSidebar - Toggle-able sidebar with browsable page thumbnails
+ * SearchResultsSidebar - Every find match in one list
  *
  * Features:
- * - Lazy loading of thumbnails (only renders visible thumbnails)
- * - Click to navigate to page
- * - Current page highlighting
- * - Resizable sidebar
- * - Collapse/expand toggle
+ * - Matches grouped by page, each with a snippet of surrounding text
+ * - Fills in live while FindController extracts text page by page
+ * - Click or Enter jumps to the match; the current match stays marked
+ * - Arrow/Home/End keyboard navigation (roving tabindex)
+ * - Optional user-provided markup via [data-pdf-sidebar="search-results"]
  */
 
-const SIDEBAR_DEFAULT_WIDTH$1 = 200;
-const SIDEBAR_MIN_WIDTH$1 = 150;
-const SIDEBAR_MAX_WIDTH$1 = 400;
+const SEARCH_RESULTS_SIDEBAR_DEFAULT_WIDTH = 280;
+const SEARCH_RESULTS_SIDEBAR_MIN_WIDTH = 200;
+const SEARCH_RESULTS_SIDEBAR_MAX_WIDTH = 480;
 
-class ThumbnailSidebar {
-  constructor({ container, viewer, eventBus, onPageClick }) {
-    this.container = container;
-    this.viewer = viewer;
-    this.eventBus = eventBus;
-    this.onPageClick = onPageClick;
-    this.eventTarget = container; // Use container for dispatching error events
+class SearchResultsSidebar {
+  constructor({ element, container, findController }) {
+    this.findController = findController;
 
-    this.thumbnails = [];
-    this.pdfDocument = null;
-    this.currentPage = 1;
     this.isOpen = false;
-    this.sidebarWidth = SIDEBAR_DEFAULT_WIDTH$1;
-
-    // Removes all DOM, document, and EventBus listeners on destroy(). The
-    // EventBus subscriptions in particular would otherwise keep the sidebar
-    // (and its thumbnails/page proxies) alive via the viewer's shared bus.
+    this.sidebarWidth = SEARCH_RESULTS_SIDEBAR_DEFAULT_WIDTH;
+    this.rows = []; // Row elements in match order, row i belongs to findController.matches[i]
+    this._matchesByRow = new WeakMap();
+    this._groups = new Map(); // pageNumber -> group element
+    this._renderedMatches = null; // The matches array the list was built from
+    this.currentRow = null;
+
+    // Removes DOM and document listeners on destroy()
     this._abortController = new AbortController();
 
-    this._createElements();
+    if (element) {
+      // User provided HTML - find elements via data attributes
+      this.element = element;
+      this.container = element.parentElement;
+      this.header = element.querySelector(".pdf-sidebar-header");
+      this.summary = element.querySelector('[data-role="summary"]');
+      this.listContainer = element.querySelector('[data-role="list"]');
+      this.emptyState = element.querySelector('[data-role="empty-state"]');
+      this.resizer = element.querySelector('[data-role="resizer"]');
+
+      const currentWidth = element.style.getPropertyValue("--sidebar-width");
+      if (currentWidth) {
+        this.sidebarWidth = parseInt(currentWidth, 10) || SEARCH_RESULTS_SIDEBAR_DEFAULT_WIDTH;
+      } else {
+        element.style.setProperty("--sidebar-width", `${this.sidebarWidth}px`);
+      }
+    } else {
+      this.container = container;
+      this._createElements();
+    }
+
+    this.listContainer.setAttribute("role", "listbox");
+    this.listContainer.setAttribute("aria-label", "Search results");
+
     this._setupEventListeners();
+    this._updateEmptyState();
   }
 
   _createElements() {
-    // Main sidebar element
     this.element = document.createElement("div");
-    this.element.className = "pdf-sidebar is-left pdf-thumbnail-sidebar";
+    this.element.className = "pdf-sidebar is-left pdf-search-results-sidebar";
     this.element.style.setProperty("--sidebar-width", `${this.sidebarWidth}px`);
 
-    // Sidebar header with title and close button
     this.header = document.createElement("div");
     this.header.className = "pdf-sidebar-header";
     this.header.innerHTML = `
-      <span class="pdf-sidebar-title">Pages</span>
-      <button class="pdf-sidebar-close" type="button" aria-label="Close sidebar">
+      <span class="pdf-sidebar-title">Search Results</span>
+      <button class="pdf-sidebar-close" type="button" aria-label="Close search results">
         ${Icons.close}
       </button>
     `;
 
-    // Scrollable thumbnails container
-    this.thumbnailContainer = document.createElement("div");
-    this.thumbnailContainer.className = "pdf-sidebar-content";
+    this.summary = document.createElement("div");
+    this.summary.className = "search-results-summary";
+    this.summary.setAttribute("aria-live", "polite");
+
+    this.listContainer = document.createElement("div");
+    this.listContainer.className = "pdf-sidebar-content search-results-list";
+
+    this.emptyState = document.createElement("div");
+    this.emptyState.className = "search-results-empty-state";
+    this.emptyState.innerHTML = `<p>No results</p>`;
 
-    // Resize handle
     this.resizer = document.createElement("div");
     this.resizer.className = "pdf-sidebar-resizer";
 
-    // Assemble sidebar
     this.element.appendChild(this.header);
-    this.element.appendChild(this.thumbnailContainer);
+    this.element.appendChild(this.summary);
+    this.element.appendChild(this.listContainer);
+    this.element.appendChild(this.emptyState);
     this.element.appendChild(this.resizer);
 
-    // Insert sidebar at beginning of container (before pages container)
+    // Insert at the beginning of the container, like the thumbnail sidebar
     this.container.insertBefore(this.element, this.container.firstChild);
   }
 
   _setupEventListeners() {
     const signal = this._abortController.signal;
 
-    // Close button in header
-    const closeBtn = this.header.querySelector(".pdf-sidebar-close");
-    closeBtn.addEventListener("click", () => this.close(), { signal });
+    const closeBtn = this.header?.querySelector('[data-action="close"]') ||
+                     this.header?.querySelector(".pdf-sidebar-close");
+    closeBtn?.addEventListener("click", () => this.close(), { signal });
 
-    // Thumbnail scroll - lazy load thumbnails
-    this.thumbnailContainer.addEventListener("scroll", () => {
-      this._renderVisibleThumbnails();
-    }, { signal });
+    this.listContainer.addEventListener("click", (e) => this._onClick(e), { signal });
+    this.listContainer.addEventListener("keydown", (e) => this._handleKeydown(e), { signal });
 
-    // Sidebar resizing
     this._setupResizer();
-
-    // Listen for page changes from the viewer
-    this.eventBus.on(ViewerEvents.PAGE_CHANGING, ({ pageNumber }) => {
-      this._onPageChange(pageNumber);
-    }, { signal });
-
-    // Listen for scroll events to update current page indicator
-    this.eventBus.on(ViewerEvents.SCROLL, () => {
-      const currentPage = this.viewer.getCurrentPage();
-      if (currentPage !== this.currentPage) {
-        this._onPageChange(currentPage);
-      }
-    }, { signal });
-
-    // Keyboard navigation within sidebar
-    this.thumbnailContainer.addEventListener("keydown", (e) => {
-      this._handleKeydown(e);
-    }, { signal });
   }
 
   _setupResizer() {
+    if (!this.resizer) return
+
     let startX, startWidth;
+    const signal = this._abortController.signal;
 
     const onMouseMove = (e) => {
       const delta = e.clientX - startX;
-      const newWidth = Math.max(SIDEBAR_MIN_WIDTH$1, Math.min(SIDEBAR_MAX_WIDTH$1, startWidth + delta));
+      const newWidth = Math.max(SEARCH_RESULTS_SIDEBAR_MIN_WIDTH, Math.min(SEARCH_RESULTS_SIDEBAR_MAX_WIDTH, startWidth + delta));
       this.sidebarWidth = newWidth;
       this.element.style.setProperty("--sidebar-width", `${newWidth}px`);
     };
@@ -3696,171 +10150,209 @@ class ThumbnailSidebar {
       this.element.classList.add("resizing");
       document.body.style.cursor = "ew-resize";
       document.body.style.userSelect = "none";
-      // Tie the drag listeners to the abort signal too, so they're removed if
-      // the sidebar is destroyed mid-drag.
-      document.addEventListener("mousemove", onMouseMove, { signal: this._abortController.signal });
-      document.addEventListener("mouseup", onMouseUp, { signal: this._abortController.signal });
-    }, { signal: this._abortController.signal });
-  }
-
-  _handleKeydown(e) {
-    const focusedThumbnail = document.activeElement?.closest(".thumbnail");
-    if (!focusedThumbnail) return
-
-    const currentIndex = parseInt(focusedThumbnail.dataset.pageNumber, 10) - 1;
-
-    switch (e.key) {
-      case "ArrowUp":
-        e.preventDefault();
-        if (currentIndex > 0) {
-          this.thumbnails[currentIndex - 1].div.focus();
-        }
-        break
-      case "ArrowDown":
-        e.preventDefault();
-        if (currentIndex < this.thumbnails.length - 1) {
-          this.thumbnails[currentIndex + 1].div.focus();
-        }
-        break
-      case "Home":
-        e.preventDefault();
-        this.thumbnails[0]?.div.focus();
-        break
-      case "End":
-        e.preventDefault();
-        this.thumbnails[this.thumbnails.length - 1]?.div.focus();
-        break
-    }
+      document.addEventListener("mousemove", onMouseMove, { signal });
+      document.addEventListener("mouseup", onMouseUp, { signal });
+    }, { signal });
   }
 
   /**
-   * Initialize thumbnails for the loaded PDF document
+   * Bring the list in line with the find controller. Called on every
+   * find state update, so it only builds rows for pages it hasn't seen:
+   * a page's matches all arrive at once when that page is searched.
+   * @param {Object} info - Match info from FindController
+   * @param {number} info.total - Total matches found so far
+   * @param {boolean} info.extracting - Whether text extraction is still in progress
+   * @param {string} [info.error] - Why the query can't be searched
    */
-  async setDocument(pdfDocument) {
-    // Clear existing thumbnails
-    this.thumbnailContainer.innerHTML = "";
-    this.thumbnails = [];
-    this.pdfDocument = pdfDocument;
+  update({ total = 0, extracting = false, error = null } = {}) {
+    const matches = this.findController.matches;
 
-    if (!pdfDocument) return
+    // A new search replaces the matches array; start the list over
+    if (matches !== this._renderedMatches) {
+      this._clear();
+      this._renderedMatches = matches;
+    }
 
-    const numPages = pdfDocument.numPages;
+    if (this.rows.length !== matches.length) {
+      this._addNewPages(matches);
+    }
 
-    // Get first page for default viewport
-    const firstPage = await pdfDocument.getPage(1);
-    const defaultViewport = firstPage.getViewport({ scale: 1 });
+    this._setCurrentRow(this.rows[this.findController.currentMatchIndex] || null);
+    this._updateSummary(total, extracting, error);
+    this._updateEmptyState(extracting, error);
+  }
 
-    // Create thumbnail views for all pages
-    for (let pageNum = 1; pageNum <= numPages; pageNum++) {
-      const thumbnail = new ThumbnailView({
-        container: this.thumbnailContainer,
-        pageNumber: pageNum,
-        defaultViewport: defaultViewport,
-        onClick: (page) => this._onThumbnailClick(page)
-      });
-      this.thumbnails.push(thumbnail);
+  _clear() {
+    this.listContainer.innerHTML = "";
+    this.rows = [];
+    this._groups.clear();
+    this.currentRow = null;
+  }
+
+  _addNewPages(matches) {
+    const newMatchesByPage = new Map();
+    for (const match of matches) {
+      if (this._groups.has(match.pageNumber)) continue
+      if (!newMatchesByPage.has(match.pageNumber)) {
+        newMatchesByPage.set(match.pageNumber, []);
+      }
+      newMatchesByPage.get(match.pageNumber).push(match);
     }
 
-    // Set the first page's pdfPage immediately
-    this.thumbnails[0]?.setPdfPage(firstPage);
-    this.thumbnails[0]?.setActive(true);
+    for (const [pageNumber, pageMatches] of newMatchesByPage) {
+      const group = this._buildGroup(pageNumber, pageMatches);
+      this._groups.set(pageNumber, group);
 
-    // Render visible thumbnails if sidebar is open
-    if (this.isOpen) {
-      this._renderVisibleThumbnails();
+      // Pages are extracted visible-first, so keep the groups in page order
+      const next = [...this._groups.keys()]
+        .filter(page => page > pageNumber)
+        .sort((a, b) => a - b)[0];
+      this.listContainer.insertBefore(group, next ? this._groups.get(next) : null);
     }
-  }
 
-  _onThumbnailClick(pageNumber) {
-    if (this.onPageClick) {
-      this.onPageClick(pageNumber);
+    // Rows follow the DOM, which matches FindController's page/offset order
+    this.rows = Array.from(this.listContainer.querySelectorAll(".search-result-row"));
+    if (!this.rows.some(row => row.tabIndex === 0) && this.rows[0]) {
+      this.rows[0].tabIndex = 0;
     }
-    this._onPageChange(pageNumber);
   }
 
-  _onPageChange(pageNumber) {
-    if (pageNumber === this.currentPage) return
+  _buildGroup(pageNumber, pageMatches) {
+    const element = document.createElement("div");
+    element.className = "search-results-group";
+    element.setAttribute("role", "group");
+    element.setAttribute("aria-label", `Page ${pageNumber}`);
 
-    // Update active state
-    const prevThumbnail = this.thumbnails[this.currentPage - 1];
-    const newThumbnail = this.thumbnails[pageNumber - 1];
+    const heading = document.createElement("div");
+    heading.className = "search-results-page";
+    heading.setAttribute("aria-hidden", "true");
+    heading.textContent = `Page ${pageNumber}`;
 
-    if (prevThumbnail) {
-      prevThumbnail.setActive(false);
+    const count = document.createElement("span");
+    count.className = "search-results-page-count";
+    count.textContent = pageMatches.length;
+    heading.appendChild(count);
+
+    element.appendChild(heading);
+
+    for (const match of pageMatches) {
+      const row = document.createElement("div");
+      row.className = "search-result-row";
+      row.setAttribute("role", "option");
+      row.setAttribute("aria-selected", "false");
+      row.tabIndex = -1;
+
+      const { before, text, after } = this.findController.getMatchContext(match);
+      const hit = document.createElement("mark");
+      hit.className = "search-result-hit";
+      hit.textContent = text;
+      row.append(before, hit, after);
+
+      this._matchesByRow.set(row, match);
+      element.appendChild(row);
     }
-    if (newThumbnail) {
-      newThumbnail.setActive(true);
-      // Scroll thumbnail into view if sidebar is open
-      if (this.isOpen) {
-        newThumbnail.scrollIntoView();
-      }
+
+    return element
+  }
+
+  _updateSummary(total, extracting, error) {
+    if (!this.summary) return
+
+    if (error) {
+      this.summary.textContent = error;
+    } else if (!this.findController.query) {
+      this.summary.textContent = "";
+    } else if (total > 0) {
+      const pages = this._groups.size;
+      const suffix = extracting ? "+" : "";
+      this.summary.textContent = `${total}${suffix} ${total === 1 ? "result" : "results"} on ${pages} ${pages === 1 ? "page" : "pages"}`;
+    } else {
+      this.summary.textContent = extracting ? "Searching..." : "";
     }
+  }
 
-    this.currentPage = pageNumber;
+  _updateEmptyState(extracting = false, error = null) {
+    const isEmpty = this.rows.length === 0;
+    const emptyText = this.emptyState?.querySelector("p");
+    if (emptyText) {
+      emptyText.textContent = this.findController.query ? "No results" : "Search the document to list every match";
+    }
+    // "No results" only once there's nothing left to search
+    this.emptyState?.classList.toggle("visible", isEmpty && !extracting && !error);
+    this.listContainer.classList.toggle("empty", isEmpty);
   }
 
-  /**
-   * Render thumbnails that are currently visible in the scroll container
-   */
-  _renderVisibleThumbnails() {
-    if (!this.isOpen || this.thumbnails.length === 0) return
+  _onClick(e) {
+    const row = e.target.closest(".search-result-row");
+    if (!row) return
 
-    const containerRect = this.thumbnailContainer.getBoundingClientRect();
-    this.thumbnailContainer.scrollTop;
-    const containerHeight = this.thumbnailContainer.clientHeight;
+    this._focusRow(row);
+    this._activate(row);
+  }
 
-    // Buffer to render thumbnails slightly before they become visible
-    const buffer = 100;
+  _activate(row) {
+    const match = this._matchesByRow.get(row);
+    const index = this.findController.matches.indexOf(match);
+    if (index >= 0) {
+      this.findController.selectMatch(index);
+    }
+  }
 
-    for (const thumbnail of this.thumbnails) {
-      const thumbRect = thumbnail.div.getBoundingClientRect();
-      const relativeTop = thumbRect.top - containerRect.top;
+  _focusRow(row) {
+    if (!row) return
+    for (const other of this.rows) {
+      other.tabIndex = -1;
+    }
+    row.tabIndex = 0;
+    row.focus();
+  }
 
-      // Check if thumbnail is visible (with buffer)
-      const isVisible = (
-        relativeTop + thumbRect.height > -buffer &&
-        relativeTop < containerHeight + buffer
-      );
+  _handleKeydown(e) {
+    const row = document.activeElement?.closest(".search-result-row");
+    const index = this.rows.indexOf(row);
+    if (index < 0) return
 
-      if (isVisible && thumbnail.renderingState === ThumbnailRenderingState.INITIAL) {
-        // Load the PDF page if needed and render
-        this._ensurePageAndRender(thumbnail);
-      }
+    switch (e.key) {
+      case "ArrowDown":
+        e.preventDefault();
+        this._focusRow(this.rows[index + 1]);
+        break
+      case "ArrowUp":
+        e.preventDefault();
+        this._focusRow(this.rows[index - 1]);
+        break
+      case "Home":
+        e.preventDefault();
+        this._focusRow(this.rows[0]);
+        break
+      case "End":
+        e.preventDefault();
+        this._focusRow(this.rows[this.rows.length - 1]);
+        break
+      case "Enter":
+      case " ":
+        e.preventDefault();
+        this._activate(row);
+        break
     }
   }
 
-  async _ensurePageAndRender(thumbnail) {
-    if (!this.pdfDocument) return
+  _setCurrentRow(row) {
+    if (row === this.currentRow) return
 
-    // Get the PDF page if not already loaded
-    if (!thumbnail.pdfPage) {
-      try {
-        const pdfPage = await this.pdfDocument.getPage(thumbnail.pageNumber);
-        thumbnail.setPdfPage(pdfPage);
-      } catch (error) {
-        console.error(`Error loading page ${thumbnail.pageNumber}:`, error);
-        this._dispatchError(`Failed to load page ${thumbnail.pageNumber}`, error);
-        return
-      }
+    if (this.currentRow) {
+      this.currentRow.classList.remove("current");
+      this.currentRow.setAttribute("aria-selected", "false");
     }
 
-    thumbnail.draw();
-  }
+    this.currentRow = row;
+    if (!row) return
 
-  /**
-   * Dispatch an error event for UI feedback and logging.
-   */
-  _dispatchError(message, originalError) {
-    if (this.eventTarget) {
-      this.eventTarget.dispatchEvent(new CustomEvent("pdf-viewer:error", {
-        bubbles: true,
-        detail: {
-          source: "thumbnail_sidebar",
-          errorType: "page_load_failed",
-          message,
-          error: originalError
-        }
-      }));
+    row.classList.add("current");
+    row.setAttribute("aria-selected", "true");
+
+    if (this.isOpen) {
+      row.scrollIntoView({ block: "nearest" });
     }
   }
 
@@ -3870,17 +10362,21 @@ class ThumbnailSidebar {
   open() {
     this.isOpen = true;
     this.element.classList.add("open");
-    this.container.classList.add("sidebar-open");
+    this.container.classList.add("search-results-sidebar-open");
+
+    this.update({
+      total: this.findController.matches.length,
+      extracting: this.findController.extracting,
+      error: this.findController.error
+    });
 
-    // Render visible thumbnails
     requestAnimationFrame(() => {
-      this._renderVisibleThumbnails();
-      // Scroll current page into view
-      const currentThumbnail = this.thumbnails[this.currentPage - 1];
-      if (currentThumbnail) {
-        currentThumbnail.scrollIntoView();
-      }
+      this.currentRow?.scrollIntoView({ block: "nearest" });
     });
+
+    this.element.dispatchEvent(new CustomEvent("pdf-sidebar:search-results-sidebar-opened", {
+      bubbles: true
+    }));
   }
 
   /**
@@ -3889,7 +10385,11 @@ class ThumbnailSidebar {
   close() {
     this.isOpen = false;
     this.element.classList.remove("open");
-    this.container.classList.remove("sidebar-open");
+    this.container.classList.remove("search-results-sidebar-open");
+
+    this.element.dispatchEvent(new CustomEvent("pdf-sidebar:search-results-sidebar-closed", {
+      bubbles: true
+    }));
   }
 
   /**
@@ -3908,10 +10408,7 @@ class ThumbnailSidebar {
    */
   destroy() {
     this._abortController.abort();
-    for (const thumbnail of this.thumbnails) {
-      thumbnail.destroy();
-    }
-    this.thumbnails = [];
+    this._clear();
     this.element.remove();
   }
 }
@@ -3943,7 +10440,12 @@ const FilterType = {
   HIGHLIGHT: "highlight",
   NOTE: "note",
   DRAWING: "drawing",
-  UNDERLINE: "underline"
+  UNDERLINE: "underline",
+  STRIKEOUT: "strikeout",
+  SQUIGGLY: "squiggly",
+  TEXT: "text",
+  STAMP: "stamp",
+  SHAPE: "shape"
 };
 
 // Icons for annotation types (SVG strings)
@@ -3960,16 +10462,48 @@ const ANNOTATION_ICONS = {
   ink: `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
     <path d="M17 3a2.828 2.828 0 1 1 4 4L7.5 20.5 2 22l1.5-5.5L17 3z"/>
   </svg>`,
+  stamp: `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+    <path d="M9 13V9a3 3 0 1 1 6 0v4"/>
+    <path d="M4 13h16v4H4z"/>
+    <line x1="5" y1="21" x2="19" y2="21"/>
+  </svg>`,
+  free_text: `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round">
+    <rect x="3" y="3" width="18" height="18" rx="2" stroke-dasharray="3 3"/>
+    <path d="M8 8h8M12 8v9"/>
+  </svg>`,
   line: `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
     <path d="M6 3v7a6 6 0 0 0 6 6 6 6 0 0 0 6-6V3"/>
     <line x1="4" y1="21" x2="20" y2="21" stroke-width="3"/>
+  </svg>`,
+  strikeout: `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round">
+    <path d="M16 4H9a3 3 0 0 0-2.83 4"/>
+    <path d="M14 12a4 4 0 0 1 0 8H6"/>
+    <line x1="4" y1="12" x2="20" y2="12" stroke-width="3"/>
+  </svg>`,
+  squiggly: `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+    <path d="M6 4h12M12 4v11"/>
+    <path d="M3 20l2-2 2 2 2-2 2 2 2-2 2 2 2-2 2 2 2-2"/>
+  </svg>`,
+  square: `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+    <rect x="3" y="5" width="18" height="14" rx="1"/>
+  </svg>`,
+  circle: `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+    <ellipse cx="12" cy="12" rx="9" ry="7"/>
+  </svg>`,
+  straight_line: `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round">
+    <line x1="4" y1="20" x2="20" y2="4"/>
+  </svg>`,
+  arrow: `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+    <line x1="4" y1="20" x2="20" y2="4"/>
+    <polyline points="10 4 20 4 20 14"/>
   </svg>`
 };
 
 class AnnotationSidebar {
-  constructor({ element, itemTemplate, container, annotationManager, onAnnotationClick }) {
+  constructor({ element, itemTemplate, container, annotationManager, onAnnotationClick, onAnnotationCheck }) {
     this.annotationManager = annotationManager;
     this.onAnnotationClick = onAnnotationClick;
+    this.onAnnotationCheck = onAnnotationCheck; // (annotationId, checked) from an item's checkbox
     this.itemTemplate = itemTemplate;  // Optional <template> element for custom list items
 
     this.isOpen = false;
@@ -3977,6 +10511,7 @@ class AnnotationSidebar {
     this.sortMode = SortMode.PAGE;
     this.filterType = FilterType.ALL;
     this.selectedAnnotationId = null;
+    this.checkedAnnotationIds = new Set();
 
     if (element) {
       // User provided HTML - find elements via data attributes
@@ -4043,6 +10578,11 @@ class AnnotationSidebar {
         <option value="${FilterType.NOTE}">Notes</option>
         <option value="${FilterType.DRAWING}">Drawings</option>
         <option value="${FilterType.UNDERLINE}">Underlines</option>
+        <option value="${FilterType.STRIKEOUT}">Strikeouts</option>
+        <option value="${FilterType.SQUIGGLY}">Squiggles</option>
+        <option value="${FilterType.TEXT}">Text boxes</option>
+        <option value="${FilterType.STAMP}">Stamps</option>
+        <option value="${FilterType.SHAPE}">Shapes</option>
       </select>
     `;
 
@@ -4178,6 +10718,8 @@ class AnnotationSidebar {
         break
       case "Enter":
       case " ":
+        // Space on the checkbox itself toggles it
+        if (e.target.matches('input[type="checkbox"]')) return
         e.preventDefault();
         focused.click();
         break
@@ -4254,6 +10796,16 @@ class AnnotationSidebar {
         return type === "ink" && annotation.subject !== "Free Highlight"
       case FilterType.UNDERLINE:
         return type === "line"
+      case FilterType.STRIKEOUT:
+        return type === "strikeout"
+      case FilterType.SQUIGGLY:
+        return type === "squiggly"
+      case FilterType.TEXT:
+        return type === "free_text"
+      case FilterType.STAMP:
+        return type === "stamp"
+      case FilterType.SHAPE:
+        return SHAPE_ANNOTATION_TYPES.includes(type)
       default:
         return true
     }
@@ -4316,6 +10868,7 @@ class AnnotationSidebar {
       // Determine display values
       const { icon, label, typeLabel } = this._getAnnotationDisplay(annotation);
       const timestamp = this._formatTimestamp(annotation.created_at);
+      const replyCount = this._getReplyCount(annotation);
 
       // Populate data-field elements
       this._setField(item, "icon", icon, annotation.color);
@@ -4323,11 +10876,13 @@ class AnnotationSidebar {
       this._setField(item, "type", typeLabel);
       this._setField(item, "page", `Page ${annotation.page}`);
       this._setField(item, "time", timestamp);
+      this._setField(item, "replies", replyCount > 0 ? this._formatReplyCount(replyCount) : "");
 
       // Also set data attributes for user's Stimulus controllers
       item.dataset.annotationType = annotation.annotation_type;
       item.dataset.annotationPage = annotation.page;
       item.dataset.annotationColor = annotation.color || "";
+      item.dataset.annotationReplies = replyCount;
     } else {
       // Fallback - existing innerHTML approach
       item = document.createElement("div");
@@ -4341,7 +10896,14 @@ class AnnotationSidebar {
       // Format timestamp
       const timestamp = this._formatTimestamp(annotation.created_at);
 
+      const replyCount = this._getReplyCount(annotation);
+      const replies = replyCount > 0 ? `
+            <span class="annotation-item-separator">•</span>
+            <span class="annotation-item-replies">${this._formatReplyCount(replyCount)}</span>` : "";
+
       item.innerHTML = `
+        <input type="checkbox" class="annotation-item-checkbox" data-role="select"
+               aria-label="Select ${this._escapeHtml(`${typeLabel} on page ${annotation.page}`)}">
         <div class="annotation-item-icon" style="color: ${sanitizeColor(annotation.color, '#666')}">
           ${icon}
         </div>
@@ -4352,7 +10914,7 @@ class AnnotationSidebar {
             <span class="annotation-item-separator">•</span>
             <span class="annotation-item-page">Page ${annotation.page}</span>
             <span class="annotation-item-separator">•</span>
-            <span class="annotation-item-time">${timestamp}</span>
+            <span class="annotation-item-time">${timestamp}</span>${replies}
           </div>
         </div>
         <div class="annotation-item-hover">
@@ -4367,6 +10929,19 @@ class AnnotationSidebar {
       item.classList.add("selected");
     }
 
+    // Checkbox for multi-selection - auto-generated, or a
+    // [data-role="select"] checkbox in the user's template
+    const checkbox = item.querySelector('input[type="checkbox"][data-role="select"]');
+    const checked = this.checkedAnnotationIds.has(annotation.id);
+    item.classList.toggle("checked", checked);
+    if (checkbox) {
+      checkbox.checked = checked;
+      checkbox.addEventListener("click", (e) => e.stopPropagation());
+      checkbox.addEventListener("change", () => {
+        this.onAnnotationCheck?.(annotation.id, checkbox.checked);
+      });
+    }
+
     // Click handler
     item.addEventListener("click", () => {
       this._selectItem(annotation.id);
@@ -4419,6 +10994,14 @@ class AnnotationSidebar {
       typeLabel = "Note";
       label = annotation.contents || "Empty note";
       label = this._truncate(label, 80);
+    } else if (type === "stamp") {
+      icon = ANNOTATION_ICONS.stamp;
+      typeLabel = annotation.subject === "Signature" ? "Signature" : "Stamp";
+      label = this._truncate(annotation.contents || annotation.subject || "Stamp", 80);
+    } else if (type === "free_text") {
+      icon = ANNOTATION_ICONS.free_text;
+      typeLabel = "Text box";
+      label = this._truncate(annotation.contents || "Empty text box", 80);
     } else if (type === "ink") {
       icon = ANNOTATION_ICONS.ink;
       typeLabel = "Drawing";
@@ -4428,6 +11011,22 @@ class AnnotationSidebar {
       typeLabel = "Underline";
       label = annotation.title || "Underlined text";
       label = this._truncate(label, 80);
+    } else if (type === "strikeout") {
+      icon = ANNOTATION_ICONS.strikeout;
+      typeLabel = "Strikeout";
+      label = this._truncate(annotation.title || "Struck-out text", 80);
+    } else if (type === "squiggly") {
+      icon = ANNOTATION_ICONS.squiggly;
+      typeLabel = "Squiggly";
+      label = this._truncate(annotation.title || "Squiggly-underlined text", 80);
+    } else if (type === "square" || type === "circle") {
+      icon = ANNOTATION_ICONS[type];
+      typeLabel = type === "square" ? "Rectangle" : "Ellipse";
+      label = this._truncate(annotation.contents || typeLabel, 80);
+    } else if (type === "straight_line") {
+      icon = annotation.arrow ? ANNOTATION_ICONS.arrow : ANNOTATION_ICONS.straight_line;
+      typeLabel = annotation.arrow ? "Arrow" : "Line";
+      label = this._truncate(annotation.contents || typeLabel, 80);
     } else {
       icon = ANNOTATION_ICONS.highlight;
       typeLabel = type || "Annotation";
@@ -4437,6 +11036,14 @@ class AnnotationSidebar {
     return { icon, label, typeLabel }
   }
 
+  _getReplyCount(annotation) {
+    return this.annotationManager.getReplyCount(annotation)
+  }
+
+  _formatReplyCount(count) {
+    return `${count} ${count === 1 ? "reply" : "replies"}`
+  }
+
   _truncate(text, maxLength) {
     if (!text) return ""
     text = text.trim().replace(/\s+/g, " ");
@@ -4539,70 +11146,739 @@ class AnnotationSidebar {
     }
   }
 
-  /**
-   * Select and scroll to an annotation in the list
-   * @param {string} annotationId - The annotation ID to select
-   * @param {Object} options - Options
-   * @param {boolean} options.scroll - Whether to scroll the sidebar list (default: true)
-   */
-  selectAnnotation(annotationId, { scroll = true } = {}) {
-    this._selectItem(annotationId);
-    const item = this.listContainer.querySelector(`[data-annotation-id="${annotationId}"]`);
-    if (item && this.isOpen && scroll) {
-      item.scrollIntoView({ behavior: "smooth", block: "nearest" });
-    }
+  /**
+   * Tick the checkboxes of the viewer's multi-selection
+   * @param {Set} annotationIds - Checked annotation ids
+   */
+  setCheckedAnnotations(annotationIds) {
+    this.checkedAnnotationIds = new Set(annotationIds);
+
+    this.listContainer.querySelectorAll(".annotation-list-item, [data-annotation-id]").forEach(item => {
+      const checked = this.checkedAnnotationIds.has(item.dataset.annotationId) ||
+                      this.checkedAnnotationIds.has(Number(item.dataset.annotationId));
+      item.classList.toggle("checked", checked);
+      const checkbox = item.querySelector('input[type="checkbox"][data-role="select"]');
+      if (checkbox) {
+        checkbox.checked = checked;
+      }
+    });
+  }
+
+  /**
+   * Select and scroll to an annotation in the list
+   * @param {string} annotationId - The annotation ID to select
+   * @param {Object} options - Options
+   * @param {boolean} options.scroll - Whether to scroll the sidebar list (default: true)
+   */
+  selectAnnotation(annotationId, { scroll = true } = {}) {
+    this._selectItem(annotationId);
+    const item = this.listContainer.querySelector(`[data-annotation-id="${annotationId}"]`);
+    if (item && this.isOpen && scroll) {
+      item.scrollIntoView({ behavior: "smooth", block: "nearest" });
+    }
+  }
+
+  /**
+   * Open the sidebar
+   */
+  open() {
+    this.isOpen = true;
+    this.element.classList.add("open");
+    this.container.classList.add("annotation-sidebar-open");
+    this._refreshList();
+
+    this.element.dispatchEvent(new CustomEvent("pdf-sidebar:annotation-sidebar-opened", {
+      bubbles: true
+    }));
+  }
+
+  /**
+   * Close the sidebar
+   */
+  close() {
+    this.isOpen = false;
+    this.element.classList.remove("open");
+    this.container.classList.remove("annotation-sidebar-open");
+
+    this.element.dispatchEvent(new CustomEvent("pdf-sidebar:annotation-sidebar-closed", {
+      bubbles: true
+    }));
+  }
+
+  /**
+   * Toggle the sidebar
+   */
+  toggle() {
+    if (this.isOpen) {
+      this.close();
+    } else {
+      this.open();
+    }
+  }
+
+  /**
+   * Get current annotation count
+   */
+  getCount() {
+    return this.annotationManager.getAllAnnotations().length
+  }
+
+  /**
+   * Clean up
+   */
+  destroy() {
+    this.element.remove();
+  }
+}
+
+/**
+ * Text matching for search, kept free of viewer state so it can run
+ * anywhere page text is available.
+ *
+ * It all lives in searchMatching(), which uses no outer names: the search
+ * worker is built from that function's source text, and a minifier renames
+ * everything inside it consistently.
+ *
+ * Both the page text and the query are normalized before matching, and
+ * match offsets are mapped back to the original text:
+ * - ignoreAccents: "resume" finds "r\u00E9sum\u00E9" (NFD, combining marks dropped)
+ * - joinLines: ligatures expand ("\uFB01" to "fi"), a hyphen at the end of a
+ *   line joins the word across the break, and whitespace runs collapse
+ * - regex: the query is a JavaScript regular expression
+ * - fuzzy: tolerates a few typos or OCR errors (see fuzzyMatchRanges)
+ */
+
+function searchMatching() {
+  const SEARCH_LIGATURES = {
+    "\uFB00": "ff",
+    "\uFB01": "fi",
+    "\uFB02": "fl",
+    "\uFB03": "ffi",
+    "\uFB04": "ffl",
+    "\uFB05": "st",
+    "\uFB06": "st"
+  };
+
+  // Fuzzy matching allows one edit per this many query characters, up to
+  // FUZZY_MAX_EDITS; shorter queries must match exactly
+  const FUZZY_CHARS_PER_EDIT = 4;
+  const FUZZY_MAX_EDITS = 3;
+
+  const WORD_CHAR_RE = /[\p{L}\p{N}_]/u;
+
+  function escapeRegExp(string) {
+    return string.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+  }
+
+  /**
+   * Normalize text for matching.
+   * @param {string} text
+   * @param {Object} [options]
+   * @param {boolean} [options.ignoreAccents]
+   * @param {boolean} [options.joinLines]
+   * @param {Array<number>} [options.lineBreaks] - Offsets of the spaces that stand for line breaks
+   * @returns {{text: string, starts: Array<number>, ends: Array<number>}} Normalized text, and the original range each of its characters came from
+   */
+  function normalizeSearchText(text, { ignoreAccents = false, joinLines = false, lineBreaks = [] } = {}) {
+    const breaks = new Set(lineBreaks);
+    let normalized = "";
+    const starts = [];
+    const ends = [];
+
+    for (let i = 0; i < text.length; i++) {
+      let char = text[i];
+
+      if (joinLines) {
+        if (char === "\u00AD") continue // Soft hyphen
+        if ((char === "-" || char === "\u2010") && breaks.has(i + 1) && WORD_CHAR_RE.test(text[i - 1] || "")) {
+          i++; // Skip the line break too
+          continue
+        }
+        if (/\s/.test(char)) {
+          if (normalized.endsWith(" ")) continue
+          char = " ";
+        }
+        char = SEARCH_LIGATURES[char] || char;
+      }
+
+      if (ignoreAccents) {
+        char = char.normalize("NFD").replace(/\p{M}/gu, "");
+        // A dropped combining mark still belongs to the letter before it
+        if (!char && ends.length > 0) {
+          ends[ends.length - 1] = i + 1;
+        }
+      }
+
+      for (let k = 0; k < char.length; k++) {
+        normalized += char[k];
+        starts.push(i);
+        ends.push(i + 1);
+      }
+    }
+
+    return { text: normalized, starts, ends }
+  }
+
+  /**
+   * Find a query in page text.
+   * @param {string} text - Page text
+   * @param {string} query
+   * @param {Object} [options]
+   * @param {boolean} [options.caseSensitive]
+   * @param {boolean} [options.entireWord]
+   * @param {boolean} [options.regex]
+   * @param {boolean} [options.ignoreAccents]
+   * @param {boolean} [options.joinLines]
+   * @param {boolean} [options.fuzzy] - Ignored in regex mode
+   * @param {Array<number>} [options.lineBreaks] - See normalizeSearchText
+   * @returns {Array<{start: number, end: number}>} Match offsets in the original text
+   * @throws {SyntaxError} If the query is an invalid regular expression
+   */
+  function findTextMatches(text, query, options = {}) {
+    const { caseSensitive = false, entireWord = false, regex = false, fuzzy = false } = options;
+    const normalizeOptions = { ignoreAccents: options.ignoreAccents, joinLines: options.joinLines };
+    const page = normalizeSearchText(text, { ...normalizeOptions, lineBreaks: options.lineBreaks });
+    // A pattern keeps its syntax; only its accents go, as they do in the page text
+    const pattern = regex
+      ? (options.ignoreAccents ? query.normalize("NFD").replace(/\p{M}/gu, "") : query)
+      : normalizeSearchText(query, normalizeOptions).text;
+    if (!pattern) return []
+
+    let ranges;
+    if (fuzzy && !regex) {
+      ranges = fuzzyMatchRanges(page.text, pattern, { caseSensitive, entireWord });
+    } else {
+      const flags = `g${caseSensitive ? "" : "i"}`;
+      let re;
+      if (entireWord) {
+        // Compile a pattern on its own first, so wrapping it can't hide a syntax error
+        const plain = regex ? new RegExp(pattern, flags) : null;
+
+        // \b only knows ASCII letters; the lookarounds need Unicode mode
+        const word = WORD_CHAR_RE.source;
+        try {
+          re = new RegExp(`(?<!${word})(?:${regex ? pattern : escapeRegExp(pattern)})(?!${word})`, `${flags}u`);
+        } catch (error) {
+          // A pattern only valid outside Unicode mode keeps ASCII word boundaries
+          if (!regex) throw error
+          re = new RegExp(`\\b(?:${plain.source})\\b`, flags);
+        }
+      } else {
+        // Unicode mode would reject some escapes people type in their own patterns
+        re = new RegExp(regex ? pattern : escapeRegExp(pattern), `${flags}${regex ? "" : "u"}`);
+      }
+      ranges = [];
+      let match;
+      while ((match = re.exec(page.text)) !== null) {
+        if (match[0].length === 0) {
+          re.lastIndex++;
+          continue
+        }
+        ranges.push({ start: match.index, end: match.index + match[0].length });
+      }
+    }
+
+    return ranges.map(({ start, end }) => ({ start: page.starts[start], end: page.ends[end - 1] }))
+  }
+
+  /**
+   * Approximate substring matching (Sellers' algorithm): the stretches of text
+   * within a few insertions, deletions, substitutions or swapped neighbours
+   * of the query. Of overlapping candidates, the closest wins.
+   * @param {string} text
+   * @param {string} query
+   * @param {Object} [options]
+   * @param {boolean} [options.caseSensitive]
+   * @param {boolean} [options.entireWord]
+   * @returns {Array<{start: number, end: number}>}
+   */
+  function fuzzyMatchRanges(text, query, { caseSensitive = false, entireWord = false } = {}) {
+    const fold = (char) => caseSensitive ? char : char.toLowerCase();
+    const q = Array.from({ length: query.length }, (_, i) => fold(query[i]));
+    const m = q.length;
+    const maxEdits = Math.min(FUZZY_MAX_EDITS, Math.floor(m / FUZZY_CHARS_PER_EDIT));
+
+    // Edit cost of the best match of q[0..i) ending here, and where it
+    // starts; the column before is kept for swapped characters
+    let cost = Array.from({ length: m + 1 }, (_, i) => i);
+    let start = new Array(m + 1).fill(0);
+    let previousCost = null;
+    let previousStart = null;
+    let previousChar = null;
+    const candidates = [];
+
+    for (let j = 1; j <= text.length; j++) {
+      const char = fold(text[j - 1]);
+      const nextCost = [0];
+      const nextStart = [j];
+
+      for (let i = 1; i <= m; i++) {
+        const substitute = cost[i - 1] + (q[i - 1] === char ? 0 : 1);
+        const skipText = cost[i] + 1;
+        const skipQuery = nextCost[i - 1] + 1;
+
+        if (substitute <= skipText && substitute <= skipQuery) {
+          nextCost[i] = substitute;
+          nextStart[i] = start[i - 1];
+        } else if (skipText <= skipQuery) {
+          nextCost[i] = skipText;
+          nextStart[i] = start[i];
+        } else {
+          nextCost[i] = skipQuery;
+          nextStart[i] = nextStart[i - 1];
+        }
+
+        if (i > 1 && previousCost && q[i - 1] === previousChar && q[i - 2] === char &&
+            previousCost[i - 2] + 1 < nextCost[i]) {
+          nextCost[i] = previousCost[i - 2] + 1;
+          nextStart[i] = previousStart[i - 2];
+        }
+      }
+
+      previousCost = cost;
+      previousStart = start;
+      previousChar = char;
+      cost = nextCost;
+      start = nextStart;
+      if (cost[m] <= maxEdits && start[m] < j) {
+        candidates.push({ start: start[m], end: j, cost: cost[m] });
+      }
+    }
+
+    const isWord = (range) =>
+      !WORD_CHAR_RE.test(text[range.start - 1] || "") && !WORD_CHAR_RE.test(text[range.end] || "");
+
+    const ranges = [];
+    for (const candidate of candidates) {
+      if (entireWord && !isWord(candidate)) continue
+
+      const last = ranges[ranges.length - 1];
+      if (last && candidate.start < last.end) {
+        if (candidate.cost < last.cost) {
+          ranges[ranges.length - 1] = candidate;
+        }
+      } else {
+        ranges.push(candidate);
+      }
+    }
+
+    return ranges.map(({ start, end }) => ({ start, end }))
+  }
+
+  /**
+   * Page text index and matcher behind FindController. It runs inside the
+   * search worker, or on the main thread where workers aren't available.
+   * The worker is built from source text, so this may only use the matching
+   * functions above.
+   *
+   * Messages in:
+   * - { type: "reset" }: forget all pages
+   * - { type: "add-pages", pages: [{ pageNumber, str, lineBreaks }] }
+   * - { type: "search", id, query, options }: empty query stops searching
+   * - { type: "flush", id }: answered once everything before it is done
+   *
+   * Messages out:
+   * - { type: "results", id, initial, results: [[pageNumber, ranges]] }:
+   *   an `initial` one answers a search over every page added so far and
+   *   replaces earlier results for it; the others cover pages added since
+   * - { type: "flushed", id }
+   *
+   * @param {Function} post - Sends a message back
+   * @returns {{ handleMessage: Function }}
+   */
+  function createSearchIndex(post) {
+    const pages = new Map(); // pageNumber -> { str, lineBreaks }
+    let search = null; // { id, query, options }
+
+    const searchPages = (pageNumbers) => pageNumbers.map(pageNumber => {
+      const { str, lineBreaks } = pages.get(pageNumber);
+      try {
+        return [pageNumber, findTextMatches(str, search.query, { ...search.options, lineBreaks })]
+      } catch (error) {
+        // Anything else is a bug; let it fail the worker so the main thread takes over
+        if (!(error instanceof SyntaxError)) throw error
+
+        console.error("Search regex error:", error);
+        return [pageNumber, []]
+      }
+    });
+
+    return {
+      handleMessage(message) {
+        switch (message.type) {
+          case "reset":
+            pages.clear();
+            search = null;
+            break
+          case "add-pages":
+            for (const { pageNumber, str, lineBreaks } of message.pages) {
+              pages.set(pageNumber, { str, lineBreaks });
+            }
+            if (search) {
+              const results = searchPages(message.pages.map(page => page.pageNumber));
+              post({ type: "results", id: search.id, initial: false, results });
+            }
+            break
+          case "search": {
+            search = message.query ? { id: message.id, query: message.query, options: message.options } : null;
+            if (search) {
+              const pageNumbers = Array.from(pages.keys()).sort((a, b) => a - b);
+              post({ type: "results", id: search.id, initial: true, results: searchPages(pageNumbers) });
+            }
+            break
+          }
+          case "flush":
+            post({ type: "flushed", id: message.id });
+            break
+        }
+      }
+    }
+  }
+
+  return { createSearchIndex }
+}
+
+const { createSearchIndex } = searchMatching();
+
+/**
+ * SearchWorker - Runs createSearchIndex in a Web Worker so matching a
+ * large document doesn't hold up scrolling.
+ *
+ * The worker is started from a blob: URL. If that isn't allowed (a
+ * Content-Security-Policy without `worker-src blob:`) or the worker fails,
+ * the same index runs on the main thread, and the pages and search sent
+ * so far are replayed into it.
+ *
+ * A worker still busy when a new search arrives (a runaway regular
+ * expression, say) is replaced by a fresh one rather than waited for.
+ */
+
+// How long a search may go unanswered before a new one restarts the worker (ms)
+const SEARCH_WORKER_RESTART_DELAY = 1000;
+
+class SearchWorker {
+  /**
+   * @param {Function} onMessage - Receives the index's messages
+   */
+  constructor(onMessage) {
+    this.onMessage = onMessage;
+    // Replayed into the main-thread index on fallback
+    this._pageMessages = [];
+    this._searchMessage = null;
+    this._flushes = new Map(); // flush id -> resolve
+    this._flushId = 0;
+    this._index = null;
+    this._awaiting = 0; // Results messages the worker still owes
+    this._busySince = 0;
+    this._worker = this._startWorker();
+
+    if (!this._worker) {
+      this._useMainThread();
+    }
+  }
+
+  /**
+   * Source for the worker: searchMatching() and an index fed by messages.
+   * @returns {string}
+   */
+  static source() {
+    return [
+      `const { createSearchIndex } = (${searchMatching})();`,
+      `const index = createSearchIndex((message) => self.postMessage(message));`,
+      `self.onmessage = (event) => index.handleMessage(event.data);`
+    ].join("\n")
+  }
+
+  _startWorker() {
+    if (typeof Worker === "undefined") return null
+
+    try {
+      this._workerUrl = URL.createObjectURL(new Blob([SearchWorker.source()], { type: "text/javascript" }));
+      const worker = new Worker(this._workerUrl);
+      worker.onmessage = (event) => this._receive(event.data);
+      worker.onerror = (event) => {
+        event.preventDefault();
+        console.warn("Search worker failed, searching on the main thread:", event.message);
+        this._useMainThread();
+      };
+      return worker
+    } catch (error) {
+      console.warn("Search worker unavailable, searching on the main thread:", error);
+      this._revokeWorkerUrl();
+      return null
+    }
+  }
+
+  _useMainThread() {
+    this._worker?.terminate();
+    this._worker = null;
+    this._revokeWorkerUrl();
+
+    // Answer asynchronously, like the worker would
+    this._index = createSearchIndex((message) => setTimeout(() => this._receive(message), 0));
+    for (const message of this._pageMessages) {
+      this._index.handleMessage(message);
+    }
+    if (this._searchMessage) {
+      this._index.handleMessage(this._searchMessage);
+    }
+    for (const id of this._flushes.keys()) {
+      this._index.handleMessage({ type: "flush", id });
+    }
+  }
+
+  // Replace a worker stuck on a search with a fresh one holding the same pages
+  _restartWorker() {
+    this._worker.terminate();
+    this._revokeWorkerUrl();
+    this._awaiting = 0;
+
+    this._worker = this._startWorker();
+    if (!this._worker) {
+      this._useMainThread();
+      return
+    }
+
+    for (const message of this._pageMessages) {
+      this._worker.postMessage(message);
+    }
+    for (const id of this._flushes.keys()) {
+      this._worker.postMessage({ type: "flush", id });
+    }
+  }
+
+  _revokeWorkerUrl() {
+    if (this._workerUrl) {
+      URL.revokeObjectURL(this._workerUrl);
+      this._workerUrl = null;
+    }
+  }
+
+  _receive(message) {
+    if (message.type === "results" && this._awaiting > 0) {
+      this._awaiting--;
+      this._busySince = Date.now();
+    }
+    if (message.type === "flushed") {
+      this._flushes.get(message.id)?.();
+      this._flushes.delete(message.id);
+      return
+    }
+    this.onMessage(message);
+  }
+
+  /**
+   * Send a message to the index.
+   * @param {Object} message
+   */
+  send(message) {
+    if (message.type === "reset") {
+      this._pageMessages = [];
+      this._searchMessage = null;
+    } else if (message.type === "add-pages") {
+      this._pageMessages.push(message);
+    } else if (message.type === "search") {
+      if (this._worker && this._awaiting > 0 && Date.now() - this._busySince > SEARCH_WORKER_RESTART_DELAY) {
+        this._restartWorker();
+      }
+      this._searchMessage = message;
+    }
+
+    if (this._worker) {
+      // The worker answers a search, and new pages while a search is active
+      const expectsResults = message.type === "search"
+        ? Boolean(message.query)
+        : message.type === "add-pages" && Boolean(this._searchMessage?.query);
+      if (expectsResults) {
+        if (this._awaiting === 0) {
+          this._busySince = Date.now();
+        }
+        this._awaiting++;
+      }
+      this._worker.postMessage(message);
+    } else {
+      this._index?.handleMessage(message);
+    }
+  }
+
+  /**
+   * Resolves once the index has handled everything sent so far, and its
+   * results have been delivered.
+   * @returns {Promise<void>}
+   */
+  flush() {
+    return new Promise(resolve => {
+      const id = ++this._flushId;
+      this._flushes.set(id, resolve);
+      this.send({ type: "flush", id });
+    })
+  }
+
+  /**
+   * Stop the worker.
+   */
+  destroy() {
+    this._worker?.terminate();
+    this._worker = null;
+    this._revokeWorkerUrl();
+    this._index = null;
+    this._pageMessages = [];
+    this._searchMessage = null;
+    this._flushes.clear();
+  }
+}
+
+/**
+ * SearchIndexCache - Extracted page text kept in IndexedDB between visits.
+ *
+ * Records are keyed by document fingerprint and page number, so the same
+ * file reuses its index whatever URL it was opened from. They expire
+ * SEARCH_INDEX_MAX_AGE after they were written.
+ */
+
+// Records in another layout are ignored; bump when the layout changes
+const SEARCH_INDEX_FORMAT = 1;
+const SEARCH_INDEX_MAX_AGE = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+class SearchIndexCache {
+  constructor() {
+    this._dbPromise = null;
+    this._pruned = false;
+  }
+
+  /**
+   * Cache key for a document: PDF.js's fingerprints (the file's permanent
+   * ID, plus its changing ID once the file has been updated).
+   * @param {PDFDocumentProxy} pdfDocument
+   * @returns {string|null} null when the document has no fingerprint
+   */
+  static keyFor(pdfDocument) {
+    const fingerprints = (pdfDocument?.fingerprints || []).filter(Boolean);
+    return fingerprints.length > 0 ? fingerprints.join(":") : null
+  }
+
+  _openDatabase() {
+    if (!this._dbPromise) {
+      this._dbPromise = openViewerDatabase().then(db => {
+        db.addEventListener("versionchange", () => { this._dbPromise = null; });
+        return db
+      }).catch(error => {
+        // No IndexedDB (private browsing, some webviews): search still works,
+        // it just extracts the text again next time
+        console.warn("Search index cache unavailable:", error);
+        return null
+      });
+    }
+    return this._dbPromise
+  }
+
+  async _objectStore(mode) {
+    const db = await this._openDatabase();
+    return db ? db.transaction(SEARCH_INDEX_STORE_NAME, mode).objectStore(SEARCH_INDEX_STORE_NAME) : null
   }
 
   /**
-   * Open the sidebar
+   * Read a document's cached pages.
+   * @param {string} fingerprint - From SearchIndexCache.keyFor
+   * @returns {Promise<Map<number, Object>>} pageNumber -> { str, lineBreaks, textItems }
    */
-  open() {
-    this.isOpen = true;
-    this.element.classList.add("open");
-    this.container.classList.add("annotation-sidebar-open");
-    this._refreshList();
+  async load(fingerprint) {
+    const pages = new Map();
 
-    this.element.dispatchEvent(new CustomEvent("pdf-sidebar:annotation-sidebar-opened", {
-      bubbles: true
-    }));
+    try {
+      const store = await this._objectStore("readonly");
+      if (!store) return pages
+
+      const records = await idbRequest(store.index("fingerprint").getAll(fingerprint));
+      for (const record of records) {
+        if (record.format !== SEARCH_INDEX_FORMAT) continue
+        pages.set(record.pageNumber, {
+          str: record.str,
+          lineBreaks: record.lineBreaks,
+          textItems: this._unpackTextItems(record.str, record.itemOffsets)
+        });
+      }
+    } catch (error) {
+      console.warn("Could not read the search index cache:", error);
+    }
+
+    return pages
   }
 
   /**
-   * Close the sidebar
+   * Store extracted pages. Also drops expired records, once per cache.
+   * @param {string} fingerprint - From SearchIndexCache.keyFor
+   * @param {Array<[number, Object]>} pages - [pageNumber, { str, lineBreaks, textItems }] pairs
    */
-  close() {
-    this.isOpen = false;
-    this.element.classList.remove("open");
-    this.container.classList.remove("annotation-sidebar-open");
+  async save(fingerprint, pages) {
+    if (pages.length === 0) return
 
-    this.element.dispatchEvent(new CustomEvent("pdf-sidebar:annotation-sidebar-closed", {
-      bubbles: true
-    }));
+    try {
+      const store = await this._objectStore("readwrite");
+      if (!store) return
+
+      const savedAt = Date.now();
+      for (const [pageNumber, { str, lineBreaks, textItems }] of pages) {
+        store.put({
+          fingerprint,
+          pageNumber,
+          format: SEARCH_INDEX_FORMAT,
+          savedAt,
+          str,
+          lineBreaks,
+          itemOffsets: this._packTextItems(textItems)
+        });
+      }
+
+      if (!this._pruned) {
+        this._pruned = true;
+        const expired = store.index("savedAt").openCursor(IDBKeyRange.upperBound(savedAt - SEARCH_INDEX_MAX_AGE));
+        expired.onsuccess = () => {
+          const cursor = expired.result;
+          if (!cursor) return
+          cursor.delete();
+          cursor.continue();
+        };
+      }
+
+      await new Promise((resolve, reject) => {
+        store.transaction.oncomplete = () => resolve();
+        store.transaction.onerror = () => reject(store.transaction.error);
+        store.transaction.onabort = () => reject(store.transaction.error);
+      });
+    } catch (error) {
+      // Most likely over the storage quota; the pages stay searchable in memory
+      console.warn("Could not write the search index cache:", error);
+    }
   }
 
-  /**
-   * Toggle the sidebar
-   */
-  toggle() {
-    if (this.isOpen) {
-      this.close();
-    } else {
-      this.open();
+  // Text items are substrings of the page text; store only their offsets
+  _packTextItems(textItems) {
+    const offsets = [];
+    for (const item of textItems) {
+      offsets.push(item.startOffset, item.endOffset);
     }
+    return offsets
   }
 
-  /**
-   * Get current annotation count
-   */
-  getCount() {
-    return this.annotationManager.getAllAnnotations().length
+  _unpackTextItems(str, offsets = []) {
+    const textItems = [];
+    for (let i = 0; i < offsets.length; i += 2) {
+      textItems.push({
+        str: str.substring(offsets[i], offsets[i + 1]),
+        startOffset: offsets[i],
+        endOffset: offsets[i + 1]
+      });
+    }
+    return textItems
   }
 
   /**
-   * Clean up
+   * Close the database connection.
    */
-  destroy() {
-    this.element.remove();
+  close() {
+    this._dbPromise?.then(db => db?.close());
+    this._dbPromise = null;
   }
 }
 
@@ -4610,9 +11886,12 @@ class AnnotationSidebar {
  * FindController - PDF text search functionality.
  *
  * Provides search capabilities for the PDF viewer:
- * - Lazy text extraction (only when search is initiated)
+ * - Lazy text extraction (only when search is initiated), paused while
+ *   pages render and cached in IndexedDB by document fingerprint
+ * - Matching in a Web Worker (see SearchWorker)
  * - Case-insensitive and case-sensitive search
  * - Whole word matching
+ * - Regex, accent-insensitive, line-joining and fuzzy modes (see findTextMatches)
  * - Match highlighting in text layer
  * - Navigation between matches
  */
@@ -4624,19 +11903,47 @@ const FindState = {
   PENDING: 3
 };
 
+// Characters of page text shown on each side of a match in result lists
+const SEARCH_CONTEXT_LENGTH = 40;
+
+// How often extraction checks whether page rendering has finished (ms)
+const EXTRACTION_RENDER_POLL_INTERVAL = 50;
+
+// Longest extraction waits for the browser to go idle between pages (ms)
+const EXTRACTION_IDLE_TIMEOUT = 200;
+
+// Extracted pages are written to the index cache in batches of this many
+const SEARCH_INDEX_SAVE_BATCH = 20;
+
+// Longest extraction waits for cached pages before extracting them itself (ms)
+const SEARCH_INDEX_LOAD_TIMEOUT = 2000;
+
 class FindController {
   constructor(viewer, options = {}) {
     this.viewer = viewer;
     this.pdfDocument = null;
 
-    // Text content storage: pageNumber -> { textContent, textItems, str }
+    // Text content storage: pageNumber -> { textItems, str, lineBreaks }
     this.pageContents = new Map();
 
+    // Matching runs in a worker, started on the first search
+    this._searchWorker = null;
+    this._searchId = 0; // Results for older searches are ignored
+
+    // Page text survives reloads unless the app opts out
+    this._indexCache = options.cacheIndex === false ? null : new SearchIndexCache();
+    this._fingerprint = null;
+
     // Current search state
     this.query = "";
     this.caseSensitive = false;
     this.entireWord = false;
+    this.regex = false;
+    this.ignoreAccents = false;
+    this.joinLines = true;
+    this.fuzzy = false;
     this.highlightAll = true;
+    this.error = null; // Set when a regex query doesn't compile
 
     // Match data: array of { pageNumber, matchIndex, startOffset, endOffset }
     this.matches = [];
@@ -4658,9 +11965,14 @@ class FindController {
    */
   setDocument(pdfDocument) {
     this.pdfDocument = pdfDocument;
+    this._fingerprint = SearchIndexCache.keyFor(pdfDocument);
     this.pageContents.clear();
     this.matches = [];
     this.currentMatchIndex = -1;
+    this._searchId++;
+    this._searchWorker?.send({ type: "reset" });
+    // An extraction for the previous document stops at its next page
+    this.extracting = false;
     this.extractionComplete = false;
     // Text extraction is now lazy - starts when find() is called
   }
@@ -4670,6 +11982,10 @@ class FindController {
    * Prioritizes visible pages for faster initial results.
    */
   _ensureTextExtraction() {
+    if (!this._searchWorker) {
+      this._searchWorker = new SearchWorker((message) => this._onSearchResults(message));
+    }
+
     if (this.extracting || this.extractionComplete) return
 
     this._extractTextLazily();
@@ -4677,12 +11993,18 @@ class FindController {
 
   /**
    * Extract text lazily, prioritizing visible pages first.
+   * Pages from the index cache come first of all, and extraction waits
+   * while pages are rendering so it doesn't compete with scrolling.
    */
   async _extractTextLazily() {
     if (!this.pdfDocument || this.extracting) return
 
+    const pdfDocument = this.pdfDocument;
     this.extracting = true;
-    const numPages = this.pdfDocument.numPages;
+    const numPages = pdfDocument.numPages;
+
+    await this._loadCachedPages(pdfDocument);
+    if (this.pdfDocument !== pdfDocument) return
 
     // Get visible pages to prioritize them
     const visiblePages = this.viewer.viewer.getVisiblePages();
@@ -4706,30 +12028,36 @@ class FindController {
       extractionOrder.push(pageNum);
     }
 
+    let unsaved = [];
     for (const pageNum of extractionOrder) {
       // Skip if already extracted
       if (this.pageContents.has(pageNum)) continue
 
+      await this._waitForRenderingIdle();
+      if (this.pdfDocument !== pdfDocument) return
+
       try {
         await this._extractPage(pageNum);
-
-        // If we have an active query, search this page and update UI
-        if (this.query) {
-          const matchCountBefore = this.matches.length;
-          this._searchPage(pageNum);
-
-          // If new matches were added, re-sort and fix current index
-          if (this.matches.length > matchCountBefore) {
-            this._sortMatchesAndFixIndex();
-          }
-
-          this._updateHighlights(pageNum);
-          this._notifyStateUpdate();
-        }
       } catch (error) {
         console.error(`Error extracting text from page ${pageNum}:`, error);
+        continue
+      }
+      if (this.pdfDocument !== pdfDocument) return
+
+      // The worker searches the new page for the active query, if any
+      this._indexPages([pageNum]);
+
+      unsaved.push(pageNum);
+      if (unsaved.length >= SEARCH_INDEX_SAVE_BATCH) {
+        this._savePages(unsaved);
+        unsaved = [];
       }
     }
+    this._savePages(unsaved);
+
+    // Wait for the results of the last pages before reporting completion
+    await this._searchWorker.flush();
+    if (this.pdfDocument !== pdfDocument) return
 
     this.extracting = false;
     this.extractionComplete = true;
@@ -4751,6 +12079,7 @@ class FindController {
     // Build a searchable string and track item positions
     let pageText = "";
     const textItems = [];
+    const lineBreaks = [];
 
     for (const item of textContent.items) {
       if (item.str) {
@@ -4763,17 +12092,79 @@ class FindController {
       }
       // Handle end-of-line markers
       if (item.hasEOL) {
+        lineBreaks.push(pageText.length);
         pageText += " "; // Add space for line breaks
       }
     }
 
     this.pageContents.set(pageNum, {
-      textContent,
       textItems,
-      str: pageText
+      str: pageText,
+      lineBreaks
+    });
+  }
+
+  /**
+   * Put pages indexed on an earlier visit into pageContents.
+   * @param {PDFDocumentProxy} pdfDocument
+   */
+  async _loadCachedPages(pdfDocument) {
+    if (!this._indexCache || !this._fingerprint) return
+
+    // A blocked or slow database mustn't hold search up; past the timeout
+    // the pages are extracted again and a late answer is ignored
+    const timeout = new Promise(resolve => setTimeout(resolve, SEARCH_INDEX_LOAD_TIMEOUT, null));
+    const cached = await Promise.race([this._indexCache.load(this._fingerprint), timeout]);
+    if (!cached || this.pdfDocument !== pdfDocument) return
+
+    const pageNumbers = [];
+    for (const [pageNum, content] of cached) {
+      if (pageNum > pdfDocument.numPages || this.pageContents.has(pageNum)) continue
+      this.pageContents.set(pageNum, content);
+      pageNumbers.push(pageNum);
+    }
+    this._indexPages(pageNumbers);
+  }
+
+  /**
+   * Write extracted pages to the index cache, in the background.
+   * @param {Array<number>} pageNumbers
+   */
+  _savePages(pageNumbers) {
+    if (!this._indexCache || !this._fingerprint || pageNumbers.length === 0) return
+
+    const pages = pageNumbers.map(pageNum => [pageNum, this.pageContents.get(pageNum)]);
+    this._indexCache.save(this._fingerprint, pages);
+  }
+
+  /**
+   * Hand page text to the search worker.
+   * @param {Array<number>} pageNumbers
+   */
+  _indexPages(pageNumbers) {
+    if (pageNumbers.length === 0) return
+
+    this._searchWorker.send({
+      type: "add-pages",
+      pages: pageNumbers.map(pageNumber => {
+        const { str, lineBreaks } = this.pageContents.get(pageNumber);
+        return { pageNumber, str, lineBreaks }
+      })
     });
   }
 
+  /**
+   * Resolve once no page is rendering and the browser has a moment to spare.
+   */
+  async _waitForRenderingIdle() {
+    while (this.viewer.viewer?.isRendering()) {
+      await new Promise(resolve => setTimeout(resolve, EXTRACTION_RENDER_POLL_INTERVAL));
+    }
+    if (typeof requestIdleCallback === "function") {
+      await new Promise(resolve => requestIdleCallback(resolve, { timeout: EXTRACTION_IDLE_TIMEOUT }));
+    }
+  }
+
   /**
    * Notify UI of current search state.
    */
@@ -4781,7 +12172,8 @@ class FindController {
     this.onUpdateState(this.state, {
       current: this.currentMatchIndex + 1,
       total: this.matches.length,
-      extracting: this.extracting
+      extracting: this.extracting,
+      error: this.error
     });
   }
 
@@ -4791,62 +12183,85 @@ class FindController {
    * @param {Object} options - Search options
    * @param {boolean} options.caseSensitive - Case-sensitive matching
    * @param {boolean} options.entireWord - Match whole words only
+   * @param {boolean} options.regex - The query is a regular expression
+   * @param {boolean} options.ignoreAccents - Accented letters match unaccented ones
+   * @param {boolean} options.joinLines - Expand ligatures and match across hyphenated line breaks (default: true)
+   * @param {boolean} options.fuzzy - Tolerate a few wrong characters (not with regex)
    * @param {boolean} options.highlightAll - Highlight all matches
    * @param {boolean} options.findPrevious - Search backwards
    */
   find(query, options = {}) {
+    const searchOptions = {
+      caseSensitive: options.caseSensitive || false,
+      entireWord: options.entireWord || false,
+      regex: options.regex || false,
+      ignoreAccents: options.ignoreAccents || false,
+      joinLines: options.joinLines !== false,
+      fuzzy: options.fuzzy || false
+    };
     const queryChanged = query !== this.query;
-    const optionsChanged =
-      options.caseSensitive !== this.caseSensitive ||
-      options.entireWord !== this.entireWord;
+    const optionsChanged = Object.keys(searchOptions).some(key => searchOptions[key] !== this[key]);
 
     this.query = query;
-    this.caseSensitive = options.caseSensitive || false;
-    this.entireWord = options.entireWord || false;
+    Object.assign(this, searchOptions);
     this.highlightAll = options.highlightAll !== false;
+    this.error = null;
 
     if (!query) {
       this._clearMatches();
+      this._stopSearch();
       this.state = FindState.PENDING;
       this.onUpdateState(this.state, { current: 0, total: 0, extracting: false });
       return
     }
 
+    // A pattern that doesn't compile matches nothing; say why instead
+    if (this.regex) {
+      try {
+        new RegExp(query);
+      } catch (e) {
+        this._clearMatches();
+        this._stopSearch();
+        this.error = "Invalid regular expression";
+        this.state = FindState.NOT_FOUND;
+        this._notifyStateUpdate();
+        return
+      }
+    }
+
     // Start text extraction if not already running (lazy extraction)
     this._ensureTextExtraction();
 
     if (queryChanged || optionsChanged) {
-      // New search - search all already-extracted pages
+      // New search - the worker answers for the already-extracted pages,
+      // and the UI updates when it does (see _onSearchResults)
       this._clearMatches();
-      this._searchExtractedPages();
+      this._searchWorker.send({
+        type: "search",
+        id: ++this._searchId,
+        query,
+        options: this._searchOptions()
+      });
+      return
+    }
 
-      if (this.matches.length > 0) {
-        this.currentMatchIndex = 0;
-        this.state = FindState.FOUND;
+    // Navigate to next/previous
+    if (this.matches.length > 0) {
+      if (options.findPrevious) {
+        this.currentMatchIndex--;
+        if (this.currentMatchIndex < 0) {
+          this.currentMatchIndex = this.matches.length - 1;
+          this.state = FindState.WRAPPED;
+        } else {
+          this.state = FindState.FOUND;
+        }
       } else {
-        this.currentMatchIndex = -1;
-        // Only show NOT_FOUND if extraction is complete
-        this.state = this.extractionComplete ? FindState.NOT_FOUND : FindState.PENDING;
-      }
-    } else {
-      // Navigate to next/previous
-      if (this.matches.length > 0) {
-        if (options.findPrevious) {
-          this.currentMatchIndex--;
-          if (this.currentMatchIndex < 0) {
-            this.currentMatchIndex = this.matches.length - 1;
-            this.state = FindState.WRAPPED;
-          } else {
-            this.state = FindState.FOUND;
-          }
+        this.currentMatchIndex++;
+        if (this.currentMatchIndex >= this.matches.length) {
+          this.currentMatchIndex = 0;
+          this.state = FindState.WRAPPED;
         } else {
-          this.currentMatchIndex++;
-          if (this.currentMatchIndex >= this.matches.length) {
-            this.currentMatchIndex = 0;
-            this.state = FindState.WRAPPED;
-          } else {
-            this.state = FindState.FOUND;
-          }
+          this.state = FindState.FOUND;
         }
       }
     }
@@ -4867,8 +12282,7 @@ class FindController {
    */
   findNext() {
     this.find(this.query, {
-      caseSensitive: this.caseSensitive,
-      entireWord: this.entireWord,
+      ...this._searchOptions(),
       highlightAll: this.highlightAll,
       findPrevious: false
     });
@@ -4879,54 +12293,51 @@ class FindController {
    */
   findPrevious() {
     this.find(this.query, {
-      caseSensitive: this.caseSensitive,
-      entireWord: this.entireWord,
+      ...this._searchOptions(),
       highlightAll: this.highlightAll,
       findPrevious: true
     });
   }
 
-  /**
-   * Search all already-extracted pages.
-   * Results accumulate as more pages are extracted in the background.
-   */
-  _searchExtractedPages() {
-    this.matches = [];
-
-    // Search pages in order for consistent match numbering
-    const pageNumbers = Array.from(this.pageContents.keys()).sort((a, b) => a - b);
-    for (const pageNum of pageNumbers) {
-      this._searchPage(pageNum);
+  _searchOptions() {
+    return {
+      caseSensitive: this.caseSensitive,
+      entireWord: this.entireWord,
+      regex: this.regex,
+      ignoreAccents: this.ignoreAccents,
+      joinLines: this.joinLines,
+      fuzzy: this.fuzzy
     }
   }
 
   /**
-   * Search a single page for matches.
-   * @param {number} pageNum
+   * Tell the worker there's no active query, so it stops searching new pages.
    */
-  _searchPage(pageNum) {
-    const pageContent = this.pageContents.get(pageNum);
-    if (!pageContent) return
+  _stopSearch() {
+    this._searchWorker?.send({ type: "search", id: ++this._searchId, query: "" });
+  }
 
-    const { str: pageText } = pageContent;
-    const query = this.caseSensitive ? this.query : this.query.toLowerCase();
-    const searchText = this.caseSensitive ? pageText : pageText.toLowerCase();
+  /**
+   * Take in match ranges from the search worker. The first answer to a
+   * query covers every extracted page and picks the current match, like a
+   * search over already-extracted text always has; later answers add the
+   * pages extracted since.
+   * @param {Object} message - A "results" message from createSearchIndex
+   */
+  _onSearchResults({ id, initial, results }) {
+    if (id !== this._searchId) return
 
-    // Build regex for matching
-    let pattern = this._escapeRegExp(query);
-    if (this.entireWord) {
-      pattern = `\\b${pattern}\\b`;
+    if (initial) {
+      this.matches = [];
+      this.currentMatchIndex = -1;
     }
 
-    try {
-      const regex = new RegExp(pattern, this.caseSensitive ? "g" : "gi");
-      let match;
-
-      while ((match = regex.exec(searchText)) !== null) {
-        // Find which text items this match spans
-        const startOffset = match.index;
-        const endOffset = startOffset + match[0].length;
+    const matchCountBefore = this.matches.length;
+    for (const [pageNum, ranges] of results) {
+      const pageText = this.pageContents.get(pageNum)?.str;
+      if (pageText === undefined) continue
 
+      for (const { start: startOffset, end: endOffset } of ranges) {
         this.matches.push({
           pageNumber: pageNum,
           startOffset,
@@ -4934,9 +12345,32 @@ class FindController {
           text: pageText.substring(startOffset, endOffset)
         });
       }
-    } catch (e) {
-      console.error("Search regex error:", e);
     }
+
+    // Nothing selected yet: the first match to turn up becomes current
+    const firstNewMatch = this.currentMatchIndex < 0 ? this.matches[matchCountBefore] : null;
+
+    // If new matches were added, re-sort and fix current index
+    if (this.matches.length > matchCountBefore) {
+      this._sortMatchesAndFixIndex();
+    }
+
+    if (firstNewMatch) {
+      this.currentMatchIndex = this.matches.indexOf(firstNewMatch);
+      this.state = FindState.FOUND;
+      this._updateAllHighlights();
+      this._scrollToMatch(this.currentMatchIndex);
+    } else if (initial) {
+      // Only show NOT_FOUND if extraction is complete
+      this.state = this.extractionComplete ? FindState.NOT_FOUND : FindState.PENDING;
+      this._updateAllHighlights();
+    } else {
+      for (const [pageNum] of results) {
+        this._updateHighlights(pageNum);
+      }
+    }
+
+    this._notifyStateUpdate();
   }
 
   /**
@@ -4961,13 +12395,6 @@ class FindController {
     }
   }
 
-  /**
-   * Escape special regex characters.
-   */
-  _escapeRegExp(string) {
-    return string.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
-  }
-
   /**
    * Clear all matches and highlights.
    */
@@ -5122,6 +12549,94 @@ class FindController {
     }
   }
 
+  /**
+   * Make a match the current one and scroll to it.
+   * @param {number} matchIndex - Index into this.matches
+   */
+  selectMatch(matchIndex) {
+    if (!this.matches[matchIndex]) return
+
+    this.currentMatchIndex = matchIndex;
+    this.state = FindState.FOUND;
+    this._updateAllHighlights();
+    this._scrollToMatch(matchIndex);
+    this._notifyStateUpdate();
+  }
+
+  /**
+   * Text around a match for result lists, cut at word boundaries with
+   * whitespace collapsed. A truncated side starts or ends with an ellipsis.
+   * @param {Object} match - An entry of this.matches
+   * @param {number} [contextLength] - Characters to keep on each side
+   * @returns {{ before: string, text: string, after: string }}
+   */
+  getMatchContext(match, contextLength = SEARCH_CONTEXT_LENGTH) {
+    const pageText = this.pageContents.get(match.pageNumber)?.str || "";
+    const collapse = (str) => str.replace(/\s+/g, " ");
+
+    let before = pageText.substring(Math.max(0, match.startOffset - contextLength), match.startOffset);
+    if (match.startOffset > contextLength) {
+      before = "\u2026" + before.replace(/^\S*\s+/, "");
+    }
+
+    let after = pageText.substring(match.endOffset, match.endOffset + contextLength);
+    if (match.endOffset + contextLength < pageText.length) {
+      after = after.replace(/\s+\S*$/, "") + "\u2026";
+    }
+
+    return {
+      before: collapse(before).trimStart(),
+      text: collapse(pageText.substring(match.startOffset, match.endOffset)),
+      after: collapse(after).trimEnd()
+    }
+  }
+
+  /**
+   * Screen rectangles covering a match's text, measured in its page's text
+   * layer (see CoreViewer.ensureTextLayer for pages that haven't rendered).
+   * @param {Object} match - An entry of this.matches
+   * @returns {Array<DOMRect>} Empty if the page has no text layer
+   */
+  getMatchClientRects(match) {
+    const textLayer = this.viewer.viewer.getTextLayer(match.pageNumber);
+    const pageContent = this.pageContents.get(match.pageNumber);
+    if (!textLayer || !pageContent) return []
+
+    // Same span-to-item pairing as _updateHighlights, skipping our own wrappers
+    const spans = Array.from(textLayer.querySelectorAll("span:not(.endOfContent):not(.search-highlight)"));
+    const rects = [];
+
+    pageContent.textItems.forEach((item, i) => {
+      const span = spans[i];
+      if (!span || item.endOffset <= match.startOffset || item.startOffset >= match.endOffset) return
+
+      const start = this._textPosition(span, Math.max(0, match.startOffset - item.startOffset));
+      const end = this._textPosition(span, Math.min(item.str.length, match.endOffset - item.startOffset));
+      if (!start || !end) return
+
+      const range = document.createRange();
+      range.setStart(start.node, start.offset);
+      range.setEnd(end.node, end.offset);
+      rects.push(...range.getClientRects());
+    });
+
+    return rects
+  }
+
+  // Text node and offset for a character index within a span, which may be
+  // split into several text nodes by highlight wrappers
+  _textPosition(span, index) {
+    const walker = document.createTreeWalker(span, NodeFilter.SHOW_TEXT);
+    let node;
+    let lastNode = null;
+    while ((node = walker.nextNode())) {
+      if (index <= node.length) return { node, offset: index }
+      index -= node.length;
+      lastNode = node;
+    }
+    return lastNode ? { node: lastNode, offset: lastNode.length } : null
+  }
+
   /**
    * Scroll to a match.
    * @param {number} matchIndex
@@ -5159,6 +12674,9 @@ class FindController {
    * Clean up.
    */
   destroy() {
+    this._searchWorker?.destroy();
+    this._searchWorker = null;
+    this._indexCache?.close();
     this.pageContents.clear();
     this.matches = [];
     this.pdfDocument = null;
@@ -5313,6 +12831,7 @@ function destroyAnnouncer() {
  * - Match count display
  * - Case-sensitive toggle
  * - Whole word toggle
+ * - Regex, ignore accents, join lines and fuzzy toggles
  * - Close button
  */
 
@@ -5327,6 +12846,8 @@ class FindBar {
   constructor(options = {}) {
     this.findController = options.findController;
     this.onClose = options.onClose || (() => {});
+    this.onToggleResults = options.onToggleResults || null;
+    this.onHighlightAll = options.onHighlightAll || null;
 
     this.element = null;
     this.inputElement = null;
@@ -5356,6 +12877,12 @@ class FindBar {
           <button class="find-btn find-next" title="Next (Enter)" aria-label="Next match">
             ${Icons.chevronDown}
           </button>
+          <button class="find-btn find-show-results" title="Show all results" aria-label="Show all results" aria-pressed="false">
+            ${Icons.list}
+          </button>
+          <button class="find-btn find-highlight-all" type="button" title="Add a highlight annotation to every match" disabled>
+            Highlight all
+          </button>
         </div>
         <div class="find-separator"></div>
         <div class="find-options">
@@ -5367,6 +12894,22 @@ class FindBar {
             <input type="checkbox" class="find-entire-word">
             <span>W</span>
           </label>
+          <label class="find-option" title="Regular expression">
+            <input type="checkbox" class="find-regex">
+            <span>.*</span>
+          </label>
+          <label class="find-option" title="Ignore accents">
+            <input type="checkbox" class="find-ignore-accents">
+            <span>&eacute;=e</span>
+          </label>
+          <label class="find-option" title="Join hyphenated words and ligatures across lines">
+            <input type="checkbox" class="find-join-lines" checked>
+            <span>a-b</span>
+          </label>
+          <label class="find-option" title="Fuzzy (tolerate typos)">
+            <input type="checkbox" class="find-fuzzy">
+            <span>~</span>
+          </label>
         </div>
         <div class="find-separator"></div>
         <button class="find-btn find-close" title="Close (Escape)" aria-label="Close">
@@ -5382,8 +12925,14 @@ class FindBar {
     this.messageElement = this.element.querySelector(".find-message");
     this.prevButton = this.element.querySelector(".find-previous");
     this.nextButton = this.element.querySelector(".find-next");
+    this.showResultsButton = this.element.querySelector(".find-show-results");
+    this.highlightAllButton = this.element.querySelector(".find-highlight-all");
     this.caseSensitiveCheckbox = this.element.querySelector(".find-case-sensitive");
     this.entireWordCheckbox = this.element.querySelector(".find-entire-word");
+    this.regexCheckbox = this.element.querySelector(".find-regex");
+    this.ignoreAccentsCheckbox = this.element.querySelector(".find-ignore-accents");
+    this.joinLinesCheckbox = this.element.querySelector(".find-join-lines");
+    this.fuzzyCheckbox = this.element.querySelector(".find-fuzzy");
     this.closeButton = this.element.querySelector(".find-close");
   }
 
@@ -5416,6 +12965,22 @@ class FindBar {
       this.findController?.findNext();
     });
 
+    // The results panel is optional (it needs a viewer body to live in)
+    if (this.onToggleResults) {
+      this.showResultsButton.addEventListener("click", () => {
+        this.onToggleResults();
+      });
+    } else {
+      this.showResultsButton.remove();
+    }
+
+    if (this.onHighlightAll) {
+      this.highlightAllButton.addEventListener("click", () => this._highlightAll());
+    } else {
+      this.highlightAllButton.remove();
+      this.highlightAllButton = null;
+    }
+
     // Options change trigger new search
     this.caseSensitiveCheckbox.addEventListener("change", () => {
       this._performSearch();
@@ -5425,6 +12990,18 @@ class FindBar {
       this._performSearch();
     });
 
+    // Fuzzy matching doesn't apply to regular expressions
+    this.regexCheckbox.addEventListener("change", () => {
+      this.fuzzyCheckbox.disabled = this.regexCheckbox.checked;
+      this._performSearch();
+    });
+
+    for (const checkbox of [this.ignoreAccentsCheckbox, this.joinLinesCheckbox, this.fuzzyCheckbox]) {
+      checkbox.addEventListener("change", () => {
+        this._performSearch();
+      });
+    }
+
     // Close button
     this.closeButton.addEventListener("click", () => {
       this.close();
@@ -5448,12 +13025,38 @@ class FindBar {
     }, SEARCH_DEBOUNCE_DELAY);
   }
 
+  async _highlightAll() {
+    // No second batch while the first is still being created
+    this.highlightAllButton.disabled = true;
+    this._highlighting = true;
+    try {
+      await this.onHighlightAll();
+    } catch (error) {
+      console.error("Failed to highlight all matches:", error);
+    } finally {
+      this._highlighting = false;
+      this._updateHighlightAllButton();
+    }
+  }
+
+  _updateHighlightAllButton() {
+    if (!this.highlightAllButton) return
+
+    // Wait for the whole document to be searched, so "all" means all
+    const { total, extracting } = this._lastState || {};
+    this.highlightAllButton.disabled = this._highlighting || !total || extracting;
+  }
+
   _performSearch() {
     const query = this.inputElement.value;
 
     this.findController?.find(query, {
       caseSensitive: this.caseSensitiveCheckbox.checked,
       entireWord: this.entireWordCheckbox.checked,
+      regex: this.regexCheckbox.checked,
+      ignoreAccents: this.ignoreAccentsCheckbox.checked,
+      joinLines: this.joinLinesCheckbox.checked,
+      fuzzy: this.fuzzyCheckbox.checked,
       highlightAll: true
     });
   }
@@ -5466,14 +13069,18 @@ class FindBar {
    * @param {number} info.current - Current match index (1-based)
    * @param {number} info.total - Total matches found so far
    * @param {boolean} info.extracting - Whether text extraction is still in progress
+   * @param {string} [info.error] - Why the query can't be searched
    */
-  updateState(state, { current, total, extracting = false }) {
+  updateState(state, { current, total, extracting = false, error = null }) {
     // Track previous total for announcing only on change
     const previousTotal = this._previousTotal;
     this._previousTotal = total;
 
     // Update results count
-    if (total > 0) {
+    if (error) {
+      this.resultsElement.textContent = error;
+      this.resultsElement.classList.add("not-found");
+    } else if (total > 0) {
       // Show "X of Y+" while still extracting to indicate more results may appear
       const suffix = extracting ? "+" : "";
       this.resultsElement.textContent = `${current} of ${total}${suffix}`;
@@ -5492,7 +13099,7 @@ class FindBar {
       if (total > 0) {
         getAnnouncer().announce(`${total} ${total === 1 ? "result" : "results"} found`);
       } else if (this.inputElement.value) {
-        getAnnouncer().announce("No results found");
+        getAnnouncer().announce(error || "No results found");
       }
     }
 
@@ -5517,17 +13124,57 @@ class FindBar {
     const hasMatches = total > 0;
     this.prevButton.disabled = !hasMatches;
     this.nextButton.disabled = !hasMatches;
+
+    this._lastState = { total, extracting };
+    this._updateHighlightAllButton();
+  }
+
+  /**
+   * Reflect whether the results panel is open on the find bar's toggle.
+   * @param {boolean} open
+   */
+  setResultsOpen(open) {
+    this.showResultsButton?.setAttribute("aria-pressed", String(open));
+  }
+
+  /**
+   * Fill in a query and its options, show the find bar and search.
+   * Options left out are reset to their defaults.
+   * @param {string} query
+   * @param {Object} [options] - See FindController.find
+   */
+  search(query, options = {}) {
+    this.inputElement.value = query;
+    this.caseSensitiveCheckbox.checked = !!options.caseSensitive;
+    this.entireWordCheckbox.checked = !!options.entireWord;
+    this.regexCheckbox.checked = !!options.regex;
+    this.ignoreAccentsCheckbox.checked = !!options.ignoreAccents;
+    this.joinLinesCheckbox.checked = options.joinLines !== false;
+    this.fuzzyCheckbox.checked = !!options.fuzzy;
+    this.fuzzyCheckbox.disabled = this.regexCheckbox.checked;
+
+    // Leave focus where it is; the search didn't come from the keyboard
+    if (!this._visible) {
+      this.open({ focus: false });
+    }
+
+    clearTimeout(this._searchTimeout);
+    this._performSearch();
   }
 
   /**
    * Show the find bar.
+   * @param {Object} [options]
+   * @param {boolean} [options.focus] - Move focus to the search field (default: true)
    */
-  open() {
+  open({ focus = true } = {}) {
+    this._visible = true;
+    this.element.classList.remove("hidden");
+    if (!focus) return
+
     // Store currently focused element for restoration on close
     this._previousFocusElement = document.activeElement;
 
-    this._visible = true;
-    this.element.classList.remove("hidden");
     // Use preventScroll to avoid iOS Safari scrolling the page when focusing
     this.inputElement.focus({ preventScroll: true });
     this.inputElement.select();
@@ -5669,11 +13316,59 @@ class BaseTool {
   }
 }
 
+/**
+ * Bounding box of an annotation's geometry, in PDF units.
+ * @param {Object} annotation
+ * @returns {number[]|null} [x, y, width, height], or null without geometry
+ */
+function annotationBounds(annotation) {
+  const points = [];
+  if (annotation.quads?.length > 0) {
+    for (const quad of annotation.quads) {
+      points.push(quad.p1, quad.p2, quad.p3, quad.p4);
+    }
+  } else if (annotation.ink_strokes?.length > 0) {
+    for (const stroke of annotation.ink_strokes) {
+      points.push(...(stroke.points || []));
+    }
+  } else if (annotation.line_points?.length > 0) {
+    points.push(...annotation.line_points);
+  }
+
+  if (points.length === 0) return annotation.rect || null
+
+  const xs = points.map(point => point.x);
+  const ys = points.map(point => point.y);
+  const minX = Math.min(...xs);
+  const minY = Math.min(...ys);
+  return [minX, minY, Math.max(...xs) - minX, Math.max(...ys) - minY]
+}
+
+/**
+ * Quad {p1, p2, p3, p4} (top-left, top-right, bottom-left, bottom-right) from
+ * four corner points in any order, since PDF producers disagree on the order.
+ * @param {Array<{x: number, y: number}>} points - Top-left origin
+ * @returns {Object|null}
+ */
+function quadFromCorners(points) {
+  if (points.length !== 4) return null
+
+  const sorted = [...points].sort((a, b) => a.y - b.y);
+  const [p1, p2] = sorted.slice(0, 2).sort((a, b) => a.x - b.x);
+  const [p3, p4] = sorted.slice(2).sort((a, b) => a.x - b.x);
+  return { p1, p2, p3, p4 }
+}
+
+// Drags shorter than this (CSS px) are clicks, not marquees
+const MARQUEE_MIN_SIZE = 4;
+
 class SelectTool extends BaseTool {
   constructor(pdfViewer) {
     super(pdfViewer);
+    this.transformer = new CoordinateTransformer(this.viewer);
     this.cursorStyle = "default";
     this.isSelectingText = false;
+    this.marquee = null;
   }
 
   onActivate() {
@@ -5683,11 +13378,17 @@ class SelectTool extends BaseTool {
   onDeactivate() {
     this.pdfViewer.pagesContainer.style.cursor = "default";
     this.pdfViewer.pagesContainer.classList.remove("is-selecting-text");
+    this._cancelMarquee();
   }
 
   onPointerDown(event) {
     // Check if clicking on a text element - if so, user might be starting text selection
     const isTextElement = event.target.matches(".textLayer span, .textLayer br");
+
+    // Shift-drag anywhere, or a drag from a spot without text, draws a
+    // marquee that selects the annotations it touches
+    if ((event.shiftKey || !isTextElement) && this._startMarquee(event)) return
+
     if (isTextElement) {
       this.isSelectingText = true;
       // Disable annotation pointer events during text selection
@@ -5699,7 +13400,18 @@ class SelectTool extends BaseTool {
     }
   }
 
+  onPointerMove(event) {
+    if (this.marquee) {
+      this._updateMarquee(event);
+    }
+  }
+
   onPointerUp(event) {
+    if (this.marquee) {
+      this._finishMarquee(event);
+      return
+    }
+
     // Release pointer capture if we have it
     if (this.isSelectingText && event.target.hasPointerCapture?.(event.pointerId)) {
       event.target.releasePointerCapture(event.pointerId);
@@ -5711,8 +13423,95 @@ class SelectTool extends BaseTool {
     }
   }
 
-  // Select tool allows clicking on annotations to select them
-  // The click handling is done in the PdfViewer's annotation rendering
+  _startMarquee(event) {
+    if (event.button !== 0 || event.pointerType === "touch") return false
+    // Annotations, PDF links and open editors handle their own pointer events
+    if (event.target.closest(".annotation, .annotationLayer section, .free-text-editor")) return false
+
+    const pageContainer = event.target.closest(".pdf-page");
+    if (!pageContainer) return false
+
+    event.preventDefault();
+    event.target.setPointerCapture(event.pointerId);
+    window.getSelection().removeAllRanges();
+
+    this.marquee = {
+      pageContainer,
+      pageNumber: parseInt(pageContainer.dataset.pageNumber, 10),
+      startX: event.clientX,
+      startY: event.clientY,
+      additive: event.shiftKey,
+      element: null
+    };
+    return true
+  }
+
+  _updateMarquee(event) {
+    const { pageContainer, startX, startY } = this.marquee;
+    const pageRect = pageContainer.getBoundingClientRect();
+
+    // Stay within the page
+    const x = Math.min(Math.max(event.clientX, pageRect.left), pageRect.right);
+    const y = Math.min(Math.max(event.clientY, pageRect.top), pageRect.bottom);
+    this.marquee.endX = x;
+    this.marquee.endY = y;
+
+    if (!this.marquee.element) {
+      if (Math.abs(x - startX) < MARQUEE_MIN_SIZE && Math.abs(y - startY) < MARQUEE_MIN_SIZE) return
+
+      this.marquee.element = document.createElement("div");
+      this.marquee.element.className = "selection-marquee";
+      pageContainer.appendChild(this.marquee.element);
+    }
+
+    const style = this.marquee.element.style;
+    style.left = `${Math.min(startX, x) - pageRect.left}px`;
+    style.top = `${Math.min(startY, y) - pageRect.top}px`;
+    style.width = `${Math.abs(x - startX)}px`;
+    style.height = `${Math.abs(y - startY)}px`;
+  }
+
+  _finishMarquee(event) {
+    const { pageNumber, startX, startY, endX, endY, additive, element } = this.marquee;
+    this._cancelMarquee();
+
+    if (event.target.hasPointerCapture?.(event.pointerId)) {
+      event.target.releasePointerCapture(event.pointerId);
+    }
+
+    // Too small to be a marquee; the click that follows handles it
+    if (!element) return
+
+    // Opposite corners stay opposite at any view rotation
+    const a = this.transformer.clientToPdf(startX, startY, pageNumber);
+    const b = this.transformer.clientToPdf(endX, endY, pageNumber);
+    if (!a || !b) return
+
+    const left = Math.min(a.x, b.x);
+    const right = Math.max(a.x, b.x);
+    const top = Math.min(a.y, b.y);
+    const bottom = Math.max(a.y, b.y);
+
+    const ids = this.annotationManager.getAnnotationsForPage(pageNumber)
+      .filter(annotation => {
+        const bounds = annotationBounds(annotation);
+        if (!bounds) return false
+        const [x, y, width, height] = bounds;
+        return x <= right && x + width >= left && y <= bottom && y + height >= top
+      })
+      .map(annotation => annotation.id);
+
+    this.pdfViewer.selectAnnotations(ids, { add: additive });
+  }
+
+  _cancelMarquee() {
+    this.marquee?.element?.remove();
+    this.marquee = null;
+  }
+
+  // Select tool allows clicking on annotations to select them (shift-click or
+  // a marquee for several), then dragging them to move, resize or reshape.
+  // The click and drag handling is done in the PdfViewer's annotation rendering.
 }
 
 class CoordinateTransformer {
@@ -5722,21 +13521,61 @@ class CoordinateTransformer {
 
   // Screen event -> PDF page coordinates (top-left origin)
   screenToPdf(event, pageNumber) {
+    const point = this.clientToPdf(event.clientX, event.clientY, pageNumber);
+    if (!point) return null
+
+    return { x: point.x, y: point.y, pageNumber }
+  }
+
+  // Client (viewport) point -> PDF page coordinates (top-left origin)
+  clientToPdf(clientX, clientY, pageNumber) {
+    const pageContainer = this.viewer.getPageContainer(pageNumber);
+    if (!pageContainer) return null
+
+    const rect = pageContainer.getBoundingClientRect();
+    const scale = this.viewer.getScale();
+
+    // Position relative to the page element, scaled to PDF coordinates
+    return this._unrotate(
+      (clientX - rect.left) / scale,
+      (clientY - rect.top) / scale,
+      rect.width / scale,
+      rect.height / scale
+    )
+  }
+
+  // PDF page coordinates (top-left origin) -> client (viewport) point
+  pdfToClient(x, y, pageNumber) {
     const pageContainer = this.viewer.getPageContainer(pageNumber);
     if (!pageContainer) return null
 
     const rect = pageContainer.getBoundingClientRect();
     const scale = this.viewer.getScale();
+    const point = this._rotate(x, y, rect.width / scale, rect.height / scale);
 
-    // Get position relative to page element
-    const screenX = event.clientX - rect.left;
-    const screenY = event.clientY - rect.top;
+    return { x: rect.left + point.x * scale, y: rect.top + point.y * scale }
+  }
 
-    // Scale to PDF coordinates
-    const pdfX = screenX / scale;
-    const pdfY = screenY / scale;
+  // Inverse of _unrotate: unrotated page space -> displayed page space
+  _rotate(x, y, width, height) {
+    switch (this.viewer.rotation) {
+      case 90: return { x: width - y, y: x }
+      case 180: return { x: width - x, y: height - y }
+      case 270: return { x: y, y: height - x }
+      default: return { x, y }
+    }
+  }
 
-    return { x: pdfX, y: pdfY, pageNumber }
+  // Annotations are stored in the page's unrotated (viewer rotation 0) space,
+  // so undo the user-applied rotation. width/height are the displayed
+  // (rotated) page size in PDF units.
+  _unrotate(x, y, width, height) {
+    switch (this.viewer.rotation) {
+      case 90: return { x: y, y: width - x }
+      case 180: return { x: width - x, y: height - y }
+      case 270: return { x: height - y, y: x }
+      default: return { x, y }
+    }
   }
 
   // Convert selection rectangles to quads format
@@ -5766,12 +13605,19 @@ class CoordinateTransformer {
 
         return true
       })
-      .map(rect => ({
-        left: (rect.left - pageRect.left) / scale,
-        right: (rect.right - pageRect.left) / scale,
-        top: (rect.top - pageRect.top) / scale,
-        bottom: (rect.bottom - pageRect.top) / scale
-      }))
+      .map(rect => {
+        // Unrotate opposite corners, then re-derive the edges
+        const width = pageRect.width / scale;
+        const height = pageRect.height / scale;
+        const a = this._unrotate((rect.left - pageRect.left) / scale, (rect.top - pageRect.top) / scale, width, height);
+        const b = this._unrotate((rect.right - pageRect.left) / scale, (rect.bottom - pageRect.top) / scale, width, height);
+        return {
+          left: Math.min(a.x, b.x),
+          right: Math.max(a.x, b.x),
+          top: Math.min(a.y, b.y),
+          bottom: Math.max(a.y, b.y)
+        }
+      })
       .filter(rect => {
         // After conversion to PDF coords, also filter out degenerate rects
         const width = rect.right - rect.left;
@@ -5888,6 +13734,29 @@ class CoordinateTransformer {
  * - getModeClass(): returns the CSS class to add when tool is active
  * - createAnnotationFromSelection(selection, pageNumber, quads, rect): creates the annotation
  */
+/**
+ * Collapsed range at a viewport point, for building text selections by hand.
+ * @param {number} x - Client x
+ * @param {number} y - Client y
+ * @returns {Range|null}
+ */
+function caretRangeFromPoint(x, y) {
+  // Use the standard API if available, with fallback for older browsers
+  if (document.caretRangeFromPoint) {
+    return document.caretRangeFromPoint(x, y)
+  } else if (document.caretPositionFromPoint) {
+    // Firefox uses caretPositionFromPoint
+    const pos = document.caretPositionFromPoint(x, y);
+    if (pos) {
+      const range = document.createRange();
+      range.setStart(pos.offsetNode, pos.offset);
+      range.setEnd(pos.offsetNode, pos.offset);
+      return range
+    }
+  }
+  return null
+}
+
 class TextSelectionTool extends BaseTool {
   constructor(pdfViewer) {
     super(pdfViewer);
@@ -6102,7 +13971,7 @@ class TextSelectionTool extends BaseTool {
     event.preventDefault();
 
     // Get the caret position at touch point
-    const range = this._caretRangeFromPoint(event.clientX, event.clientY);
+    const range = caretRangeFromPoint(event.clientX, event.clientY);
     if (!range) return
 
     // Store the start position
@@ -6129,7 +13998,7 @@ class TextSelectionTool extends BaseTool {
     event.preventDefault();
 
     // Get the caret position at current touch point
-    const range = this._caretRangeFromPoint(event.clientX, event.clientY);
+    const range = caretRangeFromPoint(event.clientX, event.clientY);
     if (!range) return
 
     // Build a selection range from start to current position
@@ -6172,22 +14041,6 @@ class TextSelectionTool extends BaseTool {
     this.pdfViewer.pagesContainer.classList.remove("is-touch-selecting");
   }
 
-  _caretRangeFromPoint(x, y) {
-    // Use the standard API if available, with fallback for older browsers
-    if (document.caretRangeFromPoint) {
-      return document.caretRangeFromPoint(x, y)
-    } else if (document.caretPositionFromPoint) {
-      // Firefox uses caretPositionFromPoint
-      const pos = document.caretPositionFromPoint(x, y);
-      if (pos) {
-        const range = document.createRange();
-        range.setStart(pos.offsetNode, pos.offset);
-        range.setEnd(pos.offsetNode, pos.offset);
-        return range
-      }
-    }
-    return null
-  }
 }
 
 class HighlightTool extends TextSelectionTool {
@@ -6486,14 +14339,12 @@ class HighlightTool extends TextSelectionTool {
     const pageContainer = this.pdfViewer.viewer.getPageContainer(this.freehandPageNumber);
     if (!pageContainer) return
 
-    const pageRect = pageContainer.getBoundingClientRect();
     const scale = this.pdfViewer.viewer.getScale();
 
     // Convert screen coordinates to PDF coordinates
-    const pdfPoints = this.freehandPoints.map(point => ({
-      x: (point.x - pageRect.left) / scale,
-      y: (point.y - pageRect.top) / scale
-    }));
+    const pdfPoints = this.freehandPoints.map(point =>
+      this.transformer.clientToPdf(point.x, point.y, this.freehandPageNumber)
+    );
 
     // Calculate bounding rect
     let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
@@ -6551,16 +14402,73 @@ class UnderlineTool extends TextSelectionTool {
 
   async createAnnotationFromSelection(selectedText, pageNumber, quads, rect) {
     await this.annotationManager.createAnnotation({
-      annotation_type: "line",
+      ...this._markupFields(),
       page: pageNumber,
       quads: quads,
       rect: rect,
       color: "#FF0000",
       opacity: 1.0,
-      title: selectedText.substring(0, 255),
-      subject: "Underline"
+      title: selectedText.substring(0, 255)
     });
   }
+
+  _markupFields() {
+    return { annotation_type: "line", subject: "Underline" }
+  }
+}
+
+// Marks deletions: a line through the middle of the selected text
+class StrikeOutTool extends UnderlineTool {
+  getModeClass() {
+    return "strikeout-mode"
+  }
+
+  _markupFields() {
+    return { annotation_type: "strikeout", subject: "StrikeOut" }
+  }
+}
+
+// Marks emphasis or questionable wording: a wavy line under the selected text
+class SquigglyTool extends UnderlineTool {
+  getModeClass() {
+    return "squiggly-mode"
+  }
+
+  _markupFields() {
+    return { annotation_type: "squiggly", subject: "Squiggly" }
+  }
+}
+
+// Text markup geometry, shared by on-screen rendering and printing
+// (PDF units, top-left origin)
+const SQUIGGLY_AMPLITUDE = 1;
+const SQUIGGLY_WAVELENGTH = 4;
+
+// Vertical position of the markup line for a quad. p1 is top-left, p3 is
+// bottom-left; underlines and squiggles sit slightly below the text.
+function textMarkupLineY(quad, type) {
+  if (type === "strikeout") return (quad.p1.y + quad.p3.y) / 2
+  return quad.p3.y + 1
+}
+
+function textMarkupThickness(type) {
+  return type === "squiggly" ? 1 : 1.5
+}
+
+// Zigzag points from x1 to x2 around y
+function squigglyPoints(x1, x2, y) {
+  const start = Math.min(x1, x2);
+  const end = Math.max(x1, x2);
+  const step = SQUIGGLY_WAVELENGTH / 2;
+  const points = [];
+
+  let up = true;
+  for (let x = start; x < end; x += step) {
+    points.push({ x, y: up ? y - SQUIGGLY_AMPLITUDE : y + SQUIGGLY_AMPLITUDE });
+    up = !up;
+  }
+  points.push({ x: end, y: up ? y - SQUIGGLY_AMPLITUDE : y + SQUIGGLY_AMPLITUDE });
+  return points
 }
 
 class NoteTool extends BaseTool {
@@ -6746,10 +14654,7 @@ class NoteTool extends BaseTool {
     const pageContainer = this.viewer.getPageContainer(annotation.page);
     if (!pageContainer) return
 
-    const scale = this.viewer.getScale();
-    const x = annotation.rect[0] * scale;
-    const y = annotation.rect[1] * scale;
-    const rect = pageContainer.getBoundingClientRect();
+    const position = this.transformer.pdfToClient(annotation.rect[0], annotation.rect[1], annotation.page);
 
     // Store the annotation being edited
     this.editingAnnotation = annotation;
@@ -6764,7 +14669,7 @@ class NoteTool extends BaseTool {
       dialogTitle = hasContents ? "Edit Comment" : "Add Comment";
     }
 
-    this._showEditDialog(rect.left + x, rect.top + y, annotation.contents, dialogTitle);
+    this._showEditDialog(position.x, position.y, annotation.contents, dialogTitle);
   }
 
   _showEditDialog(x, y, existingText, title = "Edit Note") {
@@ -6815,47 +14720,514 @@ class NoteTool extends BaseTool {
     this._setupEditDialogListeners();
   }
 
-  _setupEditDialogListeners() {
-    const textarea = this.noteDialog.querySelector(".note-dialog-input");
-    const closeBtn = this.noteDialog.querySelector(".note-dialog-close");
-    const saveBtn = this.noteDialog.querySelector(".note-dialog-save");
+  _setupEditDialogListeners() {
+    const textarea = this.noteDialog.querySelector(".note-dialog-input");
+    const closeBtn = this.noteDialog.querySelector(".note-dialog-close");
+    const saveBtn = this.noteDialog.querySelector(".note-dialog-save");
+
+    closeBtn.addEventListener("click", () => this._closeDialog());
+
+    saveBtn.addEventListener("click", () => {
+      const text = textarea.value.trim();
+      if (text && this.editingAnnotation) {
+        this._updateNote(this.editingAnnotation.id, text);
+      }
+      this._closeDialog();
+    });
+
+    textarea.addEventListener("keydown", (e) => {
+      if ((e.ctrlKey || e.metaKey) && e.key === "Enter") {
+        const text = textarea.value.trim();
+        if (text && this.editingAnnotation) {
+          this._updateNote(this.editingAnnotation.id, text);
+        }
+        this._closeDialog();
+      } else if (e.key === "Escape") {
+        e.preventDefault();
+        e.stopPropagation();
+        this._closeDialog();
+      }
+    });
+  }
+
+  async _updateNote(annotationId, text) {
+    await this.annotationManager.updateAnnotation(annotationId, {
+      contents: text
+    });
+    this.editingAnnotation = null;
+  }
+
+  destroy() {
+    this._closeDialog();
+    super.destroy();
+  }
+}
+
+// Free-text boxes: text typed straight onto the page
+const FREE_TEXT_FONT_SIZES = [8, 10, 12, 14, 18, 24, 36];
+const FREE_TEXT_DEFAULT_FONT_SIZE = 12;
+const FREE_TEXT_COLORS = [
+  { name: "Black", value: "#000000" },
+  { name: "Red", value: "#D32F2F" },
+  { name: "Blue", value: "#1565C0" },
+  { name: "Green", value: "#2E7D32" }
+];
+const FREE_TEXT_DEFAULT_COLOR = "#000000";
+const FREE_TEXT_DEFAULT_WIDTH = 200; // PDF units
+const FREE_TEXT_MIN_WIDTH = 24;
+const FREE_TEXT_PADDING = 4; // Inside the box, PDF units
+const FREE_TEXT_LINE_HEIGHT = 1.2; // Multiple of the font size
+
+class FreeTextTool extends BaseTool {
+  constructor(pdfViewer) {
+    super(pdfViewer);
+    this.transformer = new CoordinateTransformer(this.viewer);
+
+    this.fontSize = FREE_TEXT_DEFAULT_FONT_SIZE;
+    this.color = FREE_TEXT_DEFAULT_COLOR;
+
+    this.editor = null; // { element, textarea, pageNumber, x, y, annotation }
+    this._suppressPointerDown = false;
+    this._onDocumentPointerDown = this._onDocumentPointerDown.bind(this);
+  }
+
+  onActivate() {
+    this.pdfViewer.pagesContainer.classList.add("free-text-mode");
+  }
+
+  onDeactivate() {
+    this.pdfViewer.pagesContainer.classList.remove("free-text-mode");
+    this.commit();
+  }
+
+  onPointerDown(event) {
+    // The click that closed the previous box shouldn't open a new one
+    if (this._suppressPointerDown) {
+      this._suppressPointerDown = false;
+      return
+    }
+
+    const pageContainer = event.target.closest(".pdf-page");
+    if (!pageContainer) return
+
+    // Don't create a box over existing annotations, the edit toolbar or the open editor
+    if (event.target.closest(".annotation, .annotation-edit-toolbar, .free-text-editor")) return
+
+    const pageNumber = parseInt(pageContainer.dataset.pageNumber, 10);
+    const coords = this.transformer.screenToPdf(event, pageNumber);
+    if (!coords) return
+
+    // Keep the pointer from starting a text selection under the new box
+    event.preventDefault();
+
+    this._openEditor({
+      pageNumber,
+      x: coords.x,
+      y: coords.y,
+      width: FREE_TEXT_DEFAULT_WIDTH,
+      height: null,
+      contents: "",
+      fontSize: this.fontSize,
+      color: this.color,
+      annotation: null
+    });
+  }
+
+  /**
+   * Open the inline editor over an existing free-text annotation.
+   * @param {Object} annotation - A free_text annotation
+   */
+  edit(annotation) {
+    if (!annotation.rect) return
+
+    this.commit();
+
+    const [x, y, width, height] = annotation.rect;
+    this._openEditor({
+      pageNumber: annotation.page,
+      x,
+      y,
+      width,
+      height,
+      contents: annotation.contents || "",
+      fontSize: annotation.font_size || FREE_TEXT_DEFAULT_FONT_SIZE,
+      color: (annotation.color || FREE_TEXT_DEFAULT_COLOR).slice(0, 7),
+      annotation
+    });
+  }
+
+  /**
+   * Called after a page's annotation layer is rebuilt, so an open editor on
+   * that page moves into the new layer instead of being lost.
+   */
+  onAnnotationLayerRendered(pageNumber, annotationLayer) {
+    if (!this.editor || this.editor.pageNumber !== pageNumber) return
+
+    annotationLayer.appendChild(this.editor.element);
+    this._hideEditedAnnotation(annotationLayer);
+  }
+
+  /**
+   * Save the open editor, if any. Empty text discards a new box and leaves an
+   * existing one unchanged.
+   */
+  async commit() {
+    const editor = this.editor;
+    if (!editor) return
+
+    const text = editor.textarea.value.replace(/\s+$/, "");
+    const scale = this.viewer.getScale();
+    const rect = [
+      editor.x,
+      editor.y,
+      Math.max(FREE_TEXT_MIN_WIDTH, editor.textarea.offsetWidth / scale),
+      editor.textarea.offsetHeight / scale
+    ];
+    const fontSize = editor.fontSize;
+    const color = editor.color;
+    const annotation = editor.annotation;
+
+    this._closeEditor();
+
+    if (!text) return
+
+    if (annotation) {
+      const unchanged = text === annotation.contents &&
+        fontSize === (annotation.font_size || FREE_TEXT_DEFAULT_FONT_SIZE) &&
+        color === (annotation.color || FREE_TEXT_DEFAULT_COLOR).slice(0, 7) &&
+        rect.every((value, i) => Math.abs(value - annotation.rect[i]) < 0.5);
+      if (unchanged) return
+
+      await this.annotationManager.updateAnnotation(annotation.id, {
+        contents: text,
+        rect,
+        font_size: fontSize,
+        color
+      });
+    } else {
+      await this.annotationManager.createAnnotation({
+        annotation_type: "free_text",
+        page: editor.pageNumber,
+        rect,
+        contents: text,
+        font_size: fontSize,
+        color,
+        subject: "Text Box"
+      });
+    }
+  }
+
+  cancel() {
+    this._closeEditor();
+  }
+
+  _openEditor(state) {
+    const pageContainer = this.viewer.getPageContainer(state.pageNumber);
+    const annotationLayer = pageContainer?.querySelector(".annotation-layer");
+    if (!annotationLayer) return
+
+    this._closeEditor();
+
+    // The layer is laid out in unrotated page space, so its size maps straight to PDF units
+    const pageWidth = annotationLayer.offsetWidth / this.viewer.getScale();
+    const pageHeight = annotationLayer.offsetHeight / this.viewer.getScale();
+
+    const element = document.createElement("div");
+    element.className = "free-text-editor";
+    element.style.left = `${(state.x / pageWidth) * 100}%`;
+    element.style.top = `${(state.y / pageHeight) * 100}%`;
+    element.innerHTML = `
+      <div class="free-text-editor-toolbar" role="toolbar" aria-label="Text box">
+        <select class="free-text-editor-size" aria-label="Font size">
+          ${FREE_TEXT_FONT_SIZES.map(size => `<option value="${size}">${size} pt</option>`).join("")}
+        </select>
+        <div class="free-text-editor-colors" role="group" aria-label="Text color">
+          ${FREE_TEXT_COLORS.map(c => `
+            <button type="button" class="free-text-editor-color" data-color="${c.value}"
+                    aria-label="${c.name}" title="${c.name}" aria-pressed="false">
+              <span style="background-color: ${c.value}"></span>
+            </button>
+          `).join("")}
+        </div>
+        <button type="button" class="free-text-editor-done">Done</button>
+      </div>
+      <textarea class="free-text-editor-input" rows="1" placeholder="Type here..." aria-label="Text box contents"></textarea>
+    `;
+
+    const textarea = element.querySelector(".free-text-editor-input");
+    // Set via the DOM - contents are untrusted
+    textarea.value = state.contents;
+    textarea.style.width = `calc(${state.width}px * var(--display-scale, 1))`;
+    if (state.height) {
+      textarea.style.height = `calc(${state.height}px * var(--display-scale, 1))`;
+    }
+
+    this.editor = { ...state, element, textarea };
+    this._applyEditorStyle();
+
+    annotationLayer.appendChild(element);
+    this._hideEditedAnnotation(annotationLayer);
+    this._fitHeight();
+    this._setupEditorListeners();
+    document.addEventListener("pointerdown", this._onDocumentPointerDown, true);
+
+    // Focus after the browser finishes processing the pointer event
+    requestAnimationFrame(() => {
+      textarea.focus({ preventScroll: true });
+      textarea.setSelectionRange(textarea.value.length, textarea.value.length);
+    });
+  }
+
+  _setupEditorListeners() {
+    const { element, textarea } = this.editor;
+
+    element.querySelector(".free-text-editor-size").addEventListener("change", (e) => {
+      this.fontSize = parseInt(e.target.value, 10);
+      this.editor.fontSize = this.fontSize;
+      this._applyEditorStyle();
+      this._fitHeight();
+      textarea.focus({ preventScroll: true });
+    });
+
+    element.querySelectorAll(".free-text-editor-color").forEach(button => {
+      button.addEventListener("click", () => {
+        this.color = button.dataset.color;
+        this.editor.color = this.color;
+        this._applyEditorStyle();
+        textarea.focus({ preventScroll: true });
+      });
+    });
+
+    element.querySelector(".free-text-editor-done").addEventListener("click", () => this.commit());
+
+    textarea.addEventListener("input", () => this._fitHeight());
+    textarea.addEventListener("keydown", (e) => {
+      if ((e.ctrlKey || e.metaKey) && e.key === "Enter") {
+        e.preventDefault();
+        this.commit();
+      } else if (e.key === "Escape") {
+        e.preventDefault();
+        e.stopPropagation();
+        this.cancel();
+      }
+    });
+  }
+
+  // Commit when the user clicks anywhere outside the editor
+  _onDocumentPointerDown(event) {
+    if (!this.editor || this.editor.element.contains(event.target)) return
+
+    if (this.isActive && this.pdfViewer.pagesContainer.contains(event.target)) {
+      this._suppressPointerDown = true;
+    }
+    this.commit();
+  }
+
+  _applyEditorStyle() {
+    const { element, textarea, fontSize, color } = this.editor;
+
+    textarea.style.fontSize = `calc(${fontSize}px * var(--display-scale, 1))`;
+    textarea.style.color = sanitizeColor(color, FREE_TEXT_DEFAULT_COLOR);
+    element.querySelector(".free-text-editor-size").value = String(fontSize);
+    element.querySelectorAll(".free-text-editor-color").forEach(button => {
+      const selected = button.dataset.color === color;
+      button.classList.toggle("selected", selected);
+      button.setAttribute("aria-pressed", selected ? "true" : "false");
+    });
+  }
+
+  // Grow the box to fit its text; the user can still make it taller
+  _fitHeight() {
+    const { textarea } = this.editor;
+    if (textarea.scrollHeight > textarea.clientHeight) {
+      textarea.style.height = `${textarea.scrollHeight + (textarea.offsetHeight - textarea.clientHeight)}px`;
+    }
+  }
+
+  _hideEditedAnnotation(annotationLayer) {
+    const id = this.editor.annotation?.id;
+    if (id == null) return
+
+    const element = annotationLayer.querySelector(`.annotation[data-annotation-id="${id}"]`);
+    if (element) element.hidden = true;
+  }
+
+  _closeEditor() {
+    if (!this.editor) return
+
+    document.removeEventListener("pointerdown", this._onDocumentPointerDown, true);
+
+    const { element, annotation } = this.editor;
+    if (annotation) {
+      const rendered = element.parentElement?.querySelector(`.annotation[data-annotation-id="${annotation.id}"]`);
+      if (rendered) rendered.hidden = false;
+    }
+
+    // Blur before removing to prevent scroll when focused element disappears
+    if (element.contains(document.activeElement)) {
+      document.activeElement.blur();
+    }
+    element.remove();
+    this.editor = null;
+  }
+
+  destroy() {
+    this._closeEditor();
+    super.destroy();
+  }
+}
+
+/**
+ * Break text into lines that fit a width. Newlines are kept; words longer
+ * than the width are split by character.
+ * @param {string} text
+ * @param {number} maxWidth
+ * @param {function(string): number} measure - Width of a string
+ * @returns {string[]}
+ */
+function wrapTextLines(text, maxWidth, measure) {
+  const lines = [];
 
-    closeBtn.addEventListener("click", () => this._closeDialog());
+  for (const paragraph of text.split(/\r?\n/)) {
+    let line = "";
 
-    saveBtn.addEventListener("click", () => {
-      const text = textarea.value.trim();
-      if (text && this.editingAnnotation) {
-        this._updateNote(this.editingAnnotation.id, text);
+    for (const word of paragraph.split(" ")) {
+      const candidate = line ? `${line} ${word}` : word;
+      if (measure(candidate) <= maxWidth) {
+        line = candidate;
+        continue
       }
-      this._closeDialog();
-    });
 
-    textarea.addEventListener("keydown", (e) => {
-      if ((e.ctrlKey || e.metaKey) && e.key === "Enter") {
-        const text = textarea.value.trim();
-        if (text && this.editingAnnotation) {
-          this._updateNote(this.editingAnnotation.id, text);
+      if (line) lines.push(line);
+      line = "";
+
+      // Split a word that doesn't fit on a line of its own
+      for (const char of word) {
+        if (line && measure(line + char) > maxWidth) {
+          lines.push(line);
+          line = "";
         }
-        this._closeDialog();
-      } else if (e.key === "Escape") {
-        e.preventDefault();
-        e.stopPropagation();
-        this._closeDialog();
+        line += char;
       }
-    });
+    }
+
+    lines.push(line);
   }
 
-  async _updateNote(annotationId, text) {
-    await this.annotationManager.updateAnnotation(annotationId, {
-      contents: text
+  return lines
+}
+
+// Distance from the top of a free-text box to the baseline of a line,
+// matching the browser's layout of the on-screen box
+function freeTextBaselineOffset(fontSize, lineIndex) {
+  const lineHeight = fontSize * FREE_TEXT_LINE_HEIGHT;
+  return FREE_TEXT_PADDING + lineIndex * lineHeight + (lineHeight - fontSize) / 2 + fontSize * 0.8
+}
+
+class StampTool extends BaseTool {
+  constructor(pdfViewer) {
+    super(pdfViewer);
+    this.transformer = new CoordinateTransformer(this.viewer);
+  }
+
+  onActivate() {
+    this.pdfViewer.pagesContainer.classList.add("stamp-mode");
+  }
+
+  onDeactivate() {
+    this.pdfViewer.pagesContainer.classList.remove("stamp-mode");
+  }
+
+  async onPointerDown(event) {
+    const pageContainer = event.target.closest(".pdf-page");
+    if (!pageContainer) return
+
+    // Don't stamp over existing annotations or the edit toolbar
+    if (event.target.closest(".annotation") || event.target.closest(".annotation-edit-toolbar")) return
+
+    const stamp = this.pdfViewer.stampPicker.getStamp();
+    if (!stamp) return
+
+    const pageNumber = parseInt(pageContainer.dataset.pageNumber, 10);
+    const coords = this.transformer.screenToPdf(event, pageNumber);
+    if (!coords) return
+
+    event.preventDefault();
+
+    // Centered on the click, at a size that reads well on a letter page
+    const width = stamp.name === "Signature" ? SIGNATURE_DEFAULT_WIDTH : STAMP_DEFAULT_WIDTH;
+    const height = width * (stamp.height / stamp.width);
+
+    await this.annotationManager.createAnnotation({
+      annotation_type: "stamp",
+      page: pageNumber,
+      rect: [coords.x - width / 2, coords.y - height / 2, width, height],
+      image_data: stamp.imageData,
+      subject: stamp.name
     });
-    this.editingAnnotation = null;
   }
+}
 
-  destroy() {
-    this._closeDialog();
-    super.destroy();
+/**
+ * Resize a rect [x, y, w, h] by dragging one of its corners.
+ * @param {number[]} rect - Starting rect
+ * @param {string} corner - "nw", "ne", "sw" or "se"
+ * @param {number} dx - Pointer movement in PDF units
+ * @param {number} dy
+ * @param {Object} options
+ * @param {boolean} options.keepAspectRatio - Scale both sides together (images)
+ * @param {number} options.minSize - Smallest width or height
+ * @returns {number[]} The new rect; the opposite corner stays put
+ */
+function resizeRect([x, y, width, height], corner, dx, dy, { keepAspectRatio = false, minSize = 8 } = {}) {
+  const sx = corner.includes("e") ? 1 : -1;
+  const sy = corner.includes("s") ? 1 : -1;
+
+  let newWidth = Math.max(minSize, width + sx * dx);
+  let newHeight = Math.max(minSize, height + sy * dy);
+  if (keepAspectRatio) {
+    // Follow whichever side the pointer changed more
+    const scaleX = newWidth / width;
+    const scaleY = newHeight / height;
+    const scale = Math.abs(scaleX - 1) >= Math.abs(scaleY - 1) ? scaleX : scaleY;
+    newWidth = Math.max(minSize, width * scale);
+    newHeight = newWidth * (height / width);
+  }
+
+  return [
+    sx === 1 ? x : x + width - newWidth,
+    sy === 1 ? y : y + height - newHeight,
+    newWidth,
+    newHeight
+  ]
+}
+
+/**
+ * Geometry changes that move an annotation by an offset.
+ * @param {Object} annotation - Annotation to move
+ * @param {number} dx - Offset in PDF units
+ * @param {number} dy
+ * @returns {Object} Changes for AnnotationManager.updateAnnotation
+ */
+function translateAnnotationGeometry(annotation, dx, dy) {
+  const changes = {};
+  const movePoint = (point) => ({ ...point, x: point.x + dx, y: point.y + dy });
+
+  if (annotation.rect) {
+    const [x, y, width, height] = annotation.rect;
+    changes.rect = [x + dx, y + dy, width, height];
+  }
+  if (annotation.ink_strokes) {
+    changes.ink_strokes = annotation.ink_strokes.map(stroke => ({
+      ...stroke,
+      points: (stroke.points || []).map(movePoint)
+    }));
+  }
+  if (annotation.line_points) {
+    changes.line_points = annotation.line_points.map(movePoint);
   }
+
+  return changes
 }
 
 // Time to wait before saving a batch of ink strokes (ms)
@@ -7063,13 +15435,17 @@ class InkTool extends BaseTool {
     const color = this.pdfViewer.getHighlightColor() || ColorPicker.DEFAULT_INK_COLOR;
 
     // Convert stroke to PDF coordinates
-    const pdfPoints = this.currentStroke.points.map(point => ({
+    const pdfPoints = this.currentStroke.points.map(point =>
+      this.transformer.clientToPdf(point.x, point.y, this.currentPageNumber)
+    );
+
+    // Create temporary SVG element for immediate visual feedback (drawn in
+    // displayed page space, so it lines up even when the page is rotated)
+    const displayPoints = this.currentStroke.points.map(point => ({
       x: (point.x - pageRect.left) / scale,
       y: (point.y - pageRect.top) / scale
     }));
-
-    // Create temporary SVG element for immediate visual feedback
-    const tempElement = this._createTempStrokeElement(pdfPoints, color, pageContainer, scale);
+    const tempElement = this._createTempStrokeElement(displayPoints, color, pageContainer, scale);
 
     // Add to pending batch
     this.pendingStrokes.push({ pdfPoints, tempElement });
@@ -7092,122 +15468,450 @@ class InkTool extends BaseTool {
       overflow: visible;
     `;
 
-    // Create polyline for the stroke
-    const polyline = document.createElementNS("http://www.w3.org/2000/svg", "polyline");
-    const pointsStr = pdfPoints.map(p => `${p.x * scale},${p.y * scale}`).join(" ");
-    polyline.setAttribute("points", pointsStr);
-    polyline.setAttribute("fill", "none");
-    polyline.setAttribute("stroke", color);
-    polyline.setAttribute("stroke-width", "2");
-    polyline.setAttribute("stroke-linecap", "round");
-    polyline.setAttribute("stroke-linejoin", "round");
+    // Create polyline for the stroke
+    const polyline = document.createElementNS("http://www.w3.org/2000/svg", "polyline");
+    const pointsStr = pdfPoints.map(p => `${p.x * scale},${p.y * scale}`).join(" ");
+    polyline.setAttribute("points", pointsStr);
+    polyline.setAttribute("fill", "none");
+    polyline.setAttribute("stroke", color);
+    polyline.setAttribute("stroke-width", "2");
+    polyline.setAttribute("stroke-linecap", "round");
+    polyline.setAttribute("stroke-linejoin", "round");
+
+    svg.appendChild(polyline);
+    pageContainer.appendChild(svg);
+
+    return svg
+  }
+
+  _scheduleBatchSave() {
+    // Clear any existing timeout
+    if (this.saveTimeout) {
+      clearTimeout(this.saveTimeout);
+    }
+
+    // Schedule save after delay
+    this.saveTimeout = setTimeout(() => {
+      this._savePendingStrokes();
+    }, BATCH_SAVE_DELAY);
+  }
+
+  async _savePendingStrokes() {
+    // Clear timeout
+    if (this.saveTimeout) {
+      clearTimeout(this.saveTimeout);
+      this.saveTimeout = null;
+    }
+
+    if (this.pendingStrokes.length === 0 || !this.pendingPageNumber) return
+
+    const pageContainer = this.pdfViewer.viewer.getPageContainer(this.pendingPageNumber);
+    if (!pageContainer) return
+
+    // Capture pending state
+    const strokesToSave = this.pendingStrokes;
+    const pageNumber = this.pendingPageNumber;
+    const color = this.pendingColor;
+
+    // Clear pending state
+    this.pendingStrokes = [];
+    this.pendingPageNumber = null;
+    this.pendingColor = null;
+
+    // Calculate bounding rect for all strokes
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    const inkStrokes = strokesToSave.map(stroke => {
+      for (const point of stroke.pdfPoints) {
+        minX = Math.min(minX, point.x);
+        minY = Math.min(minY, point.y);
+        maxX = Math.max(maxX, point.x);
+        maxY = Math.max(maxY, point.y);
+      }
+      return { points: stroke.pdfPoints }
+    });
+
+    try {
+      // Create annotation
+      await this.annotationManager.createAnnotation({
+        annotation_type: "ink",
+        page: pageNumber,
+        ink_strokes: inkStrokes,
+        rect: [minX, minY, maxX - minX, maxY - minY],
+        color: color,
+        subject: "Free Hand"
+      });
+    } finally {
+      // Always remove the temp preview elements, even if the save failed —
+      // otherwise they're orphaned in the DOM with no remaining reference.
+      for (const stroke of strokesToSave) {
+        stroke.tempElement?.remove();
+      }
+    }
+  }
+
+  _cleanupCurrentStroke() {
+    this.currentStroke = null;
+    this.isDrawing = false;
+
+    if (this.drawingCanvas) {
+      this.drawingCanvas.remove();
+      this.drawingCanvas = null;
+    }
+  }
+
+  destroy() {
+    if (this.saveTimeout) {
+      clearTimeout(this.saveTimeout);
+      this.saveTimeout = null;
+    }
+    // Remove any temp elements
+    for (const stroke of this.pendingStrokes) {
+      if (stroke.tempElement) {
+        stroke.tempElement.remove();
+      }
+    }
+    this.pendingStrokes = [];
+    this._cleanupCurrentStroke();
+    super.destroy();
+  }
+}
+
+/**
+ * ShapeTool - Base class for tools that drag out a shape on a page.
+ *
+ * The shape is previewed in displayed page space while dragging and saved
+ * in PDF coordinates (via CoordinateTransformer.screenToPdf) on release,
+ * using the toolbar's color and the StrokePicker's thickness and opacity.
+ * Holding Shift constrains the shape (see _constrain).
+ *
+ * Subclasses implement:
+ * - _createPreviewElement(): the SVG element drawn while dragging
+ * - _updatePreviewElement(element, start, end): position it (display coords)
+ * - _buildAnnotation(start, end): annotation fields (PDF coords), or null
+ */
+
+// Drags shorter than this (PDF units) are treated as clicks
+const MIN_SHAPE_SIZE = 3;
+
+class ShapeTool extends BaseTool {
+  constructor(pdfViewer) {
+    super(pdfViewer);
+    this.transformer = new CoordinateTransformer(this.viewer);
+
+    this.isDrawing = false;
+    this.pageNumber = null;
+    this.startPoint = null; // { client, display, pdf }
+    this.endPoint = null;
+    this.previewSvg = null;
+    this.previewElement = null;
+  }
+
+  onActivate() {
+    this.pdfViewer.pagesContainer.classList.add("shape-mode");
+  }
+
+  onDeactivate() {
+    this.pdfViewer.pagesContainer.classList.remove("shape-mode", "is-drawing");
+    this._cleanupPreview();
+  }
+
+  onPointerDown(event) {
+    const pageContainer = event.target.closest(".pdf-page");
+    if (!pageContainer) return
+
+    // Don't draw on annotations or their toolbars
+    if (event.target.closest(".annotation") || event.target.closest(".annotation-edit-toolbar")) return
+
+    this.pageNumber = parseInt(pageContainer.dataset.pageNumber, 10);
+    this.startPoint = this._getPoint(event.clientX, event.clientY);
+    if (!this.startPoint) return
+
+    this.endPoint = this.startPoint;
+    this.isDrawing = true;
+    this.pdfViewer.pagesContainer.classList.add("is-drawing");
+
+    // Capture pointer to receive all move/up events even outside the container
+    event.target.setPointerCapture(event.pointerId);
+
+    this._createPreview(pageContainer);
+    event.preventDefault();
+  }
+
+  onPointerMove(event) {
+    if (!this.isDrawing) return
+
+    const point = this._getPoint(event.clientX, event.clientY);
+    if (!point) return
+
+    this.endPoint = event.shiftKey ? this._constrain(this.startPoint, point) : point;
+    this._updatePreviewElement(this.previewElement, this.startPoint.display, this.endPoint.display);
+  }
+
+  async onPointerUp(event) {
+    if (!this.isDrawing) return
+
+    if (event.target.hasPointerCapture?.(event.pointerId)) {
+      event.target.releasePointerCapture(event.pointerId);
+    }
+    this.pdfViewer.pagesContainer.classList.remove("is-drawing");
+
+    const start = this.startPoint.pdf;
+    const end = this.endPoint.pdf;
+    const pageNumber = this.pageNumber;
+    this.isDrawing = false;
+
+    const isClick = Math.abs(end.x - start.x) < MIN_SHAPE_SIZE && Math.abs(end.y - start.y) < MIN_SHAPE_SIZE;
+    const fields = isClick ? null : this._buildAnnotation(start, end);
+
+    try {
+      if (fields) {
+        const thickness = this.pdfViewer.getStrokeThickness();
+        const opacity = this.pdfViewer.getStrokeOpacity();
+        // Opacity travels in the color's alpha channel, as for freehand highlights
+        const alphaHex = Math.round(opacity * 255).toString(16).padStart(2, "0");
+        const color = (this.pdfViewer.getHighlightColor() || ColorPicker.DEFAULT_INK_COLOR) + alphaHex;
+
+        await this.annotationManager.createAnnotation({
+          page: pageNumber,
+          color,
+          opacity,
+          thickness,
+          ...fields
+        });
+      }
+    } finally {
+      this._cleanupPreview();
+    }
+  }
+
+  // Client point -> { client, display, pdf }. Display coordinates are in the
+  // rotated page as shown; PDF coordinates are in the unrotated page.
+  _getPoint(clientX, clientY) {
+    const pageContainer = this.viewer.getPageContainer(this.pageNumber);
+    if (!pageContainer) return null
+
+    const pdf = this.transformer.screenToPdf({ clientX, clientY }, this.pageNumber);
+    if (!pdf) return null
+
+    const rect = pageContainer.getBoundingClientRect();
+    const scale = this.viewer.getScale();
+    return {
+      client: { x: clientX, y: clientY },
+      display: { x: (clientX - rect.left) / scale, y: (clientY - rect.top) / scale },
+      pdf
+    }
+  }
+
+  // Shift-drag: equal width and height
+  _constrain(start, point) {
+    const dx = point.client.x - start.client.x;
+    const dy = point.client.y - start.client.y;
+    const size = Math.max(Math.abs(dx), Math.abs(dy));
+    return this._getPoint(
+      start.client.x + Math.sign(dx || 1) * size,
+      start.client.y + Math.sign(dy || 1) * size
+    ) || point
+  }
+
+  _createPreview(pageContainer) {
+    this._cleanupPreview();
 
-    svg.appendChild(polyline);
-    pageContainer.appendChild(svg);
+    const pageWidth = pageContainer.offsetWidth / this.viewer.getScale();
+    const pageHeight = pageContainer.offsetHeight / this.viewer.getScale();
+    const opacity = this.pdfViewer.getStrokeOpacity();
 
-    return svg
+    const svg = document.createElementNS("http://www.w3.org/2000/svg", "svg");
+    svg.classList.add("shape-preview");
+    svg.setAttribute("viewBox", `0 0 ${pageWidth} ${pageHeight}`);
+
+    const element = this._createPreviewElement();
+    element.setAttribute("fill", "none");
+    element.setAttribute("stroke", sanitizeColor(this.pdfViewer.getHighlightColor(), ColorPicker.DEFAULT_INK_COLOR));
+    element.setAttribute("stroke-width", this.pdfViewer.getStrokeThickness());
+    element.setAttribute("stroke-opacity", opacity);
+    this._updatePreviewElement(element, this.startPoint.display, this.startPoint.display);
+
+    svg.appendChild(element);
+    pageContainer.appendChild(svg);
+    this.previewSvg = svg;
+    this.previewElement = element;
   }
 
-  _scheduleBatchSave() {
-    // Clear any existing timeout
-    if (this.saveTimeout) {
-      clearTimeout(this.saveTimeout);
-    }
+  _cleanupPreview() {
+    this.isDrawing = false;
+    this.previewSvg?.remove();
+    this.previewSvg = null;
+    this.previewElement = null;
+  }
 
-    // Schedule save after delay
-    this.saveTimeout = setTimeout(() => {
-      this._savePendingStrokes();
-    }, BATCH_SAVE_DELAY);
+  // Bounding rect [x, y, w, h] of two PDF points
+  _rectFromPoints(start, end) {
+    const x = Math.min(start.x, end.x);
+    const y = Math.min(start.y, end.y);
+    return [x, y, Math.abs(end.x - start.x), Math.abs(end.y - start.y)]
   }
 
-  async _savePendingStrokes() {
-    // Clear timeout
-    if (this.saveTimeout) {
-      clearTimeout(this.saveTimeout);
-      this.saveTimeout = null;
-    }
+  _createPreviewElement() {
+    throw new Error("ShapeTool._createPreviewElement() not implemented")
+  }
 
-    if (this.pendingStrokes.length === 0 || !this.pendingPageNumber) return
+  _updatePreviewElement(element, start, end) {}
 
-    const pageContainer = this.pdfViewer.viewer.getPageContainer(this.pendingPageNumber);
-    if (!pageContainer) return
+  _buildAnnotation(start, end) {
+    return null
+  }
 
-    // Capture pending state
-    const strokesToSave = this.pendingStrokes;
-    const pageNumber = this.pendingPageNumber;
-    const color = this.pendingColor;
+  destroy() {
+    this._cleanupPreview();
+    super.destroy();
+  }
+}
 
-    // Clear pending state
-    this.pendingStrokes = [];
-    this.pendingPageNumber = null;
-    this.pendingColor = null;
+class SquareTool extends ShapeTool {
+  _createPreviewElement() {
+    return document.createElementNS("http://www.w3.org/2000/svg", "rect")
+  }
 
-    // Calculate bounding rect for all strokes
-    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
-    const inkStrokes = strokesToSave.map(stroke => {
-      for (const point of stroke.pdfPoints) {
-        minX = Math.min(minX, point.x);
-        minY = Math.min(minY, point.y);
-        maxX = Math.max(maxX, point.x);
-        maxY = Math.max(maxY, point.y);
-      }
-      return { points: stroke.pdfPoints }
-    });
+  _updatePreviewElement(element, start, end) {
+    element.setAttribute("x", Math.min(start.x, end.x));
+    element.setAttribute("y", Math.min(start.y, end.y));
+    element.setAttribute("width", Math.abs(end.x - start.x));
+    element.setAttribute("height", Math.abs(end.y - start.y));
+  }
 
-    try {
-      // Create annotation
-      await this.annotationManager.createAnnotation({
-        annotation_type: "ink",
-        page: pageNumber,
-        ink_strokes: inkStrokes,
-        rect: [minX, minY, maxX - minX, maxY - minY],
-        color: color,
-        subject: "Free Hand"
-      });
-    } finally {
-      // Always remove the temp preview elements, even if the save failed —
-      // otherwise they're orphaned in the DOM with no remaining reference.
-      for (const stroke of strokesToSave) {
-        stroke.tempElement?.remove();
-      }
+  _buildAnnotation(start, end) {
+    return {
+      annotation_type: "square",
+      rect: this._rectFromPoints(start, end),
+      subject: "Rectangle"
     }
   }
+}
 
-  _cleanupCurrentStroke() {
-    this.currentStroke = null;
-    this.isDrawing = false;
+class CircleTool extends ShapeTool {
+  _createPreviewElement() {
+    return document.createElementNS("http://www.w3.org/2000/svg", "ellipse")
+  }
 
-    if (this.drawingCanvas) {
-      this.drawingCanvas.remove();
-      this.drawingCanvas = null;
-    }
+  _updatePreviewElement(element, start, end) {
+    element.setAttribute("cx", (start.x + end.x) / 2);
+    element.setAttribute("cy", (start.y + end.y) / 2);
+    element.setAttribute("rx", Math.abs(end.x - start.x) / 2);
+    element.setAttribute("ry", Math.abs(end.y - start.y) / 2);
   }
 
-  destroy() {
-    if (this.saveTimeout) {
-      clearTimeout(this.saveTimeout);
-      this.saveTimeout = null;
+  _buildAnnotation(start, end) {
+    return {
+      annotation_type: "circle",
+      rect: this._rectFromPoints(start, end),
+      subject: "Ellipse"
     }
-    // Remove any temp elements
-    for (const stroke of this.pendingStrokes) {
-      if (stroke.tempElement) {
-        stroke.tempElement.remove();
-      }
+  }
+}
+
+class LineTool extends ShapeTool {
+  constructor(pdfViewer, { arrow = false } = {}) {
+    super(pdfViewer);
+    this.arrow = arrow;
+  }
+
+  _createPreviewElement() {
+    const group = document.createElementNS("http://www.w3.org/2000/svg", "g");
+    group.appendChild(document.createElementNS("http://www.w3.org/2000/svg", "path"));
+    group.setAttribute("stroke-linecap", "round");
+    group.setAttribute("stroke-linejoin", "round");
+    return group
+  }
+
+  _updatePreviewElement(element, start, end) {
+    const thickness = this.pdfViewer.getStrokeThickness();
+    element.firstChild.setAttribute("d", lineShapePath(start, end, this.arrow, thickness));
+  }
+
+  // Shift-drag: snap to 45 degree steps
+  _constrain(start, point) {
+    const dx = point.client.x - start.client.x;
+    const dy = point.client.y - start.client.y;
+    const length = Math.hypot(dx, dy);
+    const angle = Math.round(Math.atan2(dy, dx) / (Math.PI / 4)) * (Math.PI / 4);
+    return this._getPoint(
+      start.client.x + Math.cos(angle) * length,
+      start.client.y + Math.sin(angle) * length
+    ) || point
+  }
+
+  _buildAnnotation(start, end) {
+    return {
+      annotation_type: "straight_line",
+      line_points: [{ x: start.x, y: start.y }, { x: end.x, y: end.y }],
+      arrow: this.arrow,
+      rect: this._rectFromPoints(start, end),
+      subject: this.arrow ? "Arrow" : "Line"
     }
-    this.pendingStrokes = [];
-    this._cleanupCurrentStroke();
-    super.destroy();
   }
 }
 
+/**
+ * Arrowhead for a line, as the two barb end points. The head grows with the
+ * stroke so thick arrows stay readable.
+ * @param {{x: number, y: number}} start
+ * @param {{x: number, y: number}} end - The tip
+ * @param {number} thickness
+ * @returns {Array<{x: number, y: number}>} [left barb, right barb]
+ */
+function arrowheadPoints(start, end, thickness) {
+  const length = Math.max(8, thickness * 4);
+  const angle = Math.atan2(end.y - start.y, end.x - start.x);
+  const spread = Math.PI / 7;
+
+  return [
+    { x: end.x - length * Math.cos(angle - spread), y: end.y - length * Math.sin(angle - spread) },
+    { x: end.x - length * Math.cos(angle + spread), y: end.y - length * Math.sin(angle + spread) }
+  ]
+}
+
+// SVG path data for a straight line with an optional open arrowhead at the end
+function lineShapePath(start, end, arrow, thickness) {
+  let d = `M ${start.x} ${start.y} L ${end.x} ${end.y}`;
+  if (arrow) {
+    const [left, right] = arrowheadPoints(start, end, thickness);
+    d += ` M ${left.x} ${left.y} L ${end.x} ${end.y} L ${right.x} ${right.y}`;
+  }
+  return d
+}
+
 const ToolMode = {
   SELECT: "select",
   HIGHLIGHT: "highlight",
   UNDERLINE: "underline",
+  STRIKEOUT: "strikeout",
+  SQUIGGLY: "squiggly",
   NOTE: "note",
-  INK: "ink"
+  TEXT: "text",
+  STAMP: "stamp",
+  INK: "ink",
+  SQUARE: "square",
+  CIRCLE: "circle",
+  LINE: "line",
+  ARROW: "arrow"
 };
 
+// Tools that use the StrokePicker
+const SHAPE_TOOL_MODES = [ToolMode.SQUARE, ToolMode.CIRCLE, ToolMode.LINE, ToolMode.ARROW];
+
+/**
+ * Search term from a URL fragment like "#search=term" (the PDF.js viewer's
+ * form, which other parameters may share: "#page=2&search=net%2030").
+ * @param {string} hash - location.hash
+ * @returns {string|null}
+ */
+function searchTermFromHash(hash) {
+  if (!hash || hash.length < 2) return null
+
+  const term = new URLSearchParams(hash.slice(1)).get("search");
+  return term ? term.trim() || null : null
+}
+
 class PdfViewer {
   constructor(container, options = {}) {
     this.container = container;
@@ -7221,11 +15925,22 @@ class PdfViewer {
     this.documentId = options.documentId;
     this.initialPage = options.initialPage || 1;
     this.initialAnnotation = options.initialAnnotation;
+    // Term to search for once loaded; a #search= fragment wins over the option
+    this.initialSearch = searchTermFromHash(window.location.hash) || options.search || null;
+    // The PDF's own markup: "draw" it as part of the page (default), "import"
+    // it as editable annotations, or import and "save" it to the store
+    this.embeddedAnnotations = options.embeddedAnnotations || "draw";
+    // What this user may download (see DEFAULT_DOWNLOAD_POLICY)
+    this.downloadPolicy = { ...DEFAULT_DOWNLOAD_POLICY, ...options.downloadPolicy };
+
+    // Identifies this viewer's own changes when they come back over the channel
+    this.clientId = options.clientId || `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
 
     this.currentTool = null;
     this.currentMode = ToolMode.SELECT;
     this.selectedAnnotation = null;
     this.selectedAnnotationElement = null;
+    this.selectedAnnotationIds = new Set(); // Multi-selection (shift-click, marquee, sidebar checkboxes)
     this.pendingAnnotationSelection = null; // Annotation ID to select when rendered
     this._currentPage = 1; // Track current page for change detection
 
@@ -7257,6 +15972,14 @@ class PdfViewer {
       this.undoBarContainer.className = "pdf-undo-bar";
       this.container.appendChild(this.undoBarContainer);
     }
+
+    // Same for the bulk actions bar shown with a multi-selection
+    this.selectionBarContainer = this.container.querySelector(".pdf-selection-bar");
+    if (!this.selectionBarContainer) {
+      this.selectionBarContainer = document.createElement("div");
+      this.selectionBarContainer.className = "pdf-selection-bar";
+      this.container.appendChild(this.selectionBarContainer);
+    }
   }
 
   _initializeComponents() {
@@ -7267,7 +15990,8 @@ class PdfViewer {
 
     // Core viewer (PDF.js wrapper with lazy rendering and events)
     this.viewer = new CoreViewer(this.pagesContainer, {
-      initialScale: 1.0
+      initialScale: 1.0,
+      passwordProvider: this.options.passwordProvider || this._requestPassword.bind(this)
     });
 
     // Subscribe to core viewer events
@@ -7278,15 +16002,51 @@ class PdfViewer {
     this.annotationManager = new AnnotationManager({
       store: this.options.annotationStore,
       annotationsUrl: this.annotationsUrl,
+      annotationsBatchUrl: this.options.annotationsBatchUrl,
       documentId: this.documentId,
       eventTarget: this.container, // For dispatching error events
       onAnnotationCreated: this._onAnnotationCreated.bind(this),
       onAnnotationUpdated: this._onAnnotationUpdated.bind(this),
-      onAnnotationDeleted: this._onAnnotationDeleted.bind(this)
+      onAnnotationDeleted: this._onAnnotationDeleted.bind(this),
+      onAnnotationIdChanged: this._onAnnotationIdChanged.bind(this),
+      onAnnotationDiscarded: this._onAnnotationDiscarded.bind(this),
+      onRemoteChange: this._onRemoteAnnotationChange.bind(this),
+      onLocalChange: (change) => this.history?.record(change),
+      onRepliesChanged: this._onRepliesChanged.bind(this),
+      clientId: this.clientId,
+      offline: this.options.offline
+    });
+
+    // Undo/redo for local annotation changes
+    this.history = new AnnotationHistory({
+      annotationManager: this.annotationManager,
+      onChange: ({ canUndo, canRedo }) => {
+        this._dispatchEvent("pdf-viewer:history-changed", { canUndo, canRedo });
+      }
     });
 
-    // Watermark overlay
-    this.watermark = new Watermark(this.userName);
+    // Live changes from other reviewers (connected once annotations are loaded)
+    const channelTransport = this.options.channelTransport || cableConsumer;
+    if (this.options.channel) {
+      if (channelTransport) {
+        this.annotationChannel = new AnnotationChannel({
+          transport: channelTransport,
+          params: { channel: this.options.channel, document_id: this.documentId },
+          clientId: this.clientId,
+          annotationManager: this.annotationManager,
+          eventTarget: this.container
+        });
+      } else {
+        console.warn(`[PdfViewer] channel "${this.options.channel}" set but no transport; call setCableConsumer() first`);
+      }
+    }
+
+    // Watermark overlay (options.watermark is the spec; see Watermark)
+    this.watermark = new Watermark({
+      userName: this.userName,
+      organizationName: this.organizationName,
+      spec: this.options.watermark || {}
+    });
 
     // Download manager
     this.downloadManager = new DownloadManager({
@@ -7294,7 +16054,8 @@ class PdfViewer {
       documentName: this.documentName,
       organizationName: this.organizationName,
       userName: this.userName,
-      annotationManager: this.annotationManager
+      annotationManager: this.annotationManager,
+      watermark: this.watermark
     });
 
     // UI Components
@@ -7314,7 +16075,14 @@ class PdfViewer {
         onDelete: this._onAnnotationDelete.bind(this),
         onEdit: this._onAnnotationEdit.bind(this),
         onComment: this._onAnnotationComment.bind(this),
-        onClose: this._deselectAnnotation.bind(this)
+        onClose: this._deselectAnnotation.bind(this),
+        onLoadReplies: (annotation) => this._loadReplies(annotation),
+        onCreateReply: (annotation, contents) =>
+          this.annotationManager.createReply(annotation.id, { contents, author: this.userName }),
+        onUpdateReply: (annotation, reply, contents) =>
+          this.annotationManager.updateReply(annotation.id, reply.id, { contents }),
+        onDeleteReply: (annotation, reply) =>
+          this.annotationManager.deleteReply(annotation.id, reply.id)
       });
     }
 
@@ -7322,10 +16090,47 @@ class PdfViewer {
       onUndo: this._onAnnotationUndo.bind(this)
     });
 
+    // Failures are already reported by AnnotationManager/download()
+    this.selectionBar = new AnnotationSelectionBar(this.selectionBarContainer, {
+      onRecolor: (color) => this.recolorSelectedAnnotations(color).catch(() => {}),
+      onDelete: () => this.deleteSelectedAnnotations().catch(() => {}),
+      onDownload: this.downloadPolicy.download && this.downloadPolicy.filterAnnotations
+        ? () => this.downloadSelectedAnnotations().catch(() => {})
+        : null,
+      onClear: () => this.clearSelection()
+    });
+
+    // Built-in password prompt for encrypted PDFs
+    this.passwordPrompt = new PasswordPrompt(this.bodyContainer || this.container);
+
+    // Printing (renders every page with watermark and annotations)
+    this.printService = new PrintService({
+      viewer: this.viewer,
+      watermark: this.watermark,
+      annotationManager: this.annotationManager,
+      documentName: this.documentName
+    });
+
+    this.printProgress = new PrintProgress(this.bodyContainer || this.container, {
+      onCancel: () => this.cancelPrint()
+    });
+
+    // Download options, limited by the download policy
+    this.exportDialog = new ExportDialog(this.bodyContainer || this.container);
+
     this.colorPicker = new ColorPicker({
       onChange: this._onColorChange.bind(this)
     });
 
+    // Thickness and opacity for the shape tools
+    this.strokePicker = new StrokePicker();
+
+    // What the stamp tool places, including drawn signatures
+    this.signaturePad = new SignaturePad(this.bodyContainer || this.container);
+    this.stampPicker = new StampPicker({
+      onDrawSignature: () => this.signaturePad.open()
+    });
+
     // Thumbnail sidebar (inserted before pages container in the body)
     if (this.bodyContainer) {
       this.thumbnailSidebar = new ThumbnailSidebar({
@@ -7335,6 +16140,17 @@ class PdfViewer {
         onPageClick: (pageNumber) => this.viewer.goToPage(pageNumber)
       });
 
+      // Outline sidebar - check for user-defined element, fallback to auto-generated
+      const outlineSidebarEl = this.container.querySelector('[data-pdf-sidebar="outline"]');
+
+      this.outlineSidebar = new OutlineSidebar({
+        element: outlineSidebarEl,              // null if not provided (triggers fallback)
+        container: this.bodyContainer,          // Used for fallback
+        eventTarget: this.container,            // page-changed events, error events
+        linkService: this.viewer.linkService,
+        onNavigate: (pageNumber) => this.goToPage(pageNumber)
+      });
+
       // Annotation sidebar - check for user-defined element, fallback to auto-generated
       const annotationSidebarEl = this.container.querySelector('[data-pdf-sidebar="annotations"]');
       const annotationItemTemplate = this.container.querySelector('[data-pdf-template="annotation-item"]');
@@ -7344,21 +16160,53 @@ class PdfViewer {
         itemTemplate: annotationItemTemplate,   // null if not provided (uses innerHTML)
         container: this.bodyContainer,          // Used for fallback
         annotationManager: this.annotationManager,
-        onAnnotationClick: (annotationId) => this._scrollToAnnotationWithFlash(annotationId)
+        onAnnotationClick: (annotationId) => this._scrollToAnnotationWithFlash(annotationId),
+        onAnnotationCheck: (annotationId, checked) => this._toggleAnnotationSelected(annotationId, checked)
       });
     }
 
     // Find controller and find bar
     this.findController = new FindController(this, {
+      // Off for documents whose text mustn't be kept in the browser
+      cacheIndex: this.options.searchIndexCache !== false,
       onUpdateState: (state, matchInfo) => {
         this.findBar?.updateState(state, matchInfo);
+        this.searchResultsSidebar?.update(matchInfo);
+        this._dispatchEvent("pdf-viewer:search-updated", {
+          query: this.findController.query,
+          current: matchInfo.current,
+          total: matchInfo.total,
+          complete: !matchInfo.extracting,
+          error: matchInfo.error || null
+        });
       }
     });
 
+    // Search results panel shares the left side with thumbnails and outline
+    if (this.bodyContainer) {
+      const searchResultsSidebarEl = this.container.querySelector('[data-pdf-sidebar="search-results"]');
+
+      this.searchResultsSidebar = new SearchResultsSidebar({
+        element: searchResultsSidebarEl,        // null if not provided (triggers fallback)
+        container: this.bodyContainer,          // Used for fallback
+        findController: this.findController
+      });
+
+      this.searchResultsSidebar.element.addEventListener("pdf-sidebar:search-results-sidebar-opened", () => {
+        this.findBar?.setResultsOpen(true);
+      });
+      this.searchResultsSidebar.element.addEventListener("pdf-sidebar:search-results-sidebar-closed", () => {
+        this.findBar?.setResultsOpen(false);
+      });
+    }
+
     this.findBar = new FindBar({
       findController: this.findController,
+      onToggleResults: this.searchResultsSidebar ? () => this.toggleSearchResults() : null,
+      onHighlightAll: () => this.highlightSearchMatches(),
       onClose: () => {
-        // Focus returns to document when find bar closes
+        // Focus returns to document when find bar closes; the results go with it
+        if (this.searchResultsSidebar?.isOpen) this.searchResultsSidebar.close();
       }
     });
 
@@ -7367,8 +16215,16 @@ class PdfViewer {
       [ToolMode.SELECT]: new SelectTool(this),
       [ToolMode.HIGHLIGHT]: new HighlightTool(this),
       [ToolMode.UNDERLINE]: new UnderlineTool(this),
+      [ToolMode.STRIKEOUT]: new StrikeOutTool(this),
+      [ToolMode.SQUIGGLY]: new SquigglyTool(this),
       [ToolMode.NOTE]: new NoteTool(this),
-      [ToolMode.INK]: new InkTool(this)
+      [ToolMode.TEXT]: new FreeTextTool(this),
+      [ToolMode.STAMP]: new StampTool(this),
+      [ToolMode.INK]: new InkTool(this),
+      [ToolMode.SQUARE]: new SquareTool(this),
+      [ToolMode.CIRCLE]: new CircleTool(this),
+      [ToolMode.LINE]: new LineTool(this),
+      [ToolMode.ARROW]: new LineTool(this, { arrow: true })
     };
   }
 
@@ -7400,6 +16256,11 @@ class PdfViewer {
       this._dispatchEvent("pdf-viewer:scale-changed", { scale, previousScale });
     });
 
+    // Rotation changed - re-lay out annotations and dispatch event
+    eventBus.on(ViewerEvents.ROTATION_CHANGED, ({ rotation, previousRotation }) => {
+      this._onRotationChanged(rotation, previousRotation);
+    });
+
     // Scroll - track page changes
     eventBus.on(ViewerEvents.SCROLL, () => {
       this._checkPageChange();
@@ -7445,6 +16306,40 @@ class PdfViewer {
     }));
   }
 
+  /**
+   * Default password provider for encrypted PDFs.
+   *
+   * Dispatches a cancelable `pdf-viewer:password-required` event first. A host
+   * app that wants its own UI calls preventDefault() and answers through
+   * detail.submit(password) or detail.cancel(); otherwise the built-in
+   * prompt is shown.
+   * @param {Object} request - { reason, incorrect, attempt } from CoreViewer
+   * @returns {Promise<string|null>}
+   */
+  _requestPassword({ reason, incorrect, attempt }) {
+    let answer;
+    const answered = new Promise(resolve => { answer = resolve; });
+
+    const event = new CustomEvent("pdf-viewer:password-required", {
+      bubbles: true,
+      cancelable: true,
+      detail: {
+        reason,
+        incorrect,
+        attempt,
+        submit: (password) => answer(String(password)),
+        cancel: () => answer(null)
+      }
+    });
+    this.container.dispatchEvent(event);
+
+    if (event.defaultPrevented) {
+      return answered
+    }
+
+    return this.passwordPrompt.prompt({ incorrect })
+  }
+
   _setupEventListeners() {
     const signal = this._abortController.signal;
 
@@ -7474,6 +16369,14 @@ class PdfViewer {
     this.container.addEventListener("pdf-viewer:error", (e) => {
       this._handleError(e.detail);
     }, { signal });
+
+    // In-app links that only change the #search= fragment
+    window.addEventListener("hashchange", () => {
+      const term = searchTermFromHash(window.location.hash);
+      if (term && this.viewer.pdfDocument) {
+        this.search(term);
+      }
+    }, { signal });
   }
 
   /**
@@ -7497,6 +16400,10 @@ class PdfViewer {
 
   async load() {
     try {
+      // Pages are watermarked as they render, so have the logo ready first
+      // (a slow logo only holds the document back for a few seconds)
+      await this.watermark.ready;
+
       // Load the PDF document
       await this.viewer.load(this.documentUrl);
 
@@ -7510,9 +16417,22 @@ class PdfViewer {
         await this.thumbnailSidebar.setDocument(this.viewer.pdfDocument);
       }
 
+      // Load the outline in the background; resolving every destination can
+      // take a while on long documents and shouldn't delay annotations.
+      if (this.outlineSidebar && this.viewer.pdfDocument) {
+        this.outlineSidebar.setDocument(this.viewer.pdfDocument);
+      }
+
       // Load existing annotations from store
       await this.annotationManager.loadAnnotations();
 
+      if (this.embeddedAnnotations === "import" || this.embeddedAnnotations === "save") {
+        await this._importEmbeddedAnnotations({ save: this.embeddedAnnotations === "save" });
+      }
+
+      // Subscribe only now, so live changes aren't wiped by the initial load
+      this.annotationChannel?.connect();
+
       // Render annotations on all rendered pages
       this._renderAnnotations();
 
@@ -7532,6 +16452,11 @@ class PdfViewer {
         this._scrollToAnnotation(this.initialAnnotation);
       }
 
+      // Show the hits for a deep-linked search term
+      if (this.initialSearch) {
+        this.search(this.initialSearch, this._initialSearchOptions);
+      }
+
       // Start with select tool
       this.setTool(ToolMode.SELECT);
 
@@ -7543,6 +16468,31 @@ class PdfViewer {
     }
   }
 
+  // Bring the PDF's own markup in as editable annotations and stop drawing
+  // the originals
+  async _importEmbeddedAnnotations({ save }) {
+    const pdfDocument = this.viewer.pdfDocument;
+    const hiddenIds = [];
+
+    for (let pageNumber = 1; pageNumber <= pdfDocument.numPages; pageNumber++) {
+      try {
+        const page = await pdfDocument.getPage(pageNumber);
+        const pdfAnnotations = await page.getAnnotations({ intent: "display" });
+        if (pdfAnnotations.length === 0) continue
+
+        const ids = await this.annotationManager.importPdfAnnotations(pageNumber, pdfAnnotations, {
+          viewport: page.getViewport({ scale: 1 }),
+          save
+        });
+        hiddenIds.push(...ids);
+      } catch (error) {
+        console.warn(`Could not import annotations from page ${pageNumber}:`, error);
+      }
+    }
+
+    this.viewer.hideEmbeddedAnnotations(hiddenIds);
+  }
+
   setTool(mode) {
     // Deactivate current tool
     if (this.currentTool) {
@@ -7560,6 +16510,9 @@ class PdfViewer {
       this.currentTool.activate();
     }
 
+    this.strokePicker?.setVisible(SHAPE_TOOL_MODES.includes(mode));
+    this.stampPicker?.setVisible(mode === ToolMode.STAMP);
+
     // Dispatch event for toolbar to update
     this.container.dispatchEvent(new CustomEvent("pdf-viewer:mode-changed", {
       bubbles: true,
@@ -7571,6 +16524,67 @@ class PdfViewer {
     return this.colorPicker.currentColor
   }
 
+  /**
+   * Line thickness for new shapes, in PDF units.
+   * @returns {number}
+   */
+  getStrokeThickness() {
+    return this.strokePicker.thickness
+  }
+
+  /**
+   * Opacity for new shapes (0-1).
+   * @returns {number}
+   */
+  getStrokeOpacity() {
+    return this.strokePicker.opacity
+  }
+
+  /**
+   * Search the document and highlight the matches, as if the query had been
+   * typed into the find bar. Progress is reported through
+   * pdf-viewer:search-updated events.
+   * @param {string} query - An empty query clears the search
+   * @param {Object} [options]
+   * @param {boolean} [options.caseSensitive] - Case-sensitive matching
+   * @param {boolean} [options.entireWord] - Match whole words only
+   * @param {boolean} [options.regex] - The query is a regular expression
+   * @param {boolean} [options.ignoreAccents] - Accented letters match unaccented ones
+   * @param {boolean} [options.joinLines] - Match across hyphenated line breaks (default: true)
+   * @param {boolean} [options.fuzzy] - Tolerate a few wrong characters
+   * @param {boolean} [options.showFindBar] - Open the find bar with the query (default: true)
+   */
+  search(query, { showFindBar = true, ...options } = {}) {
+    if (!query) {
+      this.clearSearch();
+      return
+    }
+
+    // Not loaded yet: load() runs it once the document is ready
+    if (!this.viewer.pdfDocument) {
+      this.initialSearch = query;
+      this._initialSearchOptions = { showFindBar, ...options };
+      return
+    }
+
+    if (showFindBar && this.findBar) {
+      this.findBar.search(query, options);
+    } else {
+      this.findController.find(query, { ...options, highlightAll: true });
+    }
+  }
+
+  /**
+   * Clear the search and its highlights, closing the find bar if open.
+   */
+  clearSearch() {
+    if (this.findBar?.visible) {
+      this.findBar.close();
+    } else {
+      this.findController?.find("");
+    }
+  }
+
   /**
    * Toggle the find bar visibility.
    */
@@ -7586,10 +16600,90 @@ class PdfViewer {
   }
 
   /**
-   * Close the find bar.
+   * Close the find bar.
+   */
+  closeFindBar() {
+    this.findBar?.close();
+  }
+
+  /**
+   * Add a highlight annotation over every search match, in the current
+   * highlight color, as one undo step. Matches already covered by a
+   * highlight are skipped, so running it twice doesn't double up.
+   * @returns {Promise<Array<Object>>} The created annotations
+   */
+  async highlightSearchMatches() {
+    const matches = this.findController.matches.slice();
+    if (matches.length === 0) return []
+
+    const transformer = new CoordinateTransformer(this.viewer);
+    const color = this.getHighlightColor() || ColorPicker.DEFAULT_HIGHLIGHT_COLOR;
+    const highlights = [];
+
+    for (const pageNumber of new Set(matches.map(match => match.pageNumber))) {
+      // Off-screen pages need a text layer to measure the matches in
+      await this.viewer.ensureTextLayer(pageNumber);
+
+      for (const match of matches.filter(m => m.pageNumber === pageNumber)) {
+        const quads = transformer.selectionRectsToQuads(this.findController.getMatchClientRects(match), pageNumber);
+        if (quads.length === 0) continue
+
+        if (this._isHighlighted(pageNumber, quads, transformer)) continue
+        const rect = transformer.quadsToBoundingRect(quads);
+
+        highlights.push({
+          annotation_type: "highlight",
+          page: pageNumber,
+          quads,
+          rect,
+          color: color + "CC", // Add alpha
+          opacity: 0.4,
+          title: match.text.substring(0, 255),
+          subject: "Highlight"
+        });
+      }
+    }
+
+    if (highlights.length === 0) {
+      getAnnouncer().announce("Every match is already highlighted");
+      return []
+    }
+
+    const created = await this._runBulkChange(() => this.annotationManager.createAnnotations(highlights));
+    getAnnouncer().announce(`${created.length} ${created.length === 1 ? "match" : "matches"} highlighted. Press Control Z to undo.`);
+    this._dispatchEvent("pdf-viewer:search-matches-highlighted", { annotations: created, count: created.length });
+    return created
+  }
+
+  // Whether existing highlights already cover every quad of a match. A
+  // highlight's rect also spans text between its lines, so compare quads.
+  _isHighlighted(pageNumber, quads, transformer) {
+    const tolerance = 1;
+    const highlighted = this.annotationManager.getAnnotationsForPage(pageNumber)
+      .filter(annotation => annotation.annotation_type === "highlight" && annotation.quads?.length > 0)
+      .flatMap(annotation => annotation.quads.map(quad => transformer.quadsToBoundingRect([quad])));
+
+    return quads.every(quad => {
+      const [x, y, width, height] = transformer.quadsToBoundingRect([quad]);
+      return highlighted.some(([ax, ay, aw, ah]) =>
+        ax <= x + tolerance && ay <= y + tolerance &&
+        ax + aw >= x + width - tolerance && ay + ah >= y + height - tolerance
+      )
+    })
+  }
+
+  /**
+   * Show or hide the search results panel. It takes the left side, so
+   * the thumbnail and outline sidebars close when it opens.
    */
-  closeFindBar() {
-    this.findBar?.close();
+  toggleSearchResults() {
+    if (!this.searchResultsSidebar) return
+
+    if (!this.searchResultsSidebar.isOpen) {
+      if (this.thumbnailSidebar?.isOpen) this.thumbnailSidebar.close();
+      if (this.outlineSidebar?.isOpen) this.outlineSidebar.close();
+    }
+    this.searchResultsSidebar.toggle();
   }
 
   /**
@@ -7626,6 +16720,49 @@ class PdfViewer {
     this._checkPageChange();
   }
 
+  /**
+   * Get the current user-applied rotation.
+   * @returns {number} Degrees (0, 90, 180, 270)
+   */
+  getRotation() {
+    return this.viewer?.getRotation() || 0
+  }
+
+  /**
+   * Rotate all pages to an absolute rotation.
+   * @param {number} rotation - Degrees; must be a multiple of 90
+   */
+  setRotation(rotation) {
+    this.viewer?.setRotation(rotation);
+  }
+
+  /**
+   * Rotate all pages 90 degrees clockwise.
+   */
+  rotateClockwise() {
+    this.viewer?.rotateClockwise();
+  }
+
+  /**
+   * Rotate all pages 90 degrees counter-clockwise.
+   */
+  rotateCounterClockwise() {
+    this.viewer?.rotateCounterClockwise();
+  }
+
+  _onRotationChanged(rotation, previousRotation) {
+    // The edit toolbar/detail panel are positioned against the old layout
+    this._deselectAnnotation();
+
+    // Pages that haven't re-rendered yet still need their layers rotated
+    this._renderAnnotations();
+
+    getAnnouncer().announce(`Pages rotated to ${rotation} degrees`);
+
+    this._dispatchEvent("pdf-viewer:rotation-changed", { rotation, previousRotation });
+    this._checkPageChange();
+  }
+
   // Page rendering callbacks
   _onPageRendered(pageNumber, pageCanvas, pageContainer) {
     // Apply watermark to the page (pass effective scale for proper font sizing)
@@ -7645,6 +16782,11 @@ class PdfViewer {
 
   // Annotation callbacks
   _onAnnotationCreated(annotation) {
+    if (this._bulkChangePages) {
+      this._onBulkAnnotationChange(annotation, "created");
+      return
+    }
+
     this._renderAnnotationsForPage(annotation.page, this.viewer.getPageContainer(annotation.page));
 
     // Auto-select the newly created annotation
@@ -7672,6 +16814,11 @@ class PdfViewer {
   }
 
   _onAnnotationUpdated(annotation) {
+    if (this._bulkChangePages) {
+      this._onBulkAnnotationChange(annotation, "updated");
+      return
+    }
+
     // Remember if this annotation was selected
     const wasSelected = this.selectedAnnotation && this.selectedAnnotation.id === annotation.id;
 
@@ -7714,13 +16861,22 @@ class PdfViewer {
   }
 
   _onAnnotationDeleted(annotation) {
+    this._dropFromMultiSelection(annotation.id);
+
+    if (this._bulkChangePages) {
+      this._onBulkAnnotationChange(annotation, "deleted");
+      return
+    }
+
     // Deselect if this annotation was selected
     if (this.selectedAnnotation && this.selectedAnnotation.id === annotation.id) {
       this._deselectAnnotation();
     }
 
-    // Show undo bar
-    this.undoBar.show(annotation);
+    // Show undo bar (not when the delete is itself an undo/redo)
+    if (!this.history.isReplaying) {
+      this.undoBar.show(annotation);
+    }
 
     this._renderAnnotationsForPage(annotation.page, this.viewer.getPageContainer(annotation.page));
 
@@ -7737,16 +16893,117 @@ class PdfViewer {
     }));
   }
 
+  // An annotation created offline has synced and now has its server id
+  _onAnnotationIdChanged(previousId, annotation) {
+    this.history.remapId(previousId, annotation.id);
+
+    if (this.selectedAnnotationIds.has(previousId)) {
+      this.selectedAnnotationIds.delete(previousId);
+      this.selectedAnnotationIds.add(annotation.id);
+    }
+
+    const wasSelected = this.selectedAnnotation?.id === previousId;
+    if (wasSelected) {
+      this._deselectAnnotation();
+    }
+
+    this._renderAnnotationsForPage(annotation.page, this.viewer.getPageContainer(annotation.page));
+    this.annotationSidebar?.onAnnotationUpdated(annotation);
+
+    if (wasSelected) {
+      const pageContainer = this.viewer.getPageContainer(annotation.page);
+      const element = pageContainer?.querySelector(`.annotation[data-annotation-id="${annotation.id}"]`);
+      if (element) {
+        this._selectAnnotation(annotation, element);
+      }
+    }
+
+    this._dispatchEvent("pdf-viewer:annotation-id-changed", { previousId, annotation });
+  }
+
+  // Another reviewer created, updated or deleted an annotation
+  _onRemoteAnnotationChange(type, annotation, previous) {
+    if (type === "delete") {
+      this._dropFromMultiSelection(annotation.id);
+    }
+
+    const wasSelected = this.selectedAnnotation?.id === annotation.id;
+    if (wasSelected) {
+      this._deselectAnnotation();
+    }
+
+    this._renderAnnotationsForPage(annotation.page, this.viewer.getPageContainer(annotation.page));
+    if (previous && previous.page !== annotation.page) {
+      this._renderAnnotationsForPage(previous.page, this.viewer.getPageContainer(previous.page));
+    }
+
+    switch (type) {
+      case "create":
+        this.annotationSidebar?.onAnnotationCreated(annotation);
+        break
+      case "update":
+        this.annotationSidebar?.onAnnotationUpdated(annotation);
+        break
+      case "delete":
+        this.annotationSidebar?.onAnnotationDeleted(annotation);
+        break
+    }
+
+    // Keep the local selection on an annotation that was only edited
+    if (wasSelected && type !== "delete") {
+      const pageContainer = this.viewer.getPageContainer(annotation.page);
+      const element = pageContainer?.querySelector(`.annotation[data-annotation-id="${annotation.id}"]`);
+      if (element) {
+        this._selectAnnotation(annotation, element);
+      }
+    }
+
+    const typeLabel = this._getAnnotationTypeLabel(annotation.annotation_type);
+    const verb = { create: "added", update: "updated", delete: "deleted" }[type];
+    getAnnouncer().announce(`${typeLabel} ${verb} by another reviewer on page ${annotation.page}`);
+
+    this._dispatchEvent("pdf-viewer:remote-change", { type, annotation });
+  }
+
+  // An annotation created offline was rejected by the server when it synced
+  _onAnnotationDiscarded(annotation) {
+    this._dropFromMultiSelection(annotation.id);
+
+    if (this.selectedAnnotation?.id === annotation.id) {
+      this._deselectAnnotation();
+    }
+
+    this._renderAnnotationsForPage(annotation.page, this.viewer.getPageContainer(annotation.page));
+    this.annotationSidebar?.onAnnotationDeleted(annotation);
+  }
+
+  // Threads are fetched the first time an annotation is opened, then cached
+  _loadReplies(annotation) {
+    return this.annotationManager.getReplies(annotation.id) || this.annotationManager.loadReplies(annotation.id)
+  }
+
+  _onRepliesChanged(annotation, replies, type) {
+    this.annotationSidebar?.onAnnotationUpdated(annotation);
+
+    const verb = { create: "added", update: "updated", delete: "deleted" }[type];
+    getAnnouncer().announce(`Reply ${verb}`);
+
+    this._dispatchEvent("pdf-viewer:replies-changed", { type, annotation, replies });
+  }
+
   _onAnnotationEdit(annotation) {
-    // For notes, show the edit popup
+    // For notes, show the edit popup; text boxes are edited in place
     if (annotation.annotation_type === "note") {
       this.tools[ToolMode.NOTE].editNote(annotation);
+    } else if (annotation.annotation_type === "free_text") {
+      this._deselectAnnotation();
+      this.tools[ToolMode.TEXT].edit(annotation);
     }
   }
 
   _onAnnotationComment(annotation) {
-    // For highlight/underline/ink, use the note tool's edit dialog to edit contents
-    const supportsComment = ["highlight", "line", "ink"].includes(annotation.annotation_type);
+    // For everything but notes, use the note tool's edit dialog to edit contents
+    const supportsComment = COMMENTABLE_ANNOTATION_TYPES.includes(annotation.annotation_type);
     if (supportsComment) {
       this.tools[ToolMode.NOTE].editNote(annotation);
     }
@@ -7756,13 +17013,31 @@ class PdfViewer {
     await this.annotationManager.deleteAnnotation(annotation.id);
   }
 
+  // annotation is an array after a bulk delete
   async _onAnnotationUndo(annotation) {
-    await this.annotationManager.restoreAnnotation(annotation.id);
-    this._renderAnnotationsForPage(annotation.page, this.viewer.getPageContainer(annotation.page));
+    const annotations = Array.isArray(annotation) ? annotation : [annotation];
+    const ids = new Set(annotations.map(a => a.id));
+
+    // Usually the delete is the latest history step; undo it there so the
+    // history stays in sync
+    const step = this.history.peekUndo();
+    if (step?.length === ids.size && step.every(entry => entry.type === "delete" && ids.has(entry.id))) {
+      await this.undo();
+      return
+    }
+
+    for (const deleted of annotations) {
+      await this.annotationManager.restoreAnnotation(deleted.id);
+      this._renderAnnotationsForPage(deleted.page, this.viewer.getPageContainer(deleted.page));
+    }
 
     // Announce to screen readers
-    const typeLabel = this._getAnnotationTypeLabel(annotation.annotation_type);
-    getAnnouncer().announce(`${typeLabel} restored`);
+    if (annotations.length === 1) {
+      const typeLabel = this._getAnnotationTypeLabel(annotations[0].annotation_type);
+      getAnnouncer().announce(`${typeLabel} restored`);
+    } else {
+      getAnnouncer().announce(`${annotations.length} annotations restored`);
+    }
   }
 
   /**
@@ -7774,8 +17049,15 @@ class PdfViewer {
     switch (type) {
       case "highlight": return "Highlight"
       case "note": return "Note"
+      case "free_text": return "Text box"
+      case "stamp": return "Stamp"
       case "ink": return "Drawing"
       case "line": return "Underline"
+      case "strikeout": return "Strikeout"
+      case "squiggly": return "Squiggly"
+      case "square": return "Rectangle"
+      case "circle": return "Ellipse"
+      case "straight_line": return "Line"
       default: return "Annotation"
     }
   }
@@ -7804,45 +17086,66 @@ class PdfViewer {
     const annotations = this.annotationManager.getAnnotationsForPage(pageNumber);
 
     // Clear existing layers (including SVG layers so they're re-created after the new canvas)
-    const existingLayers = pageContainer.querySelectorAll(".annotation-layer, .highlight-blend-layer, .highlight-svg-layer, .underline-svg-layer");
+    const existingLayers = pageContainer.querySelectorAll(".annotation-layer, .highlight-blend-layer, .highlight-svg-layer, .underline-svg-layer, .shape-svg-layer");
     existingLayers.forEach(layer => layer.remove());
 
-    // Get page dimensions for percentage-based positioning
-    const pageWidth = parseFloat(pageContainer.style.getPropertyValue("--page-width")) || 612;
-    const pageHeight = parseFloat(pageContainer.style.getPropertyValue("--page-height")) || 792;
+    // Get page dimensions for percentage-based positioning. Annotations are
+    // stored in the page's unrotated space, so a quarter-turn viewer rotation
+    // swaps the displayed width and height back.
+    const displayWidth = parseFloat(pageContainer.style.getPropertyValue("--page-width")) || 612;
+    const displayHeight = parseFloat(pageContainer.style.getPropertyValue("--page-height")) || 792;
+    const rotation = this.viewer.getRotation();
+    const isQuarterTurn = rotation % 180 !== 0;
+    const pageWidth = isQuarterTurn ? displayHeight : displayWidth;
+    const pageHeight = isQuarterTurn ? displayWidth : displayHeight;
 
     // Create SVG layer for highlight rendering (sibling of canvas, for blend mode)
     const highlightSvgLayer = document.createElementNS("http://www.w3.org/2000/svg", "svg");
     highlightSvgLayer.classList.add("highlight-svg-layer");
 
-    // Create separate SVG layer for underlines (no blend mode needed)
+    // Create separate SVG layer for underlines, strikeouts and squiggles (no blend mode needed)
     const underlineSvgLayer = document.createElementNS("http://www.w3.org/2000/svg", "svg");
     underlineSvgLayer.classList.add("underline-svg-layer");
 
+    // Shapes (rectangles, ellipses, lines, arrows) get their own layer above underlines
+    const shapeSvgLayer = document.createElementNS("http://www.w3.org/2000/svg", "svg");
+    shapeSvgLayer.classList.add("shape-svg-layer");
+
     // Insert right after canvas
     const canvas = pageContainer.querySelector("canvas.pdf-canvas");
     if (canvas) {
       canvas.after(highlightSvgLayer);
       highlightSvgLayer.after(underlineSvgLayer);
+      underlineSvgLayer.after(shapeSvgLayer);
     } else {
       pageContainer.appendChild(highlightSvgLayer);
       pageContainer.appendChild(underlineSvgLayer);
+      pageContainer.appendChild(shapeSvgLayer);
     }
 
     // Set viewBox to page dimensions - SVG will scale with the page container
     // Using unscaled coordinates so annotations scale automatically with zoom
     highlightSvgLayer.setAttribute("viewBox", `0 0 ${pageWidth} ${pageHeight}`);
     underlineSvgLayer.setAttribute("viewBox", `0 0 ${pageWidth} ${pageHeight}`);
+    shapeSvgLayer.setAttribute("viewBox", `0 0 ${pageWidth} ${pageHeight}`);
 
     // Create annotation layer for interactive elements
     const annotationLayer = document.createElement("div");
     annotationLayer.className = "annotation-layer";
 
+    // Rotate the layers (laid out unrotated) to line up with the canvas
+    if (rotation) {
+      for (const layer of [highlightSvgLayer, underlineSvgLayer, shapeSvgLayer, annotationLayer]) {
+        layer.dataset.viewRotation = rotation;
+      }
+    }
+
     // Render each annotation using percentage-based positioning
     for (const annotation of annotations) {
       const isHighlight = annotation.annotation_type === "highlight" ||
                          (annotation.annotation_type === "ink" && annotation.subject === "Free Highlight");
-      const isUnderline = annotation.annotation_type === "line";
+      const isTextMarkup = TEXT_MARKUP_ANNOTATION_TYPES.includes(annotation.annotation_type);
+      const isShape = SHAPE_ANNOTATION_TYPES.includes(annotation.annotation_type);
 
       if (isHighlight) {
         // Render colored SVG in the highlight layer (has mix-blend-mode for text visibility)
@@ -7852,15 +17155,25 @@ class PdfViewer {
         const element = this._createHighlightInteractive(annotation, pageWidth, pageHeight);
         if (element) {
           this._attachAnnotationClickHandler(element, annotation.id);
+          this._attachTransformHandlers(element, annotation, pageWidth, pageHeight);
           annotationLayer.appendChild(element);
         }
-      } else if (isUnderline) {
-        // Render underlines as SVG lines in the underline layer (no blend mode)
-        this._renderUnderlineSvg(annotation, underlineSvgLayer);
+      } else if (isTextMarkup) {
+        // Render underlines, strikeouts and squiggles as SVG in the underline layer (no blend mode)
+        this._renderTextMarkupSvg(annotation, underlineSvgLayer);
         // Create transparent interactive element in annotation layer
-        const element = this._createUnderlineInteractive(annotation, pageWidth, pageHeight);
+        const element = this._createTextMarkupInteractive(annotation, pageWidth, pageHeight);
+        if (element) {
+          this._attachAnnotationClickHandler(element, annotation.id);
+          this._attachTransformHandlers(element, annotation, pageWidth, pageHeight);
+          annotationLayer.appendChild(element);
+        }
+      } else if (isShape) {
+        this._renderShapeSvg(annotation, shapeSvgLayer);
+        const element = this._createShapeInteractive(annotation, pageWidth, pageHeight);
         if (element) {
           this._attachAnnotationClickHandler(element, annotation.id);
+          this._attachTransformHandlers(element, annotation, pageWidth, pageHeight);
           annotationLayer.appendChild(element);
         }
       } else {
@@ -7868,14 +17181,23 @@ class PdfViewer {
         const element = this._createAnnotationElement(annotation, pageWidth, pageHeight);
         if (element) {
           this._attachAnnotationClickHandler(element, annotation.id);
+          this._attachTransformHandlers(element, annotation, pageWidth, pageHeight);
           annotationLayer.appendChild(element);
         }
       }
     }
 
+    // Keep the multi-selection marked across re-renders
+    for (const id of this.selectedAnnotationIds) {
+      annotationLayer.querySelector(`.annotation[data-annotation-id="${id}"]`)?.classList.add("multi-selected");
+    }
+
     // Annotation layer goes at the end (above text layer)
     pageContainer.appendChild(annotationLayer);
 
+    // Carry an open text box editor over to the new layer
+    this.tools[ToolMode.TEXT]?.onAnnotationLayerRendered(pageNumber, annotationLayer);
+
     // Check if there's a pending annotation to select on this page
     if (this.pendingAnnotationSelection) {
       // Use .annotation class to avoid matching SVG elements
@@ -7923,7 +17245,12 @@ class PdfViewer {
     element.addEventListener("click", (e) => {
       e.stopPropagation();
       const currentAnnotation = this.annotationManager.getAnnotation(annotationId);
-      if (currentAnnotation) {
+      if (!currentAnnotation) return
+
+      // Shift-click adds to (or removes from) a multi-selection
+      if (e.shiftKey && this.currentMode === ToolMode.SELECT) {
+        this._toggleAnnotationSelected(annotationId);
+      } else {
         this._selectAnnotation(currentAnnotation, element);
       }
     });
@@ -8008,8 +17335,8 @@ class PdfViewer {
     }
   }
 
-  // Render underline as SVG lines at the bottom of each quad (unscaled coordinates)
-  _renderUnderlineSvg(annotation, svgLayer) {
+  // Render an underline, strikeout or squiggly for each quad (unscaled coordinates)
+  _renderTextMarkupSvg(annotation, svgLayer) {
     if (!annotation.quads || annotation.quads.length === 0) return
 
     // Parse color - ensure we have a valid color, defaulting to red
@@ -8018,21 +17345,29 @@ class PdfViewer {
       color = color.slice(0, 7); // Strip alpha from color
     }
 
-    // Underline thickness in PDF coordinates
-    const thickness = 1.5;
+    const type = annotation.annotation_type;
+    // Line thickness in PDF coordinates
+    const thickness = textMarkupThickness(type);
 
-    // Create a line at the bottom of each quad
     for (const quad of annotation.quads) {
       // p3 is bottom-left, p4 is bottom-right
       const x1 = quad.p3.x;
-      const y = quad.p3.y + 1; // Slightly below the text bottom
+      const y = textMarkupLineY(quad, type);
       const x2 = quad.p4.x;
 
-      const line = document.createElementNS("http://www.w3.org/2000/svg", "line");
-      line.setAttribute("x1", x1);
-      line.setAttribute("y1", y);
-      line.setAttribute("x2", x2);
-      line.setAttribute("y2", y);
+      let line;
+      if (type === "squiggly") {
+        line = document.createElementNS("http://www.w3.org/2000/svg", "polyline");
+        line.setAttribute("points", squigglyPoints(x1, x2, y).map(p => `${p.x},${p.y}`).join(" "));
+        line.setAttribute("fill", "none");
+        line.setAttribute("stroke-linejoin", "round");
+      } else {
+        line = document.createElementNS("http://www.w3.org/2000/svg", "line");
+        line.setAttribute("x1", x1);
+        line.setAttribute("y1", y);
+        line.setAttribute("x2", x2);
+        line.setAttribute("y2", y);
+      }
       line.setAttribute("stroke", color);
       line.setAttribute("stroke-width", thickness);
       line.setAttribute("stroke-linecap", "round");
@@ -8041,26 +17376,108 @@ class PdfViewer {
     }
   }
 
-  // Create transparent interactive element for underline (for clicks/selection)
-  _createUnderlineInteractive(annotation, pageWidth, pageHeight) {
+  // Render a rectangle, ellipse, line or arrow as an SVG outline (unscaled coordinates)
+  _renderShapeSvg(annotation, svgLayer) {
+    const thickness = annotation.thickness || StrokePicker.DEFAULT_THICKNESS;
+
+    // Parse color
+    let color = annotation.color || ColorPicker.DEFAULT_INK_COLOR;
+    let opacity = annotation.opacity || 1;
+    if (color.length === 9 && color.startsWith("#")) {
+      opacity = parseInt(color.slice(7, 9), 16) / 255;
+      color = color.slice(0, 7);
+    }
+
+    let element;
+    if (annotation.annotation_type === "straight_line") {
+      const [start, end] = annotation.line_points || [];
+      if (!start || !end) return
+
+      element = document.createElementNS("http://www.w3.org/2000/svg", "path");
+      element.setAttribute("d", lineShapePath(start, end, annotation.arrow, thickness));
+      element.setAttribute("stroke-linecap", "round");
+      element.setAttribute("stroke-linejoin", "round");
+    } else {
+      if (!annotation.rect) return
+
+      const [x, y, width, height] = annotation.rect;
+      if (annotation.annotation_type === "circle") {
+        element = document.createElementNS("http://www.w3.org/2000/svg", "ellipse");
+        element.setAttribute("cx", x + width / 2);
+        element.setAttribute("cy", y + height / 2);
+        element.setAttribute("rx", width / 2);
+        element.setAttribute("ry", height / 2);
+      } else {
+        element = document.createElementNS("http://www.w3.org/2000/svg", "rect");
+        element.setAttribute("x", x);
+        element.setAttribute("y", y);
+        element.setAttribute("width", width);
+        element.setAttribute("height", height);
+      }
+    }
+
+    element.setAttribute("fill", "none");
+    element.setAttribute("stroke", color);
+    element.setAttribute("stroke-width", thickness);
+    element.setAttribute("stroke-opacity", opacity);
+    element.dataset.annotationId = annotation.id;
+    svgLayer.appendChild(element);
+  }
+
+  // Create transparent interactive element for a shape (for clicks/selection)
+  _createShapeInteractive(annotation, pageWidth, pageHeight) {
+    if (!annotation.rect) return null
+
+    const [x, y, width, height] = annotation.rect;
+    const padding = this._shapePadding(annotation);
+
+    const container = document.createElement("div");
+    container.className = "annotation annotation-shape";
+    container.dataset.annotationId = annotation.id;
+    container.style.cssText = `
+      position: absolute;
+      left: ${((x - padding) / pageWidth) * 100}%;
+      top: ${((y - padding) / pageHeight) * 100}%;
+      width: ${((width + padding * 2) / pageWidth) * 100}%;
+      height: ${((height + padding * 2) / pageHeight) * 100}%;
+    `;
+
+    return container
+  }
+
+  // Room around a shape's rect for the stroke (and arrowhead), and a usable
+  // target for thin lines
+  _shapePadding(annotation) {
+    const thickness = annotation.thickness || StrokePicker.DEFAULT_THICKNESS;
+    return Math.max(4, thickness * 4)
+  }
+
+  // Create transparent interactive element for an underline, strikeout or
+  // squiggly (for clicks/selection). It only covers a strip around the drawn
+  // lines so the text itself stays selectable.
+  _createTextMarkupInteractive(annotation, pageWidth, pageHeight) {
     if (!annotation.quads || annotation.quads.length === 0) return null
 
+    const type = annotation.annotation_type;
     const container = document.createElement("div");
-    container.className = "annotation annotation-underline";
+    container.className = `annotation annotation-${type === "line" ? "underline" : type}`;
     container.dataset.annotationId = annotation.id;
 
-    // Calculate bounding box of all underlines (at bottom of quads)
+    // Small padding for click area, plus the height of the wave for squiggles
+    const padding = 1.5 + (type === "squiggly" ? SQUIGGLY_AMPLITUDE : 0);
+
+    // Calculate bounding box of all lines
     let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
 
     for (const quad of annotation.quads) {
       const x1 = Math.min(quad.p3.x, quad.p4.x);
       const x2 = Math.max(quad.p3.x, quad.p4.x);
-      const y = quad.p3.y;
+      const y = textMarkupLineY(quad, type);
 
       minX = Math.min(minX, x1);
-      minY = Math.min(minY, y);
+      minY = Math.min(minY, y - padding);
       maxX = Math.max(maxX, x2);
-      maxY = Math.max(maxY, y + 3); // Small padding for click area
+      maxY = Math.max(maxY, y + padding);
     }
 
     container.style.cssText = `
@@ -8131,6 +17548,10 @@ class PdfViewer {
         return this._createHighlightElement(annotation, pageWidth, pageHeight)
       case "note":
         return this._createNoteElement(annotation, pageWidth, pageHeight)
+      case "free_text":
+        return this._createFreeTextElement(annotation, pageWidth, pageHeight)
+      case "stamp":
+        return this._createStampElement(annotation, pageWidth, pageHeight)
       case "ink":
         return this._createInkElement(annotation, pageWidth, pageHeight)
       default:
@@ -8195,34 +17616,333 @@ class PdfViewer {
       }
     }
 
-    return container
-  }
+    return container
+  }
+
+
+  _createNoteElement(annotation, pageWidth, pageHeight) {
+    const icon = document.createElement("div");
+    icon.className = "annotation annotation-note";
+    icon.dataset.annotationId = annotation.id;
+
+    // Note icon size in PDF coordinates (24px at 72 DPI = ~0.33 inches)
+    const noteSize = 24;
+
+    icon.style.cssText = `
+      position: absolute;
+      left: ${(annotation.rect[0] / pageWidth) * 100}%;
+      top: ${(annotation.rect[1] / pageHeight) * 100}%;
+      width: ${(noteSize / pageWidth) * 100}%;
+      height: ${(noteSize / pageHeight) * 100}%;
+      cursor: pointer;
+    `;
+
+    icon.innerHTML = `
+      <svg viewBox="0 0 24 24" fill="${sanitizeColor(annotation.color, ColorPicker.DEFAULT_HIGHLIGHT_COLOR)}" stroke="#000" stroke-width="1">
+        <path d="${NOTE_ICON_PATH}"/>
+      </svg>
+    `;
+
+    return icon
+  }
+
+  _createFreeTextElement(annotation, pageWidth, pageHeight) {
+    if (!annotation.rect) return null
+
+    const [x, y, width, height] = annotation.rect;
+    const fontSize = annotation.font_size || FREE_TEXT_DEFAULT_FONT_SIZE;
+
+    const box = document.createElement("div");
+    box.className = "annotation annotation-free-text";
+    box.dataset.annotationId = annotation.id;
+    box.style.cssText = `
+      position: absolute;
+      left: ${(x / pageWidth) * 100}%;
+      top: ${(y / pageHeight) * 100}%;
+      width: ${(width / pageWidth) * 100}%;
+      height: ${(height / pageHeight) * 100}%;
+    `;
+
+    const text = document.createElement("div");
+    text.className = "free-text-content";
+    text.textContent = annotation.contents || "";
+    text.style.fontSize = `calc(${fontSize}px * var(--display-scale, 1))`;
+    text.style.color = sanitizeColor(annotation.color, FREE_TEXT_DEFAULT_COLOR);
+    box.appendChild(text);
+
+    // Double-click to edit the text in place
+    box.addEventListener("dblclick", (e) => {
+      e.stopPropagation();
+      const current = this.annotationManager.getAnnotation(annotation.id);
+      if (current) this._onAnnotationEdit(current);
+    });
+
+    return box
+  }
+
+  _createStampElement(annotation, pageWidth, pageHeight) {
+    if (!annotation.rect || !isSafeImageData(annotation.image_data)) return null
+
+    const [x, y, width, height] = annotation.rect;
+
+    const stamp = document.createElement("div");
+    stamp.className = "annotation annotation-stamp";
+    stamp.dataset.annotationId = annotation.id;
+    stamp.style.cssText = `
+      position: absolute;
+      left: ${(x / pageWidth) * 100}%;
+      top: ${(y / pageHeight) * 100}%;
+      width: ${(width / pageWidth) * 100}%;
+      height: ${(height / pageHeight) * 100}%;
+    `;
+
+    const image = document.createElement("img");
+    image.src = annotation.image_data;
+    image.alt = annotation.subject || "Stamp";
+    image.draggable = false;
+    stamp.appendChild(image);
+
+    return stamp
+  }
+
+  // Lets a selected annotation be dragged to move it in SELECT mode. Ones
+  // with a rect can also be resized from corner handles, and text highlights
+  // and markups get handles to drag either end onto new text. Each drag saves
+  // one update on release, so it undoes in one step.
+  _attachTransformHandlers(element, annotation, pageWidth, pageHeight) {
+    const type = annotation.annotation_type;
+    if (TEXT_RANGE_ANNOTATION_TYPES.includes(type)) {
+      this._attachTextRangeHandles(element, annotation, pageWidth, pageHeight);
+      return
+    }
+    if (!MOVABLE_ANNOTATION_TYPES.includes(type)) return
+
+    element.classList.add("annotation-movable");
+
+    const resizable = RESIZABLE_ANNOTATION_TYPES.includes(type);
+    if (resizable) {
+      for (const corner of ["nw", "ne", "sw", "se"]) {
+        const handle = document.createElement("div");
+        handle.className = `annotation-resize-handle annotation-resize-handle-${corner}`;
+        handle.dataset.corner = corner;
+        element.appendChild(handle);
+      }
+    }
+
+    element.addEventListener("pointerdown", (event) => {
+      if (this.currentMode !== ToolMode.SELECT || !element.classList.contains("selected")) return
+      if (event.button !== 0) return
+
+      const current = this.annotationManager.getAnnotation(annotation.id);
+      if (!current) return
+
+      // Pointer positions are mapped into unrotated page space, so dragging
+      // works the same at any view rotation
+      const transformer = new CoordinateTransformer(this.viewer);
+      const start = transformer.screenToPdf(event, current.page);
+      if (!start) return
+
+      event.preventDefault();
+      event.stopPropagation();
+      element.setPointerCapture(event.pointerId);
+
+      const corner = resizable && current.rect
+        ? event.target.closest(".annotation-resize-handle")?.dataset.corner
+        : null;
+      let changes = null;
+
+      const onMove = (e) => {
+        const point = transformer.screenToPdf(e, current.page);
+        if (!point) return
+
+        const dx = point.x - start.x;
+        const dy = point.y - start.y;
+        // Ignore jitter so a plain click doesn't save
+        if (!changes && Math.hypot(dx, dy) < 2) return
+
+        if (corner) {
+          const rect = resizeRect(current.rect, corner, dx, dy, { keepAspectRatio: type === "stamp" });
+          changes = { rect };
+          this._previewAnnotationResize(element, current, rect);
+        } else {
+          changes = translateAnnotationGeometry(current, dx, dy);
+          this._previewAnnotationMove(element, current, dx, dy);
+        }
+      };
+
+      const onUp = async () => {
+        element.removeEventListener("pointermove", onMove);
+        element.removeEventListener("pointerup", onUp);
+        element.removeEventListener("pointercancel", onUp);
+        if (!changes) return
+
+        try {
+          await this.annotationManager.updateAnnotation(current.id, changes);
+        } catch (e) {
+          // Put it back where the store still has it
+          this._renderAnnotationsForPage(current.page, this.viewer.getPageContainer(current.page));
+        }
+      };
+
+      element.addEventListener("pointermove", onMove);
+      element.addEventListener("pointerup", onUp);
+      element.addEventListener("pointercancel", onUp);
+    });
+  }
+
+  // Drag previews adjust what's already rendered; the saved update
+  // re-renders the page
+  _previewAnnotationMove(element, annotation, dx, dy) {
+    const scale = this.viewer.getScale();
+    element.style.transform = `translate(${dx * scale}px, ${dy * scale}px)`;
+
+    // Highlights and shapes are drawn in the SVG layers (unscaled coordinates)
+    for (const node of this._annotationSvgNodes(element, annotation.id)) {
+      node.setAttribute("transform", `translate(${dx} ${dy})`);
+    }
+  }
+
+  _previewAnnotationResize(element, annotation, rect) {
+    const layer = element.parentElement;
+    const pageWidth = layer.offsetWidth / this.viewer.getScale();
+    const pageHeight = layer.offsetHeight / this.viewer.getScale();
+    const isShape = SHAPE_ANNOTATION_TYPES.includes(annotation.annotation_type);
+    const padding = isShape ? this._shapePadding(annotation) : 0;
+    const [x, y, width, height] = rect;
+
+    element.style.left = `${((x - padding) / pageWidth) * 100}%`;
+    element.style.top = `${((y - padding) / pageHeight) * 100}%`;
+    element.style.width = `${((width + padding * 2) / pageWidth) * 100}%`;
+    element.style.height = `${((height + padding * 2) / pageHeight) * 100}%`;
+
+    if (isShape) {
+      const svgLayer = element.closest(".pdf-page")?.querySelector(".shape-svg-layer");
+      if (!svgLayer) return
+
+      this._annotationSvgNodes(element, annotation.id).forEach(node => node.remove());
+      this._renderShapeSvg({ ...annotation, rect }, svgLayer);
+    }
+  }
+
+  _annotationSvgNodes(element, annotationId) {
+    const pageContainer = element.closest(".pdf-page");
+    if (!pageContainer) return []
+
+    return Array.from(pageContainer.querySelectorAll(`svg [data-annotation-id="${annotationId}"]`))
+  }
+
+  // Handles at the start of the first quad and the end of the last one.
+  // Dragging one re-selects text from the other end to the pointer, and the
+  // new range replaces the annotation's quads.
+  _attachTextRangeHandles(element, annotation, pageWidth, pageHeight) {
+    const quads = annotation.quads || [];
+    if (quads.length === 0) return
+
+    // The element is placed in page percentages, so convert each handle's
+    // page position to a percentage of the element's box
+    const box = ["left", "top", "width", "height"].map(side => parseFloat(element.style[side]));
+    if (!(box[2] > 0) || !(box[3] > 0)) return
+
+    const first = quads[0];
+    const last = quads[quads.length - 1];
+    const edges = {
+      start: { x: first.p1.x, y: first.p1.y, height: first.p3.y - first.p1.y },
+      end: { x: last.p2.x, y: last.p2.y, height: last.p4.y - last.p2.y }
+    };
+
+    for (const edge of ["start", "end"]) {
+      const handle = document.createElement("div");
+      handle.className = `annotation-range-handle annotation-range-handle-${edge}`;
+      handle.dataset.edge = edge;
+      handle.style.left = `${((edges[edge].x / pageWidth) * 100 - box[0]) / box[2] * 100}%`;
+      handle.style.top = `${((edges[edge].y / pageHeight) * 100 - box[1]) / box[3] * 100}%`;
+      handle.style.height = `${((edges[edge].height / pageHeight) * 100) / box[3] * 100}%`;
+      element.appendChild(handle);
+
+      handle.addEventListener("pointerdown", (event) => {
+        if (this.currentMode !== ToolMode.SELECT || !element.classList.contains("selected")) return
+        if (event.button !== 0) return
+
+        event.preventDefault();
+        event.stopPropagation();
+        this._dragTextRangeHandle(element, annotation.id, edge);
+      });
+    }
+  }
+
+  _dragTextRangeHandle(element, annotationId, edge) {
+    const annotation = this.annotationManager.getAnnotation(annotationId);
+    const quads = annotation?.quads || [];
+    const textLayer = element.closest(".pdf-page")?.querySelector(".textLayer");
+    if (quads.length === 0 || !textLayer) return
+
+    // Let hit testing reach the text under the annotations while dragging
+    const pagesContainer = this.pagesContainer;
+    pagesContainer.classList.add("is-selecting-text");
+
+    // Caret just inside the end that stays put
+    const transformer = new CoordinateTransformer(this.viewer);
+    const fixed = edge === "start" ? quads[quads.length - 1] : quads[0];
+    const fixedPoint = transformer.pdfToClient(
+      edge === "start" ? fixed.p2.x - 0.5 : fixed.p1.x + 0.5,
+      (fixed.p1.y + fixed.p3.y) / 2,
+      annotation.page
+    );
+    const anchor = fixedPoint && caretRangeFromPoint(fixedPoint.x, fixedPoint.y);
+    if (!anchor || !textLayer.contains(anchor.startContainer)) {
+      pagesContainer.classList.remove("is-selecting-text");
+      return
+    }
+
+    const selection = window.getSelection();
+    let range = null;
 
+    const onMove = (e) => {
+      const caret = caretRangeFromPoint(e.clientX, e.clientY);
+      if (!caret || !textLayer.contains(caret.startContainer)) return
 
-  _createNoteElement(annotation, pageWidth, pageHeight) {
-    const icon = document.createElement("div");
-    icon.className = "annotation annotation-note";
-    icon.dataset.annotationId = annotation.id;
+      const next = document.createRange();
+      if (anchor.compareBoundaryPoints(Range.START_TO_START, caret) <= 0) {
+        next.setStart(anchor.startContainer, anchor.startOffset);
+        next.setEnd(caret.startContainer, caret.startOffset);
+      } else {
+        next.setStart(caret.startContainer, caret.startOffset);
+        next.setEnd(anchor.startContainer, anchor.startOffset);
+      }
+      if (next.collapsed) return
 
-    // Note icon size in PDF coordinates (24px at 72 DPI = ~0.33 inches)
-    const noteSize = 24;
+      // Show the new range as a text selection until release
+      range = next;
+      selection.removeAllRanges();
+      selection.addRange(range);
+    };
 
-    icon.style.cssText = `
-      position: absolute;
-      left: ${(annotation.rect[0] / pageWidth) * 100}%;
-      top: ${(annotation.rect[1] / pageHeight) * 100}%;
-      width: ${(noteSize / pageWidth) * 100}%;
-      height: ${(noteSize / pageHeight) * 100}%;
-      cursor: pointer;
-    `;
+    const onUp = async () => {
+      window.removeEventListener("pointermove", onMove);
+      window.removeEventListener("pointerup", onUp);
+      window.removeEventListener("pointercancel", onUp);
+      pagesContainer.classList.remove("is-selecting-text");
+      if (!range) return
 
-    icon.innerHTML = `
-      <svg viewBox="0 0 24 24" fill="${sanitizeColor(annotation.color, ColorPicker.DEFAULT_HIGHLIGHT_COLOR)}" stroke="#000" stroke-width="1">
-        <path d="M20 2H4c-1.1 0-2 .9-2 2v18l4-4h14c1.1 0 2-.9 2-2V4c0-1.1-.9-2-2-2z"/>
-      </svg>
-    `;
+      const newQuads = transformer.selectionRectsToQuads(Array.from(range.getClientRects()), annotation.page);
+      const text = range.toString();
+      selection.removeAllRanges();
+      if (newQuads.length === 0) return
 
-    return icon
+      try {
+        await this.annotationManager.updateAnnotation(annotationId, {
+          quads: newQuads,
+          rect: transformer.quadsToBoundingRect(newQuads),
+          title: text.substring(0, 255)
+        });
+      } catch (e) {
+        this._renderAnnotationsForPage(annotation.page, this.viewer.getPageContainer(annotation.page));
+      }
+    };
+
+    window.addEventListener("pointermove", onMove);
+    window.addEventListener("pointerup", onUp);
+    window.addEventListener("pointercancel", onUp);
   }
 
   _createInkElement(annotation, pageWidth, pageHeight) {
@@ -8392,6 +18112,13 @@ class PdfViewer {
   }
 
   _deselectAnnotation() {
+    // Anything that drops the selection (clicking away, switching tools,
+    // Escape) clears a multi-selection too
+    this._setMultiSelection(new Set());
+    this._deselectSingleAnnotation();
+  }
+
+  _deselectSingleAnnotation() {
     const previousAnnotation = this.selectedAnnotation;
 
     if (this.selectedAnnotationElement) {
@@ -8413,158 +18140,588 @@ class PdfViewer {
 
   async _onAnnotationColorChange(annotation, color) {
     try {
-      // Preserve the existing opacity when changing color (default to 0.4 for highlights/ink, 1 for others)
-      const defaultOpacity = (annotation.annotation_type === "highlight" || annotation.annotation_type === "ink") ? 0.4 : 1;
-      const opacity = annotation.opacity ?? defaultOpacity;
+      await this.annotationManager.updateAnnotation(annotation.id, { color: this._colorWithOpacity(annotation, color) });
+    } catch (error) {
+      console.error("Failed to update annotation color:", error);
+    }
+  }
+
+  _colorWithOpacity(annotation, color) {
+    // Preserve the existing opacity when changing color (default to 0.4 for highlights/ink, 1 for others)
+    const defaultOpacity = (annotation.annotation_type === "highlight" || annotation.annotation_type === "ink") ? 0.4 : 1;
+    const opacity = annotation.opacity ?? defaultOpacity;
+
+    // Encode opacity into color string as alpha channel (#RRGGBBAA)
+    // The backend derives opacity from the color's alpha channel
+    const alphaHex = Math.round(opacity * 255).toString(16).padStart(2, "0");
+    return color + alphaHex
+  }
+
+  _scrollToAnnotation(annotationId) {
+    const annotation = this.annotationManager.getAnnotation(annotationId);
+    if (!annotation) return
+
+    // Mark this annotation for selection when it's rendered
+    this.pendingAnnotationSelection = annotationId;
+
+    // Go to the page - the annotation will be selected in _renderAnnotationsForPage
+    this.viewer.goToPage(annotation.page);
+  }
+
+  /**
+   * Scroll to annotation and flash/highlight it.
+   * Called from the annotation sidebar when clicking an annotation.
+   */
+  _scrollToAnnotationWithFlash(annotationId) {
+    const annotation = this.annotationManager.getAnnotation(annotationId);
+    if (!annotation) return
+
+    // Mark this annotation for selection and flash when rendered
+    this.pendingAnnotationSelection = annotationId;
+    this.pendingAnnotationFlash = annotationId;
+
+    // Go to the page first
+    this.viewer.goToPage(annotation.page);
+
+    // If the page is already rendered, we need to scroll to and flash the annotation manually
+    const pageContainer = this.viewer.getPageContainer(annotation.page);
+    if (pageContainer) {
+      // Use .annotation class to avoid matching SVG elements
+      const element = pageContainer.querySelector(`.annotation[data-annotation-id="${annotationId}"]`);
+      if (element) {
+        this._scrollToAndFlashAnnotation(annotation, element);
+      }
+    }
+
+    // Update sidebar selection AFTER page scroll, without triggering another scroll
+    // This prevents competing scrollIntoView calls that can lock scrolling
+    this.annotationSidebar?.selectAnnotation(annotationId, { scroll: false });
+  }
+
+  /**
+   * Scroll to annotation element and apply flash effect
+   */
+  _scrollToAndFlashAnnotation(annotation, element) {
+    // Clear pending flags
+    this.pendingAnnotationSelection = null;
+    this.pendingAnnotationFlash = null;
+
+    // Scroll annotation to center of the PDF container
+    // Use manual scroll calculation instead of scrollIntoView() to avoid
+    // scrolling ancestor containers (which can cause scroll lock issues)
+    const container = this.viewer.container;
+    const containerRect = container.getBoundingClientRect();
+    const elementRect = element.getBoundingClientRect();
+
+    // Calculate where the element center is relative to the container viewport
+    const elementCenterY = elementRect.top + elementRect.height / 2 - containerRect.top;
+    const elementCenterX = elementRect.left + elementRect.width / 2 - containerRect.left;
+    const containerCenterY = containerRect.height / 2;
+    const containerCenterX = containerRect.width / 2;
+
+    // Calculate the scroll offset needed to center the element
+    const scrollOffsetY = elementCenterY - containerCenterY;
+    const scrollOffsetX = elementCenterX - containerCenterX;
+
+    container.scrollTo({
+      top: container.scrollTop + scrollOffsetY,
+      left: container.scrollLeft + scrollOffsetX,
+      behavior: "smooth"
+    });
+
+    // Apply flash animation after scroll settles
+    setTimeout(() => {
+      // Re-query the element in case it was re-rendered
+      // Use .annotation class to avoid matching SVG elements
+      const pageContainer = this.viewer.getPageContainer(annotation.page);
+      const freshElement = pageContainer?.querySelector(`.annotation[data-annotation-id="${annotation.id}"]`);
+      if (!freshElement) return
+
+      // Select the annotation
+      this._selectAnnotation(annotation, freshElement);
+
+      // Add flash class
+      freshElement.classList.add("flashing");
+
+      // Remove flash class after animation completes
+      setTimeout(() => {
+        freshElement.classList.remove("flashing");
+      }, 1500); // 3 cycles * 0.5s = 1.5s
+    }, 300);
+  }
+
+  // Time tracking
+  _startTracking() {
+    this._trackingStartTime = Date.now();
+    this._trackingInterval = setInterval(() => {
+      this._sendTrackingUpdate();
+    }, 30000); // 30 second heartbeat
+  }
+
+  _pauseTracking() {
+    if (this._trackingInterval) {
+      this._sendTrackingUpdate();
+    }
+  }
+
+  _resumeTracking() {
+    this._trackingStartTime = Date.now();
+  }
+
+  _sendTrackingUpdate() {
+    if (!this.trackingUrl) return
+
+    const timeSpent = Math.floor((Date.now() - this._trackingStartTime) / 1000);
+    this._trackingStartTime = Date.now();
+
+    fetch(this.trackingUrl, {
+      method: "PATCH",
+      headers: {
+        "Content-Type": "application/json",
+        "X-CSRF-Token": document.querySelector('meta[name="csrf-token"]')?.content
+      },
+      body: JSON.stringify({ time_spent: timeSpent })
+    }).catch(error => {
+      console.error("Failed to send tracking update:", error);
+    });
+  }
+
+  /**
+   * Download the PDF with annotations embedded.
+   * @param {Object} [options]
+   * @param {Array<Object>} [options.annotations] - Only these annotations (default: all)
+   * @param {string|Array<number>} [options.pages] - Page numbers, or ranges such as "1-3, 5" (default: all)
+   * @param {Array<string>} [options.includeTypes] - Only these annotation types
+   * @param {Array<string>} [options.excludeTypes] - Leave out these annotation types
+   * @param {Array<string|null>} [options.includeAuthors] - Only annotations by these authors; null keeps annotations with no author
+   * @param {Array<string|null>} [options.excludeAuthors] - Leave out annotations by these authors; null leaves out annotations with no author
+   * @param {boolean} [options.watermark=true] - Draw the watermark on every page
+   * @param {boolean} [options.flatten] - Draw annotations into the page content, so they can't be removed (default: only when the policy forbids editable annotations)
+   * @param {boolean} [options.original=false] - The PDF as stored, ignoring every other option
+   * @throws {Error} If the download policy forbids one of the choices
+   */
+  async download(options = {}) {
+    try {
+      this._checkDownloadPolicy(options);
 
-      // Encode opacity into color string as alpha channel (#RRGGBBAA)
-      // The backend derives opacity from the color's alpha channel
-      const alphaHex = Math.round(opacity * 255).toString(16).padStart(2, "0");
-      const colorWithAlpha = color + alphaHex;
+      if (options.original) {
+        await this.downloadManager.downloadOriginal();
+        return
+      }
 
-      await this.annotationManager.updateAnnotation(annotation.id, { color: colorWithAlpha });
+      const annotations = this._annotationsForDownload(options);
+      // Originals are left out only when their replacement is in the
+      // download, or when the imported copy was deleted
+      const replacedAnnotationIds = new Set([
+        ...this.annotationManager.embeddedAnnotationIdsFor(annotations),
+        ...this.annotationManager.dismissedPdfAnnotationIds
+      ].filter(id => this.viewer.hiddenAnnotationIds.has(id)));
+
+      await this.downloadManager.downloadWithAnnotations({
+        annotations,
+        pages: options.pages == null ? null : parsePageRanges(options.pages, this.viewer.getPageCount()),
+        watermark: options.watermark !== false,
+        flatten: options.flatten ?? !this.downloadPolicy.editable,
+        replacedAnnotationIds
+      });
     } catch (error) {
-      console.error("Failed to update annotation color:", error);
+      console.error("Failed to download PDF:", error);
+      throw error
+    }
+  }
+
+  /**
+   * Ask what to download, then download it.
+   * @returns {Promise<boolean>} False if the dialog was cancelled
+   */
+  async openExportDialog() {
+    this._checkDownloadPolicy({});
+
+    const annotations = this.annotationManager.getAllAnnotations();
+    const options = await this.exportDialog.open({
+      policy: this.downloadPolicy,
+      pageCount: this.viewer.getPageCount(),
+      currentPage: this.viewer.getCurrentPage(),
+      types: [...new Set(annotations.map(annotation => annotation.annotation_type))],
+      // "(no author)" goes last
+      authors: [...new Set(annotations.map(annotation => annotation.author || null))]
+        .sort((a, b) => (a === null) - (b === null))
+    });
+    if (!options) return false
+
+    await this.download(options);
+    return true
+  }
+
+  _checkDownloadPolicy({ annotations, pages, includeTypes, excludeTypes, includeAuthors, excludeAuthors, watermark, flatten, original }) {
+    const policy = this.downloadPolicy;
+    const filtered = annotations || includeTypes || excludeTypes || includeAuthors || excludeAuthors;
+
+    let forbidden = null;
+    if (!policy.download) {
+      forbidden = "downloading this document";
+    } else if (original && !(policy.original && policy.unwatermarked)) {
+      forbidden = "downloading the original document";
+    } else if (watermark === false && !policy.unwatermarked) {
+      forbidden = "downloading without a watermark";
+    } else if (flatten === false && !policy.editable) {
+      forbidden = "editable annotations";
+    } else if (pages != null && !policy.pageRanges) {
+      forbidden = "downloading only some pages";
+    } else if (filtered && !policy.filterAnnotations) {
+      forbidden = "leaving out annotations";
+    }
+
+    if (forbidden) {
+      throw new Error(`The download policy doesn't allow ${forbidden}`)
+    }
+  }
+
+  // Authors come from the `author` field the server sends with each annotation
+  _annotationsForDownload({ annotations = null, includeTypes, excludeTypes, includeAuthors, excludeAuthors }) {
+    return (annotations || this.annotationManager.getAllAnnotations()).filter(annotation => {
+      const type = annotation.annotation_type;
+      const author = annotation.author || null;
+      return (!includeTypes || includeTypes.includes(type)) &&
+        !excludeTypes?.includes(type) &&
+        (!includeAuthors || includeAuthors.includes(author)) &&
+        !excludeAuthors?.includes(author)
+    })
+  }
+
+  /**
+   * Annotations as an XFDF document, for exchanging markup with Acrobat
+   * without the PDF.
+   * @param {Object} [options]
+   * @param {Array<Object>} [options.annotations] - Only these annotations (default: all)
+   * @returns {Promise<string>}
+   * @throws {Error} If the download policy forbids exporting these annotations
+   */
+  async exportXFDF({ annotations = null } = {}) {
+    this._checkDownloadPolicy({ annotations });
+
+    return this.annotationManager.exportXFDF({
+      pageHeight: await this._getPageHeights(),
+      documentName: this.documentName,
+      author: this.userName,
+      annotations
+    })
+  }
+
+  /**
+   * Download annotations as an .xfdf file. Errors are left to the caller
+   * to report.
+   * @param {Object} [options] - See exportXFDF
+   */
+  async downloadXFDF(options = {}) {
+    this.downloadManager.downloadXFDF(await this.exportXFDF(options));
+  }
+
+  /**
+   * Create annotations from an XFDF document. The whole import is one undo
+   * step. Dispatches pdf-viewer:annotations-imported.
+   * @param {string} xml
+   * @returns {Promise<Array<Object>>} The created annotations
+   */
+  async importXFDF(xml) {
+    const pageHeight = await this._getPageHeights();
+    const annotations = await this.history.group(() => this.annotationManager.importXFDF(xml, { pageHeight }));
+
+    const count = annotations.length;
+    getAnnouncer().announce(`${count} ${count === 1 ? "annotation" : "annotations"} imported`);
+    this._dispatchEvent("pdf-viewer:annotations-imported", { annotations, count });
+    return annotations
+  }
+
+  // Unrotated page heights in PDF units, for converting to and from XFDF
+  async _getPageHeights() {
+    const pdfDocument = this.viewer.pdfDocument;
+    if (!pdfDocument) throw new Error("No document loaded")
+
+    const heights = new Map();
+    for (let pageNumber = 1; pageNumber <= pdfDocument.numPages; pageNumber++) {
+      const page = await pdfDocument.getPage(pageNumber);
+      heights.set(pageNumber, page.view[3] - page.view[1]);
+    }
+    return (pageNumber) => heights.get(pageNumber) || null
+  }
+
+  /**
+   * Print the document with its watermark and annotations.
+   *
+   * Dispatches pdf-viewer:print-started, pdf-viewer:print-progress after each
+   * rendered page, and then pdf-viewer:print-completed or
+   * pdf-viewer:print-cancelled.
+   * @returns {Promise<boolean>} false if cancelled or nothing to print
+   * @throws {Error} If the download policy forbids printing
+   */
+  async print() {
+    if (!this.downloadPolicy.print) {
+      throw new Error("The download policy doesn't allow printing")
+    }
+    if (!this.viewer?.pdfDocument || this.printService.isPrinting) return false
+
+    const pageCount = this.viewer.getPageCount();
+    this._dispatchEvent("pdf-viewer:print-started", { pageCount });
+    this.printProgress.show(pageCount);
+    getAnnouncer().announce("Preparing document for printing");
+
+    try {
+      const printed = await this.printService.print({
+        onProgress: ({ pageNumber, pageCount }) => {
+          this.printProgress.update(pageNumber, pageCount);
+          this._dispatchEvent("pdf-viewer:print-progress", {
+            pageNumber,
+            pageCount,
+            percent: Math.round((pageNumber / pageCount) * 100)
+          });
+          // Hand the page back once rendering is done; the dialog comes next
+          if (pageNumber === pageCount) {
+            this.printProgress.hide();
+          }
+        }
+      });
+
+      if (printed) {
+        this._dispatchEvent("pdf-viewer:print-completed", { pageCount });
+      } else {
+        getAnnouncer().announce("Printing cancelled");
+        this._dispatchEvent("pdf-viewer:print-cancelled", { pageCount });
+      }
+      return printed
+    } catch (error) {
+      console.error("Failed to print PDF:", error);
+      throw error
+    } finally {
+      this.printProgress.hide();
+    }
+  }
+
+  /**
+   * Cancel a print job that is still rendering pages.
+   */
+  cancelPrint() {
+    this.printService?.cancel();
+  }
+
+  // ===== Multi-selection =====
+
+  /**
+   * The selected annotations: the multi-selection if there is one, otherwise
+   * the single selected annotation.
+   * @returns {Array<Object>}
+   */
+  getSelectedAnnotations() {
+    if (this.selectedAnnotationIds.size > 0) {
+      return Array.from(this.selectedAnnotationIds, id => this.annotationManager.getAnnotation(id)).filter(Boolean)
+    }
+    return this.selectedAnnotation ? [this.selectedAnnotation] : []
+  }
+
+  /**
+   * Select several annotations for bulk recolor, delete or download.
+   * Dispatches pdf-viewer:selection-changed.
+   * @param {Array<string|number>} ids - Annotation ids
+   * @param {Object} [options]
+   * @param {boolean} [options.add] - Add to the current selection instead of replacing it
+   */
+  selectAnnotations(ids, { add = false } = {}) {
+    const next = new Set(add ? this.getSelectedAnnotations().map(a => a.id) : []);
+    for (const id of ids) {
+      if (this.annotationManager.getAnnotation(id)) {
+        next.add(id);
+      }
     }
-  }
 
-  _scrollToAnnotation(annotationId) {
-    const annotation = this.annotationManager.getAnnotation(annotationId);
-    if (!annotation) return
+    this._deselectSingleAnnotation();
+    this._setMultiSelection(next);
 
-    // Mark this annotation for selection when it's rendered
-    this.pendingAnnotationSelection = annotationId;
+    // A marquee ends with a click on the pages; don't let it clear the selection
+    this._suppressClickDeselect = true;
+    setTimeout(() => { this._suppressClickDeselect = false; }, 100);
+  }
 
-    // Go to the page - the annotation will be selected in _renderAnnotationsForPage
-    this.viewer.goToPage(annotation.page);
+  /**
+   * Clear the selection, single or multiple.
+   */
+  clearSelection() {
+    this._deselectAnnotation();
   }
 
   /**
-   * Scroll to annotation and flash/highlight it.
-   * Called from the annotation sidebar when clicking an annotation.
+   * Recolor every selected annotation as one undo step. Stamps are skipped.
+   * @param {string} color - "#RRGGBB"
+   * @returns {Promise<number>} How many annotations changed
    */
-  _scrollToAnnotationWithFlash(annotationId) {
-    const annotation = this.annotationManager.getAnnotation(annotationId);
-    if (!annotation) return
+  async recolorSelectedAnnotations(color) {
+    const updates = this.getSelectedAnnotations()
+      .filter(annotation => annotation.annotation_type !== "stamp")
+      .map(annotation => ({ id: annotation.id, data: { color: this._colorWithOpacity(annotation, color) } }));
+    if (updates.length === 0) return 0
 
-    // Mark this annotation for selection and flash when rendered
-    this.pendingAnnotationSelection = annotationId;
-    this.pendingAnnotationFlash = annotationId;
+    // Bulk changes don't re-select a single annotation after re-rendering
+    this._deselectSingleAnnotation();
 
-    // Go to the page first
-    this.viewer.goToPage(annotation.page);
+    await this._runBulkChange(() => this.annotationManager.updateAnnotations(updates));
+    getAnnouncer().announce(`${updates.length} ${updates.length === 1 ? "annotation" : "annotations"} recolored`);
+    return updates.length
+  }
 
-    // If the page is already rendered, we need to scroll to and flash the annotation manually
-    const pageContainer = this.viewer.getPageContainer(annotation.page);
-    if (pageContainer) {
-      // Use .annotation class to avoid matching SVG elements
-      const element = pageContainer.querySelector(`.annotation[data-annotation-id="${annotationId}"]`);
-      if (element) {
-        this._scrollToAndFlashAnnotation(annotation, element);
-      }
-    }
+  /**
+   * Delete every selected annotation as one undo step.
+   * @returns {Promise<number>} How many annotations were deleted
+   */
+  async deleteSelectedAnnotations() {
+    const annotations = this.getSelectedAnnotations();
+    if (annotations.length === 0) return 0
 
-    // Update sidebar selection AFTER page scroll, without triggering another scroll
-    // This prevents competing scrollIntoView calls that can lock scrolling
-    this.annotationSidebar?.selectAnnotation(annotationId, { scroll: false });
+    this._deselectAnnotation();
+
+    const deleted = await this._runBulkChange(() =>
+      this.annotationManager.deleteAnnotations(annotations.map(annotation => annotation.id))
+    );
+    this.undoBar.show(deleted.length === 1 ? deleted[0] : deleted);
+    getAnnouncer().announce(`${deleted.length} ${deleted.length === 1 ? "annotation" : "annotations"} deleted. Press Control Z to undo.`);
+    return deleted.length
   }
 
   /**
-   * Scroll to annotation element and apply flash effect
+   * Download the PDF with only the selected annotations embedded.
    */
-  _scrollToAndFlashAnnotation(annotation, element) {
-    // Clear pending flags
-    this.pendingAnnotationSelection = null;
-    this.pendingAnnotationFlash = null;
+  async downloadSelectedAnnotations() {
+    const annotations = this.getSelectedAnnotations();
+    if (annotations.length === 0) return
 
-    // Scroll annotation to center of the PDF container
-    // Use manual scroll calculation instead of scrollIntoView() to avoid
-    // scrolling ancestor containers (which can cause scroll lock issues)
-    const container = this.viewer.container;
-    const containerRect = container.getBoundingClientRect();
-    const elementRect = element.getBoundingClientRect();
+    await this.download({ annotations });
+  }
 
-    // Calculate where the element center is relative to the container viewport
-    const elementCenterY = elementRect.top + elementRect.height / 2 - containerRect.top;
-    const elementCenterX = elementRect.left + elementRect.width / 2 - containerRect.left;
-    const containerCenterY = containerRect.height / 2;
-    const containerCenterX = containerRect.width / 2;
+  _toggleAnnotationSelected(annotationId, selected = null) {
+    const ids = new Set(this.getSelectedAnnotations().map(a => a.id));
+    if (selected ?? !ids.has(annotationId)) {
+      ids.add(annotationId);
+    } else {
+      ids.delete(annotationId);
+    }
+    this.selectAnnotations([...ids]);
+  }
 
-    // Calculate the scroll offset needed to center the element
-    const scrollOffsetY = elementCenterY - containerCenterY;
-    const scrollOffsetX = elementCenterX - containerCenterX;
+  _setMultiSelection(ids) {
+    const previous = this.selectedAnnotationIds;
+    if (previous.size === ids.size && [...ids].every(id => previous.has(id))) return
 
-    container.scrollTo({
-      top: container.scrollTop + scrollOffsetY,
-      left: container.scrollLeft + scrollOffsetX,
-      behavior: "smooth"
+    this.selectedAnnotationIds = ids;
+
+    this.pagesContainer.querySelectorAll(".annotation.multi-selected").forEach(element => {
+      element.classList.remove("multi-selected");
     });
+    for (const id of ids) {
+      this.pagesContainer.querySelector(`.annotation[data-annotation-id="${id}"]`)?.classList.add("multi-selected");
+    }
 
-    // Apply flash animation after scroll settles
-    setTimeout(() => {
-      // Re-query the element in case it was re-rendered
-      // Use .annotation class to avoid matching SVG elements
-      const pageContainer = this.viewer.getPageContainer(annotation.page);
-      const freshElement = pageContainer?.querySelector(`.annotation[data-annotation-id="${annotation.id}"]`);
-      if (!freshElement) return
+    if (ids.size > 0) {
+      this.selectionBar?.show(ids.size);
+    } else {
+      this.selectionBar?.hide();
+    }
+    this.annotationSidebar?.setCheckedAnnotations(ids);
 
-      // Select the annotation
-      this._selectAnnotation(annotation, freshElement);
+    const annotations = this.getSelectedAnnotations();
+    this._dispatchEvent("pdf-viewer:selection-changed", { annotations, count: annotations.length });
+  }
 
-      // Add flash class
-      freshElement.classList.add("flashing");
+  _dropFromMultiSelection(annotationId) {
+    if (!this.selectedAnnotationIds.has(annotationId)) return
 
-      // Remove flash class after animation completes
-      setTimeout(() => {
-        freshElement.classList.remove("flashing");
-      }, 1500); // 3 cycles * 0.5s = 1.5s
-    }, 300);
+    const ids = new Set(this.selectedAnnotationIds);
+    ids.delete(annotationId);
+    this._setMultiSelection(ids);
   }
 
-  // Time tracking
-  _startTracking() {
-    this._trackingStartTime = Date.now();
-    this._trackingInterval = setInterval(() => {
-      this._sendTrackingUpdate();
-    }, 30000); // 30 second heartbeat
+  // Bulk changes re-render each touched page once at the end instead of
+  // after every annotation, and record a single undo step
+  async _runBulkChange(fn) {
+    this._bulkChangePages = new Set();
+    try {
+      return await this.history.group(fn)
+    } finally {
+      const pages = this._bulkChangePages;
+      this._bulkChangePages = null;
+      for (const page of pages) {
+        this._renderAnnotationsForPage(page, this.viewer.getPageContainer(page));
+      }
+    }
   }
 
-  _pauseTracking() {
-    if (this._trackingInterval) {
-      this._sendTrackingUpdate();
+  _onBulkAnnotationChange(annotation, type) {
+    this._bulkChangePages.add(annotation.page);
+
+    if (type === "deleted") {
+      this.annotationSidebar?.onAnnotationDeleted(annotation);
+    } else if (type === "created") {
+      this.annotationSidebar?.onAnnotationCreated(annotation);
+    } else {
+      this.annotationSidebar?.onAnnotationUpdated(annotation);
     }
+
+    this._dispatchEvent(`pdf-viewer:annotation-${type}`, { annotation });
   }
 
-  _resumeTracking() {
-    this._trackingStartTime = Date.now();
+  // ===== Undo / Redo =====
+
+  /**
+   * Whether there is an annotation change to undo.
+   * @returns {boolean}
+   */
+  get canUndo() {
+    return this.history?.canUndo || false
   }
 
-  _sendTrackingUpdate() {
-    if (!this.trackingUrl) return
+  /**
+   * Whether there is an undone annotation change to redo.
+   * @returns {boolean}
+   */
+  get canRedo() {
+    return this.history?.canRedo || false
+  }
 
-    const timeSpent = Math.floor((Date.now() - this._trackingStartTime) / 1000);
-    this._trackingStartTime = Date.now();
+  /**
+   * Undo the most recent annotation change (create, update or delete).
+   * @returns {Promise<boolean>} false if there was nothing to undo or it failed
+   */
+  async undo() {
+    if (!this.canUndo) return false
 
-    fetch(this.trackingUrl, {
-      method: "PATCH",
-      headers: {
-        "Content-Type": "application/json",
-        "X-CSRF-Token": document.querySelector('meta[name="csrf-token"]')?.content
-      },
-      body: JSON.stringify({ time_spent: timeSpent })
-    }).catch(error => {
-      console.error("Failed to send tracking update:", error);
-    });
+    this.undoBar.hide();
+    const step = await this.history.undo();
+    if (!step) return false
+
+    getAnnouncer().announce(`Undid ${this._describeHistoryStep(step)}`);
+    return true
   }
 
-  // Download with annotations
-  async download() {
-    try {
-      await this.downloadManager.downloadWithAnnotations();
-    } catch (error) {
-      console.error("Failed to download PDF:", error);
-      throw error
-    }
+  /**
+   * Redo the most recently undone annotation change.
+   * @returns {Promise<boolean>} false if there was nothing to redo or it failed
+   */
+  async redo() {
+    if (!this.canRedo) return false
+
+    this.undoBar.hide();
+    const step = await this.history.redo();
+    if (!step) return false
+
+    getAnnouncer().announce(`Redid ${this._describeHistoryStep(step)}`);
+    return true
+  }
+
+  _describeHistoryStep(step) {
+    if (step.length > 1) return `${step.length} changes`
+
+    const [entry] = step;
+    const annotation = entry.annotation || this.annotationManager.getAnnotation(entry.id);
+    const typeLabel = annotation ? this._getAnnotationTypeLabel(annotation.annotation_type).toLowerCase() : "annotation";
+    const verb = { create: "adding", update: "changing", delete: "deleting" }[entry.type];
+    return `${verb} ${typeLabel}`
   }
 
   // Cleanup
@@ -8584,11 +18741,23 @@ class PdfViewer {
     this.annotationEditToolbar?.destroy();
     this.annotationDetailPanel?.destroy();
     this.undoBar?.destroy();
+    this.selectionBar?.destroy();
+    this.passwordPrompt?.destroy();
+    this.printService?.destroy();
+    this.printProgress?.destroy();
+    this.exportDialog?.destroy();
     this.thumbnailSidebar?.destroy();
+    this.outlineSidebar?.destroy();
+    this.searchResultsSidebar?.destroy();
     this.annotationSidebar?.destroy();
     this.findController?.destroy();
     this.findBar?.destroy();
     this.colorPicker?.destroy();
+    this.strokePicker?.destroy();
+    this.stampPicker?.destroy();
+    this.signaturePad?.destroy();
+    this.annotationChannel?.destroy();
+    this.annotationManager?.destroy();
 
     Object.values(this.tools || {}).forEach(tool => tool.destroy?.());
 
@@ -8599,19 +18768,27 @@ class PdfViewer {
 
 // Connects to data-controller="pdf-viewer"
 class pdf_viewer_controller extends Controller {
-  static targets = ["container", "zoomSelect", "pageInput", "pageCount", "prevBtn", "nextBtn", "colorPicker", "loadingOverlay", "overflowBtn", "overflowMenu", "overflowColorPicker", "overflowPageNum", "overflowPageCount"]
+  static targets = ["container", "zoomSelect", "pageInput", "pageCount", "prevBtn", "nextBtn", "colorPicker", "loadingOverlay", "overflowBtn", "overflowMenu", "overflowColorPicker", "overflowPageNum", "overflowPageCount", "syncStatus", "undoBtn", "redoBtn"]
   static values = {
     documentUrl: String,
     documentName: String,
     organizationName: String,
     userName: String,
     annotationsUrl: String,
+    annotationsBatchUrl: String,
+    embeddedAnnotations: String,
+    watermark: Object,
+    downloadPolicy: Object,
     documentId: String,
     trackingUrl: String,
     initialPage: Number,
     initialAnnotation: String,
     autoHeight: { type: Boolean, default: true },
     detailPanel: { type: Boolean, default: false },
+    offline: { type: Boolean, default: false },
+    searchIndexCache: { type: Boolean, default: true },
+    search: String,
+    channel: String,
     errorMessage: String
   }
 
@@ -8623,18 +18800,31 @@ class pdf_viewer_controller extends Controller {
   async connect() {
     this.resizeObserver.observe(this.containerTarget);
 
+    // Clicking the pages focuses the viewer, which scopes the undo/redo shortcuts
+    if (!this.containerTarget.hasAttribute("tabindex")) {
+      this.containerTarget.tabIndex = -1;
+    }
+
     // Create the PDF viewer instance
     this.pdfViewer = new PdfViewer(this.containerTarget, {
       documentUrl: this.documentUrlValue,
       documentName: this.documentNameValue,
       organizationName: this.organizationNameValue,
       annotationsUrl: this.annotationsUrlValue,
+      annotationsBatchUrl: this.annotationsBatchUrlValue,
+      embeddedAnnotations: this.embeddedAnnotationsValue,
+      watermark: this.watermarkValue,
+      downloadPolicy: this.downloadPolicyValue,
       trackingUrl: this.trackingUrlValue,
       userName: this.userNameValue,
       documentId: this.documentIdValue,
       initialPage: this.initialPageValue || 1,
       initialAnnotation: this.initialAnnotationValue,
-      detailPanel: this.detailPanelValue
+      detailPanel: this.detailPanelValue,
+      offline: this.offlineValue,
+      searchIndexCache: this.searchIndexCacheValue,
+      search: this.searchValue,
+      channel: this.channelValue
     });
 
     // Set up the toolbar
@@ -8643,6 +18833,12 @@ class pdf_viewer_controller extends Controller {
     // Listen for error events from the PDF viewer
     this._setupErrorListener();
 
+    // Show saving / saved / offline in the toolbar
+    this._setupSyncStatusListener();
+
+    // Enable/disable undo and redo buttons
+    this._setupHistoryListener();
+
     // Load the PDF
     try {
       await this.pdfViewer.load();
@@ -8658,7 +18854,10 @@ class pdf_viewer_controller extends Controller {
     if (this.hasLoadingOverlayTarget) {
       this.loadingOverlayTarget.classList.add("hidden");
     }
-    const message = this.errorMessageValue || "Failed to load PDF document";
+    const defaultMessage = error?.name === "PasswordException"
+      ? "This document is password-protected"
+      : "Failed to load PDF document";
+    const message = this.errorMessageValue || defaultMessage;
     this._showError(message);
     this.containerTarget.dispatchEvent(new CustomEvent("pdf-viewer:load-failed", {
       bubbles: true,
@@ -8677,6 +18876,35 @@ class pdf_viewer_controller extends Controller {
     this.containerTarget.addEventListener("pdf-viewer:user-error", this._errorHandler);
   }
 
+  _setupSyncStatusListener() {
+    if (!this.hasSyncStatusTarget) return
+
+    this._syncStatusHandler = (e) => {
+      const { status, pending } = e.detail;
+      const labels = {
+        saving: "Saving...",
+        saved: "All changes saved",
+        offline: `Offline - ${pending} ${pending === 1 ? "change" : "changes"} waiting to sync`
+      };
+      this.syncStatusTarget.dataset.status = status;
+      this.syncStatusTarget.textContent = labels[status] || "";
+    };
+    this.containerTarget.addEventListener("pdf-viewer:sync-status", this._syncStatusHandler);
+  }
+
+  _setupHistoryListener() {
+    this._historyChangedHandler = (e) => {
+      const { canUndo, canRedo } = e.detail;
+      this.undoBtnTargets.forEach(btn => { btn.disabled = !canUndo; });
+      this.redoBtnTargets.forEach(btn => { btn.disabled = !canRedo; });
+    };
+    this.containerTarget.addEventListener("pdf-viewer:history-changed", this._historyChangedHandler);
+
+    // Nothing to undo yet
+    this.undoBtnTargets.forEach(btn => { btn.disabled = true; });
+    this.redoBtnTargets.forEach(btn => { btn.disabled = true; });
+  }
+
   disconnect() {
     this.resizeObserver.unobserve(this.containerTarget);
 
@@ -8688,6 +18916,14 @@ class pdf_viewer_controller extends Controller {
       this.containerTarget.removeEventListener("pdf-viewer:user-error", this._errorHandler);
     }
 
+    if (this._syncStatusHandler) {
+      this.containerTarget.removeEventListener("pdf-viewer:sync-status", this._syncStatusHandler);
+    }
+
+    if (this._historyChangedHandler) {
+      this.containerTarget.removeEventListener("pdf-viewer:history-changed", this._historyChangedHandler);
+    }
+
     if (this._readyHandler) {
       this.containerTarget.removeEventListener("pdf-viewer:ready", this._readyHandler);
     }
@@ -8716,6 +18952,16 @@ class pdf_viewer_controller extends Controller {
       colorPickerContainer.appendChild(this.pdfViewer.colorPicker.element);
     }
 
+    // Thickness/opacity picker sits next to it (shown only for shape tools)
+    if (colorPickerContainer && this.pdfViewer.strokePicker) {
+      colorPickerContainer.appendChild(this.pdfViewer.strokePicker.element);
+    }
+
+    // Stamp and signature picker (shown only for the stamp tool)
+    if (colorPickerContainer && this.pdfViewer.stampPicker) {
+      colorPickerContainer.appendChild(this.pdfViewer.stampPicker.element);
+    }
+
     // Append color picker clone to overflow menu
     if (this.hasOverflowColorPickerTarget && this.pdfViewer.colorPicker) {
       this._setupOverflowColorPicker();
@@ -8792,6 +19038,14 @@ class pdf_viewer_controller extends Controller {
         }
       }
 
+      // Ctrl+P / Cmd+P prints the whole document; the browser's own print
+      // would only capture the pages currently rendered on screen
+      if ((e.ctrlKey || e.metaKey) && !e.shiftKey && !e.altKey && e.key === "p") {
+        e.preventDefault();
+        this.print();
+        return
+      }
+
       // Only handle zoom shortcuts if not in an input/textarea
       if (e.target.tagName === "INPUT" || e.target.tagName === "TEXTAREA") return
 
@@ -8804,6 +19058,18 @@ class pdf_viewer_controller extends Controller {
       } else if ((e.ctrlKey || e.metaKey) && e.key === "0") {
         e.preventDefault();
         this._setZoomLevel(1);
+      } else if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === "z") {
+        // Ctrl+Z undo, Ctrl+Shift+Z redo, only while the viewer has focus.
+        // Editable content (text inputs above, contenteditables here) keeps its native undo.
+        const activeEl = document.activeElement;
+        if (activeEl?.isContentEditable || !this.containerTarget.contains(activeEl)) return
+
+        e.preventDefault();
+        if (e.shiftKey) {
+          this.redo();
+        } else {
+          this.undo();
+        }
       }
     };
     document.addEventListener("keydown", this._keydownHandler);
@@ -8816,9 +19082,32 @@ class pdf_viewer_controller extends Controller {
 
   toggleSidebar() {
     this._closeOverflowMenu();
+    // Thumbnails, outline and search results share the left side; show one at a time
+    if (this.pdfViewer?.outlineSidebar?.isOpen) {
+      this.pdfViewer.outlineSidebar.close();
+    }
+    if (this.pdfViewer?.searchResultsSidebar?.isOpen) {
+      this.pdfViewer.searchResultsSidebar.close();
+    }
     this.pdfViewer?.thumbnailSidebar?.toggle();
   }
 
+  toggleOutline() {
+    this._closeOverflowMenu();
+    if (this.pdfViewer?.thumbnailSidebar?.isOpen) {
+      this.pdfViewer.thumbnailSidebar.close();
+    }
+    if (this.pdfViewer?.searchResultsSidebar?.isOpen) {
+      this.pdfViewer.searchResultsSidebar.close();
+    }
+    this.pdfViewer?.outlineSidebar?.toggle();
+  }
+
+  toggleSearchResults() {
+    this._closeOverflowMenu();
+    this.pdfViewer?.toggleSearchResults();
+  }
+
   toggleAnnotationSidebar() {
     this._closeOverflowMenu();
     this.pdfViewer?.annotationSidebar?.toggle();
@@ -8844,8 +19133,16 @@ class pdf_viewer_controller extends Controller {
       select: ToolMode.SELECT,
       highlight: ToolMode.HIGHLIGHT,
       underline: ToolMode.UNDERLINE,
+      strikeout: ToolMode.STRIKEOUT,
+      squiggly: ToolMode.SQUIGGLY,
       note: ToolMode.NOTE,
-      ink: ToolMode.INK
+      text: ToolMode.TEXT,
+      stamp: ToolMode.STAMP,
+      ink: ToolMode.INK,
+      square: ToolMode.SQUARE,
+      circle: ToolMode.CIRCLE,
+      line: ToolMode.LINE,
+      arrow: ToolMode.ARROW
     };
 
     // Toggle behavior: if clicking the already-active tool, switch back to Select
@@ -8914,6 +19211,11 @@ class pdf_viewer_controller extends Controller {
 
   async download() {
     this._closeOverflowMenu();
+    if (!this.pdfViewer.downloadPolicy.download) {
+      this._showError("Downloading is disabled for this document", false);
+      return
+    }
+
     try {
       await this.pdfViewer.download();
     } catch (error) {
@@ -8922,6 +19224,89 @@ class pdf_viewer_controller extends Controller {
     }
   }
 
+  // Choose pages, annotations and watermark before downloading
+  async exportPdf() {
+    this._closeOverflowMenu();
+    if (!this.pdfViewer.downloadPolicy.download) {
+      this._showError("Downloading is disabled for this document", false);
+      return
+    }
+
+    try {
+      await this.pdfViewer.openExportDialog();
+    } catch (error) {
+      console.error("Failed to download:", error);
+      this._showError("Failed to download PDF");
+    }
+  }
+
+  async downloadXfdf() {
+    this._closeOverflowMenu();
+    if (!this.pdfViewer.downloadPolicy.download) {
+      this._showError("Downloading is disabled for this document", false);
+      return
+    }
+
+    try {
+      await this.pdfViewer.downloadXFDF();
+    } catch (error) {
+      console.error("Failed to export annotations:", error);
+      this._showError("Failed to export annotations", false);
+    }
+  }
+
+  // Bind to the change event of an <input type="file">, or to a button to
+  // open a file picker
+  importXfdf(event) {
+    this._closeOverflowMenu();
+    const input = event?.target;
+    if (input instanceof HTMLInputElement && input.type === "file") {
+      const file = input.files[0];
+      input.value = "";
+      return this._importXfdfFile(file)
+    }
+
+    const picker = document.createElement("input");
+    picker.type = "file";
+    picker.accept = ".xfdf,application/vnd.adobe.xfdf,application/xml,text/xml";
+    picker.addEventListener("change", () => this._importXfdfFile(picker.files[0]));
+    picker.click();
+  }
+
+  async _importXfdfFile(file) {
+    if (!file) return
+
+    try {
+      await this.pdfViewer.importXFDF(await file.text());
+    } catch (error) {
+      console.error("Failed to import annotations:", error);
+      this._showError("Failed to import annotations", false);
+    }
+  }
+
+  undo() {
+    this.pdfViewer?.undo();
+  }
+
+  redo() {
+    this.pdfViewer?.redo();
+  }
+
+  async print() {
+    this._closeOverflowMenu();
+    if (!this.pdfViewer?.downloadPolicy.print) {
+      this._showError("Printing is disabled for this document", false);
+      return
+    }
+
+    try {
+      await this.pdfViewer?.print();
+    } catch (error) {
+      console.error("Failed to print:", error);
+      this._showError("Failed to print document", false);
+    }
+  }
+
   // Zoom controls
   zoomIn() {
     const currentScale = this.pdfViewer.getScale();
@@ -8987,6 +19372,36 @@ class pdf_viewer_controller extends Controller {
     // If no match, leave the current selection (preset modes will show their label)
   }
 
+  // Rotation controls
+  // Usage: data-action="click->pdf-viewer#rotate" data-direction="counterclockwise"
+  // (direction defaults to clockwise)
+  rotate(event) {
+    if (event?.currentTarget?.dataset.direction === "counterclockwise") {
+      this.rotateCounterClockwise();
+    } else {
+      this.rotateClockwise();
+    }
+  }
+
+  rotateClockwise() {
+    this._closeOverflowMenu();
+    this.pdfViewer?.rotateClockwise();
+    this._reapplyZoomPreset();
+  }
+
+  rotateCounterClockwise() {
+    this._closeOverflowMenu();
+    this.pdfViewer?.rotateCounterClockwise();
+    this._reapplyZoomPreset();
+  }
+
+  // Fit presets depend on the page's orientation, so recompute after rotating
+  _reapplyZoomPreset() {
+    if (this._currentScalePreset && this.pdfViewer?.viewer) {
+      this._setZoomPreset(this._currentScalePreset);
+    }
+  }
+
   // Page navigation
   previousPage() {
     const currentPage = this.pdfViewer.getCurrentPage();
@@ -9145,15 +19560,24 @@ class pdf_viewer_controller extends Controller {
 
 // Simple controller to trigger PDF viewer download from outside the viewer's scope.
 // Usage: data-controller="pdf-download" data-action="click->pdf-download#download"
+// (or pdf-download#exportPdf to choose what to download first)
 class pdf_download_controller extends Controller {
   download(event) {
     event.preventDefault();
+    this._pdfViewerController()?.download();
+  }
+
+  exportPdf(event) {
+    event.preventDefault();
+    this._pdfViewerController()?.exportPdf();
+  }
 
+  _pdfViewerController() {
     // Find the pdf-viewer controller element and get its controller instance
     const pdfViewerElement = document.querySelector('[data-controller~="pdf-viewer"]');
     if (!pdfViewerElement) {
       console.warn("PDF viewer not found");
-      return
+      return null
     }
 
     // Get the Stimulus controller instance
@@ -9165,8 +19589,8 @@ class pdf_download_controller extends Controller {
     if (pdfViewerController) {
       // Inject download bridge for native app support
       this._injectDownloadBridge(pdfViewerController);
-      pdfViewerController.download();
     }
+    return pdfViewerController
   }
 
   _injectDownloadBridge(pdfViewerController) {
@@ -9184,5 +19608,5 @@ class pdf_download_controller extends Controller {
   }
 }
 
-export { AnnotationStore, CoreViewer, MemoryAnnotationStore, pdf_download_controller as PdfDownloadController, PdfViewer, pdf_viewer_controller as PdfViewerController, RestAnnotationStore, ScaleValue, ToolMode, ViewerEvents };
+export { AnnotationChannel, AnnotationStore, CoreViewer, MemoryAnnotationStore, MemoryChannelTransport, pdf_download_controller as PdfDownloadController, PdfViewer, pdf_viewer_controller as PdfViewerController, QueuedAnnotationStore, QueuedStoreEvents, RestAnnotationStore, ScaleValue, SyncStatus, ToolMode, ViewerEvents, setCableConsumer };
 //# sourceMappingURL=stimulus-pdf-viewer.esm.js.map